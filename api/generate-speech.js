@@ -0,0 +1,63 @@
+/**
+ * Vercel Serverless Function — Narration (Text-to-Speech) Proxy
+ * Keeps API keys server-side. Frontend calls POST /api/generate-speech
+ *
+ * Walks the configured speech chain (SPEECH_PROVIDERS, off by default).
+ * See src/providers/config.js for the SPEECH_* environment variables.
+ * When no speech provider can run it answers 501, and the client reads the
+ * story with the browser's Web Speech API instead.
+ *
+ * The text is moderated under the session's `contentRating` (see
+ * src/moderation), so the route only reads what a story could contain.
+ * Requests count against the client's speech quota (see src/rateLimit).
+ */
+
+import { resolveProviderConfig, resolveProviderKeys } from '../src/providers/config.js';
+import { runModeratedChain } from '../src/moderation/moderation.js';
+import { resolveModerationConfig } from '../src/moderation/config.js';
+import { enforceRateLimit } from '../src/rateLimit/rateLimit.js';
+import { NARRATION_MAX_CHARS } from '../src/config/narrationConfig.js';
+
+export default async function handler(req, res) {
+  // Only allow POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const config = resolveProviderConfig(process.env);
+  if (config.speech.chain.length === 0) {
+    return res.status(501).json({ error: 'Narration is not configured on this server' });
+  }
+
+  // Per-client quotas (429 + Retry-After when exceeded)
+  if (!(await enforceRateLimit(req, res, 'speech', { env: process.env, logPrefix: '[generate-speech]' }))) return;
+
+  const { text, mood, language, contentRating } = req.body;
+  if (!text) {
+    return res.status(400).json({ error: 'Missing text' });
+  }
+  if (text.length > NARRATION_MAX_CHARS) {
+    return res.status(400).json({ error: `Text is longer than ${NARRATION_MAX_CHARS} characters` });
+  }
+
+  try {
+    const { output, provider, usedFallback, moderation } = await runModeratedChain(
+      'speech',
+      { prompt: text, mood, language: String(language || '').slice(0, 40) },
+      {
+        config,
+        keys: resolveProviderKeys(process.env),
+        moderation: resolveModerationConfig(process.env),
+        rating: contentRating,
+        logPrefix: '[generate-speech]',
+      }
+    );
+    return res.status(200).json({ audio: output, provider, usedFallback, moderation });
+  } catch (err) {
+    console.error(`[generate-speech] ${err.message}`);
+    if (err.code === 'unconfigured') {
+      return res.status(501).json({ error: 'Narration is not configured on this server' });
+    }
+    return res.status(err.status || 502).json({ error: err.message, moderation: err.moderation });
+  }
+}
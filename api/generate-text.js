@@ -2,15 +2,90 @@
  * Vercel Serverless Function — Text Generation Proxy
  * Keeps API keys server-side. Frontend calls POST /api/generate-text
  *
- * Tries Gemini first, falls back to OpenAI.
+ * Walks the configured provider chain (default: Gemini, then OpenAI).
+ * See src/providers/config.js for the TEXT_* environment variables.
+ *
+ * The player's new text (`input`: a choice or typed action; the whole prompt
+ * when it is missing) and the output pass through moderation (src/moderation)
+ * under the session's `contentRating`; responses carry the structured
+ * `moderation` result, and blocked content is answered with 422 and the same result.
+ * Requests count against the client's text quota (see src/rateLimit).
+ * A request that outruns its time budget ends with 504 (or an error event).
+ *
+ * Send `{ prompt, stream: true }` to receive the text as it is generated.
+ * Deltas come in sentence-sized chunks, each sent only once it has passed
+ * output moderation. The response is newline-delimited JSON (application/x-ndjson):
+ *   {"type":"delta","text":"..."}                          — zero or more partial chunks
+ *   {"type":"done","provider":"...","usedFallback":false,
+ *    "moderation":{...},"text":"..."}                      — generation finished; `text` is only
+ *                                                            present when moderation held back or
+ *                                                            regenerated part of the streamed text
+ *   {"type":"error","status":502,"error":"...",
+ *    "moderation":{...}}                                    — generation failed mid-stream
  */
 
-// ═══ MODEL SETTINGS ═════════════════════════════════
-const GEMINI_TEXT_MODEL = 'gemini-3-flash-preview';
-const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
-const OPENAI_TEXT_MODEL = 'gpt-4o';
-const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions';
-// ═════════════════════════════════════════════════════
+import { resolveProviderConfig, resolveProviderKeys } from '../src/providers/config.js';
+import { runModeratedChain } from '../src/moderation/moderation.js';
+import { resolveModerationConfig } from '../src/moderation/config.js';
+import { enforceRateLimit } from '../src/rateLimit/rateLimit.js';
+
+// Vercel stops the function at its maxDuration (60 s in vercel.json). Provider
+// fallbacks and a moderation regeneration can each take a full provider
+// timeout, so the whole request shares this budget; the rest is left for
+// classifier calls and for answering with a proper error.
+const REQUEST_BUDGET_MS = 50000;
+
+// An error caused by the spent budget is reported as such
+function budgetError(err, signal) {
+  if (!signal.aborted) return err;
+  const error = new Error(`Text generation took longer than ${REQUEST_BUDGET_MS / 1000}s`);
+  error.status = 504;
+  return error;
+}
+
+/**
+ * Streaming variant of the handler.
+ * Headers are sent with the first event, so a prompt rejected before
+ * anything was generated still gets a proper status code.
+ */
+async function handleStream(res, { prompt, input, signal }, options) {
+  let started = false;
+  let streamed = '';
+  const send = (event) => {
+    if (!started) {
+      started = true;
+      res.status(200);
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+    }
+    res.write(`${JSON.stringify(event)}\n`);
+  };
+
+  try {
+    const { output, provider, usedFallback, moderation } = await runModeratedChain(
+      'text',
+      {
+        prompt,
+        input,
+        signal,
+        onDelta: (text) => {
+          streamed += text;
+          send({ type: 'delta', text });
+        },
+      },
+      options
+    );
+    send({ type: 'done', provider, usedFallback, moderation, ...(output !== streamed && { text: output }) });
+  } catch (caught) {
+    const err = budgetError(caught, signal);
+    console.error(`[generate-text] Stream failed: ${err.message}`);
+    if (!started) {
+      return res.status(err.status || 502).json({ error: err.message, moderation: err.moderation });
+    }
+    send({ type: 'error', status: err.status, error: err.message, moderation: err.moderation });
+  }
+  return res.end();
+}
 
 export default async function handler(req, res) {
   // Only allow POST
@@ -18,90 +93,33 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { prompt } = req.body;
+  // Per-client quotas (429 + Retry-After when exceeded)
+  if (!(await enforceRateLimit(req, res, 'text', { env: process.env, logPrefix: '[generate-text]' }))) return;
+
+  const { prompt, input, stream, contentRating } = req.body;
   if (!prompt) {
     return res.status(400).json({ error: 'Missing prompt' });
   }
 
-  const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-  const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-  // ── Try Gemini first ──
-  if (GEMINI_API_KEY) {
-    try {
-      console.log(`[generate-text] Calling Gemini (${GEMINI_TEXT_MODEL}), prompt: ${prompt.length} chars`);
-
-      const url = `${GEMINI_BASE_URL}/${GEMINI_TEXT_MODEL}:generateContent?key=${GEMINI_API_KEY}`;
-
-      const geminiRes = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: {
-            temperature: 0.9,
-            maxOutputTokens: 4096,
-            responseMimeType: 'application/json',
-          },
-        }),
-        signal: AbortSignal.timeout(25000),
-      });
-
-      if (!geminiRes.ok) {
-        const errBody = await geminiRes.text().catch(() => '');
-        console.error(`[generate-text] Gemini error ${geminiRes.status}: ${errBody.substring(0, 200)}`);
-        throw new Error(`Gemini ${geminiRes.status}`);
-      }
-
-      const data = await geminiRes.json();
-      const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-      console.log(`[generate-text] Gemini success, ${text.length} chars`);
-
-      return res.status(200).json({ text, provider: 'gemini' });
-    } catch (err) {
-      console.warn(`[generate-text] Gemini failed: ${err.message}, trying OpenAI fallback...`);
-    }
+  const options = {
+    config: resolveProviderConfig(process.env),
+    keys: resolveProviderKeys(process.env),
+    moderation: resolveModerationConfig(process.env),
+    rating: contentRating,
+    logPrefix: '[generate-text]',
+  };
+
+  const signal = AbortSignal.timeout(REQUEST_BUDGET_MS);
+  if (stream) {
+    return handleStream(res, { prompt, input, signal }, options);
   }
 
-  // ── Fallback to OpenAI ──
-  if (OPENAI_API_KEY) {
-    try {
-      console.log(`[generate-text] Calling OpenAI (${OPENAI_TEXT_MODEL})`);
-
-      const openaiRes = await fetch(OPENAI_CHAT_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-        },
-        body: JSON.stringify({
-          model: OPENAI_TEXT_MODEL,
-          messages: [
-            { role: 'system', content: 'You are a creative interactive fiction storyteller.' },
-            { role: 'user', content: prompt },
-          ],
-          temperature: 0.9,
-          max_tokens: 4096,
-        }),
-        signal: AbortSignal.timeout(25000),
-      });
-
-      if (!openaiRes.ok) {
-        const errBody = await openaiRes.text().catch(() => '');
-        console.error(`[generate-text] OpenAI error ${openaiRes.status}: ${errBody.substring(0, 200)}`);
-        throw new Error(`OpenAI ${openaiRes.status}`);
-      }
-
-      const data = await openaiRes.json();
-      const text = data.choices?.[0]?.message?.content || '';
-      console.log(`[generate-text] OpenAI success, ${text.length} chars`);
-
-      return res.status(200).json({ text, provider: 'openai' });
-    } catch (err) {
-      console.error(`[generate-text] OpenAI failed: ${err.message}`);
-      return res.status(502).json({ error: `All AI providers failed. Last error: ${err.message}` });
-    }
+  try {
+    const { output, provider, usedFallback, moderation } = await runModeratedChain('text', { prompt, input, signal }, options);
+    return res.status(200).json({ text: output, provider, usedFallback, moderation });
+  } catch (caught) {
+    const err = budgetError(caught, signal);
+    console.error(`[generate-text] ${err.message}`);
+    return res.status(err.status || 502).json({ error: err.message, moderation: err.moderation });
   }
-
-  return res.status(500).json({ error: 'No API keys configured on server' });
 }
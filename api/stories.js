@@ -0,0 +1,71 @@
+/**
+ * Vercel Serverless Function — Shared Stories
+ *
+ *   POST /api/stories                 { title, genre, genreColor, language, turns }
+ *                                     → 201 { id, url }, 413 over SHARE_LIMITS.maxRequestBytes
+ *   GET  /api/stories?id=<id>         → the story, with image URLs
+ *   GET  /api/stories?id=<id>&image=n → the re-hosted image for turn n
+ *
+ * Storage comes from STORY_STORE / STORY_STORE_DIR (see src/sharing/fileStore.js).
+ * Publishing counts against the client's share quota (see src/rateLimit).
+ * SHARE_IMAGE_HOSTS (comma-separated, exact hostnames) limits which hosts images
+ * may be downloaded from.
+ *
+ * Images are served with nosniff and a sandboxing CSP, so even a stored file
+ * that is not the image it claims to be cannot run script on this origin.
+ */
+
+import { resolveStoryStore } from '../src/sharing/fileStore.js';
+import { publishStory, loadSharedStory, loadSharedImage, SHARE_LIMITS } from '../src/sharing/sharedStories.js';
+import { enforceRateLimit } from '../src/rateLimit/rateLimit.js';
+
+const LOG_PREFIX = '[stories]';
+
+function imageHosts(env) {
+  return env.SHARE_IMAGE_HOSTS?.split(',').map((host) => host.trim()).filter(Boolean);
+}
+
+export default async function handler(req, res) {
+  try {
+    const store = resolveStoryStore(process.env);
+
+    if (req.method === 'POST') {
+      // Per-client quotas (429 + Retry-After when exceeded)
+      if (!(await enforceRateLimit(req, res, 'share', { env: process.env, logPrefix: LOG_PREFIX }))) return;
+      // Same cap on every host as Vercel's, which the client fits stories into
+      if (Number(req.headers['content-length']) > SHARE_LIMITS.maxRequestBytes) {
+        return res.status(413).json({ error: 'Story too large' });
+      }
+
+      const id = await publishStory(store, req.body, {
+        allowedHosts: imageHosts(process.env),
+        logPrefix: LOG_PREFIX,
+      });
+      return res.status(201).json({ id, url: `/s/${id}` });
+    }
+
+    if (req.method === 'GET') {
+      const { id, image } = req.query;
+
+      if (image !== undefined) {
+        const stored = await loadSharedImage(store, id, Number(image));
+        if (!stored) return res.status(404).json({ error: 'Image not found' });
+        res.setHeader('Content-Type', stored.mime);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Content-Security-Policy', "sandbox; default-src 'none'");
+        res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+        return res.status(200).send(Buffer.from(stored.bytes));
+      }
+
+      const story = await loadSharedStory(store, id, (index) => `/api/stories?id=${id}&image=${index}`);
+      if (!story) return res.status(404).json({ error: 'Story not found' });
+      res.setHeader('Cache-Control', 'public, max-age=300');
+      return res.status(200).json(story);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    console.error(`${LOG_PREFIX} ${err.message}`);
+    return res.status(err.status || 500).json({ error: err.status ? err.message : 'Could not reach story storage' });
+  }
+}
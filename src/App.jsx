@@ -1,11 +1,37 @@
-import { useEffect, useCallback } from 'react';
+import { useEffect, useCallback, useRef, useState } from 'react';
 import { useGame } from './store/useGameStore';
-import { generateStoryContent, generateImage } from './services/storyService';
+import { childFor } from './store/storyTree';
+import { generateNextTurn, generateImage } from './services/storyService';
+import {
+  createTurnPrefetcher,
+  isPrefetchEnabled,
+  prefetchGroup,
+  prefetchKey,
+} from './services/turnPrefetcher';
+import { mergeAppearances } from './services/characterAppearance';
+import { generateStoryRecap } from './services/storyRecap';
+import { recordEnding } from './services/endings';
+import { createNarrator } from './services/narration';
+import { ambienceFor, createSoundscape } from './services/soundscape';
+import { getPacing } from './services/pacing';
+import { PREFETCH_CONFIG } from './config/prefetchConfig';
 import GenreSelect from './components/GenreSelect';
 import StoryTurn from './components/StoryTurn';
 import LoadingOverlay from './components/LoadingOverlay';
 import Epilogue from './components/Epilogue';
 import SplashScreen from './components/SplashScreen';
+import SoundControls from './components/SoundControls';
+import { useI18n } from './i18n/useI18n';
+
+const TURN_ERROR_CODES = ['rateLimited', 'blocked', 'timeout', 'unavailable'];
+
+// Catalog key for a failed turn. API errors carry a `code` (see geminiService);
+// the dev-mode provider chain throws moderation and timeout errors directly.
+function turnErrorKey(err) {
+  if (err.name === 'TimeoutError') return 'error.timeout';
+  if (err.name === 'ModerationError') return 'error.blocked';
+  return TURN_ERROR_CODES.includes(err.code) ? `error.${err.code}` : 'error.generic';
+}
 
 function App() {
   const {
@@ -14,54 +40,313 @@ function App() {
     maxTurns,
     language,
     genre,
+    genreId,
+    genreNotes,
     artStylePrompt,
+    contentRating,
+    characterAppearances,
     history,
+    storySummary,
+    summarizedThrough,
+    stats,
+    storyBible,
     isLoading,
     error,
+    errorRetryAt,
+    streamingNarrative,
+    storyId,
+    storyTree,
+    currentNodeId,
+    pendingChoice,
+    currentNarrative,
+    currentImage,
+    currentChoices,
     setTurnContent,
+    setTurnImage,
+    setStoryRecap,
+    setStreamingNarrative,
     setError,
+    rewindTo,
     resetGame,
   } = useGame();
+  const { locale, t } = useI18n();
+
+  // One prefetcher for the app's lifetime (see services/turnPrefetcher)
+  const [prefetcher] = useState(createTurnPrefetcher);
+  // One narrator too, so a turn read aloud keeps its audio across re-renders
+  const [narrator] = useState(createNarrator);
+  const [soundscape] = useState(createSoundscape);
+
+  // The turn being written; cancelled when the player leaves the story
+  const turnRequest = useRef(null);
 
   /**
    * Generate content for the current turn.
    * Called when the game enters a 'loading' phase (on start, or after a choice).
    */
   const generateTurn = useCallback(async () => {
+    turnRequest.current?.abort();
+    const controller = new AbortController();
+    turnRequest.current = controller;
+    const { signal } = controller;
+
     try {
       const storyState = {
         currentTurn,
         maxTurns,
         language,
         genre,
+        genreNotes,
         artStylePrompt,
+        contentRating,
+        characterAppearances,
         history,
+        storyBible,
+        storySummary,
+        summarizedThrough,
+        stats,
       };
+      const onNarrative = (narrative) => !signal.aborted && setStreamingNarrative(narrative);
+      const generate = () => generateNextTurn(storyState, { onNarrative, signal });
 
-      // Generate text + choices
-      const content = await generateStoryContent(storyState);
-
-      // Generate image in parallel (or after text, doesn't block choices)
-      let image = null;
-      if (content.imagePrompt) {
-        try {
-          image = await generateImage(content.imagePrompt, artStylePrompt);
-        } catch (imgErr) {
-          console.warn('Image generation failed:', imgErr.message);
-        }
-      }
+      // A prefetched turn for this choice is used as is (waiting for it if it is
+      // still running); if it failed, the turn is generated the normal way.
+      // Memory is stored together with the turn content so state updates atomically.
+      const prefetched =
+        pendingChoice && prefetcher.takeTurn(prefetchKey(storyId, pendingChoice.parentId, pendingChoice.choiceText));
+      const { content, memory } = prefetched ? await prefetched.catch(generate) : await generate();
 
+      // Show the turn right away; its image is generated afterwards (see below)
       setTurnContent({
+        storyId,
+        pendingChoice,
         narrative: content.narrative,
-        image,
+        imagePrompt: content.imagePrompt,
         choices: content.choices,
         usedFallback: content.usedFallback,
+        quality: content.quality,
+        worldDelta: content.worldDelta,
+        actionCheck: content.actionCheck,
+        moderation: content.moderation,
+        appearances: content.appearances,
+        ending: content.ending,
+        statChanges: content.statChanges,
+        memory,
       });
     } catch (err) {
+      if (signal.aborted) return;
       console.error('Turn generation failed:', err);
-      setError(err.message);
+      // Rate limited: remember when the quota frees up for the "come back later" notice
+      setError(turnErrorKey(err), err.retryAfter ? { retryAt: Date.now() + err.retryAfter * 1000 } : {});
     }
-  }, [currentTurn, maxTurns, language, genre, artStylePrompt, history, setTurnContent, setError]);
+  }, [
+    currentTurn,
+    maxTurns,
+    language,
+    genre,
+    genreNotes,
+    artStylePrompt,
+    contentRating,
+    characterAppearances,
+    history,
+    storySummary,
+    summarizedThrough,
+    storyBible,
+    stats,
+    storyId,
+    pendingChoice,
+    prefetcher,
+    setTurnContent,
+    setStreamingNarrative,
+    setError,
+  ]);
+
+  // ── Speculative prefetch (opt-in) ──
+  // While the player reads, the next turn for each unexplored choice is
+  // generated in the background, built from the same state MAKE_CHOICE would
+  // produce. Branches the player leaves are cancelled; finished ones stay cached.
+  useEffect(() => {
+    if (gamePhase !== 'playing' || isLoading || !isPrefetchEnabled()) return;
+    const node = storyTree.nodes[currentNodeId];
+    const choices = currentChoices.slice(0, PREFETCH_CONFIG.maxChoicesPerTurn).filter((choice) => !childFor(node, choice));
+    if (choices.length === 0) return;
+
+    const timer = setTimeout(() => {
+      choices.forEach((choiceText) => {
+        const storyState = {
+          currentTurn: currentTurn + 1,
+          maxTurns,
+          language,
+          genre,
+          genreNotes,
+          artStylePrompt,
+          contentRating,
+          characterAppearances,
+          storyBible,
+          storySummary,
+          summarizedThrough,
+          stats,
+          history: [
+            ...history,
+            {
+              nodeId: currentNodeId,
+              turn: currentTurn,
+              narrative: currentNarrative,
+              image: currentImage,
+              choiceMade: choiceText,
+              isCustomAction: false,
+            },
+          ],
+        };
+        prefetcher.prefetch(prefetchKey(storyId, currentNodeId, choiceText), {
+          storyId,
+          group: prefetchGroup(storyId, currentNodeId),
+          generateTurn: (signal) => generateNextTurn(storyState, { signal }),
+          generateImage: (content, signal) =>
+            generateImage(content.imagePrompt, artStylePrompt, {
+              contentRating,
+              appearances: mergeAppearances(characterAppearances, content.appearances),
+              signal,
+            }),
+        });
+      });
+    }, PREFETCH_CONFIG.startDelayMs);
+    return () => clearTimeout(timer);
+  }, [
+    gamePhase,
+    isLoading,
+    storyId,
+    storyTree,
+    currentNodeId,
+    currentTurn,
+    currentNarrative,
+    currentImage,
+    currentChoices,
+    maxTurns,
+    language,
+    genre,
+    genreNotes,
+    artStylePrompt,
+    contentRating,
+    characterAppearances,
+    history,
+    storyBible,
+    storySummary,
+    summarizedThrough,
+    stats,
+    prefetcher,
+  ]);
+
+  useEffect(() => {
+    prefetcher.keepOnly(prefetchGroup(storyId, currentNodeId));
+  }, [prefetcher, storyId, currentNodeId]);
+
+  // A different story (or the menu): nothing prefetched so far applies any more
+  useEffect(() => () => prefetcher.clear(), [prefetcher, storyId]);
+  // Nor is a turn still being written for a story or choice the player left
+  useEffect(() => () => turnRequest.current?.abort(), [storyId, pendingChoice]);
+  useEffect(() => () => narrator.clear(), [narrator, storyId]);
+
+  // ── Turn images ──
+  // A turn is shown as soon as its text is ready; its image is requested here
+  // once the turn is on screen with status 'pending' (new turns, retries, and
+  // turns restored before their image arrived), unless it was prefetched with
+  // the turn. Results are addressed by story + node id, so a slow image never
+  // lands on a later turn.
+  const imageRequests = useRef(new Set());
+  const currentNode = storyTree.nodes[currentNodeId];
+
+  useEffect(() => {
+    if (currentNode?.imageStatus !== 'pending') return;
+    const requestKey = `${storyId}/${currentNode.id}`;
+    if (imageRequests.current.has(requestKey)) return;
+
+    imageRequests.current.add(requestKey);
+    const generate = () =>
+      generateImage(currentNode.imagePrompt, artStylePrompt, { contentRating, appearances: characterAppearances });
+    const prefetched =
+      currentNode.parentId && prefetcher.takeImage(prefetchKey(storyId, currentNode.parentId, currentNode.choiceFromParent));
+    (prefetched ? prefetched.then((image) => image ?? generate()) : generate())
+      .then((image) => setTurnImage(storyId, currentNode.id, image ? { image, status: 'ready' } : { status: 'failed' }))
+      .finally(() => imageRequests.current.delete(requestKey));
+  }, [currentNode, storyId, artStylePrompt, contentRating, characterAppearances, prefetcher, setTurnImage]);
+
+  // ── Story recap ──
+  // Reaching an ending asks once for a title and synopsis of the whole
+  // journey; like images, the result is addressed by story + node.
+  const recapRequests = useRef(new Set());
+
+  useEffect(() => {
+    if (gamePhase !== 'epilogue' || !currentNode) return;
+    if (currentNode.recapStatus === 'ready' || currentNode.recapStatus === 'failed') return;
+    const requestKey = `${storyId}/${currentNode.id}`;
+    if (recapRequests.current.has(requestKey)) return;
+
+    recapRequests.current.add(requestKey);
+    generateStoryRecap({
+      history,
+      storySummary,
+      summarizedThrough,
+      ending: currentNode.narrative,
+      language,
+      genre,
+      contentRating,
+    })
+      .then((recap) => setStoryRecap(storyId, currentNode.id, recap ? { recap, status: 'ready' } : { status: 'failed' }))
+      .finally(() => recapRequests.current.delete(requestKey));
+  }, [
+    gamePhase,
+    currentNode,
+    storyId,
+    history,
+    storySummary,
+    summarizedThrough,
+    language,
+    genre,
+    contentRating,
+    setStoryRecap,
+  ]);
+
+  // ── Endings collection ──
+  // Every ending reached counts towards the genre's collection (see GenreSelect)
+  useEffect(() => {
+    if (gamePhase !== 'epilogue' || !currentNode?.ending) return;
+    recordEnding({ genreId, storyId, nodeId: currentNode.id, ending: currentNode.ending });
+  }, [gamePhase, currentNode, genreId, storyId]);
+
+  // ── Soundscape ──
+  // Browsers only allow sound after the player interacts with the page
+  useEffect(() => {
+    const unlock = () => soundscape.unlock();
+    window.addEventListener('pointerdown', unlock);
+    window.addEventListener('keydown', unlock);
+    return () => {
+      window.removeEventListener('pointerdown', unlock);
+      window.removeEventListener('keydown', unlock);
+    };
+  }, [soundscape]);
+
+  // The genre's ambience plays during a story, crossfading to its climax bed
+  // for the climax phase of the arc; the menus are quiet.
+  const inStory = gamePhase === 'loading' || gamePhase === 'playing' || gamePhase === 'epilogue';
+  const isClimax = getPacing(currentTurn, maxTurns).phase === 'climax';
+  useEffect(() => {
+    soundscape.setScene(inStory ? { ambience: ambienceFor(genreId), intensity: isClimax ? 'climax' : 'calm' } : null);
+  }, [soundscape, inStory, genreId, isClimax]);
+
+  useEffect(() => {
+    if (pendingChoice) soundscape.cue('choice');
+  }, [soundscape, pendingChoice]);
+
+  useEffect(() => {
+    if (gamePhase === 'epilogue') soundscape.cue('end');
+  }, [soundscape, gamePhase]);
+
+  // Screen readers hear when a turn is being written, when it is ready, and the end
+  let announcement = '';
+  if (gamePhase === 'loading') announcement = t('a11y.loading', { turn: currentTurn, maxTurns });
+  else if (gamePhase === 'playing') announcement = t('a11y.turnReady', { turn: currentTurn, maxTurns });
+  else if (gamePhase === 'epilogue') announcement = t('a11y.storyEnded');
 
   // Trigger generation when entering loading state
   useEffect(() => {
@@ -74,28 +359,49 @@ function App() {
     <div className="app">
       {/* Error Banner */}
       {error && (
-        <div className="error-banner">
-          <strong>⚠ Something went wrong</strong>
-          {error}
+        <div className={`error-banner ${errorRetryAt ? 'is-rate-limited' : ''}`} role="alert">
+          <strong>{errorRetryAt ? t('error.rateLimitedTitle') : t('error.title')}</strong>
+          {t(error)}
+          {errorRetryAt && (
+            <span className="error-retry-at">
+              {t('error.savedUntil', {
+                time: new Date(errorRetryAt).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' }),
+              })}
+            </span>
+          )}
           <button className="retry-button" onClick={() => generateTurn()}>
-            Retry
+            {t('error.retry')}
           </button>
+          {history.length > 0 && (
+            <button
+              className="retry-button"
+              style={{ marginInlineStart: 8 }}
+              onClick={() => rewindTo(currentNodeId)}
+            >
+              {t('error.chooseDifferently')}
+            </button>
+          )}
           <button
             className="retry-button"
-            style={{ marginLeft: 8 }}
+            style={{ marginInlineStart: 8 }}
             onClick={resetGame}
           >
-            Back to Menu
+            {t('error.backToMenu')}
           </button>
         </div>
       )}
 
+      <SoundControls soundscape={soundscape} />
+      <p className="visually-hidden" role="status" aria-live="polite">
+        {announcement}
+      </p>
+
       {/* Screen Router */}
       {gamePhase === 'splash' && <SplashScreen />}
       {gamePhase === 'menu' && <GenreSelect />}
-      {gamePhase === 'loading' && <LoadingOverlay />}
-      {gamePhase === 'playing' && <StoryTurn />}
-      {gamePhase === 'epilogue' && <Epilogue />}
+      {gamePhase === 'loading' && (streamingNarrative ? <StoryTurn narrator={narrator} /> : <LoadingOverlay />)}
+      {gamePhase === 'playing' && <StoryTurn narrator={narrator} />}
+      {gamePhase === 'epilogue' && <Epilogue narrator={narrator} />}
     </div>
   );
 }
@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { useGame } from '../store/useGameStore';
+import { APPEARANCE_LIMITS } from '../services/characterAppearance';
+import { useI18n } from '../i18n/useI18n';
+
+export default function CharacterAppearancePanel() {
+  const { characterAppearances, setCharacterAppearances } = useGame();
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(null); // edited copy while the form is open
+
+  const { protagonist, characters } = characterAppearances;
+  if (!protagonist && characters.length === 0) return null;
+
+  const save = (e) => {
+    e.preventDefault();
+    setCharacterAppearances(draft);
+    setDraft(null);
+  };
+
+  const updateCharacter = (index, appearance) =>
+    setDraft({
+      ...draft,
+      characters: draft.characters.map((c, i) => (i === index ? { ...c, appearance } : c)),
+    });
+
+  return (
+    <details className="story-panel" id="character-appearance">
+      <summary className="story-panel-title">{t('appearance.title')}</summary>
+
+      {draft ? (
+        <form className="appearance-form" onSubmit={save}>
+          <label className="appearance-field">
+            <span>{t('appearance.you')}</span>
+            <textarea
+              value={draft.protagonist}
+              onChange={(e) => setDraft({ ...draft, protagonist: e.target.value })}
+              maxLength={APPEARANCE_LIMITS.maxLength}
+              rows={2}
+            />
+          </label>
+          {draft.characters.map((c, index) => (
+            <label key={c.name} className="appearance-field">
+              <span>{c.name}</span>
+              <textarea
+                value={c.appearance}
+                onChange={(e) => updateCharacter(index, e.target.value)}
+                maxLength={APPEARANCE_LIMITS.maxLength}
+                rows={2}
+              />
+            </label>
+          ))}
+          <p className="appearance-hint">{t('appearance.hint')}</p>
+          <div className="appearance-actions">
+            <button type="submit" className="appearance-button">{t('common.save')}</button>
+            <button type="button" className="appearance-button is-secondary" onClick={() => setDraft(null)}>
+              {t('common.cancel')}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="story-panel-section">
+          <ul>
+            {protagonist && (
+              <li>
+                <strong>{t('appearance.you')}</strong> — {protagonist}
+              </li>
+            )}
+            {characters.map((c) => (
+              <li key={c.name}>
+                <strong>{c.name}</strong> — {c.appearance}
+              </li>
+            ))}
+          </ul>
+          <button className="appearance-button" onClick={() => setDraft(characterAppearances)}>
+            {t('appearance.edit')}
+          </button>
+        </div>
+      )}
+    </details>
+  );
+}
@@ -1,38 +1,172 @@
+import { useMemo, useState } from 'react';
 import { useGame } from '../store/useGameStore';
+import { exportStory } from '../services/storyExporter';
+import { shareStory } from '../services/shareService';
+import StoryMap from './StoryMap';
+import TurnImage from './TurnImage';
+import NarrationControls from './NarrationControls';
+import StoryRecap from './StoryRecap';
+import PlayerStats from './PlayerStats';
+import { buildJourney } from '../services/storyRecap';
+import { endingIcon, getEndingCollection, isFirstOfKind } from '../services/endings';
+import { describeScene } from '../services/storyService';
+import { useI18n } from '../i18n/useI18n';
 
-export default function Epilogue() {
-  const { currentNarrative, currentImage, genre, resetGame } = useGame();
+export default function Epilogue({ narrator }) {
+  const game = useGame();
+  const {
+    currentNarrative,
+    currentImage,
+    currentImageStatus,
+    genre,
+    genreId,
+    storyId,
+    currentNodeId,
+    storyTree,
+    artStylePrompt,
+    stats,
+    statChanges,
+    gameOver,
+    setTurnImage,
+    setStoryRecap,
+    resetGame,
+  } = game;
+  const { t, genreName } = useI18n();
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState(null); // catalog key
+  const [shareUrl, setShareUrl] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const endingNode = storyTree.nodes[currentNodeId];
+  const recapStatus = endingNode?.recapStatus || 'pending';
+  const [endingCollection] = useState(getEndingCollection);
+  const ending = endingNode?.ending || null;
+  const isNewEnding =
+    ending && isFirstOfKind(endingCollection, { genreId, storyId, nodeId: currentNodeId, ending });
+
+  const journey = useMemo(
+    () => buildJourney(storyTree, currentNodeId, artStylePrompt),
+    [storyTree, currentNodeId, artStylePrompt]
+  );
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    setExportError(null);
+    try {
+      await exportStory(game, format);
+    } catch (err) {
+      console.error(`Export failed: ${err.message}`);
+      setExportError('epilogue.exportError');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleShare = async () => {
+    setExporting('share');
+    setExportError(null);
+    try {
+      setShareUrl(await shareStory(game));
+    } catch (err) {
+      console.error(`Sharing failed: ${err.message}`);
+      setExportError(err.code === 'tooLarge' ? 'epilogue.shareTooLarge' : 'epilogue.shareError');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const copyShareUrl = async () => {
+    await navigator.clipboard.writeText(shareUrl);
+    setCopied(true);
+  };
 
   return (
     <div className="epilogue-screen">
       {/* Final Image */}
-      <div className="story-image-container">
-        {currentImage ? (
-          <img
-            className="story-image"
-            src={currentImage}
-            alt="Story epilogue scene"
-          />
+      <TurnImage
+        image={currentImage}
+        status={currentImageStatus}
+        alt={describeScene(endingNode?.imagePrompt, artStylePrompt) || t('epilogue.imageAlt')}
+        placeholder="✨"
+        onRetry={() => setTurnImage(storyId, currentNodeId, { status: 'pending' })}
+      />
+
+      {/* How the story ended, counted in the genre's collection (see services/endings) */}
+      <div className="epilogue-badge">
+        {ending ? (
+          <>
+            <span>
+              {endingIcon(ending.type)} {ending.type === 'custom' ? ending.title : t(`ending.${ending.type}`)}
+            </span>
+            {ending.type !== 'custom' && <p className="epilogue-ending-title">{ending.title}</p>}
+            {isNewEnding && <p className="epilogue-ending-new">{t('ending.discovered')}</p>}
+          </>
         ) : (
-          <div className="story-image-placeholder">✨</div>
+          <span>{t('epilogue.theEnd')}</span>
         )}
-        <div className="story-image-overlay" />
+        {gameOver && <p className="epilogue-game-over">{t('stats.gameOver', { stat: t(`stat.${gameOver}`) })}</p>}
       </div>
 
-      <div className="epilogue-badge">
-        <span>The End</span>
-      </div>
+      <PlayerStats stats={stats} changes={statChanges} turnKey={currentNodeId} />
 
       <div className="epilogue-content">
-        <h2 className="epilogue-title">Your {genre} Story</h2>
-        <p className="story-narrative">{currentNarrative}</p>
+        <h2 className="epilogue-title">
+          {endingNode?.recap?.title || t('epilogue.title', { genre: genreName(genreId, genre) })}
+        </h2>
+
+        {/* AI synopsis of the whole journey (see App) */}
+        <div className="epilogue-synopsis" aria-live="polite">
+          {recapStatus === 'ready' && <p>{endingNode.recap.synopsis}</p>}
+          {recapStatus === 'pending' && <p className="is-pending">{t('recap.synopsisLoading')}</p>}
+          {recapStatus === 'failed' && (
+            <p className="is-failed">
+              {t('recap.synopsisFailed')}
+              <button
+                className="image-retry-button"
+                onClick={() => setStoryRecap(storyId, currentNodeId, { status: 'pending' })}
+              >
+                {t('recap.retry')}
+              </button>
+            </p>
+          )}
+        </div>
+
+        <NarrationControls narrator={narrator} text={currentNarrative} />
+        <p className="story-narrative epilogue-ending">{currentNarrative}</p>
+
+        <div className="export-actions">
+          <button className="export-button" onClick={() => handleExport('html')} disabled={exporting !== null}>
+            {exporting === 'html' ? t('epilogue.preparing') : t('epilogue.downloadHtml')}
+          </button>
+          <button className="export-button" onClick={() => handleExport('epub')} disabled={exporting !== null}>
+            {exporting === 'epub' ? t('epilogue.preparing') : t('epilogue.downloadEpub')}
+          </button>
+          {!shareUrl && (
+            <button className="export-button" onClick={handleShare} disabled={exporting !== null}>
+              {exporting === 'share' ? t('epilogue.sharing') : t('epilogue.share')}
+            </button>
+          )}
+        </div>
+        {shareUrl && (
+          <div className="share-link">
+            <input className="share-link-input" value={shareUrl} readOnly onFocus={(e) => e.target.select()} />
+            <button className="export-button" onClick={copyShareUrl}>
+              {copied ? t('epilogue.copied') : t('epilogue.copy')}
+            </button>
+          </div>
+        )}
+        {exportError && <p className="export-error">{t(exportError)}</p>}
+
+        <StoryRecap journey={journey} />
+
+        <StoryMap />
 
         <button
           id="play-again"
           className="play-again-button"
           onClick={resetGame}
         >
-          Play Again
+          {t('epilogue.playAgain')}
         </button>
       </div>
     </div>
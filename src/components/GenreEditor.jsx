@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import {
+  CUSTOM_GENRE_LIMITS,
+  DEFAULT_CUSTOM_COLOR,
+  validateCustomGenre,
+  suggestArtStyle,
+} from '../services/customGenres';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * Editor for a player-made genre.
+ * @param {{genre?: object, contentRating: string, onSave: (genre: object) => void, onCancel: () => void}} props
+ *   `genre` is the custom genre being edited (omit to create a new one)
+ */
+export default function GenreEditor({ genre, contentRating, onSave, onCancel }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState({
+    id: genre?.id || null,
+    name: genre?.name || '',
+    description: genre?.description || '',
+    emoji: genre?.emoji || '✨',
+    color: genre?.color || DEFAULT_CUSTOM_COLOR,
+    artStylePrompt: genre?.artStylePrompt || '',
+    notes: genre?.notes || '',
+  });
+  const [errors, setErrors] = useState([]); // catalog keys
+  const [suggesting, setSuggesting] = useState(false);
+
+  const update = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+
+  const suggest = async () => {
+    setSuggesting(true);
+    setErrors([]);
+    try {
+      const artStylePrompt = await suggestArtStyle(draft, { contentRating });
+      setDraft((current) => ({ ...current, artStylePrompt }));
+    } catch (err) {
+      console.warn(`Art style suggestion failed: ${err.message}`);
+      setErrors(['genres.error.suggestion']);
+    } finally {
+      setSuggesting(false);
+    }
+  };
+
+  const save = (e) => {
+    e.preventDefault();
+    const { genre: saved, errors: problems } = validateCustomGenre(draft);
+    if (problems.length > 0) {
+      setErrors(problems.map((code) => `genreEditor.error.${code}`));
+      return;
+    }
+    onSave(saved);
+  };
+
+  return (
+    <form className="genre-editor" onSubmit={save} style={{ '--card-accent': draft.color }}>
+      <h2 className="genre-editor-title">{genre ? t('genreEditor.titleEdit') : t('genreEditor.titleNew')}</h2>
+
+      <div className="genre-editor-row">
+        <label className="genre-editor-field is-emoji">
+          <span>{t('genreEditor.emoji')}</span>
+          <input value={draft.emoji} onChange={update('emoji')} maxLength={CUSTOM_GENRE_LIMITS.emoji} />
+        </label>
+        <label className="genre-editor-field is-grow">
+          <span>{t('genreEditor.name')}</span>
+          <input
+            id="genre-editor-name"
+            value={draft.name}
+            onChange={update('name')}
+            maxLength={CUSTOM_GENRE_LIMITS.name}
+            placeholder={t('genreEditor.namePlaceholder')}
+            autoFocus
+          />
+        </label>
+        <label className="genre-editor-field is-color">
+          <span>{t('genreEditor.accent')}</span>
+          <input type="color" value={draft.color} onChange={update('color')} />
+        </label>
+      </div>
+
+      <label className="genre-editor-field">
+        <span>{t('genreEditor.description')}</span>
+        <input
+          value={draft.description}
+          onChange={update('description')}
+          maxLength={CUSTOM_GENRE_LIMITS.description}
+          placeholder={t('genreEditor.descriptionPlaceholder')}
+        />
+      </label>
+
+      <label className="genre-editor-field">
+        <span>{t('genreEditor.notes')}</span>
+        <textarea
+          value={draft.notes}
+          onChange={update('notes')}
+          maxLength={CUSTOM_GENRE_LIMITS.notes}
+          rows={3}
+          placeholder={t('genreEditor.notesPlaceholder')}
+        />
+      </label>
+
+      <label className="genre-editor-field">
+        <span>{t('genreEditor.artStyle')}</span>
+        <textarea
+          value={draft.artStylePrompt}
+          onChange={update('artStylePrompt')}
+          maxLength={CUSTOM_GENRE_LIMITS.artStylePrompt}
+          rows={2}
+          placeholder={t('genreEditor.artStylePlaceholder')}
+        />
+      </label>
+      <button
+        type="button"
+        className="genre-editor-button is-secondary"
+        onClick={suggest}
+        disabled={suggesting || !draft.name.trim()}
+      >
+        {suggesting ? t('genreEditor.suggesting') : t('genreEditor.suggest')}
+      </button>
+
+      {errors.length > 0 && (
+        <ul className="genre-editor-errors">
+          {errors.map((error) => (
+            <li key={error}>{t(error)}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="genre-editor-actions">
+        <button type="submit" className="genre-editor-button">
+          {t('genreEditor.save')}
+        </button>
+        <button type="button" className="genre-editor-button is-secondary" onClick={onCancel}>
+          {t('common.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -1,101 +1,357 @@
-import { useState, useEffect } from 'react';
-import { GENRES } from '../config/styleConfig';
+import { useState } from 'react';
+import { GENRES, STORY_LENGTHS, MIN_TURNS, MAX_CUSTOM_TURNS, MAX_TURNS } from '../config/styleConfig';
 import { useGame } from '../store/useGameStore';
+import StoryLibrary from './StoryLibrary';
+import { isPrefetchEnabled, setPrefetchEnabled } from '../services/turnPrefetcher';
+import { isNarrationEnabled, setNarrationEnabled } from '../services/narration';
+import { isReducedMotion, setReducedMotion } from '../services/motion';
+import { isStatsEnabled, setStatsEnabled } from '../services/playerStats';
+import { APPEARANCE_LIMITS } from '../services/characterAppearance';
+import {
+  CUSTOM_GENRE_LIMITS,
+  listCustomGenres,
+  saveCustomGenre,
+  deleteCustomGenre,
+  exportCustomGenres,
+  importCustomGenres,
+} from '../services/customGenres';
+import { downloadBlob } from '../services/storyExporter';
+import { getEndingCollection, genreEndingStats } from '../services/endings';
+import { ENDING_TYPES, CUSTOM_ENDING } from '../config/endingConfig';
+import GenreEditor from './GenreEditor';
+import { useI18n } from '../i18n/useI18n';
+import { LOCALE_LIST } from '../i18n/locales';
 
-const LANGUAGES = [
-  { code: 'ko', label: '한국어', flag: '🇰🇷', langName: '한국어' },
-  { code: 'en', label: 'English', flag: '🇺🇸', langName: 'English' },
-  { code: 'ja', label: '日本語', flag: '🇯🇵', langName: '日本語' },
+const CONTENT_RATINGS = [
+  { id: 'family', icon: '🧸' },
+  { id: 'teen', icon: '🛡️' },
+  { id: 'mature', icon: '🔥' },
 ];
 
-// UI text translations
-const UI_TEXT = {
-  ko: {
-    subtitle: '당신의 이야기를 선택하세요. 운명을 만들어가세요.',
-  },
-  en: {
-    subtitle: 'Choose your story. Shape your fate.',
-  },
-  ja: {
-    subtitle: 'あなたの物語を選んでください。運命を切り拓こう。',
-  },
-};
-
 /**
- * Detect the user's likely language by their IP geolocation.
- * Uses the free ip-api.com service.
- * Returns 'ko' for Korea, 'ja' for Japan, 'en' for everything else.
+ * Endings found and stories finished in a genre (see services/endings).
+ * Nothing until the player finished a story in it.
  */
-async function detectLanguageFromIP() {
-  try {
-    const response = await fetch('http://ip-api.com/json/?fields=countryCode', {
-      signal: AbortSignal.timeout(3000),
-    });
-    if (!response.ok) return 'ko'; // fallback
-    const data = await response.json();
-    const countryCode = data.countryCode;
-    if (countryCode === 'KR') return 'ko';
-    if (countryCode === 'JP') return 'ja';
-    return 'en';
-  } catch {
-    return 'ko'; // fallback to Korean
-  }
+function EndingProgress({ collection, genreId }) {
+  const { t } = useI18n();
+  const { finished, found, total, custom } = genreEndingStats(collection, genreId);
+  if (finished === 0) return null;
+
+  return (
+    <span className="genre-endings">
+      <span className="genre-endings-icons">
+        {ENDING_TYPES.map((type) => (
+          <span
+            key={type.id}
+            className={found.includes(type.id) ? 'is-found' : ''}
+            title={found.includes(type.id) ? t(`ending.${type.id}`) : t('ending.undiscovered')}
+          >
+            {type.icon}
+          </span>
+        ))}
+        {custom.length > 0 && (
+          <span className="is-found" title={custom.join(' · ')}>
+            {CUSTOM_ENDING.icon}
+            {custom.length > 1 && `×${custom.length}`}
+          </span>
+        )}
+      </span>
+      <span className="genre-endings-stats">
+        {t('endings.found', { found: found.length, total })} · {t('endings.finished', { count: finished })}
+      </span>
+    </span>
+  );
 }
 
 export default function GenreSelect() {
   const { startGame } = useGame();
-  const [langCode, setLangCode] = useState('ko'); // default Korean
-  const [langDetected, setLangDetected] = useState(false);
+  const { locale, meta, t, setLocale } = useI18n();
+  const [view, setView] = useState('new'); // 'new' | 'library'
+  const [contentRating, setContentRating] = useState('teen');
+  const [prefetch, setPrefetch] = useState(isPrefetchEnabled);
+  const [narration, setNarration] = useState(isNarrationEnabled);
+  const [reducedMotion, setReducedMotionState] = useState(isReducedMotion);
+  const [playerStats, setPlayerStats] = useState(isStatsEnabled);
+  const [protagonist, setProtagonist] = useState('');
+  const [lengthId, setLengthId] = useState('standard'); // a STORY_LENGTHS id or 'custom'
+  const [customTurns, setCustomTurns] = useState(MAX_TURNS); // NaN while the field is empty
+  const [customGenres, setCustomGenres] = useState(listCustomGenres);
+  const [editingGenre, setEditingGenre] = useState(null); // null | 'new' | custom genre
+  const [genreMessage, setGenreMessage] = useState(null);
+  const [endingCollection] = useState(getEndingCollection);
+
+  const maxTurns = lengthId === 'custom' ? customTurns : STORY_LENGTHS.find((l) => l.id === lengthId).turns;
+  // An empty or out-of-range custom length blocks starting instead of being clamped silently
+  const lengthInvalid =
+    lengthId === 'custom' && !(Number.isInteger(customTurns) && customTurns >= MIN_TURNS && customTurns <= MAX_CUSTOM_TURNS);
+
+  // Stories are written in the UI language
+  const play = (genre) => {
+    if (lengthInvalid) return;
+    startGame(genre, meta.storyLanguage, { contentRating, protagonist, maxTurns, stats: playerStats });
+  };
+
+  // Errors from customGenres.js carry a code to translate
+  const genreErrorMessage = (err) =>
+    err.code ? t(`genres.error.${err.code}`, { max: CUSTOM_GENRE_LIMITS.maxGenres }) : err.message;
+
+  const saveGenre = (genre) => {
+    try {
+      setCustomGenres(saveCustomGenre(genre));
+      setEditingGenre(null);
+      setGenreMessage(null);
+    } catch (err) {
+      setGenreMessage(genreErrorMessage(err));
+    }
+  };
 
-  // Detect language from IP on mount
-  useEffect(() => {
-    detectLanguageFromIP().then((code) => {
-      setLangCode(code);
-      setLangDetected(true);
-    });
-  }, []);
+  const removeGenre = (genre) => {
+    if (window.confirm(t('genres.deleteConfirm', { name: genre.name }))) setCustomGenres(deleteCustomGenre(genre.id));
+  };
 
-  // Get the language label for startGame (used in story generation prompts)
-  const langLabel = LANGUAGES.find((l) => l.code === langCode)?.label || '한국어';
+  const exportGenres = () => {
+    const json = exportCustomGenres(customGenres);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'unfoldy-genres.json');
+  };
+
+  const importGenres = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { genres, imported, skipped } = importCustomGenres(await file.text());
+      setCustomGenres(genres);
+      const message = t('genres.imported', { count: imported });
+      setGenreMessage(skipped ? `${message} ${t('genres.skipped', { count: skipped })}` : message);
+    } catch (err) {
+      setGenreMessage(genreErrorMessage(err));
+    }
+  };
 
   return (
     <div className="genre-screen">
       <header className="genre-header">
         <h1 className="genre-logo">Unfoldy</h1>
-        <p className="genre-subtitle">{UI_TEXT[langCode]?.subtitle}</p>
+        <p className="genre-subtitle">{t('menu.subtitle')}</p>
 
         {/* Language Selector */}
         <div className="language-selector">
           <select
             id="language-select"
             className="language-dropdown"
-            value={langCode}
-            onChange={(e) => setLangCode(e.target.value)}
+            value={locale}
+            onChange={(e) => setLocale(e.target.value)}
+            title={t('menu.language')}
           >
-            {LANGUAGES.map((lang) => (
+            {LOCALE_LIST.map((lang) => (
               <option key={lang.code} value={lang.code}>
-                {lang.flag} {lang.label}
+                {lang.flag} {lang.name}
+              </option>
+            ))}
+          </select>
+          <select
+            id="content-rating-select"
+            className="language-dropdown"
+            value={contentRating}
+            onChange={(e) => setContentRating(e.target.value)}
+            title={t('menu.contentRating')}
+          >
+            {CONTENT_RATINGS.map((rating) => (
+              <option key={rating.id} value={rating.id}>
+                {rating.icon} {t(`rating.${rating.id}`)}
+              </option>
+            ))}
+          </select>
+          <select
+            id="story-length-select"
+            className="language-dropdown"
+            value={lengthId}
+            onChange={(e) => setLengthId(e.target.value)}
+            title={t('menu.storyLength')}
+          >
+            {STORY_LENGTHS.map((length) => (
+              <option key={length.id} value={length.id}>
+                📏{' '}
+                {t('menu.lengthOption', {
+                  label: t(`length.${length.id}`),
+                  turns: t('common.turns', { count: length.turns }),
+                })}
               </option>
             ))}
+            <option value="custom">📏 {t('menu.customLength')}</option>
           </select>
+          {lengthId === 'custom' && (
+            <input
+              id="story-length-custom"
+              className="language-dropdown story-length-input"
+              type="number"
+              min={MIN_TURNS}
+              max={MAX_CUSTOM_TURNS}
+              step={1}
+              value={Number.isNaN(customTurns) ? '' : customTurns}
+              onChange={(e) => setCustomTurns(e.target.valueAsNumber)}
+              aria-invalid={lengthInvalid}
+              aria-describedby={lengthInvalid ? 'story-length-error' : undefined}
+              title={t('menu.customLengthRange', { min: MIN_TURNS, max: MAX_CUSTOM_TURNS })}
+            />
+          )}
+          {lengthInvalid && (
+            <span id="story-length-error" className="story-length-error" role="alert">
+              {t('menu.customLengthInvalid', { min: MIN_TURNS, max: MAX_CUSTOM_TURNS })}
+            </span>
+          )}
+          <label className="prefetch-toggle" title={t('menu.prefetchHint')}>
+            <input
+              type="checkbox"
+              checked={prefetch}
+              onChange={(e) => {
+                setPrefetchEnabled(e.target.checked);
+                setPrefetch(e.target.checked);
+              }}
+            />
+            ⚡ {t('menu.prefetch')}
+          </label>
+          <label className="prefetch-toggle" title={t('menu.narrationHint')}>
+            <input
+              type="checkbox"
+              checked={narration}
+              onChange={(e) => {
+                setNarrationEnabled(e.target.checked);
+                setNarration(e.target.checked);
+              }}
+            />
+            🔊 {t('menu.narration')}
+          </label>
+          <label className="prefetch-toggle" title={t('menu.statsHint')}>
+            <input
+              type="checkbox"
+              checked={playerStats}
+              onChange={(e) => {
+                setStatsEnabled(e.target.checked);
+                setPlayerStats(e.target.checked);
+              }}
+            />
+            🎲 {t('menu.stats')}
+          </label>
+          <label className="prefetch-toggle" title={t('menu.reducedMotionHint')}>
+            <input
+              type="checkbox"
+              checked={reducedMotion}
+              onChange={(e) => {
+                setReducedMotion(e.target.checked);
+                setReducedMotionState(e.target.checked);
+              }}
+            />
+            🐢 {t('menu.reducedMotion')}
+          </label>
         </div>
-      </header>
+        <input
+          id="protagonist-input"
+          className="protagonist-input"
+          value={protagonist}
+          onChange={(e) => setProtagonist(e.target.value)}
+          maxLength={APPEARANCE_LIMITS.maxLength}
+          placeholder={t('menu.protagonistPlaceholder')}
+          autoComplete="off"
+        />
 
-      <div className="genre-grid">
-        {GENRES.map((genre) => (
+        {/* New Story / Library switch */}
+        <div className="view-tabs" role="tablist">
           <button
-            key={genre.id}
-            id={`genre-${genre.id}`}
-            className="genre-card"
-            style={{ '--card-accent': genre.color }}
-            onClick={() => startGame({ ...genre, name: genre.name.en }, langLabel)}
+            role="tab"
+            aria-selected={view === 'new'}
+            className={`view-tab ${view === 'new' ? 'is-active' : ''}`}
+            onClick={() => setView('new')}
           >
-            <span className="genre-emoji">{genre.emoji}</span>
-            <h3 className="genre-name">{genre.name[langCode] || genre.name.en}</h3>
-            <p className="genre-desc">{genre.description[langCode] || genre.description.en}</p>
+            {t('menu.newStory')}
           </button>
-        ))}
-      </div>
+          <button
+            id="library-tab"
+            role="tab"
+            aria-selected={view === 'library'}
+            className={`view-tab ${view === 'library' ? 'is-active' : ''}`}
+            onClick={() => setView('library')}
+          >
+            {t('menu.library')}
+          </button>
+        </div>
+      </header>
+
+      {view === 'library' && <StoryLibrary />}
+
+      {view === 'new' && editingGenre && (
+        <GenreEditor
+          genre={editingGenre === 'new' ? null : editingGenre}
+          contentRating={contentRating}
+          onSave={saveGenre}
+          onCancel={() => setEditingGenre(null)}
+        />
+      )}
+
+      {view === 'new' && !editingGenre && (
+        <>
+          <div className="genre-grid">
+            {GENRES.map((genre) => (
+              <button
+                key={genre.id}
+                id={`genre-${genre.id}`}
+                className="genre-card"
+                style={{ '--card-accent': genre.color }}
+                onClick={() => play(genre)}
+                disabled={lengthInvalid}
+              >
+                <span className="genre-emoji">{genre.emoji}</span>
+                <h3 className="genre-name">{t(`genre.${genre.id}.name`)}</h3>
+                <p className="genre-desc">{t(`genre.${genre.id}.description`)}</p>
+                <EndingProgress collection={endingCollection} genreId={genre.id} />
+              </button>
+            ))}
+
+            {/* Player-made genres (see customGenres.js) */}
+            {customGenres.map((genre) => (
+              <div key={genre.id} className="genre-card-wrap">
+                <button
+                  id={`genre-${genre.id}`}
+                  className="genre-card is-custom"
+                  style={{ '--card-accent': genre.color }}
+                  onClick={() => play(genre)}
+                  disabled={lengthInvalid}
+                >
+                  <span className="genre-emoji">{genre.emoji}</span>
+                  <h3 className="genre-name">{genre.name}</h3>
+                  <p className="genre-desc">{genre.description}</p>
+                  <EndingProgress collection={endingCollection} genreId={genre.id} />
+                </button>
+                <div className="genre-card-actions">
+                  <button onClick={() => setEditingGenre(genre)} title={t('genres.edit')}>
+                    ✎
+                  </button>
+                  <button onClick={() => removeGenre(genre)} title={t('genres.delete')}>
+                    🗑
+                  </button>
+                </div>
+              </div>
+            ))}
+
+            <button id="genre-create" className="genre-card is-create" onClick={() => setEditingGenre('new')}>
+              <span className="genre-emoji">➕</span>
+              <h3 className="genre-name">{t('genres.create')}</h3>
+              <p className="genre-desc">{t('genres.createHint')}</p>
+            </button>
+          </div>
+
+          <div className="genre-tools">
+            <label className="genre-tool-button">
+              {t('genres.import')}
+              <input type="file" accept="application/json,.json" onChange={importGenres} hidden />
+            </label>
+            <button className="genre-tool-button" onClick={exportGenres} disabled={customGenres.length === 0}>
+              {t('genres.export')}
+            </button>
+            {genreMessage && <span className="genre-tools-message">{genreMessage}</span>}
+          </div>
+        </>
+      )}
     </div>
   );
 }
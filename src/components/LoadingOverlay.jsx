@@ -1,24 +1,27 @@
 import { useGame } from '../store/useGameStore';
+import { getPacing } from '../services/pacing';
+import { useI18n } from '../i18n/useI18n';
 
-export default function LoadingOverlay() {
-  const { genre, currentTurn, maxTurns } = useGame();
+// Catalog keys loading.0 … loading.4
+const MESSAGE_COUNT = 5;
 
-  const messages = [
-    'Weaving the narrative threads...',
-    'Painting the scene...',
-    'The story unfolds...',
-    'Crafting your destiny...',
-    'Shaping the world around you...',
-  ];
+export default function LoadingOverlay() {
+  const { genre, genreId, currentTurn, maxTurns } = useGame();
+  const { t, genreName } = useI18n();
 
-  const message = messages[Math.floor(Math.random() * messages.length)];
+  const message = t(`loading.${Math.floor(Math.random() * MESSAGE_COUNT)}`);
 
   return (
     <div className="loading-screen">
       <div className="loading-orb" />
       <p className="loading-text">{message}</p>
       <p className="loading-info">
-        {genre} · Turn {currentTurn} of {maxTurns}
+        {t('loading.info', {
+          genre: genreName(genreId, genre),
+          turn: currentTurn,
+          maxTurns,
+          phase: t(`phase.${getPacing(currentTurn, maxTurns).phase}`),
+        })}
       </p>
     </div>
   );
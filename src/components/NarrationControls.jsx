@@ -0,0 +1,48 @@
+import { useEffect, useMemo, useSyncExternalStore } from 'react';
+import { useGame } from '../store/useGameStore';
+import { useI18n } from '../i18n/useI18n';
+import { isNarrationEnabled, narrationKey, narrationVoice } from '../services/narration';
+
+/**
+ * Play/pause for the narrator voice (see services/narration.js).
+ * Reads the turn on its own when the player switched narration on in the menu.
+ * @param {{narrator: object, text: string}} props - `text` is the turn's narrative
+ */
+export default function NarrationControls({ narrator, text }) {
+  const { storyId, currentNodeId, genreId, language, contentRating } = useGame();
+  const { t } = useI18n();
+  const state = useSyncExternalStore(narrator.subscribe, narrator.getState);
+
+  const key = narrationKey(storyId, currentNodeId);
+  const voice = useMemo(() => narrationVoice(genreId, language), [genreId, language]);
+
+  // Auto-play each new turn; leaving the turn stops the voice
+  useEffect(() => {
+    if (isNarrationEnabled()) narrator.play(key, text, voice, contentRating);
+    return () => narrator.stop();
+  }, [narrator, key, text, voice, contentRating]);
+
+  const isThisTurn = state.key === key;
+  const status = isThisTurn ? state.status : 'idle';
+
+  const toggle = () => {
+    if (status === 'playing') narrator.pause();
+    else if (status === 'paused') narrator.resume();
+    else if (status === 'loading') narrator.stop();
+    else narrator.play(key, text, voice, contentRating);
+  };
+
+  return (
+    <div className="narration-controls">
+      <button
+        id="narration-toggle"
+        className={`narration-button is-${status}`}
+        onClick={toggle}
+        aria-pressed={status === 'playing'}
+      >
+        {t(`narration.${status}`)}
+      </button>
+      {isThisTurn && state.error && <span className="narration-error">{t('narration.unavailable')}</span>}
+    </div>
+  );
+}
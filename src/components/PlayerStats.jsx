@@ -0,0 +1,52 @@
+import { STATS, STAT_MAX, STAT_DANGER_MARGIN } from '../config/statsConfig';
+import { useI18n } from '../i18n/useI18n';
+
+// A change is for the better when it moves the stat away from its critical value
+function isBetter(id, change) {
+  return STATS[id].critical === STAT_MAX ? change < 0 : change > 0;
+}
+
+function isInDanger(id, value) {
+  const { critical } = STATS[id];
+  return critical !== null && Math.abs(critical - value) <= STAT_DANGER_MARGIN;
+}
+
+/**
+ * The story's player stats (see services/playerStats), with what the turn
+ * changed. Bars and changes animate in again on every new turn (`turnKey`).
+ */
+export default function PlayerStats({ stats, changes, turnKey }) {
+  const { t } = useI18n();
+  if (!stats) return null;
+
+  return (
+    <ul className="player-stats" aria-label={t('stats.label')}>
+      {Object.entries(stats).map(([id, value]) => {
+        const change = changes?.[id] || 0;
+        const trend = change === 0 ? '' : isBetter(id, change) ? 'is-better' : 'is-worse';
+        const percent = (value / STAT_MAX) * 100;
+        const previousPercent = ((value - change) / STAT_MAX) * 100;
+
+        return (
+          <li
+            key={`${id}/${turnKey}`}
+            className={`player-stat ${trend} ${isInDanger(id, value) ? 'is-danger' : ''}`}
+          >
+            <span className="player-stat-icon" aria-hidden="true">
+              {STATS[id].icon}
+            </span>
+            <span className="player-stat-name">{t(`stat.${id}`)}</span>
+            <span className="player-stat-track" aria-hidden="true">
+              <span
+                className="player-stat-fill"
+                style={{ width: `${percent}%`, '--stat-from': `${previousPercent}%` }}
+              />
+            </span>
+            <span className="player-stat-value">{value}</span>
+            {change !== 0 && <span className="player-stat-change">{change > 0 ? `+${change}` : change}</span>}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react';
+import { fetchSharedStory } from '../services/shareService';
+import { useI18n } from '../i18n/useI18n';
+import { localeForStoryLanguage } from '../i18n/locales';
+
+/**
+ * Read-only view of a story someone shared (/s/<id>).
+ * Rendered instead of the game, so it never touches the player's own saves.
+ */
+export default function SharedStoryViewer({ storyId }) {
+  const [story, setStory] = useState(undefined);
+  const [error, setError] = useState(null); // catalog key
+  const { t } = useI18n();
+
+  useEffect(() => {
+    fetchSharedStory(storyId)
+      .then(setStory)
+      .catch((err) => {
+        console.error(`Failed to load shared story: ${err.message}`);
+        setError('shared.loadError');
+      });
+  }, [storyId]);
+
+  if (error || story === null) {
+    return (
+      <div className="app">
+        <div className="shared-story shared-story-missing">
+          <p>{t(error || 'shared.missing')}</p>
+          <a className="play-again-button" href="/">
+            {t('shared.startOwn')}
+          </a>
+        </div>
+      </div>
+    );
+  }
+
+  if (story === undefined) {
+    return (
+      <div className="app">
+        <p className="library-empty">{t('shared.opening')}</p>
+      </div>
+    );
+  }
+
+  // The story keeps its own language and direction, whatever the UI language
+  const storyLocale = localeForStoryLanguage(story.language);
+
+  return (
+    <div className="app">
+      <article className="shared-story" lang={storyLocale.code} dir={storyLocale.dir}>
+        <header className="shared-story-header">
+          <span className="shared-story-genre" style={{ color: story.genreColor }}>
+            {story.genre}
+          </span>
+          <h1 className="epilogue-title">{story.title}</h1>
+        </header>
+
+        {story.turns.map((turn, i) => {
+          const isEnding = i === story.turns.length - 1;
+          return (
+            <section key={turn.turn} className="shared-story-turn">
+              {turn.image && (
+                <div className="story-image-container">
+                  <img className="story-image" src={turn.image} alt={turn.scene || t('story.imageAlt', { turn: turn.turn })} />
+                </div>
+              )}
+              <div className="story-content">
+                {isEnding && (
+                  <div className="epilogue-badge">
+                    <span>{t('epilogue.theEnd')}</span>
+                  </div>
+                )}
+                <p className="story-narrative">{turn.narrative}</p>
+                {turn.choiceMade && (
+                  <p className="shared-story-choice" style={{ borderColor: story.genreColor }}>
+                    ➜ {turn.choiceMade}
+                  </p>
+                )}
+              </div>
+            </section>
+          );
+        })}
+
+        <a className="play-again-button shared-story-cta" href="/">
+          {t('shared.startOwn')}
+        </a>
+      </article>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import { useSyncExternalStore } from 'react';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * Global mute button and volume slider for the soundscape (services/soundscape.js).
+ */
+export default function SoundControls({ soundscape }) {
+  const { t } = useI18n();
+  const { volume, muted } = useSyncExternalStore(soundscape.subscribe, soundscape.getState);
+  const silent = muted || volume === 0;
+
+  return (
+    <div className="sound-controls">
+      <button
+        id="sound-mute"
+        className="sound-mute"
+        onClick={() => soundscape.setMuted(!muted)}
+        aria-pressed={muted}
+        title={muted ? t('sound.unmute') : t('sound.mute')}
+        aria-label={muted ? t('sound.unmute') : t('sound.mute')}
+      >
+        {silent ? '🔇' : '🎵'}
+      </button>
+      <input
+        id="sound-volume"
+        className="sound-volume"
+        type="range"
+        min={0}
+        max={1}
+        step={0.05}
+        value={muted ? 0 : volume}
+        onChange={(e) => soundscape.setVolume(Number(e.target.value))}
+        aria-label={t('sound.volume')}
+        title={t('sound.volume')}
+      />
+    </div>
+  );
+}
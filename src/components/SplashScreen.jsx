@@ -1,10 +1,14 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { useGame } from '../store/useGameStore';
+import { useI18n } from '../i18n/useI18n';
+import { isReducedMotion } from '../services/motion';
 
 export default function SplashScreen() {
   const { dismissSplash } = useGame();
+  const { t } = useI18n();
   const [fading, setFading] = useState(false);
   const hasTriggered = useRef(false);
+  const [skip] = useState(isReducedMotion);
 
   const handleTransition = useCallback(() => {
     if (hasTriggered.current) return;
@@ -15,25 +19,31 @@ export default function SplashScreen() {
     }, 600);
   }, [dismissSplash]);
 
-  // Fixed 3 second display, then fade out
+  // Fixed 3 second display, then fade out; with reduced motion, no splash at all
   useEffect(() => {
+    if (skip) {
+      dismissSplash();
+      return;
+    }
     const timer = setTimeout(handleTransition, 3000);
     return () => clearTimeout(timer);
-  }, [handleTransition]);
+  }, [skip, handleTransition, dismissSplash]);
+
+  if (skip) return null;
 
   return (
     <div className={`splash-screen ${fading ? 'splash-fade-out' : ''}`}>
       <div className="splash-content">
         <div className="splash-text-group">
           <h1 className="splash-title">UNFOLDY</h1>
-          <p className="splash-subtitle">Stories Unfold with You</p>
+          <p className="splash-subtitle">{t('splash.subtitle')}</p>
         </div>
 
         <div className="splash-tree-container">
           <img
             className="splash-tree"
             src="/splash_tree.png"
-            alt="A magical tree with unfolding paper leaves"
+            alt={t('splash.treeAlt')}
           />
         </div>
       </div>
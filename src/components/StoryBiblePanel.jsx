@@ -0,0 +1,63 @@
+import { useGame } from '../store/useGameStore';
+import { useI18n } from '../i18n/useI18n';
+
+export default function StoryBiblePanel() {
+  const { storyBible } = useGame();
+  const { t } = useI18n();
+  const { characters, location, inventory, threads } = storyBible;
+
+  const isEmpty = characters.length === 0 && !location && inventory.length === 0 && threads.length === 0;
+  if (isEmpty) return null;
+
+  return (
+    <details className="story-panel" id="story-bible">
+      <summary className="story-panel-title">{t('bible.title')}</summary>
+
+      {location && (
+        <div className="story-panel-section">
+          <h4>{t('bible.location')}</h4>
+          <p>{location}</p>
+        </div>
+      )}
+
+      {characters.length > 0 && (
+        <div className="story-panel-section">
+          <h4>{t('bible.characters')}</h4>
+          <ul>
+            {characters.map((c) => (
+              <li key={c.name}>
+                <strong>{c.name}</strong>
+                {c.description && ` — ${c.description}`}
+                {c.status && <span className="story-panel-tag">{c.status}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {inventory.length > 0 && (
+        <div className="story-panel-section">
+          <h4>{t('bible.inventory')}</h4>
+          <ul>
+            {inventory.map((item) => (
+              <li key={item}>{item}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {threads.length > 0 && (
+        <div className="story-panel-section">
+          <h4>{t('bible.threads')}</h4>
+          <ul>
+            {threads.map((t) => (
+              <li key={t.text} className={t.resolvedAt !== null ? 'is-resolved' : ''}>
+                {t.text}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,116 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useGame } from '../store/useGameStore';
+import { listStories, renameStory, deleteStory } from '../services/storyLibrary';
+import { useI18n } from '../i18n/useI18n';
+
+export default function StoryLibrary() {
+  const { resumeStory } = useGame();
+  const { locale, t, genreName } = useI18n();
+  const [stories, setStories] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(() => {
+    listStories()
+      .then(setStories)
+      .catch((err) => {
+        console.warn(`Failed to load story library: ${err.message}`);
+        setError(t('library.error'));
+        setStories([]);
+      });
+  }, [t]);
+
+  useEffect(refresh, [refresh]);
+
+  const startRename = (story) => {
+    setEditingId(story.id);
+    setDraftTitle(story.title);
+  };
+
+  const commitRename = async () => {
+    await renameStory(editingId, draftTitle);
+    setEditingId(null);
+    refresh();
+  };
+
+  const handleDelete = async (story) => {
+    if (!window.confirm(t('library.deleteConfirm', { title: story.title }))) return;
+    await deleteStory(story.id);
+    refresh();
+  };
+
+  const handleResume = (story) => {
+    resumeStory(story.id).catch((err) => {
+      console.warn(`Failed to resume story: ${err.message}`);
+      setError(t('library.resumeError'));
+    });
+  };
+
+  if (stories === null) {
+    return <p className="library-empty">{t('library.opening')}</p>;
+  }
+
+  return (
+    <div className="library">
+      {error && <p className="library-error">{error}</p>}
+      {stories.length === 0 && !error && (
+        <p className="library-empty">{t('library.empty')}</p>
+      )}
+
+      {stories.map((story) => (
+        <div key={story.id} className="library-card">
+          <div className="library-cover">
+            {story.coverImage ? <img src={story.coverImage} alt="" /> : <span>📖</span>}
+          </div>
+
+          <div className="library-info">
+            {editingId === story.id ? (
+              <form
+                className="library-rename"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  commitRename();
+                }}
+              >
+                <input
+                  className="library-rename-input"
+                  value={draftTitle}
+                  onChange={(e) => setDraftTitle(e.target.value)}
+                  maxLength={80}
+                  autoFocus
+                />
+                <button type="submit" className="library-action">{t('common.save')}</button>
+                <button type="button" className="library-action" onClick={() => setEditingId(null)}>
+                  {t('common.cancel')}
+                </button>
+              </form>
+            ) : (
+              <h3 className="library-title">{story.title}</h3>
+            )}
+
+            <p className="library-meta">
+              {genreName(story.genreId, story.genre)} · {story.language} ·{' '}
+              {story.status === 'finished'
+                ? t('library.finished')
+                : t('library.progress', { turn: story.turnCount, maxTurns: story.maxTurns })}
+            </p>
+            <p className="library-date">{new Date(story.updatedAt).toLocaleString(locale)}</p>
+
+            <div className="library-actions">
+              <button className="library-action is-primary" onClick={() => handleResume(story)}>
+                {story.status === 'finished' ? t('library.read') : t('library.continue')}
+              </button>
+              <button className="library-action" onClick={() => startRename(story)}>
+                {t('library.rename')}
+              </button>
+              <button className="library-action is-danger" onClick={() => handleDelete(story)}>
+                {t('library.delete')}
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import { useGame } from '../store/useGameStore';
+import { getPath, countBranches } from '../store/storyTree';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * Render a node and everything below it as <li> items.
+ * A single continuation stays in the same list; a fork nests one list per branch,
+ * so a linear story reads top-to-bottom and only forks are indented.
+ */
+function renderBranch(tree, nodeId, ctx) {
+  const node = tree.nodes[nodeId];
+  const childIds = Object.values(node.children);
+  const onPath = ctx.pathIds.has(node.id);
+  const isCurrent = node.id === ctx.currentNodeId;
+
+  const item = (
+    <li key={node.id} className={`story-map-node ${onPath ? 'is-on-path' : ''} ${isCurrent ? 'is-current' : ''}`}>
+      <button
+        className="story-map-button"
+        onClick={() => ctx.rewindTo(node.id)}
+        disabled={ctx.disabled || isCurrent}
+        title={isCurrent ? ctx.t('map.current') : ctx.t('map.rewind', { turn: node.turn })}
+      >
+        <span className="story-map-turn">{node.turn}</span>
+        <span className="story-map-label">{node.choiceFromParent || ctx.t('map.beginning')}</span>
+      </button>
+      {childIds.length > 1 && (
+        <ul className="story-map-fork">
+          {childIds.map((childId) => (
+            <li key={childId} className="story-map-branch">
+              <ul>{renderBranch(tree, childId, ctx)}</ul>
+            </li>
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+
+  return childIds.length === 1 ? [item, ...renderBranch(tree, childIds[0], ctx)] : [item];
+}
+
+export default function StoryMap() {
+  const { storyTree, currentNodeId, isLoading, rewindTo } = useGame();
+  const { t } = useI18n();
+
+  if (!storyTree.rootId || Object.keys(storyTree.nodes).length < 2) return null;
+
+  const ctx = {
+    currentNodeId,
+    pathIds: new Set(getPath(storyTree, currentNodeId).map((node) => node.id)),
+    disabled: isLoading,
+    rewindTo,
+    t,
+  };
+  const branches = countBranches(storyTree);
+
+  return (
+    <details className="story-panel story-map" id="story-map">
+      <summary className="story-panel-title">{t('map.title', { count: branches })}</summary>
+      <p className="story-map-hint">{t('map.hint')}</p>
+      <ul className="story-map-list">{renderBranch(storyTree, storyTree.rootId, ctx)}</ul>
+    </details>
+  );
+}
@@ -0,0 +1,137 @@
+import { useEffect, useRef, useState } from 'react';
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * What the player did at a turn, and the choices they left behind.
+ */
+function ChoiceNotes({ step }) {
+  const { t } = useI18n();
+  if (step.isEnding) return null;
+
+  return (
+    <>
+      {step.choiceMade && (
+        <span className="recap-choice">
+          {t(step.isCustomAction ? 'recap.did' : 'recap.chose', { choice: step.choiceMade })}
+        </span>
+      )}
+      {step.choicesNotTaken.length > 0 && (
+        <span className="recap-not-taken">{t('recap.notTaken', { choices: step.choicesNotTaken.join(' · ') })}</span>
+      )}
+    </>
+  );
+}
+
+/**
+ * Full-screen view of one turn, with previous/next and Esc to close.
+ */
+function RecapReader({ journey, index, onNavigate, onClose }) {
+  const { t } = useI18n();
+  const closeRef = useRef(null);
+  const step = journey[index];
+  const hasPrevious = index > 0;
+  const hasNext = index < journey.length - 1;
+
+  useEffect(() => {
+    closeRef.current?.focus();
+    const { overflow } = document.body.style;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.body.style.overflow = overflow;
+    };
+  }, []);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      // Arrow keys follow the reading direction
+      const forward = document.documentElement.dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+      const back = forward === 'ArrowLeft' ? 'ArrowRight' : 'ArrowLeft';
+      if (e.key === 'Escape') onClose();
+      else if (e.key === forward && hasNext) onNavigate(index + 1);
+      else if (e.key === back && hasPrevious) onNavigate(index - 1);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [index, hasNext, hasPrevious, onNavigate, onClose]);
+
+  return (
+    <div className="recap-reader" role="dialog" aria-modal="true" aria-labelledby="recap-reader-title">
+      <div className={`recap-reader-page ${step.isEnding ? 'is-ending' : ''}`}>
+        <header className="recap-reader-header">
+          <h2 id="recap-reader-title">{step.isEnding ? t('recap.ending') : t('recap.turn', { turn: step.turn })}</h2>
+          <button ref={closeRef} className="quit-button" onClick={onClose} aria-label={t('recap.close')}>
+            ✕
+          </button>
+        </header>
+
+        {step.image && (
+          <div className="story-image-container">
+            <img className="story-image" src={step.image} alt={step.scene || t('story.imageAlt', { turn: step.turn })} />
+          </div>
+        )}
+        <p className="story-narrative">{step.narrative}</p>
+        <p className="recap-reader-notes">
+          <ChoiceNotes step={step} />
+        </p>
+
+        <nav className="recap-reader-nav">
+          <button className="export-button" onClick={() => onNavigate(index - 1)} disabled={!hasPrevious}>
+            {t('recap.previous')}
+          </button>
+          <button className="export-button" onClick={() => onNavigate(index + 1)} disabled={!hasNext}>
+            {t('recap.next')}
+          </button>
+        </nav>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Timeline of every turn on the way to the ending (see services/storyRecap).
+ * Any turn opens in the full-screen reader.
+ * @param {{journey: object[]}} props - from buildJourney
+ */
+export default function StoryRecap({ journey }) {
+  const { t } = useI18n();
+  const [openIndex, setOpenIndex] = useState(null);
+
+  const close = () => {
+    const index = openIndex;
+    setOpenIndex(null);
+    // Back to the card the reader was opened from (or reached by paging)
+    requestAnimationFrame(() => document.getElementById(`recap-turn-${index}`)?.focus());
+  };
+
+  return (
+    <section className="story-recap" aria-labelledby="story-recap-title">
+      <h3 className="story-recap-title" id="story-recap-title">
+        {t('recap.title')}
+      </h3>
+      <ol className="recap-timeline">
+        {journey.map((step, index) => (
+          <li key={step.nodeId} className={`recap-item ${step.isEnding ? 'is-ending' : ''}`}>
+            <button id={`recap-turn-${index}`} className="recap-card" onClick={() => setOpenIndex(index)}>
+              {step.image ? (
+                <img className="recap-thumb" src={step.image} alt="" />
+              ) : (
+                <span className="recap-thumb is-empty">{step.isEnding ? '✨' : '🎭'}</span>
+              )}
+              <span className="recap-body">
+                <span className="recap-turn">
+                  {step.isEnding ? t('recap.ending') : t('recap.turn', { turn: step.turn })}
+                </span>
+                <span className="recap-excerpt">{step.narrative}</span>
+                <ChoiceNotes step={step} />
+              </span>
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {openIndex !== null && (
+        <RecapReader journey={journey} index={openIndex} onNavigate={setOpenIndex} onClose={close} />
+      )}
+    </section>
+  );
+}
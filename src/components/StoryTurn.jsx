@@ -1,25 +1,113 @@
+import { useEffect, useRef, useState } from 'react';
 import { useGame } from '../store/useGameStore';
+import { childFor } from '../store/storyTree';
+import { CUSTOM_ACTION_LIMITS, validateCustomAction } from '../services/customAction';
+import StoryBiblePanel from './StoryBiblePanel';
+import CharacterAppearancePanel from './CharacterAppearancePanel';
+import TurnImage from './TurnImage';
+import { getPacing, getPacingCurve } from '../services/pacing';
+import { describeScene } from '../services/storyService';
+import StoryMap from './StoryMap';
+import NarrationControls from './NarrationControls';
+import PlayerStats from './PlayerStats';
+import { useI18n } from '../i18n/useI18n';
 
-export default function StoryTurn() {
+export default function StoryTurn({ narrator }) {
   const {
     currentTurn,
     maxTurns,
     currentNarrative,
     currentImage,
+    currentImageStatus,
     currentChoices,
+    streamingNarrative,
+    gamePhase,
     genreColor,
     usedFallback,
+    turnQuality,
+    actionCheck,
+    turnModeration,
+    contentRating,
+    artStylePrompt,
+    storyTree,
+    currentNodeId,
+    storyId,
+    stats,
+    statChanges,
     makeChoice,
+    setTurnImage,
     resetGame,
   } = useGame();
+  const { t } = useI18n();
+
+  // While the turn is still generating, show the narrative as it streams in.
+  // Image and choices only appear once the full response has been parsed.
+  const isStreaming = gamePhase === 'loading';
+  const narrative = isStreaming ? streamingNarrative : currentNarrative;
+  const image = isStreaming ? null : currentImage;
+  const choices = isStreaming ? [] : currentChoices;
+  const currentNode = storyTree.nodes[currentNodeId];
+  const scene = describeScene(currentNode?.imagePrompt, artStylePrompt);
+
+  const [customAction, setCustomAction] = useState('');
+  const [customActionError, setCustomActionError] = useState(null); // error code
+
+  const submitCustomAction = (e) => {
+    e.preventDefault();
+    const { text, error } = validateCustomAction(customAction);
+    if (error) {
+      setCustomActionError(error);
+      return;
+    }
+    setCustomAction('');
+    setCustomActionError(null);
+    makeChoice(text);
+  };
+
+  // Move focus to each new turn's text, so screen readers read it next
+  const narrativeRef = useRef(null);
+  useEffect(() => {
+    if (!isStreaming) narrativeRef.current?.focus({ preventScroll: true });
+  }, [isStreaming, currentNodeId]);
+
+  // The ✕ button and Esc both ask first. Quitting while a turn is still being
+  // written cancels it (see App), so nothing lands after the player left.
+  const quit = () => {
+    if (window.confirm(t('story.quitConfirm'))) resetGame();
+  };
+
+  // Keyboard play: number keys pick a choice, Esc quits. Typing in a field
+  // (the custom action, the story panels) is left alone.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+      if (e.key === 'Escape') {
+        // Same path as the ✕ button; a held key must not stack confirmations
+        e.preventDefault();
+        if (!e.repeat) quit();
+        return;
+      }
+      const index = /^[1-9]$/.test(e.key) ? Number(e.key) - 1 : -1;
+      if (index >= 0 && index < choices.length) {
+        e.preventDefault();
+        makeChoice(choices[index]);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
 
   const progressPercent = (currentTurn / maxTurns) * 100;
+  const pacing = getPacing(currentTurn, maxTurns);
+  const climaxTurn = getPacingCurve(maxTurns).find((step) => step.phase === 'climax')?.turn;
 
   return (
     <div className="story-screen">
       {/* Turn Progress Bar */}
       <div className="turn-bar">
-        <span className="turn-label">Turn</span>
+        <span className={`turn-label is-${pacing.phase}`}>{t(`phase.${pacing.phase}`)}</span>
         <div className="turn-progress-track">
           <div
             className="turn-progress-fill"
@@ -28,58 +116,125 @@ export default function StoryTurn() {
               background: `linear-gradient(90deg, ${genreColor}, ${genreColor}88)`,
             }}
           />
+          {climaxTurn && (
+            <span
+              className="turn-progress-marker"
+              style={{ insetInlineStart: `${(climaxTurn / maxTurns) * 100}%` }}
+              title={t('story.climaxMarker', { turn: climaxTurn })}
+            />
+          )}
         </div>
         <span className="turn-badge">
           {currentTurn}/{maxTurns}
         </span>
         <button
           className="quit-button"
-          onClick={resetGame}
-          title="Quit Story"
+          onClick={quit}
+          title={t('story.quit')}
+          aria-label={t('story.quit')}
+          aria-keyshortcuts="Escape"
         >
           ✕
         </button>
       </div>
 
-      {/* Story Image */}
-      <div className="story-image-container">
-        {currentImage ? (
-          <img
-            className="story-image"
-            src={currentImage}
-            alt={`Story scene - Turn ${currentTurn}`}
-          />
-        ) : (
-          <div className="story-image-placeholder">🎭</div>
-        )}
-        <div className="story-image-overlay" />
-      </div>
+      {/* Player stats (optional RPG layer); changes show once the turn is parsed */}
+      <PlayerStats stats={stats} changes={isStreaming ? null : statChanges} turnKey={currentNodeId} />
+
+      {/* Story Image — arrives after the text */}
+      <TurnImage
+        image={image}
+        status={isStreaming ? 'none' : currentImageStatus}
+        alt={scene || t('story.imageAlt', { turn: currentTurn })}
+        isGenerating={isStreaming}
+        onRetry={() => setTurnImage(storyId, currentNodeId, { status: 'pending' })}
+      />
 
       {/* Story Content */}
       <div className="story-content">
-        {usedFallback && (
-          <span className="fallback-badge">⚡ Using backup AI</span>
+        {usedFallback && !isStreaming && (
+          <span className="fallback-badge">{t('story.usedFallback')}</span>
+        )}
+        {turnQuality === 'repaired' && !isStreaming && (
+          <span className="fallback-badge quality-badge" title={t('story.repairedHint')}>
+            {t('story.repaired')}
+          </span>
+        )}
+        {turnQuality === 'degraded' && !isStreaming && (
+          <span className="fallback-badge quality-badge is-degraded" title={t('story.degradedHint')}>
+            {t('story.degraded')}
+          </span>
+        )}
+
+        {!isStreaming && (turnModeration?.input?.action === 'soften' || turnModeration?.regenerations > 0) && (
+          <span className="fallback-badge quality-badge" title={t('story.moderatedHint')}>
+            {t('story.moderated', { rating: t(`rating.${contentRating}`) })}
+          </span>
         )}
 
-        <p className="story-narrative">{currentNarrative}</p>
+        {actionCheck && !actionCheck.plausible && !isStreaming && (
+          <p className="action-check-note">🛡 {actionCheck.note || t('story.actionPushedBack')}</p>
+        )}
+
+        {!isStreaming && <NarrationControls narrator={narrator} text={narrative} />}
+        <p ref={narrativeRef} tabIndex={-1} className={`story-narrative ${isStreaming ? 'is-streaming' : ''}`}>
+          {narrative}
+        </p>
 
         {/* Choices */}
-        {currentChoices.length > 0 && (
-          <div className="choices-section">
-            <p className="choices-label">What will you do?</p>
-            {currentChoices.map((choice, index) => (
+        {choices.length > 0 && (
+          <div className="choices-section" role="group" aria-labelledby="choices-label">
+            <p className="choices-label" id="choices-label">
+              {t('story.choicesLabel')}
+              <span className="choices-keys">{t('story.keyboardHint', { count: choices.length })}</span>
+            </p>
+            {choices.map((choice, index) => (
               <button
                 key={index}
                 id={`choice-${index}`}
                 className="choice-button"
                 onClick={() => makeChoice(choice)}
+                aria-keyshortcuts={index < 9 ? String(index + 1) : undefined}
               >
                 <span className="choice-number">{index + 1}</span>
                 {choice}
+                {childFor(currentNode, choice) && <span className="choice-explored">{t('story.explored')}</span>}
               </button>
             ))}
+
+            <form className="custom-action" onSubmit={submitCustomAction}>
+              <input
+                id="custom-action"
+                className="custom-action-input"
+                value={customAction}
+                onChange={(e) => {
+                  setCustomAction(e.target.value);
+                  setCustomActionError(null);
+                }}
+                maxLength={CUSTOM_ACTION_LIMITS.maxLength}
+                placeholder={t('story.customActionPlaceholder')}
+                autoComplete="off"
+              />
+              <button type="submit" className="custom-action-submit" disabled={!customAction.trim()}>
+                {t('story.customActionSubmit')}
+              </button>
+            </form>
+            <div className="custom-action-meta">
+              {customActionError && <span className="custom-action-error">
+                  {t(`customAction.error.${customActionError}`, { max: CUSTOM_ACTION_LIMITS.maxLength })}
+                </span>}
+              {customAction && (
+                <span className="custom-action-count">
+                  {customAction.length}/{CUSTOM_ACTION_LIMITS.maxLength}
+                </span>
+              )}
+            </div>
           </div>
         )}
+
+        {!isStreaming && <StoryBiblePanel />}
+        {!isStreaming && <CharacterAppearancePanel />}
+        {!isStreaming && <StoryMap />}
       </div>
     </div>
   );
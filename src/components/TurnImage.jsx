@@ -0,0 +1,45 @@
+import { useI18n } from '../i18n/useI18n';
+
+/**
+ * The image slot of a turn. Images arrive after the turn's text, so the slot
+ * shows a skeleton while pending, blurs the picture in once it has loaded,
+ * and offers a retry when generation failed.
+ */
+export default function TurnImage({ image, status, alt, placeholder = '🎭', isGenerating = false, onRetry }) {
+  const { t } = useI18n();
+  let content;
+
+  if (status === 'ready' && image) {
+    content = (
+      <img
+        key={image}
+        className="story-image is-blur-in"
+        src={image}
+        alt={alt}
+        onLoad={(e) => e.currentTarget.classList.add('is-loaded')}
+      />
+    );
+  } else if (status === 'pending' && !isGenerating) {
+    content = <div className="story-image-skeleton" aria-label={t('image.painting')} role="img" />;
+  } else if (status === 'failed') {
+    content = (
+      <div className="story-image-placeholder is-failed">
+        <span>{placeholder}</span>
+        {onRetry && (
+          <button className="image-retry-button" onClick={onRetry}>
+            {t('image.retry')}
+          </button>
+        )}
+      </div>
+    );
+  } else {
+    content = <div className={`story-image-placeholder ${isGenerating ? 'is-generating' : ''}`}>{placeholder}</div>;
+  }
+
+  return (
+    <div className="story-image-container">
+      {content}
+      <div className="story-image-overlay" />
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+/**
+ * Ending types.
+ * The final turn classifies how the story ended (see turnSchema and
+ * services/endings). A story that fits none of these gets a 'custom' ending,
+ * known only by the title the model gave it.
+ */
+
+export const ENDING_TYPES = [
+  { id: 'triumphant', icon: '🏆', hint: 'the protagonist wins what they set out for' },
+  { id: 'tragic', icon: '🥀', hint: 'loss, failure or death outweighs everything else' },
+  { id: 'bittersweet', icon: '🌗', hint: 'a victory paid for with a real loss' },
+  { id: 'mysterious', icon: '🔮', hint: 'the ending leaves its central question open' },
+];
+
+export const CUSTOM_ENDING = { id: 'custom', icon: '✒️' };
+
+// Longest ending title kept from the model
+export const ENDING_TITLE_MAX_LENGTH = 60;
+
+// Endings remembered per genre in the collection
+export const MAX_ENDINGS_PER_GENRE = 100;
@@ -0,0 +1,18 @@
+/**
+ * Story memory budget.
+ * Older turns are folded into an AI-written running summary so the story
+ * prompt stays roughly constant in size no matter how long the story gets.
+ *
+ * Budgets are in characters; at ~4 characters per token, 4000 chars ≈ 1000 tokens.
+ */
+
+export const MEMORY_CONFIG = {
+  // Most recent turns that are always sent verbatim
+  recentTurns: 3,
+  // Upper bound for the verbatim part; older recent turns are folded early if exceeded
+  maxRecentChars: 4000,
+  // Target length of the running summary
+  maxSummaryWords: 250,
+};
+
+export const CHARS_PER_TOKEN = 4;
@@ -0,0 +1,47 @@
+/**
+ * Narration moods — how the narrator voice reads a story, by genre.
+ *
+ * Each genre in GENRES names a `narrationMood`; custom genres use 'neutral'.
+ * Shared by the speech providers (server voices and reading style) and the
+ * browser fallback (Web Speech rate and pitch), so both sound alike.
+ *
+ *   style         reading direction given to the server voice
+ *   rate, pitch   Web Speech API settings (1 = the voice's default)
+ */
+
+export const NARRATION_MOODS = {
+  neutral: {
+    style: 'Read like an audiobook narrator: clear, warm and evenly paced.',
+    rate: 1,
+    pitch: 1,
+  },
+  warm: {
+    style: 'Read like a storyteller by the fire: warm, full of wonder, unhurried.',
+    rate: 0.95,
+    pitch: 1.05,
+  },
+  dark: {
+    style: 'Read in a low, hushed, ominous voice. Go slowly and let the silences linger.',
+    rate: 0.88,
+    pitch: 0.85,
+  },
+  epic: {
+    style: 'Read with grand, cinematic gravitas, like the opening of an epic film.',
+    rate: 0.95,
+    pitch: 0.95,
+  },
+  tense: {
+    style: 'Read crisply with a cool, clipped edge and a sense of urgency.',
+    rate: 1.05,
+    pitch: 0.95,
+  },
+};
+
+export const DEFAULT_NARRATION_MOOD = 'neutral';
+
+// Longest text one speech request may read (a turn is ~150–250 words)
+export const NARRATION_MAX_CHARS = 4000;
+
+export function resolveNarrationMood(mood) {
+  return Object.hasOwn(NARRATION_MOODS, mood) ? mood : DEFAULT_NARRATION_MOOD;
+}
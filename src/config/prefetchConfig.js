@@ -0,0 +1,31 @@
+/**
+ * Speculative prefetch budget.
+ * With prefetch switched on (opt-in, see turnPrefetcher), the next turn for
+ * each visible choice is generated in the background while the player reads,
+ * so picking one of them is instant. Every prefetched turn is a real text
+ * (and optionally image) request, so these limits cap what it may cost.
+ *
+ * Each value can be overridden with the matching VITE_PREFETCH_* variable.
+ */
+
+const env = import.meta.env;
+
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+}
+
+export const PREFETCH_CONFIG = {
+  // Background requests running at the same time (text and image)
+  maxConcurrent: readNumber(env.VITE_PREFETCH_MAX_CONCURRENT, 2),
+  // Choices prefetched per turn, in the order they are shown
+  maxChoicesPerTurn: readNumber(env.VITE_PREFETCH_MAX_CHOICES, 3),
+  // Prefetched turns allowed per story; prefetching stops once spent
+  maxTurnsPerStory: readNumber(env.VITE_PREFETCH_MAX_PER_STORY, 24),
+  // Also generate the image of each prefetched turn (after its text)
+  prefetchImages: env.VITE_PREFETCH_IMAGES !== 'false',
+  // Reading time before prefetching starts, so quick clicks cost nothing extra
+  startDelayMs: readNumber(env.VITE_PREFETCH_DELAY_MS, 1500),
+  // Finished but unused turns kept for when the player rewinds to them
+  maxCachedTurns: readNumber(env.VITE_PREFETCH_MAX_CACHED, 12),
+};
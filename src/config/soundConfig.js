@@ -0,0 +1,151 @@
+/**
+ * Soundscapes — the ambient bed behind each genre, plus short sound cues.
+ *
+ * Every sound is synthesized with Web Audio from oscillators and generated
+ * noise, so nothing is downloaded and the soundtrack works offline.
+ * Each genre in GENRES names an `ambience`; custom genres use 'default'.
+ *
+ * A soundscape has a `calm` bed and a `climax` bed; the player hears the
+ * climax bed (crossfaded in) during the climax phase of the story arc.
+ * A bed is a list of layers:
+ *
+ *   { kind: 'tone', wave, freq, detune?, gain, filter?, lfo? }
+ *       one oscillator per `detune` entry (cents), for a thicker sound
+ *   { kind: 'noise', color: 'white' | 'pink' | 'brown', gain, filter?, lfo? }
+ *   { kind: 'pulse', wave, freq, rate, gain, filter? }
+ *       a tone switched on and off `rate` times a second
+ *
+ *   filter = { type, freq, q? }   a BiquadFilter on the layer
+ *   lfo    = { rate, depth }      slowly sweeps the filter frequency (Hz)
+ */
+
+export const SOUNDSCAPES = {
+  // Cyberpunk: detuned synth bass under a sequencer-like pulse
+  synth: {
+    calm: [
+      { kind: 'tone', wave: 'sawtooth', freq: 55, detune: [0, -8], gain: 0.05,
+        filter: { type: 'lowpass', freq: 500 }, lfo: { rate: 0.08, depth: 300 } },
+      { kind: 'pulse', wave: 'square', freq: 220, rate: 4, gain: 0.012, filter: { type: 'lowpass', freq: 1200 } },
+    ],
+    climax: [
+      { kind: 'tone', wave: 'sawtooth', freq: 55, detune: [0, 12], gain: 0.06,
+        filter: { type: 'lowpass', freq: 900 }, lfo: { rate: 0.25, depth: 600 } },
+      { kind: 'pulse', wave: 'square', freq: 330, rate: 8, gain: 0.016, filter: { type: 'lowpass', freq: 1800 } },
+      { kind: 'noise', color: 'white', gain: 0.008, filter: { type: 'highpass', freq: 6000 } },
+    ],
+  },
+
+  // Fantasy: open fifths over a soft breeze
+  hearth: {
+    calm: [
+      { kind: 'tone', wave: 'triangle', freq: 110, detune: [0, 5], gain: 0.03, filter: { type: 'lowpass', freq: 800 } },
+      { kind: 'tone', wave: 'sine', freq: 165, gain: 0.02 },
+      { kind: 'noise', color: 'brown', gain: 0.03,
+        filter: { type: 'lowpass', freq: 500 }, lfo: { rate: 0.15, depth: 200 } },
+    ],
+    climax: [
+      { kind: 'tone', wave: 'sawtooth', freq: 110, detune: [0, 7], gain: 0.03,
+        filter: { type: 'lowpass', freq: 1200 }, lfo: { rate: 0.2, depth: 400 } },
+      { kind: 'tone', wave: 'triangle', freq: 165, gain: 0.025 },
+      { kind: 'pulse', wave: 'sine', freq: 55, rate: 2, gain: 0.05 },
+    ],
+  },
+
+  // Horror: a low drone and a breathing rumble; a heartbeat at the climax
+  drone: {
+    calm: [
+      { kind: 'tone', wave: 'sine', freq: 41, detune: [0, 3], gain: 0.07 },
+      { kind: 'noise', color: 'brown', gain: 0.04,
+        filter: { type: 'bandpass', freq: 300, q: 4 }, lfo: { rate: 0.05, depth: 150 } },
+    ],
+    climax: [
+      { kind: 'tone', wave: 'sine', freq: 41, gain: 0.07 },
+      { kind: 'tone', wave: 'sawtooth', freq: 43.6, gain: 0.025, filter: { type: 'lowpass', freq: 300 } },
+      { kind: 'pulse', wave: 'sine', freq: 55, rate: 1.2, gain: 0.06 },
+    ],
+  },
+
+  // Noir: rain on the street and distant traffic
+  rain: {
+    calm: [
+      { kind: 'noise', color: 'pink', gain: 0.05, filter: { type: 'highpass', freq: 1000 } },
+      { kind: 'noise', color: 'brown', gain: 0.03, filter: { type: 'lowpass', freq: 250 } },
+      { kind: 'tone', wave: 'sine', freq: 98, gain: 0.012 },
+    ],
+    climax: [
+      { kind: 'noise', color: 'pink', gain: 0.07, filter: { type: 'highpass', freq: 800 } },
+      { kind: 'tone', wave: 'triangle', freq: 73.4, gain: 0.03,
+        filter: { type: 'lowpass', freq: 400 }, lfo: { rate: 0.1, depth: 150 } },
+      { kind: 'pulse', wave: 'sine', freq: 49, rate: 1.6, gain: 0.04 },
+    ],
+  },
+
+  // Space opera: a wide, slow pad with a faint shimmer
+  cosmos: {
+    calm: [
+      { kind: 'tone', wave: 'sine', freq: 65.4, detune: [0, 7], gain: 0.045 },
+      { kind: 'tone', wave: 'sine', freq: 196, gain: 0.015,
+        filter: { type: 'lowpass', freq: 600 }, lfo: { rate: 0.05, depth: 300 } },
+      { kind: 'noise', color: 'white', gain: 0.006, filter: { type: 'bandpass', freq: 3000, q: 8 } },
+    ],
+    climax: [
+      { kind: 'tone', wave: 'sawtooth', freq: 65.4, detune: [0, 7, 1200], gain: 0.03,
+        filter: { type: 'lowpass', freq: 1200 }, lfo: { rate: 0.3, depth: 600 } },
+      { kind: 'pulse', wave: 'triangle', freq: 130.8, rate: 3, gain: 0.02 },
+    ],
+  },
+
+  // Post-apocalyptic: wind over empty ground
+  wind: {
+    calm: [
+      { kind: 'noise', color: 'brown', gain: 0.06,
+        filter: { type: 'bandpass', freq: 400, q: 1 }, lfo: { rate: 0.07, depth: 250 } },
+      { kind: 'tone', wave: 'sine', freq: 46, gain: 0.03 },
+    ],
+    climax: [
+      { kind: 'noise', color: 'brown', gain: 0.08,
+        filter: { type: 'bandpass', freq: 700, q: 1 }, lfo: { rate: 0.2, depth: 500 } },
+      { kind: 'tone', wave: 'sawtooth', freq: 46, gain: 0.03, filter: { type: 'lowpass', freq: 200 } },
+      { kind: 'pulse', wave: 'sine', freq: 92, rate: 2, gain: 0.02 },
+    ],
+  },
+
+  // Custom genres: a neutral, quiet pad
+  default: {
+    calm: [
+      { kind: 'tone', wave: 'sine', freq: 82.4, detune: [0, 4], gain: 0.035,
+        filter: { type: 'lowpass', freq: 600 }, lfo: { rate: 0.06, depth: 200 } },
+      { kind: 'noise', color: 'pink', gain: 0.012, filter: { type: 'lowpass', freq: 1200 } },
+    ],
+    climax: [
+      { kind: 'tone', wave: 'triangle', freq: 82.4, detune: [0, 7], gain: 0.04,
+        filter: { type: 'lowpass', freq: 900 }, lfo: { rate: 0.2, depth: 400 } },
+      { kind: 'pulse', wave: 'sine', freq: 164.8, rate: 2, gain: 0.02 },
+    ],
+  },
+};
+
+export const DEFAULT_AMBIENCE = 'default';
+
+/**
+ * Short cues: notes of { wave, freq, to?, at, duration, gain }, where `at` is
+ * the start in seconds and `to` glides the pitch over the note.
+ */
+export const SOUND_CUES = {
+  // A choice was made
+  choice: [
+    { wave: 'sine', freq: 660, to: 990, at: 0, duration: 0.18, gain: 0.15 },
+  ],
+  // "The End": a rising major chord
+  end: [
+    { wave: 'triangle', freq: 261.6, at: 0, duration: 2.4, gain: 0.1 },
+    { wave: 'triangle', freq: 329.6, at: 0.12, duration: 2.3, gain: 0.08 },
+    { wave: 'triangle', freq: 392, at: 0.24, duration: 2.2, gain: 0.08 },
+    { wave: 'sine', freq: 523.3, at: 0.36, duration: 2.1, gain: 0.06 },
+  ],
+};
+
+// Crossfade between beds (genre change, climax), in seconds
+export const SOUND_FADE_SECONDS = 3;
+
+export const DEFAULT_VOLUME = 0.5;
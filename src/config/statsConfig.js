@@ -0,0 +1,37 @@
+/**
+ * Player stats for the optional RPG layer (see services/playerStats.js).
+ *
+ * Every stat runs from 0 to STAT_MAX. `critical` is the value at which the
+ * protagonist is defeated and the story ends early — 0 for stats that run
+ * out, STAT_MAX for ones that build up — or null for stats that never end
+ * the story. `label` and `meaning` are the English originals used in
+ * prompts; the UI shows the translation from the i18n catalogs (stat.<id>).
+ *
+ * Each genre picks its stats in styleConfig (GENRES[].stats); custom genres
+ * get DEFAULT_STATS.
+ */
+
+export const STATS = {
+  health: { icon: '❤️', label: 'Health', meaning: 'physical condition', initial: 100, critical: 0 },
+  sanity: { icon: '🧠', label: 'Sanity', meaning: 'grip on reality', initial: 100, critical: 0 },
+  resolve: { icon: '🔥', label: 'Resolve', meaning: 'will to keep going', initial: 70, critical: 0 },
+  reputation: { icon: '⭐', label: 'Reputation', meaning: 'standing with others', initial: 50, critical: null },
+  credits: { icon: '💳', label: 'Credits', meaning: 'money at hand', initial: 50, critical: null },
+  heat: { icon: '🚨', label: 'Heat', meaning: 'attention from security and the law', initial: 10, critical: 100 },
+  magic: { icon: '✨', label: 'Magic', meaning: 'magical power left to draw on', initial: 60, critical: null },
+  hull: { icon: '🛡️', label: 'Hull', meaning: "the ship's structural integrity", initial: 100, critical: 0 },
+  fuel: { icon: '⛽', label: 'Fuel', meaning: "the ship's remaining fuel", initial: 80, critical: 0 },
+  suspicion: { icon: '👁️', label: 'Suspicion', meaning: 'how close enemies are to catching on', initial: 10, critical: 100 },
+  supplies: { icon: '🥫', label: 'Supplies', meaning: 'food, water and gear', initial: 60, critical: 0 },
+  radiation: { icon: '☢️', label: 'Radiation', meaning: 'radiation sickness', initial: 0, critical: 100 },
+};
+
+export const DEFAULT_STATS = ['health', 'resolve'];
+
+export const STAT_MAX = 100;
+
+// Largest change one turn may make to a stat
+export const STAT_MAX_CHANGE = 25;
+
+// Within this distance of its critical value a stat is shown as in danger
+export const STAT_DANGER_MARGIN = 20;
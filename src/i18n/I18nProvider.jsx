@@ -0,0 +1,49 @@
+/**
+ * I18n Provider — holds the UI language, persists the player's choice and
+ * keeps <html lang/dir> in sync so right-to-left catalogs flip the layout.
+ * The UI language is also the language stories are written in.
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { I18nContext } from './context';
+import { LOCALES } from './locales';
+import { createTranslator, genreDisplayName } from './translate';
+import { getStoredLocale, storeLocale, detectBrowserLocale } from './detectLocale';
+
+export function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(() => getStoredLocale() || detectBrowserLocale());
+
+  // Until the player picks a language, follow changes to the browser's preferences
+  useEffect(() => {
+    const onLanguageChange = () => {
+      if (!getStoredLocale()) setLocaleState(detectBrowserLocale());
+    };
+    window.addEventListener('languagechange', onLanguageChange);
+    return () => window.removeEventListener('languagechange', onLanguageChange);
+  }, []);
+
+  const { meta } = LOCALES[locale];
+
+  useEffect(() => {
+    document.documentElement.lang = meta.code;
+    document.documentElement.dir = meta.dir;
+  }, [meta]);
+
+  const setLocale = useCallback((code) => {
+    storeLocale(code);
+    setLocaleState(code);
+  }, []);
+
+  const value = useMemo(() => {
+    const t = createTranslator(locale);
+    return {
+      locale,
+      meta,
+      t,
+      setLocale,
+      genreName: (genreId, name) => genreDisplayName(locale, genreId, name),
+    };
+  }, [locale, meta, setLocale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
@@ -0,0 +1,302 @@
+/**
+ * العربية — right-to-left.
+ */
+
+export default {
+  meta: {
+    code: 'ar',
+    name: 'العربية',
+    flag: '🇸🇦',
+    dir: 'rtl',
+    storyLanguage: 'العربية',
+  },
+  messages: {
+    // ─── Splash ───
+    'splash.subtitle': 'قصص تتكشّف معك',
+    'splash.treeAlt': 'شجرة سحرية بأوراق ورقية تتفتح',
+
+    // ─── Menu ───
+    'menu.subtitle': 'اختر قصتك. اصنع قدرك.',
+    'menu.language': 'اللغة',
+    'menu.contentRating': 'تصنيف المحتوى',
+    'menu.storyLength': 'طول القصة',
+    'menu.lengthOption': '{label} · {turns}',
+    'menu.customLength': 'مخصص…',
+    'menu.customLengthRange': '{min}-{max} جولة',
+    'menu.customLengthInvalid': 'اختر من {min} إلى {max} جولة لبدء القصة',
+    'menu.prefetch': 'خيارات فورية',
+    'menu.prefetchHint': 'يُحضّر الجولة التالية لكل خيار أثناء القراءة. يستهلك طلبات ذكاء اصطناعي أكثر.',
+    'menu.narration': 'السرد الصوتي',
+    'menu.narrationHint': 'يقرأ كل جولة جديدة بصوت عالٍ.',
+    'menu.stats': 'إحصاءات اللاعب',
+    'menu.statsHint': 'تتبّع إحصاءات مثل الصحة ترفعها اختياراتك وتخفضها. إذا بلغت إحداها حدّها انتهت القصة مبكرًا.',
+    'menu.reducedMotion': 'تقليل الحركة',
+    'menu.reducedMotionHint': 'يوقف شاشة البداية ورسوم التلاشي المتحركة.',
+    'menu.protagonistPlaceholder': 'مظهر شخصيتك (اختياري)، مثلًا: امرأة طويلة بوشاح أحمر',
+    'menu.newStory': 'قصة جديدة',
+    'menu.library': 'متابعة / المكتبة',
+
+    'rating.family': 'للعائلة',
+    'rating.teen': 'للمراهقين',
+    'rating.mature': 'للبالغين',
+
+    'length.short': 'قصيرة',
+    'length.standard': 'عادية',
+    'length.long': 'طويلة',
+
+    'common.turns': {
+      zero: '{count} جولة',
+      one: 'جولة واحدة',
+      two: 'جولتان',
+      few: '{count} جولات',
+      many: '{count} جولة',
+      other: '{count} جولة',
+    },
+    'common.save': 'حفظ',
+    'common.cancel': 'إلغاء',
+
+    // ─── Genres ───
+    'genre.cyberpunk.name': 'سايبربانك',
+    'genre.cyberpunk.description': 'شوارع مضاءة بالنيون، وقراصنة متمردون، وشركات عملاقة.',
+    'genre.fantasy.name': 'خيال',
+    'genre.fantasy.description': 'سحر قديم، ومغامرات ملحمية، ومخلوقات أسطورية.',
+    'genre.horror.name': 'رعب',
+    'genre.horror.description': 'أسرار مظلمة، ورهبة زاحفة، وأشياء في الظلال.',
+    'genre.space-opera.name': 'أوبرا فضائية',
+    'genre.space-opera.description': 'إمبراطوريات مجرّية، وسفن فضائية، وصراعات بين النجوم.',
+    'genre.noir.name': 'غموض نوار',
+    'genre.noir.description': 'أزقة مبللة بالمطر، ونساء فاتنات، ومحققون قساة.',
+    'genre.post-apocalyptic.name': 'ما بعد نهاية العالم',
+    'genre.post-apocalyptic.description': 'عالم محطم، وناجون يائسون، وأمل بين الأنقاض.',
+
+    'genres.create': 'أنشئ نوعك الخاص',
+    'genres.createHint': 'سمِّ نوعًا، وصِف عالمه، واختر أسلوبه الفني.',
+    'genres.edit': 'تعديل النوع',
+    'genres.delete': 'حذف النوع',
+    'genres.deleteConfirm': 'حذف النوع «{name}»؟',
+    'genres.import': 'استيراد أنواع',
+    'genres.export': 'تصدير أنواعي',
+    'genres.imported': {
+      zero: 'لم يُستورد أي نوع.',
+      one: 'تم استيراد نوع واحد.',
+      two: 'تم استيراد نوعين.',
+      few: 'تم استيراد {count} أنواع.',
+      many: 'تم استيراد {count} نوعًا.',
+      other: 'تم استيراد {count} نوع.',
+    },
+    'genres.skipped': { other: 'تم تخطي {count}.' },
+    'genres.error.tooMany': 'يمكنك الاحتفاظ بما يصل إلى {max} نوعًا مخصصًا.',
+    'genres.error.invalidJson': 'هذا الملف ليس JSON صالحًا.',
+    'genres.error.notGenres': 'لا يحتوي هذا الملف على أنواع Unfoldy.',
+    'genres.error.suggestion': 'عاد اقتراح الأسلوب الفني فارغًا. حاول مرة أخرى.',
+
+    // ─── Genre editor ───
+    'genreEditor.titleNew': 'أنشئ نوعك الخاص',
+    'genreEditor.titleEdit': 'تعديل النوع',
+    'genreEditor.emoji': 'رمز تعبيري',
+    'genreEditor.name': 'الاسم',
+    'genreEditor.namePlaceholder': 'مثلًا: سولاربانك',
+    'genreEditor.accent': 'اللون المميز',
+    'genreEditor.description': 'الوصف',
+    'genreEditor.descriptionPlaceholder': 'جملة واحدة تظهر على بطاقة النوع',
+    'genreEditor.notes': 'ملاحظات عن الأجواء والمكان (اختياري)',
+    'genreEditor.notesPlaceholder': 'مثلًا: متفائل، يقوم على المجتمع، في مدينة ساحلية عادت إليها الطبيعة',
+    'genreEditor.artStyle': 'الأسلوب الفني',
+    'genreEditor.artStylePlaceholder': 'الوسيط والألوان والإضاءة والأجواء المستخدمة في كل صورة',
+    'genreEditor.suggest': '✨ اقترح أسلوبًا فنيًا',
+    'genreEditor.suggesting': 'جارٍ التفكير…',
+    'genreEditor.save': 'حفظ النوع',
+    'genreEditor.error.name': 'أعطِ نوعك اسمًا.',
+    'genreEditor.error.description': 'صِف نوعك في جملة واحدة.',
+    'genreEditor.error.artStyle': 'أضف أسلوبًا فنيًا (أو اطلب اقتراحًا).',
+
+    // ─── Library ───
+    'library.opening': 'جارٍ فتح مكتبتك...',
+    'library.empty': 'لا توجد قصص محفوظة بعد. ابدأ قصة وستظهر هنا.',
+    'library.error': 'تعذر فتح مكتبتك في هذا المتصفح.',
+    'library.resumeError': 'تعذر فتح هذه القصة.',
+    'library.finished': 'مكتملة',
+    'library.progress': 'الجولة {turn}/{maxTurns}',
+    'library.read': 'قراءة',
+    'library.continue': 'متابعة',
+    'library.rename': 'إعادة تسمية',
+    'library.delete': 'حذف',
+    'library.deleteConfirm': 'حذف «{title}»؟ لا يمكن التراجع عن ذلك.',
+
+    // ─── Story arc phases ───
+    'phase.introduction': 'التمهيد',
+    'phase.rising': 'تصاعد الأحداث',
+    'phase.climax': 'الذروة',
+    'phase.falling': 'انحدار الأحداث',
+    'phase.conclusion': 'الخاتمة',
+
+    // ─── Loading ───
+    'loading.0': 'جارٍ نسج خيوط الحكاية...',
+    'loading.1': 'جارٍ رسم المشهد...',
+    'loading.2': 'القصة تتكشّف...',
+    'loading.3': 'جارٍ صياغة قدرك...',
+    'loading.4': 'جارٍ تشكيل العالم من حولك...',
+    'loading.info': '{genre} · الجولة {turn} من {maxTurns} · {phase}',
+
+    // ─── Story turn ───
+    'story.climaxMarker': 'الذروة · الجولة {turn}',
+    'story.quit': 'إنهاء القصة',
+    'story.quitConfirm': 'مغادرة هذه القصة؟ يمكنك متابعتها لاحقًا من المكتبة.',
+    'story.defaultTitle': 'قصة في عالم {genre}',
+    'story.fallback.narrative': 'تستمر القصة...',
+    'story.fallback.forward': 'تابع إلى الأمام',
+    'story.fallback.lookAround': 'انظر حولك',
+    'story.fallback.otherPath': 'اسلك طريقًا آخر',
+    'story.imageAlt': 'مشهد من القصة - الجولة {turn}',
+    'story.usedFallback': '⚡ يُستخدم ذكاء اصطناعي احتياطي',
+    'story.repaired': '✎ صُحّح تلقائيًا',
+    'story.repairedHint': 'كان الرد الأول غير سليم فأُعيد توليده',
+    'story.degraded': '⚠ رد جزئي — قد تنقص بعض التفاصيل',
+    'story.degradedHint': 'تعذر إصلاح رد الذكاء الاصطناعي بالكامل',
+    'story.moderated': '🛡 عُدّل ليناسب تصنيف {rating}',
+    'story.moderatedHint': 'عُدّلت هذه الجولة لتناسب تصنيف محتوى القصة',
+    'story.actionPushedBack': 'قاوم العالم ما فعلته.',
+    'story.choicesLabel': 'ماذا ستفعل؟',
+    'story.keyboardHint': {
+      one: 'اضغط 1 للاختيار · Esc للخروج',
+      two: 'اضغط 1–2 للاختيار · Esc للخروج',
+      few: 'اضغط 1–{count} للاختيار · Esc للخروج',
+      other: 'اضغط 1–{count} للاختيار · Esc للخروج',
+    },
+    'story.explored': '↺ مستكشَف',
+    'story.customActionPlaceholder': 'أو افعل شيئًا آخر…',
+    'story.customActionSubmit': 'انطلق',
+
+    'customAction.error.empty': 'صِف ما تريد فعله.',
+    'customAction.error.tooLong': 'اجعله أقل من {max} حرف.',
+    'customAction.error.instructions': 'صِف ما تفعله شخصيتك في القصة.',
+
+    // ─── Narration ───
+    'narration.idle': '🔊 استمع',
+    'narration.loading': '⏳ جارٍ تجهيز الراوي…',
+    'narration.playing': '⏸ إيقاف مؤقت',
+    'narration.paused': '▶ متابعة',
+    'narration.unavailable': 'السرد الصوتي غير متاح في هذا المتصفح.',
+
+    // ─── Sound ───
+    'sound.mute': 'كتم الصوت',
+    'sound.unmute': 'إلغاء كتم الصوت',
+    'sound.volume': 'مستوى الصوت',
+
+    // ─── Player stats ───
+    'stats.label': 'إحصاءاتك',
+    'stats.gameOver': '💀 بلغت {stat} حدّها — انتهت قصتك مبكرًا.',
+    'stat.health': 'الصحة',
+    'stat.sanity': 'سلامة العقل',
+    'stat.resolve': 'العزيمة',
+    'stat.reputation': 'السمعة',
+    'stat.credits': 'الأرصدة',
+    'stat.heat': 'الملاحقة',
+    'stat.magic': 'السحر',
+    'stat.hull': 'هيكل السفينة',
+    'stat.fuel': 'الوقود',
+    'stat.suspicion': 'الشكوك',
+    'stat.supplies': 'المؤن',
+    'stat.radiation': 'الإشعاع',
+
+    // ─── Images ───
+    'image.painting': 'جارٍ رسم هذا المشهد...',
+    'image.retry': '↻ إعادة محاولة الصورة',
+
+    // ─── Story panels ───
+    'bible.title': '📖 دليل القصة',
+    'bible.location': 'المكان',
+    'bible.characters': 'الشخصيات',
+    'bible.inventory': 'المقتنيات',
+    'bible.threads': 'خيوط الحبكة',
+
+    'appearance.title': '👤 الشخصيات',
+    'appearance.you': 'أنت',
+    'appearance.hint': 'تُطبَّق التغييرات على صور الجولات الجديدة. امسح المظهر لتدع القصة تصفه من جديد.',
+    'appearance.edit': '✎ تعديل المظهر',
+
+    'map.title': {
+      one: '🗺️ خريطة القصة · مسار واحد',
+      two: '🗺️ خريطة القصة · مساران',
+      few: '🗺️ خريطة القصة · {count} مسارات',
+      other: '🗺️ خريطة القصة · {count} مسار',
+    },
+    'map.hint': 'عد إلى أي جولة وجرّب خيارًا مختلفًا. كل الفروع محفوظة.',
+    'map.current': 'أنت هنا',
+    'map.rewind': 'العودة إلى الجولة {turn}',
+    'map.beginning': 'البداية',
+
+    // ─── Epilogue ───
+    'epilogue.theEnd': 'النهاية',
+    'epilogue.title': 'قصتك في عالم {genre}',
+    'epilogue.imageAlt': 'مشهد خاتمة القصة',
+    'epilogue.preparing': 'جارٍ التحضير...',
+    'epilogue.downloadHtml': '📄 تنزيل كتاب القصة',
+    'epilogue.downloadEpub': '📚 تنزيل EPUB',
+    'epilogue.sharing': 'جارٍ المشاركة...',
+    'epilogue.share': '🔗 رابط المشاركة',
+    'epilogue.copy': 'نسخ',
+    'epilogue.copied': 'تم النسخ!',
+    'epilogue.exportError': 'تعذر إنشاء كتاب قصتك. حاول مرة أخرى.',
+    'epilogue.bookSubtitle': 'قصة في عالم {genre} · Unfoldy',
+    'epilogue.bookContents': 'المحتويات',
+    'epilogue.shareError': 'تعذرت مشاركة قصتك الآن. حاول مرة أخرى.',
+    'epilogue.shareTooLarge': 'هذه القصة أطول من أن تُشارك، حتى من دون صورها.',
+    'epilogue.playAgain': 'العب مرة أخرى',
+
+    // ─── Endings ───
+    'ending.triumphant': 'نهاية منتصرة',
+    'ending.tragic': 'نهاية مأساوية',
+    'ending.bittersweet': 'نهاية حلوة ومرّة',
+    'ending.mysterious': 'نهاية غامضة',
+    'ending.discovered': '✨ اكتشفت نهاية جديدة',
+    'ending.undiscovered': 'لم تُكتشف بعد',
+    'endings.found': 'النهايات {found}/{total}',
+    'endings.finished': {
+      zero: 'لم تُكمل أي قصة',
+      one: 'قصة واحدة مكتملة',
+      two: 'قصتان مكتملتان',
+      few: '{count} قصص مكتملة',
+      many: '{count} قصة مكتملة',
+      other: '{count} قصة مكتملة',
+    },
+
+    // ─── Recap ───
+    'recap.title': 'رحلتك',
+    'recap.turn': 'الجولة {turn}',
+    'recap.ending': 'النهاية',
+    'recap.chose': 'اخترت: {choice}',
+    'recap.did': 'فعلت: {choice}',
+    'recap.notTaken': 'لم تُختر: {choices}',
+    'recap.close': 'إغلاق',
+    'recap.previous': '→ السابق',
+    'recap.next': 'التالي ←',
+    'recap.synopsisLoading': 'جارٍ كتابة حكاية رحلتك…',
+    'recap.synopsisFailed': 'تعذرت كتابة الملخص.',
+    'recap.retry': '↻ إعادة المحاولة',
+
+    // ─── Shared stories ───
+    'shared.loadError': 'تعذر تحميل هذه القصة. حاول لاحقًا.',
+    'shared.missing': 'رابط هذه القصة غير موجود أو أُزيل.',
+    'shared.opening': 'جارٍ فتح القصة...',
+    'shared.startOwn': 'ابدأ قصتك الخاصة',
+
+    // ─── Screen reader announcements ───
+    'a11y.loading': 'جارٍ كتابة الجولة {turn} من {maxTurns}…',
+    'a11y.turnReady': 'الجولة {turn} من {maxTurns} جاهزة.',
+    'a11y.storyEnded': 'انتهت القصة.',
+
+    // ─── Errors ───
+    'error.title': '⚠ حدث خطأ ما',
+    'error.rateLimited': 'الراوي بحاجة إلى استراحة — لقد بلغت الحد المسموح به حاليًا.',
+    'error.blocked': 'تجاوزت هذه الجولة تصنيف المحتوى لقصتك. جرّب خيارًا آخر.',
+    'error.timeout': 'استغرق الراوي وقتًا طويلًا للرد. حاول مرة أخرى.',
+    'error.unavailable': 'تعذر الوصول إلى الراوي. تحقق من اتصالك وحاول مرة أخرى.',
+    'error.generic': 'تعذرت كتابة الجولة التالية. حاول مرة أخرى.',
+    'error.rateLimitedTitle': '⏳ عد لاحقًا',
+    'error.savedUntil': 'قصتك محفوظة. يمكنك المتابعة بعد {time}.',
+    'error.retry': 'إعادة المحاولة',
+    'error.chooseDifferently': 'اختر شيئًا آخر',
+    'error.backToMenu': 'العودة إلى القائمة',
+  },
+};
@@ -0,0 +1,272 @@
+/**
+ * English — the source catalog. Every key lives here; other catalogs may
+ * leave keys out and fall back to these.
+ */
+
+export default {
+  meta: {
+    code: 'en',
+    name: 'English',
+    flag: '🇺🇸',
+    dir: 'ltr',
+    storyLanguage: 'English',
+  },
+  messages: {
+    // ─── Splash ───
+    'splash.subtitle': 'Stories Unfold with You',
+    'splash.treeAlt': 'A magical tree with unfolding paper leaves',
+
+    // ─── Menu ───
+    'menu.subtitle': 'Choose your story. Shape your fate.',
+    'menu.language': 'Language',
+    'menu.contentRating': 'Content rating',
+    'menu.storyLength': 'Story length',
+    'menu.lengthOption': '{label} · {turns}',
+    'menu.customLength': 'Custom…',
+    'menu.customLengthRange': '{min}-{max} turns',
+    'menu.customLengthInvalid': 'Choose {min}-{max} turns to start a story',
+    'menu.prefetch': 'Instant choices',
+    'menu.prefetchHint': 'Prepare the next turn for every choice while you read. Uses more AI requests.',
+    'menu.narration': 'Narration',
+    'menu.narrationHint': 'Read each new turn aloud.',
+    'menu.stats': 'Player stats',
+    'menu.statsHint': 'Track stats like health that your choices raise and lower. If one reaches its limit, the story ends early.',
+    'menu.reducedMotion': 'Reduce motion',
+    'menu.reducedMotionHint': 'Turns off the splash screen and fade animations.',
+    'menu.protagonistPlaceholder': "Your character's look (optional), e.g. a tall woman with a red scarf",
+    'menu.newStory': 'New Story',
+    'menu.library': 'Continue / Library',
+
+    'rating.family': 'Family',
+    'rating.teen': 'Teen',
+    'rating.mature': 'Mature',
+
+    'length.short': 'Short',
+    'length.standard': 'Standard',
+    'length.long': 'Long',
+
+    'common.turns': { one: '{count} turn', other: '{count} turns' },
+    'common.save': 'Save',
+    'common.cancel': 'Cancel',
+
+    // ─── Genres ───
+    'genre.cyberpunk.name': 'Cyberpunk',
+    'genre.cyberpunk.description': 'Neon-lit streets, rogue hackers, and megacorporations.',
+    'genre.fantasy.name': 'Fantasy',
+    'genre.fantasy.description': 'Ancient magic, epic quests, and mythical creatures.',
+    'genre.horror.name': 'Horror',
+    'genre.horror.description': 'Dark secrets, creeping dread, and things in the shadows.',
+    'genre.space-opera.name': 'Space Opera',
+    'genre.space-opera.description': 'Galactic empires, starships, and interstellar conflict.',
+    'genre.noir.name': 'Noir Mystery',
+    'genre.noir.description': 'Rain-slicked alleys, femme fatales, and hard-boiled detectives.',
+    'genre.post-apocalyptic.name': 'Post-Apocalyptic',
+    'genre.post-apocalyptic.description': 'A broken world, desperate survivors, and hope in the ruins.',
+
+    'genres.create': 'Create your own',
+    'genres.createHint': 'Name a genre, describe its world and pick its art style.',
+    'genres.edit': 'Edit genre',
+    'genres.delete': 'Delete genre',
+    'genres.deleteConfirm': 'Delete the genre "{name}"?',
+    'genres.import': 'Import genres',
+    'genres.export': 'Export my genres',
+    'genres.imported': { one: 'Imported {count} genre.', other: 'Imported {count} genres.' },
+    'genres.skipped': { one: 'Skipped {count}.', other: 'Skipped {count}.' },
+    'genres.error.tooMany': 'You can keep up to {max} custom genres.',
+    'genres.error.invalidJson': 'This file is not valid JSON.',
+    'genres.error.notGenres': 'This file does not contain Unfoldy genres.',
+    'genres.error.suggestion': 'The art style suggestion came back empty. Please try again.',
+
+    // ─── Genre editor ───
+    'genreEditor.titleNew': 'Create your own genre',
+    'genreEditor.titleEdit': 'Edit genre',
+    'genreEditor.emoji': 'Emoji',
+    'genreEditor.name': 'Name',
+    'genreEditor.namePlaceholder': 'e.g. Solarpunk',
+    'genreEditor.accent': 'Accent',
+    'genreEditor.description': 'Description',
+    'genreEditor.descriptionPlaceholder': 'One sentence shown on the genre card',
+    'genreEditor.notes': 'Tone & setting notes (optional)',
+    'genreEditor.notesPlaceholder': 'e.g. Hopeful, community-driven, set in a rewilded coastal city',
+    'genreEditor.artStyle': 'Art style',
+    'genreEditor.artStylePlaceholder': 'Medium, palette, lighting and mood used for every image',
+    'genreEditor.suggest': '✨ Suggest an art style',
+    'genreEditor.suggesting': 'Thinking…',
+    'genreEditor.save': 'Save genre',
+    'genreEditor.error.name': 'Give your genre a name.',
+    'genreEditor.error.description': 'Describe your genre in a sentence.',
+    'genreEditor.error.artStyle': 'Add an art style (or ask for a suggestion).',
+
+    // ─── Library ───
+    'library.opening': 'Opening your library...',
+    'library.empty': 'No saved stories yet. Start one and it will appear here.',
+    'library.error': 'Your library could not be opened in this browser.',
+    'library.resumeError': 'This story could not be opened.',
+    'library.finished': 'Finished',
+    'library.progress': 'Turn {turn}/{maxTurns}',
+    'library.read': 'Read',
+    'library.continue': 'Continue',
+    'library.rename': 'Rename',
+    'library.delete': 'Delete',
+    'library.deleteConfirm': 'Delete "{title}"? This cannot be undone.',
+
+    // ─── Story arc phases ───
+    'phase.introduction': 'Introduction',
+    'phase.rising': 'Rising Action',
+    'phase.climax': 'Climax',
+    'phase.falling': 'Falling Action',
+    'phase.conclusion': 'Conclusion',
+
+    // ─── Loading ───
+    'loading.0': 'Weaving the narrative threads...',
+    'loading.1': 'Painting the scene...',
+    'loading.2': 'The story unfolds...',
+    'loading.3': 'Crafting your destiny...',
+    'loading.4': 'Shaping the world around you...',
+    'loading.info': '{genre} · Turn {turn} of {maxTurns} · {phase}',
+
+    // ─── Story turn ───
+    'story.climaxMarker': 'Climax · turn {turn}',
+    'story.quit': 'Quit Story',
+    'story.quitConfirm': 'Leave this story? You can continue it later from the library.',
+    'story.defaultTitle': '{genre} Story',
+    'story.fallback.narrative': 'The story continues...',
+    'story.fallback.forward': 'Continue forward',
+    'story.fallback.lookAround': 'Look around',
+    'story.fallback.otherPath': 'Take a different path',
+    'story.imageAlt': 'Story scene - Turn {turn}',
+    'story.usedFallback': '⚡ Using backup AI',
+    'story.repaired': '✎ Auto-corrected',
+    'story.repairedHint': 'The first response was malformed and was regenerated',
+    'story.degraded': '⚠ Partial response — some details may be missing',
+    'story.degradedHint': 'The AI response could not be fully repaired',
+    'story.moderated': '🛡 Kept {rating}-friendly',
+    'story.moderatedHint': "This turn was adjusted to fit the story's content rating",
+    'story.actionPushedBack': 'The world pushed back on your action.',
+    'story.choicesLabel': 'What will you do?',
+    'story.keyboardHint': { one: 'Press 1 to choose · Esc to quit', other: 'Press 1–{count} to choose · Esc to quit' },
+    'story.explored': '↺ explored',
+    'story.customActionPlaceholder': 'Or do something else…',
+    'story.customActionSubmit': 'Go',
+
+    'customAction.error.empty': 'Describe what you want to do.',
+    'customAction.error.tooLong': 'Keep it under {max} characters.',
+    'customAction.error.instructions': 'Describe what your character does in the story.',
+
+    // ─── Narration ───
+    'narration.idle': '🔊 Listen',
+    'narration.loading': '⏳ Preparing the narrator…',
+    'narration.playing': '⏸ Pause',
+    'narration.paused': '▶ Resume',
+    'narration.unavailable': 'Narration is not available in this browser.',
+
+    // ─── Sound ───
+    'sound.mute': 'Mute sound',
+    'sound.unmute': 'Unmute sound',
+    'sound.volume': 'Volume',
+
+    // ─── Player stats ───
+    'stats.label': 'Your stats',
+    'stats.gameOver': '💀 {stat} reached its limit — your story ended early.',
+    'stat.health': 'Health',
+    'stat.sanity': 'Sanity',
+    'stat.resolve': 'Resolve',
+    'stat.reputation': 'Reputation',
+    'stat.credits': 'Credits',
+    'stat.heat': 'Heat',
+    'stat.magic': 'Magic',
+    'stat.hull': 'Hull',
+    'stat.fuel': 'Fuel',
+    'stat.suspicion': 'Suspicion',
+    'stat.supplies': 'Supplies',
+    'stat.radiation': 'Radiation',
+
+    // ─── Images ───
+    'image.painting': 'Painting this scene...',
+    'image.retry': '↻ Retry image',
+
+    // ─── Story panels ───
+    'bible.title': '📖 Story Bible',
+    'bible.location': 'Location',
+    'bible.characters': 'Characters',
+    'bible.inventory': 'Inventory',
+    'bible.threads': 'Plot Threads',
+
+    'appearance.title': '👤 Characters',
+    'appearance.you': 'You',
+    'appearance.hint': 'Changes apply to the images of new turns. Clear a look to let the story describe it again.',
+    'appearance.edit': '✎ Edit looks',
+
+    'map.title': { one: '🗺️ Story Map · {count} path', other: '🗺️ Story Map · {count} paths' },
+    'map.hint': 'Rewind to any turn and try a different choice. Every branch is kept.',
+    'map.current': 'You are here',
+    'map.rewind': 'Rewind to turn {turn}',
+    'map.beginning': 'The beginning',
+
+    // ─── Epilogue ───
+    'epilogue.theEnd': 'The End',
+    'epilogue.title': 'Your {genre} Story',
+    'epilogue.imageAlt': 'Story epilogue scene',
+    'epilogue.preparing': 'Preparing...',
+    'epilogue.downloadHtml': '📄 Download Storybook',
+    'epilogue.downloadEpub': '📚 Download EPUB',
+    'epilogue.sharing': 'Sharing...',
+    'epilogue.share': '🔗 Share Link',
+    'epilogue.copy': 'Copy',
+    'epilogue.copied': 'Copied!',
+    'epilogue.exportError': 'Your storybook could not be created. Please try again.',
+    'epilogue.bookSubtitle': 'A {genre} story · Unfoldy',
+    'epilogue.bookContents': 'Contents',
+    'epilogue.shareError': 'Your story could not be shared right now. Please try again.',
+    'epilogue.shareTooLarge': 'This story is too long to share in one piece, even without its pictures.',
+    'epilogue.playAgain': 'Play Again',
+
+    // ─── Endings ───
+    'ending.triumphant': 'Triumphant ending',
+    'ending.tragic': 'Tragic ending',
+    'ending.bittersweet': 'Bittersweet ending',
+    'ending.mysterious': 'Mysterious ending',
+    'ending.discovered': '✨ New ending discovered',
+    'ending.undiscovered': 'Not found yet',
+    'endings.found': '{found}/{total} endings',
+    'endings.finished': { one: '{count} story finished', other: '{count} stories finished' },
+
+    // ─── Recap ───
+    'recap.title': 'Your journey',
+    'recap.turn': 'Turn {turn}',
+    'recap.ending': 'The ending',
+    'recap.chose': 'You chose: {choice}',
+    'recap.did': 'You did: {choice}',
+    'recap.notTaken': 'Not taken: {choices}',
+    'recap.close': 'Close',
+    'recap.previous': '← Previous',
+    'recap.next': 'Next →',
+    'recap.synopsisLoading': 'Writing the story of your journey…',
+    'recap.synopsisFailed': 'The synopsis could not be written.',
+    'recap.retry': '↻ Try again',
+
+    // ─── Shared stories ───
+    'shared.loadError': 'This story could not be loaded. Please try again later.',
+    'shared.missing': 'This story link does not exist or has been removed.',
+    'shared.opening': 'Opening the story...',
+    'shared.startOwn': 'Start your own story',
+
+    // ─── Screen reader announcements ───
+    'a11y.loading': 'Writing turn {turn} of {maxTurns}…',
+    'a11y.turnReady': 'Turn {turn} of {maxTurns} is ready.',
+    'a11y.storyEnded': 'The story has ended.',
+
+    // ─── Errors ───
+    'error.title': '⚠ Something went wrong',
+    'error.rateLimited': "The storyteller needs a rest — you've reached the limit for now.",
+    'error.blocked': 'This turn went beyond the content rating of your story. Try a different choice.',
+    'error.timeout': 'The storyteller took too long to answer. Please try again.',
+    'error.unavailable': 'The storyteller could not be reached. Check your connection and try again.',
+    'error.generic': 'The next turn could not be written. Please try again.',
+    'error.rateLimitedTitle': '⏳ Come back later',
+    'error.savedUntil': 'Your story is saved. You can continue after {time}.',
+    'error.retry': 'Retry',
+    'error.chooseDifferently': 'Choose Differently',
+    'error.backToMenu': 'Back to Menu',
+  },
+};
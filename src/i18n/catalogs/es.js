@@ -0,0 +1,271 @@
+/**
+ * Español
+ */
+
+export default {
+  meta: {
+    code: 'es',
+    name: 'Español',
+    flag: '🇪🇸',
+    dir: 'ltr',
+    storyLanguage: 'Español',
+  },
+  messages: {
+    // ─── Splash ───
+    'splash.subtitle': 'Historias que se despliegan contigo',
+    'splash.treeAlt': 'Un árbol mágico con hojas de papel que se despliegan',
+
+    // ─── Menu ───
+    'menu.subtitle': 'Elige tu historia. Forja tu destino.',
+    'menu.language': 'Idioma',
+    'menu.contentRating': 'Clasificación de contenido',
+    'menu.storyLength': 'Duración de la historia',
+    'menu.lengthOption': '{label} · {turns}',
+    'menu.customLength': 'Personalizada…',
+    'menu.customLengthRange': '{min}-{max} turnos',
+    'menu.customLengthInvalid': 'Elige entre {min} y {max} turnos para empezar una historia',
+    'menu.prefetch': 'Elecciones instantáneas',
+    'menu.prefetchHint': 'Prepara el siguiente turno de cada opción mientras lees. Usa más solicitudes de IA.',
+    'menu.narration': 'Narración',
+    'menu.narrationHint': 'Lee en voz alta cada nuevo turno.',
+    'menu.stats': 'Estadísticas',
+    'menu.statsHint': 'Sigue valores como la salud, que tus elecciones suben y bajan. Si uno llega a su límite, la historia termina antes.',
+    'menu.reducedMotion': 'Reducir movimiento',
+    'menu.reducedMotionHint': 'Desactiva la pantalla de inicio y las animaciones de fundido.',
+    'menu.protagonistPlaceholder': 'El aspecto de tu personaje (opcional), p. ej. una mujer alta con una bufanda roja',
+    'menu.newStory': 'Nueva historia',
+    'menu.library': 'Continuar / Biblioteca',
+
+    'rating.family': 'Familiar',
+    'rating.teen': 'Adolescente',
+    'rating.mature': 'Adulto',
+
+    'length.short': 'Corta',
+    'length.standard': 'Estándar',
+    'length.long': 'Larga',
+
+    'common.turns': { one: '{count} turno', other: '{count} turnos' },
+    'common.save': 'Guardar',
+    'common.cancel': 'Cancelar',
+
+    // ─── Genres ───
+    'genre.cyberpunk.name': 'Cyberpunk',
+    'genre.cyberpunk.description': 'Calles de neón, hackers rebeldes y megacorporaciones.',
+    'genre.fantasy.name': 'Fantasía',
+    'genre.fantasy.description': 'Magia ancestral, búsquedas épicas y criaturas míticas.',
+    'genre.horror.name': 'Terror',
+    'genre.horror.description': 'Secretos oscuros, un miedo que acecha y cosas entre las sombras.',
+    'genre.space-opera.name': 'Ópera espacial',
+    'genre.space-opera.description': 'Imperios galácticos, naves estelares y conflictos interestelares.',
+    'genre.noir.name': 'Misterio noir',
+    'genre.noir.description': 'Callejones mojados por la lluvia, femmes fatales y detectives duros.',
+    'genre.post-apocalyptic.name': 'Postapocalíptico',
+    'genre.post-apocalyptic.description': 'Un mundo roto, supervivientes desesperados y esperanza entre las ruinas.',
+
+    'genres.create': 'Crea el tuyo',
+    'genres.createHint': 'Ponle nombre a un género, describe su mundo y elige su estilo artístico.',
+    'genres.edit': 'Editar género',
+    'genres.delete': 'Eliminar género',
+    'genres.deleteConfirm': '¿Eliminar el género «{name}»?',
+    'genres.import': 'Importar géneros',
+    'genres.export': 'Exportar mis géneros',
+    'genres.imported': { one: 'Se importó {count} género.', other: 'Se importaron {count} géneros.' },
+    'genres.skipped': { one: 'Se omitió {count}.', other: 'Se omitieron {count}.' },
+    'genres.error.tooMany': 'Puedes guardar hasta {max} géneros personalizados.',
+    'genres.error.invalidJson': 'Este archivo no es un JSON válido.',
+    'genres.error.notGenres': 'Este archivo no contiene géneros de Unfoldy.',
+    'genres.error.suggestion': 'La sugerencia de estilo artístico llegó vacía. Inténtalo de nuevo.',
+
+    // ─── Genre editor ───
+    'genreEditor.titleNew': 'Crea tu propio género',
+    'genreEditor.titleEdit': 'Editar género',
+    'genreEditor.emoji': 'Emoji',
+    'genreEditor.name': 'Nombre',
+    'genreEditor.namePlaceholder': 'p. ej. Solarpunk',
+    'genreEditor.accent': 'Color',
+    'genreEditor.description': 'Descripción',
+    'genreEditor.descriptionPlaceholder': 'Una frase que se muestra en la tarjeta del género',
+    'genreEditor.notes': 'Notas de tono y ambientación (opcional)',
+    'genreEditor.notesPlaceholder': 'p. ej. Esperanzador, comunitario, en una ciudad costera renaturalizada',
+    'genreEditor.artStyle': 'Estilo artístico',
+    'genreEditor.artStylePlaceholder': 'Técnica, paleta, iluminación y ambiente de todas las imágenes',
+    'genreEditor.suggest': '✨ Sugerir un estilo artístico',
+    'genreEditor.suggesting': 'Pensando…',
+    'genreEditor.save': 'Guardar género',
+    'genreEditor.error.name': 'Ponle un nombre a tu género.',
+    'genreEditor.error.description': 'Describe tu género en una frase.',
+    'genreEditor.error.artStyle': 'Añade un estilo artístico (o pide una sugerencia).',
+
+    // ─── Library ───
+    'library.opening': 'Abriendo tu biblioteca...',
+    'library.empty': 'Aún no hay historias guardadas. Empieza una y aparecerá aquí.',
+    'library.error': 'No se pudo abrir tu biblioteca en este navegador.',
+    'library.resumeError': 'No se pudo abrir esta historia.',
+    'library.finished': 'Terminada',
+    'library.progress': 'Turno {turn}/{maxTurns}',
+    'library.read': 'Leer',
+    'library.continue': 'Continuar',
+    'library.rename': 'Renombrar',
+    'library.delete': 'Eliminar',
+    'library.deleteConfirm': '¿Eliminar «{title}»? No se puede deshacer.',
+
+    // ─── Story arc phases ───
+    'phase.introduction': 'Introducción',
+    'phase.rising': 'Acción creciente',
+    'phase.climax': 'Clímax',
+    'phase.falling': 'Acción descendente',
+    'phase.conclusion': 'Desenlace',
+
+    // ─── Loading ───
+    'loading.0': 'Tejiendo los hilos de la narración...',
+    'loading.1': 'Pintando la escena...',
+    'loading.2': 'La historia se despliega...',
+    'loading.3': 'Forjando tu destino...',
+    'loading.4': 'Dando forma al mundo que te rodea...',
+    'loading.info': '{genre} · Turno {turn} de {maxTurns} · {phase}',
+
+    // ─── Story turn ───
+    'story.climaxMarker': 'Clímax · turno {turn}',
+    'story.quit': 'Salir de la historia',
+    'story.quitConfirm': '¿Salir de esta historia? Puedes continuarla más tarde desde la biblioteca.',
+    'story.defaultTitle': 'Historia de {genre}',
+    'story.fallback.narrative': 'La historia continúa...',
+    'story.fallback.forward': 'Seguir adelante',
+    'story.fallback.lookAround': 'Mirar alrededor',
+    'story.fallback.otherPath': 'Tomar otro camino',
+    'story.imageAlt': 'Escena de la historia - Turno {turn}',
+    'story.usedFallback': '⚡ Usando IA de respaldo',
+    'story.repaired': '✎ Corregido automáticamente',
+    'story.repairedHint': 'La primera respuesta tenía un formato incorrecto y se volvió a generar',
+    'story.degraded': '⚠ Respuesta parcial — pueden faltar algunos detalles',
+    'story.degradedHint': 'La respuesta de la IA no se pudo reparar del todo',
+    'story.moderated': '🛡 Adaptado a la clasificación {rating}',
+    'story.moderatedHint': 'Este turno se ajustó a la clasificación de contenido de la historia',
+    'story.actionPushedBack': 'El mundo se resistió a tu acción.',
+    'story.choicesLabel': '¿Qué harás?',
+    'story.keyboardHint': { one: 'Pulsa 1 para elegir · Esc para salir', other: 'Pulsa 1–{count} para elegir · Esc para salir' },
+    'story.explored': '↺ explorada',
+    'story.customActionPlaceholder': 'O haz otra cosa…',
+    'story.customActionSubmit': 'Ir',
+
+    'customAction.error.empty': 'Describe lo que quieres hacer.',
+    'customAction.error.tooLong': 'Usa menos de {max} caracteres.',
+    'customAction.error.instructions': 'Describe lo que hace tu personaje en la historia.',
+
+    // ─── Narration ───
+    'narration.idle': '🔊 Escuchar',
+    'narration.loading': '⏳ Preparando al narrador…',
+    'narration.playing': '⏸ Pausar',
+    'narration.paused': '▶ Reanudar',
+    'narration.unavailable': 'La narración no está disponible en este navegador.',
+
+    // ─── Sound ───
+    'sound.mute': 'Silenciar',
+    'sound.unmute': 'Activar sonido',
+    'sound.volume': 'Volumen',
+
+    // ─── Player stats ───
+    'stats.label': 'Tus estadísticas',
+    'stats.gameOver': '💀 {stat} llegó a su límite: tu historia terminó antes de tiempo.',
+    'stat.health': 'Salud',
+    'stat.sanity': 'Cordura',
+    'stat.resolve': 'Determinación',
+    'stat.reputation': 'Reputación',
+    'stat.credits': 'Créditos',
+    'stat.heat': 'Persecución',
+    'stat.magic': 'Magia',
+    'stat.hull': 'Casco',
+    'stat.fuel': 'Combustible',
+    'stat.suspicion': 'Sospecha',
+    'stat.supplies': 'Provisiones',
+    'stat.radiation': 'Radiación',
+
+    // ─── Images ───
+    'image.painting': 'Pintando esta escena...',
+    'image.retry': '↻ Reintentar imagen',
+
+    // ─── Story panels ───
+    'bible.title': '📖 Biblia de la historia',
+    'bible.location': 'Lugar',
+    'bible.characters': 'Personajes',
+    'bible.inventory': 'Inventario',
+    'bible.threads': 'Tramas',
+
+    'appearance.title': '👤 Personajes',
+    'appearance.you': 'Tú',
+    'appearance.hint': 'Los cambios se aplican a las imágenes de los nuevos turnos. Borra un aspecto para que la historia lo describa de nuevo.',
+    'appearance.edit': '✎ Editar aspecto',
+
+    'map.title': { one: '🗺️ Mapa de la historia · {count} camino', other: '🗺️ Mapa de la historia · {count} caminos' },
+    'map.hint': 'Vuelve a cualquier turno y prueba otra opción. Se conservan todas las ramas.',
+    'map.current': 'Estás aquí',
+    'map.rewind': 'Volver al turno {turn}',
+    'map.beginning': 'El comienzo',
+
+    // ─── Epilogue ───
+    'epilogue.theEnd': 'Fin',
+    'epilogue.title': 'Tu historia de {genre}',
+    'epilogue.imageAlt': 'Escena del epílogo de la historia',
+    'epilogue.preparing': 'Preparando...',
+    'epilogue.downloadHtml': '📄 Descargar libro',
+    'epilogue.downloadEpub': '📚 Descargar EPUB',
+    'epilogue.sharing': 'Compartiendo...',
+    'epilogue.share': '🔗 Enlace para compartir',
+    'epilogue.copy': 'Copiar',
+    'epilogue.copied': '¡Copiado!',
+    'epilogue.exportError': 'No se pudo crear tu libro. Inténtalo de nuevo.',
+    'epilogue.bookSubtitle': 'Una historia de {genre} · Unfoldy',
+    'epilogue.bookContents': 'Índice',
+    'epilogue.shareError': 'Ahora mismo no se puede compartir tu historia. Inténtalo de nuevo.',
+    'epilogue.shareTooLarge': 'Esta historia es demasiado larga para compartirla, incluso sin sus imágenes.',
+    'epilogue.playAgain': 'Jugar de nuevo',
+
+    // ─── Endings ───
+    'ending.triumphant': 'Final triunfal',
+    'ending.tragic': 'Final trágico',
+    'ending.bittersweet': 'Final agridulce',
+    'ending.mysterious': 'Final misterioso',
+    'ending.discovered': '✨ Nuevo final descubierto',
+    'ending.undiscovered': 'Aún sin descubrir',
+    'endings.found': '{found}/{total} finales',
+    'endings.finished': { one: '{count} historia terminada', other: '{count} historias terminadas' },
+
+    // ─── Recap ───
+    'recap.title': 'Tu viaje',
+    'recap.turn': 'Turno {turn}',
+    'recap.ending': 'El final',
+    'recap.chose': 'Elegiste: {choice}',
+    'recap.did': 'Hiciste: {choice}',
+    'recap.notTaken': 'No elegidas: {choices}',
+    'recap.close': 'Cerrar',
+    'recap.previous': '← Anterior',
+    'recap.next': 'Siguiente →',
+    'recap.synopsisLoading': 'Escribiendo la historia de tu viaje…',
+    'recap.synopsisFailed': 'No se pudo escribir la sinopsis.',
+    'recap.retry': '↻ Reintentar',
+
+    // ─── Shared stories ───
+    'shared.loadError': 'No se pudo cargar esta historia. Inténtalo más tarde.',
+    'shared.missing': 'Este enlace no existe o se ha eliminado.',
+    'shared.opening': 'Abriendo la historia...',
+    'shared.startOwn': 'Empieza tu propia historia',
+
+    // ─── Screen reader announcements ───
+    'a11y.loading': 'Escribiendo el turno {turn} de {maxTurns}…',
+    'a11y.turnReady': 'El turno {turn} de {maxTurns} está listo.',
+    'a11y.storyEnded': 'La historia ha terminado.',
+
+    // ─── Errors ───
+    'error.title': '⚠ Algo salió mal',
+    'error.rateLimited': 'El narrador necesita un descanso: has alcanzado el límite por ahora.',
+    'error.blocked': 'Este turno superó la clasificación de contenido de tu historia. Prueba con otra opción.',
+    'error.timeout': 'El narrador tardó demasiado en responder. Inténtalo de nuevo.',
+    'error.unavailable': 'No se pudo contactar con el narrador. Revisa tu conexión e inténtalo de nuevo.',
+    'error.generic': 'No se pudo escribir el siguiente turno. Inténtalo de nuevo.',
+    'error.rateLimitedTitle': '⏳ Vuelve más tarde',
+    'error.savedUntil': 'Tu historia está guardada. Podrás continuar después de las {time}.',
+    'error.retry': 'Reintentar',
+    'error.chooseDifferently': 'Elegir otra cosa',
+    'error.backToMenu': 'Volver al menú',
+  },
+};
@@ -0,0 +1,271 @@
+/**
+ * 日本語
+ */
+
+export default {
+  meta: {
+    code: 'ja',
+    name: '日本語',
+    flag: '🇯🇵',
+    dir: 'ltr',
+    storyLanguage: '日本語',
+  },
+  messages: {
+    // ─── Splash ───
+    'splash.subtitle': 'あなたと共に広がる物語',
+    'splash.treeAlt': '紙の葉が広がる魔法の木',
+
+    // ─── Menu ───
+    'menu.subtitle': 'あなたの物語を選んでください。運命を切り拓こう。',
+    'menu.language': '言語',
+    'menu.contentRating': 'コンテンツレーティング',
+    'menu.storyLength': '物語の長さ',
+    'menu.lengthOption': '{label} · {turns}',
+    'menu.customLength': 'カスタム…',
+    'menu.customLengthRange': '{min}〜{max}ターン',
+    'menu.customLengthInvalid': '物語を始めるには{min}〜{max}ターンを選んでください',
+    'menu.prefetch': 'インスタント選択',
+    'menu.prefetchHint': '読んでいる間に、すべての選択肢の次のターンを準備します。AIリクエストを多く使います。',
+    'menu.narration': 'ナレーション',
+    'menu.narrationHint': '新しいターンごとに物語を読み上げます。',
+    'menu.stats': 'プレイヤーステータス',
+    'menu.statsHint': '選択によって増減する体力などのステータスを記録します。限界に達すると物語は早く終わります。',
+    'menu.reducedMotion': '動きを減らす',
+    'menu.reducedMotionHint': 'スプラッシュ画面とフェードアニメーションをオフにします。',
+    'menu.protagonistPlaceholder': 'キャラクターの外見（任意）例：赤いスカーフを巻いた背の高い女性',
+    'menu.newStory': '新しい物語',
+    'menu.library': '続きから / ライブラリ',
+
+    'rating.family': 'ファミリー',
+    'rating.teen': 'ティーン',
+    'rating.mature': '成人向け',
+
+    'length.short': 'ショート',
+    'length.standard': 'スタンダード',
+    'length.long': 'ロング',
+
+    'common.turns': { other: '{count}ターン' },
+    'common.save': '保存',
+    'common.cancel': 'キャンセル',
+
+    // ─── Genres ───
+    'genre.cyberpunk.name': 'サイバーパンク',
+    'genre.cyberpunk.description': 'ネオンの街、ローグハッカー、巨大企業の物語。',
+    'genre.fantasy.name': 'ファンタジー',
+    'genre.fantasy.description': '古代の魔法、壮大な冒険、神話の生物。',
+    'genre.horror.name': 'ホラー',
+    'genre.horror.description': '暗い秘密、忍び寄る恐怖、影に潜むもの。',
+    'genre.space-opera.name': 'スペースオペラ',
+    'genre.space-opera.description': '銀河帝国、宇宙船、星間紛争。',
+    'genre.noir.name': 'ノワール・ミステリー',
+    'genre.noir.description': '雨に濡れた路地、ファム・ファタール、ハードボイルド探偵。',
+    'genre.post-apocalyptic.name': 'ポスト・アポカリプス',
+    'genre.post-apocalyptic.description': '崩壊した世界、必死の生存者、廃墟の中の希望。',
+
+    'genres.create': 'オリジナルジャンルを作る',
+    'genres.createHint': 'ジャンルに名前を付け、世界を説明し、画風を選びましょう。',
+    'genres.edit': 'ジャンルを編集',
+    'genres.delete': 'ジャンルを削除',
+    'genres.deleteConfirm': 'ジャンル「{name}」を削除しますか？',
+    'genres.import': 'ジャンルを読み込む',
+    'genres.export': 'マイジャンルを書き出す',
+    'genres.imported': { other: '{count}件のジャンルを読み込みました。' },
+    'genres.skipped': { other: '{count}件をスキップしました。' },
+    'genres.error.tooMany': 'オリジナルジャンルは最大{max}件まで保存できます。',
+    'genres.error.invalidJson': '有効なJSONファイルではありません。',
+    'genres.error.notGenres': 'このファイルにはUnfoldyのジャンルが含まれていません。',
+    'genres.error.suggestion': '画風の提案を取得できませんでした。もう一度お試しください。',
+
+    // ─── Genre editor ───
+    'genreEditor.titleNew': 'オリジナルジャンルを作る',
+    'genreEditor.titleEdit': 'ジャンルを編集',
+    'genreEditor.emoji': '絵文字',
+    'genreEditor.name': '名前',
+    'genreEditor.namePlaceholder': '例：ソーラーパンク',
+    'genreEditor.accent': 'アクセント',
+    'genreEditor.description': '説明',
+    'genreEditor.descriptionPlaceholder': 'ジャンルカードに表示される一文',
+    'genreEditor.notes': '雰囲気と舞台のメモ（任意）',
+    'genreEditor.notesPlaceholder': '例：希望に満ち、共同体を大切にする、自然が戻った海辺の都市',
+    'genreEditor.artStyle': '画風',
+    'genreEditor.artStylePlaceholder': 'すべての画像に使う画材、配色、照明、雰囲気',
+    'genreEditor.suggest': '✨ 画風を提案してもらう',
+    'genreEditor.suggesting': '考え中…',
+    'genreEditor.save': 'ジャンルを保存',
+    'genreEditor.error.name': 'ジャンル名を入力してください。',
+    'genreEditor.error.description': 'ジャンルを一文で説明してください。',
+    'genreEditor.error.artStyle': '画風を入力してください（または提案してもらいましょう）。',
+
+    // ─── Library ───
+    'library.opening': 'ライブラリを開いています...',
+    'library.empty': '保存された物語はまだありません。物語を始めるとここに表示されます。',
+    'library.error': 'このブラウザではライブラリを開けませんでした。',
+    'library.resumeError': 'この物語を開けませんでした。',
+    'library.finished': '完結',
+    'library.progress': 'ターン {turn}/{maxTurns}',
+    'library.read': '読む',
+    'library.continue': '続ける',
+    'library.rename': '名前を変更',
+    'library.delete': '削除',
+    'library.deleteConfirm': '「{title}」を削除しますか？元に戻せません。',
+
+    // ─── Story arc phases ───
+    'phase.introduction': '導入',
+    'phase.rising': '展開',
+    'phase.climax': 'クライマックス',
+    'phase.falling': '収束',
+    'phase.conclusion': '結末',
+
+    // ─── Loading ───
+    'loading.0': '物語の糸を紡いでいます...',
+    'loading.1': '場面を描いています...',
+    'loading.2': '物語が広がります...',
+    'loading.3': 'あなたの運命を形作っています...',
+    'loading.4': 'あなたを取り巻く世界を作っています...',
+    'loading.info': '{genre} · ターン {turn}/{maxTurns} · {phase}',
+
+    // ─── Story turn ───
+    'story.climaxMarker': 'クライマックス · ターン {turn}',
+    'story.quit': '物語を終了',
+    'story.quitConfirm': 'この物語を終了しますか？後でライブラリから続きを遊べます。',
+    'story.defaultTitle': '{genre}物語',
+    'story.fallback.narrative': '物語は続く……',
+    'story.fallback.forward': 'このまま進む',
+    'story.fallback.lookAround': 'あたりを見回す',
+    'story.fallback.otherPath': '別の道を行く',
+    'story.imageAlt': '物語の場面 - ターン {turn}',
+    'story.usedFallback': '⚡ 予備のAIを使用中',
+    'story.repaired': '✎ 自動修正済み',
+    'story.repairedHint': '最初の応答の形式が正しくなかったため、再生成しました',
+    'story.degraded': '⚠ 不完全な応答 — 一部の内容が欠けている可能性があります',
+    'story.degradedHint': 'AIの応答を完全には修復できませんでした',
+    'story.moderated': '🛡 {rating}向けに調整済み',
+    'story.moderatedHint': '物語のコンテンツレーティングに合わせてこのターンを調整しました',
+    'story.actionPushedBack': '世界はあなたの行動を受け入れませんでした。',
+    'story.choicesLabel': 'どうしますか？',
+    'story.keyboardHint': { other: '1〜{count}キーで選択 · Escで終了' },
+    'story.explored': '↺ 探索済み',
+    'story.customActionPlaceholder': 'または別の行動をとる…',
+    'story.customActionSubmit': '実行',
+
+    'customAction.error.empty': 'したいことを書いてください。',
+    'customAction.error.tooLong': '{max}文字以内で書いてください。',
+    'customAction.error.instructions': '物語の中でキャラクターがすることを書いてください。',
+
+    // ─── Narration ───
+    'narration.idle': '🔊 聞く',
+    'narration.loading': '⏳ ナレーターを準備中…',
+    'narration.playing': '⏸ 一時停止',
+    'narration.paused': '▶ 再開',
+    'narration.unavailable': 'このブラウザではナレーションを利用できません。',
+
+    // ─── Sound ───
+    'sound.mute': 'ミュート',
+    'sound.unmute': 'ミュート解除',
+    'sound.volume': '音量',
+
+    // ─── Player stats ───
+    'stats.label': 'ステータス',
+    'stats.gameOver': '💀 {stat}が限界に達し、物語は早くも幕を閉じました。',
+    'stat.health': '体力',
+    'stat.sanity': '正気度',
+    'stat.resolve': '意志',
+    'stat.reputation': '評判',
+    'stat.credits': 'クレジット',
+    'stat.heat': '手配度',
+    'stat.magic': '魔力',
+    'stat.hull': '船体',
+    'stat.fuel': '燃料',
+    'stat.suspicion': '疑惑',
+    'stat.supplies': '物資',
+    'stat.radiation': '放射線',
+
+    // ─── Images ───
+    'image.painting': 'この場面を描いています...',
+    'image.retry': '↻ 画像を再試行',
+
+    // ─── Story panels ───
+    'bible.title': '📖 ストーリーバイブル',
+    'bible.location': '場所',
+    'bible.characters': '登場人物',
+    'bible.inventory': '持ち物',
+    'bible.threads': '物語の伏線',
+
+    'appearance.title': '👤 登場人物',
+    'appearance.you': 'あなた',
+    'appearance.hint': '変更は新しいターンの画像から反映されます。外見を空にすると、物語が改めて描写します。',
+    'appearance.edit': '✎ 外見を編集',
+
+    'map.title': { other: '🗺️ ストーリーマップ · {count}ルート' },
+    'map.hint': '好きなターンに戻って別の選択を試せます。すべての分岐は保存されます。',
+    'map.current': '現在地',
+    'map.rewind': 'ターン{turn}に戻る',
+    'map.beginning': 'はじまり',
+
+    // ─── Epilogue ───
+    'epilogue.theEnd': '完',
+    'epilogue.title': 'あなたの{genre}物語',
+    'epilogue.imageAlt': '物語のエピローグの場面',
+    'epilogue.preparing': '準備中...',
+    'epilogue.downloadHtml': '📄 ストーリーブックをダウンロード',
+    'epilogue.downloadEpub': '📚 EPUBをダウンロード',
+    'epilogue.sharing': '共有中...',
+    'epilogue.share': '🔗 共有リンク',
+    'epilogue.copy': 'コピー',
+    'epilogue.copied': 'コピーしました！',
+    'epilogue.exportError': 'ストーリーブックを作成できませんでした。もう一度お試しください。',
+    'epilogue.bookSubtitle': '{genre}物語 · Unfoldy',
+    'epilogue.bookContents': '目次',
+    'epilogue.shareError': '現在、物語を共有できません。もう一度お試しください。',
+    'epilogue.shareTooLarge': 'この物語は、画像を除いても共有するには長すぎます。',
+    'epilogue.playAgain': 'もう一度遊ぶ',
+
+    // ─── Endings ───
+    'ending.triumphant': '勝利の結末',
+    'ending.tragic': '悲劇の結末',
+    'ending.bittersweet': 'ほろ苦い結末',
+    'ending.mysterious': '謎めいた結末',
+    'ending.discovered': '✨ 新しい結末を発見',
+    'ending.undiscovered': '未発見',
+    'endings.found': '結末 {found}/{total}',
+    'endings.finished': { other: '完結した物語 {count}作' },
+
+    // ─── Recap ───
+    'recap.title': 'あなたの旅路',
+    'recap.turn': 'ターン{turn}',
+    'recap.ending': '結末',
+    'recap.chose': '選んだ道：{choice}',
+    'recap.did': 'とった行動：{choice}',
+    'recap.notTaken': '選ばなかった道：{choices}',
+    'recap.close': '閉じる',
+    'recap.previous': '← 前へ',
+    'recap.next': '次へ →',
+    'recap.synopsisLoading': '旅路のあらすじを書いています…',
+    'recap.synopsisFailed': 'あらすじを書けませんでした。',
+    'recap.retry': '↻ 再試行',
+
+    // ─── Shared stories ───
+    'shared.loadError': '物語を読み込めませんでした。後でもう一度お試しください。',
+    'shared.missing': 'この物語のリンクは存在しないか、削除されました。',
+    'shared.opening': '物語を開いています...',
+    'shared.startOwn': '自分の物語を始める',
+
+    // ─── Screen reader announcements ───
+    'a11y.loading': 'ターン {turn}/{maxTurns} を執筆中…',
+    'a11y.turnReady': 'ターン {turn}/{maxTurns} の準備ができました。',
+    'a11y.storyEnded': '物語が完結しました。',
+
+    // ─── Errors ───
+    'error.title': '⚠ 問題が発生しました',
+    'error.rateLimited': '語り手はひと休みが必要です。現在の利用上限に達しました。',
+    'error.blocked': 'このターンは物語のコンテンツレーティングを超えました。別の選択を試してください。',
+    'error.timeout': '語り手の応答に時間がかかりすぎました。もう一度お試しください。',
+    'error.unavailable': '語り手に接続できませんでした。接続を確認して、もう一度お試しください。',
+    'error.generic': '次のターンを書けませんでした。もう一度お試しください。',
+    'error.rateLimitedTitle': '⏳ しばらくしてからお越しください',
+    'error.savedUntil': '物語は保存されています。{time}以降に続きから遊べます。',
+    'error.retry': '再試行',
+    'error.chooseDifferently': '別の選択をする',
+    'error.backToMenu': 'メニューに戻る',
+  },
+};
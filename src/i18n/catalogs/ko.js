@@ -0,0 +1,271 @@
+/**
+ * 한국어
+ */
+
+export default {
+  meta: {
+    code: 'ko',
+    name: '한국어',
+    flag: '🇰🇷',
+    dir: 'ltr',
+    storyLanguage: '한국어',
+  },
+  messages: {
+    // ─── Splash ───
+    'splash.subtitle': '당신과 함께 펼쳐지는 이야기',
+    'splash.treeAlt': '종이 잎이 펼쳐지는 마법의 나무',
+
+    // ─── Menu ───
+    'menu.subtitle': '당신의 이야기를 선택하세요. 운명을 만들어가세요.',
+    'menu.language': '언어',
+    'menu.contentRating': '콘텐츠 등급',
+    'menu.storyLength': '이야기 길이',
+    'menu.lengthOption': '{label} · {turns}',
+    'menu.customLength': '직접 입력…',
+    'menu.customLengthRange': '{min}-{max}턴',
+    'menu.customLengthInvalid': '이야기를 시작하려면 {min}-{max}턴을 선택하세요',
+    'menu.prefetch': '즉시 선택',
+    'menu.prefetchHint': '읽는 동안 모든 선택지의 다음 턴을 미리 준비합니다. AI 요청이 더 많이 사용됩니다.',
+    'menu.narration': '내레이션',
+    'menu.narrationHint': '새 턴마다 이야기를 소리 내어 읽어 줍니다.',
+    'menu.stats': '플레이어 능력치',
+    'menu.statsHint': '선택에 따라 오르내리는 체력 같은 능력치를 추적합니다. 한계에 도달하면 이야기가 일찍 끝납니다.',
+    'menu.reducedMotion': '움직임 줄이기',
+    'menu.reducedMotionHint': '시작 화면과 페이드 애니메이션을 끕니다.',
+    'menu.protagonistPlaceholder': '내 캐릭터의 외모 (선택), 예: 빨간 스카프를 두른 키 큰 여성',
+    'menu.newStory': '새 이야기',
+    'menu.library': '이어하기 / 서재',
+
+    'rating.family': '전체 이용가',
+    'rating.teen': '청소년',
+    'rating.mature': '성인',
+
+    'length.short': '짧게',
+    'length.standard': '보통',
+    'length.long': '길게',
+
+    'common.turns': { other: '{count}턴' },
+    'common.save': '저장',
+    'common.cancel': '취소',
+
+    // ─── Genres ───
+    'genre.cyberpunk.name': '사이버펑크',
+    'genre.cyberpunk.description': '네온 불빛 거리, 해커, 그리고 거대 기업의 이야기.',
+    'genre.fantasy.name': '판타지',
+    'genre.fantasy.description': '고대 마법, 장대한 모험, 그리고 신화 속 생물.',
+    'genre.horror.name': '호러',
+    'genre.horror.description': '어둠 속 비밀, 스며드는 공포, 그림자 속 존재.',
+    'genre.space-opera.name': '스페이스 오페라',
+    'genre.space-opera.description': '은하 제국, 우주선, 그리고 성간 전쟁.',
+    'genre.noir.name': '느와르 미스터리',
+    'genre.noir.description': '비에 젖은 골목, 팜 파탈, 그리고 하드보일드 탐정.',
+    'genre.post-apocalyptic.name': '포스트 아포칼립스',
+    'genre.post-apocalyptic.description': '무너진 세계, 절박한 생존자, 그리고 폐허 속 희망.',
+
+    'genres.create': '나만의 장르 만들기',
+    'genres.createHint': '장르 이름을 정하고, 세계를 설명하고, 그림 스타일을 고르세요.',
+    'genres.edit': '장르 편집',
+    'genres.delete': '장르 삭제',
+    'genres.deleteConfirm': '"{name}" 장르를 삭제할까요?',
+    'genres.import': '장르 가져오기',
+    'genres.export': '내 장르 내보내기',
+    'genres.imported': { other: '장르 {count}개를 가져왔습니다.' },
+    'genres.skipped': { other: '{count}개는 건너뛰었습니다.' },
+    'genres.error.tooMany': '나만의 장르는 최대 {max}개까지 저장할 수 있습니다.',
+    'genres.error.invalidJson': '올바른 JSON 파일이 아닙니다.',
+    'genres.error.notGenres': '이 파일에는 Unfoldy 장르가 없습니다.',
+    'genres.error.suggestion': '그림 스타일 제안을 받지 못했습니다. 다시 시도해 주세요.',
+
+    // ─── Genre editor ───
+    'genreEditor.titleNew': '나만의 장르 만들기',
+    'genreEditor.titleEdit': '장르 편집',
+    'genreEditor.emoji': '이모지',
+    'genreEditor.name': '이름',
+    'genreEditor.namePlaceholder': '예: 솔라펑크',
+    'genreEditor.accent': '강조 색',
+    'genreEditor.description': '설명',
+    'genreEditor.descriptionPlaceholder': '장르 카드에 표시될 한 문장',
+    'genreEditor.notes': '분위기와 배경 메모 (선택)',
+    'genreEditor.notesPlaceholder': '예: 희망차고 공동체 중심적인, 자연으로 되돌아간 해안 도시',
+    'genreEditor.artStyle': '그림 스타일',
+    'genreEditor.artStylePlaceholder': '모든 그림에 쓰일 기법, 색감, 조명, 분위기',
+    'genreEditor.suggest': '✨ 그림 스타일 제안받기',
+    'genreEditor.suggesting': '생각하는 중…',
+    'genreEditor.save': '장르 저장',
+    'genreEditor.error.name': '장르 이름을 입력하세요.',
+    'genreEditor.error.description': '장르를 한 문장으로 설명하세요.',
+    'genreEditor.error.artStyle': '그림 스타일을 입력하세요 (또는 제안을 받아보세요).',
+
+    // ─── Library ───
+    'library.opening': '서재를 여는 중...',
+    'library.empty': '저장된 이야기가 없습니다. 이야기를 시작하면 여기에 표시됩니다.',
+    'library.error': '이 브라우저에서는 서재를 열 수 없습니다.',
+    'library.resumeError': '이 이야기를 열 수 없습니다.',
+    'library.finished': '완결',
+    'library.progress': '{turn}/{maxTurns}턴',
+    'library.read': '읽기',
+    'library.continue': '이어하기',
+    'library.rename': '이름 변경',
+    'library.delete': '삭제',
+    'library.deleteConfirm': '"{title}"을(를) 삭제할까요? 되돌릴 수 없습니다.',
+
+    // ─── Story arc phases ───
+    'phase.introduction': '발단',
+    'phase.rising': '전개',
+    'phase.climax': '절정',
+    'phase.falling': '하강',
+    'phase.conclusion': '결말',
+
+    // ─── Loading ───
+    'loading.0': '이야기의 실을 엮는 중...',
+    'loading.1': '장면을 그리는 중...',
+    'loading.2': '이야기가 펼쳐집니다...',
+    'loading.3': '당신의 운명을 빚는 중...',
+    'loading.4': '당신을 둘러싼 세계를 만드는 중...',
+    'loading.info': '{genre} · {maxTurns}턴 중 {turn}턴 · {phase}',
+
+    // ─── Story turn ───
+    'story.climaxMarker': '절정 · {turn}턴',
+    'story.quit': '이야기 종료',
+    'story.quitConfirm': '이 이야기를 나갈까요? 나중에 서재에서 이어서 할 수 있습니다.',
+    'story.defaultTitle': '{genre} 이야기',
+    'story.fallback.narrative': '이야기는 계속됩니다...',
+    'story.fallback.forward': '계속 앞으로 나아간다',
+    'story.fallback.lookAround': '주위를 둘러본다',
+    'story.fallback.otherPath': '다른 길로 간다',
+    'story.imageAlt': '이야기 장면 - {turn}턴',
+    'story.usedFallback': '⚡ 예비 AI 사용 중',
+    'story.repaired': '✎ 자동 수정됨',
+    'story.repairedHint': '첫 응답의 형식이 잘못되어 다시 생성했습니다',
+    'story.degraded': '⚠ 일부 응답 — 일부 내용이 빠졌을 수 있습니다',
+    'story.degradedHint': 'AI 응답을 완전히 복구하지 못했습니다',
+    'story.moderated': '🛡 {rating} 등급에 맞게 조정됨',
+    'story.moderatedHint': '이야기의 콘텐츠 등급에 맞게 이번 턴을 조정했습니다',
+    'story.actionPushedBack': '세계가 당신의 행동을 받아들이지 않았습니다.',
+    'story.choicesLabel': '무엇을 하시겠습니까?',
+    'story.keyboardHint': { other: '1–{count} 키로 선택 · Esc로 나가기' },
+    'story.explored': '↺ 탐험함',
+    'story.customActionPlaceholder': '또는 다른 행동을 하세요…',
+    'story.customActionSubmit': '실행',
+
+    'customAction.error.empty': '하고 싶은 행동을 적어 주세요.',
+    'customAction.error.tooLong': '{max}자 이내로 적어 주세요.',
+    'customAction.error.instructions': '이야기 속에서 캐릭터가 하는 행동을 적어 주세요.',
+
+    // ─── Narration ───
+    'narration.idle': '🔊 듣기',
+    'narration.loading': '⏳ 내레이터 준비 중…',
+    'narration.playing': '⏸ 일시정지',
+    'narration.paused': '▶ 이어 듣기',
+    'narration.unavailable': '이 브라우저에서는 내레이션을 사용할 수 없습니다.',
+
+    // ─── Sound ───
+    'sound.mute': '소리 끄기',
+    'sound.unmute': '소리 켜기',
+    'sound.volume': '음량',
+
+    // ─── Player stats ───
+    'stats.label': '내 능력치',
+    'stats.gameOver': '💀 {stat}이(가) 한계에 도달해 이야기가 일찍 끝났습니다.',
+    'stat.health': '체력',
+    'stat.sanity': '정신력',
+    'stat.resolve': '의지',
+    'stat.reputation': '평판',
+    'stat.credits': '크레딧',
+    'stat.heat': '수배도',
+    'stat.magic': '마력',
+    'stat.hull': '선체',
+    'stat.fuel': '연료',
+    'stat.suspicion': '의심',
+    'stat.supplies': '보급품',
+    'stat.radiation': '방사능',
+
+    // ─── Images ───
+    'image.painting': '장면을 그리는 중...',
+    'image.retry': '↻ 그림 다시 시도',
+
+    // ─── Story panels ───
+    'bible.title': '📖 스토리 바이블',
+    'bible.location': '장소',
+    'bible.characters': '등장인물',
+    'bible.inventory': '소지품',
+    'bible.threads': '사건의 실마리',
+
+    'appearance.title': '👤 등장인물',
+    'appearance.you': '나',
+    'appearance.hint': '변경 사항은 새 턴의 그림부터 적용됩니다. 외모를 비우면 이야기가 다시 묘사합니다.',
+    'appearance.edit': '✎ 외모 편집',
+
+    'map.title': { other: '🗺️ 스토리 맵 · 경로 {count}개' },
+    'map.hint': '아무 턴으로 되돌아가 다른 선택을 해보세요. 모든 갈래가 보존됩니다.',
+    'map.current': '현재 위치',
+    'map.rewind': '{turn}턴으로 되돌아가기',
+    'map.beginning': '시작',
+
+    // ─── Epilogue ───
+    'epilogue.theEnd': '끝',
+    'epilogue.title': '당신의 {genre} 이야기',
+    'epilogue.imageAlt': '이야기의 마지막 장면',
+    'epilogue.preparing': '준비 중...',
+    'epilogue.downloadHtml': '📄 스토리북 다운로드',
+    'epilogue.downloadEpub': '📚 EPUB 다운로드',
+    'epilogue.sharing': '공유 중...',
+    'epilogue.share': '🔗 공유 링크',
+    'epilogue.copy': '복사',
+    'epilogue.copied': '복사됨!',
+    'epilogue.exportError': '스토리북을 만들지 못했습니다. 다시 시도해 주세요.',
+    'epilogue.bookSubtitle': '{genre} 이야기 · Unfoldy',
+    'epilogue.bookContents': '목차',
+    'epilogue.shareError': '지금은 이야기를 공유할 수 없습니다. 다시 시도해 주세요.',
+    'epilogue.shareTooLarge': '이 이야기는 그림을 빼도 공유하기에 너무 깁니다.',
+    'epilogue.playAgain': '다시 플레이',
+
+    // ─── Endings ───
+    'ending.triumphant': '승리의 결말',
+    'ending.tragic': '비극적인 결말',
+    'ending.bittersweet': '씁쓸하고 달콤한 결말',
+    'ending.mysterious': '미스터리한 결말',
+    'ending.discovered': '✨ 새로운 결말 발견',
+    'ending.undiscovered': '아직 발견하지 못함',
+    'endings.found': '결말 {found}/{total}',
+    'endings.finished': { other: '완료한 이야기 {count}개' },
+
+    // ─── Recap ───
+    'recap.title': '당신의 여정',
+    'recap.turn': '{turn}턴',
+    'recap.ending': '결말',
+    'recap.chose': '선택: {choice}',
+    'recap.did': '행동: {choice}',
+    'recap.notTaken': '고르지 않은 선택: {choices}',
+    'recap.close': '닫기',
+    'recap.previous': '← 이전',
+    'recap.next': '다음 →',
+    'recap.synopsisLoading': '여정의 줄거리를 쓰는 중…',
+    'recap.synopsisFailed': '줄거리를 쓰지 못했습니다.',
+    'recap.retry': '↻ 다시 시도',
+
+    // ─── Shared stories ───
+    'shared.loadError': '이야기를 불러오지 못했습니다. 나중에 다시 시도해 주세요.',
+    'shared.missing': '존재하지 않거나 삭제된 이야기 링크입니다.',
+    'shared.opening': '이야기를 여는 중...',
+    'shared.startOwn': '나만의 이야기 시작하기',
+
+    // ─── Screen reader announcements ───
+    'a11y.loading': '{maxTurns}턴 중 {turn}턴을 쓰는 중…',
+    'a11y.turnReady': '{maxTurns}턴 중 {turn}턴이 준비되었습니다.',
+    'a11y.storyEnded': '이야기가 끝났습니다.',
+
+    // ─── Errors ───
+    'error.title': '⚠ 문제가 발생했습니다',
+    'error.rateLimited': '이야기꾼에게 휴식이 필요합니다. 지금은 사용 한도에 도달했습니다.',
+    'error.blocked': '이번 턴이 이야기의 콘텐츠 등급을 벗어났습니다. 다른 선택을 해 보세요.',
+    'error.timeout': '이야기꾼의 응답이 너무 오래 걸렸습니다. 다시 시도해 주세요.',
+    'error.unavailable': '이야기꾼에게 연결할 수 없습니다. 연결 상태를 확인하고 다시 시도해 주세요.',
+    'error.generic': '다음 턴을 쓰지 못했습니다. 다시 시도해 주세요.',
+    'error.rateLimitedTitle': '⏳ 잠시 후 다시 오세요',
+    'error.savedUntil': '이야기는 저장되었습니다. {time} 이후에 이어서 할 수 있습니다.',
+    'error.retry': '다시 시도',
+    'error.chooseDifferently': '다르게 선택하기',
+    'error.backToMenu': '메뉴로 돌아가기',
+  },
+};
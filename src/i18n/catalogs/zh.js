@@ -0,0 +1,271 @@
+/**
+ * 中文（简体）
+ */
+
+export default {
+  meta: {
+    code: 'zh',
+    name: '中文',
+    flag: '🇨🇳',
+    dir: 'ltr',
+    storyLanguage: '中文',
+  },
+  messages: {
+    // ─── Splash ───
+    'splash.subtitle': '故事随你展开',
+    'splash.treeAlt': '一棵长着展开纸叶的魔法树',
+
+    // ─── Menu ───
+    'menu.subtitle': '选择你的故事，塑造你的命运。',
+    'menu.language': '语言',
+    'menu.contentRating': '内容分级',
+    'menu.storyLength': '故事长度',
+    'menu.lengthOption': '{label} · {turns}',
+    'menu.customLength': '自定义…',
+    'menu.customLengthRange': '{min}-{max} 回合',
+    'menu.customLengthInvalid': '请选择 {min}-{max} 回合以开始故事',
+    'menu.prefetch': '即时选择',
+    'menu.prefetchHint': '在你阅读时为每个选项预先准备下一回合。会使用更多 AI 请求。',
+    'menu.narration': '朗读',
+    'menu.narrationHint': '朗读每个新回合。',
+    'menu.stats': '玩家属性',
+    'menu.statsHint': '记录生命值等会随你的选择增减的属性。某项达到极限时，故事会提前结束。',
+    'menu.reducedMotion': '减少动态效果',
+    'menu.reducedMotionHint': '关闭启动画面和淡入淡出动画。',
+    'menu.protagonistPlaceholder': '你的角色外貌（可选），例如：一位围着红围巾的高个子女人',
+    'menu.newStory': '新故事',
+    'menu.library': '继续 / 书库',
+
+    'rating.family': '全年龄',
+    'rating.teen': '青少年',
+    'rating.mature': '成人',
+
+    'length.short': '短篇',
+    'length.standard': '标准',
+    'length.long': '长篇',
+
+    'common.turns': { other: '{count} 回合' },
+    'common.save': '保存',
+    'common.cancel': '取消',
+
+    // ─── Genres ───
+    'genre.cyberpunk.name': '赛博朋克',
+    'genre.cyberpunk.description': '霓虹街道、黑客与巨型企业。',
+    'genre.fantasy.name': '奇幻',
+    'genre.fantasy.description': '古老魔法、史诗冒险与神话生物。',
+    'genre.horror.name': '恐怖',
+    'genre.horror.description': '黑暗的秘密、蔓延的恐惧与阴影中的存在。',
+    'genre.space-opera.name': '太空歌剧',
+    'genre.space-opera.description': '银河帝国、星舰与星际冲突。',
+    'genre.noir.name': '黑色悬疑',
+    'genre.noir.description': '雨湿的小巷、蛇蝎美人与冷硬派侦探。',
+    'genre.post-apocalyptic.name': '末日废土',
+    'genre.post-apocalyptic.description': '破碎的世界、绝望的幸存者与废墟中的希望。',
+
+    'genres.create': '创建你自己的类型',
+    'genres.createHint': '为类型命名，描述它的世界，并选择画风。',
+    'genres.edit': '编辑类型',
+    'genres.delete': '删除类型',
+    'genres.deleteConfirm': '删除类型“{name}”？',
+    'genres.import': '导入类型',
+    'genres.export': '导出我的类型',
+    'genres.imported': { other: '已导入 {count} 个类型。' },
+    'genres.skipped': { other: '跳过了 {count} 个。' },
+    'genres.error.tooMany': '最多可以保存 {max} 个自定义类型。',
+    'genres.error.invalidJson': '此文件不是有效的 JSON。',
+    'genres.error.notGenres': '此文件不包含 Unfoldy 类型。',
+    'genres.error.suggestion': '没有得到画风建议，请重试。',
+
+    // ─── Genre editor ───
+    'genreEditor.titleNew': '创建你自己的类型',
+    'genreEditor.titleEdit': '编辑类型',
+    'genreEditor.emoji': '表情',
+    'genreEditor.name': '名称',
+    'genreEditor.namePlaceholder': '例如：太阳朋克',
+    'genreEditor.accent': '强调色',
+    'genreEditor.description': '描述',
+    'genreEditor.descriptionPlaceholder': '显示在类型卡片上的一句话',
+    'genreEditor.notes': '基调与背景备注（可选）',
+    'genreEditor.notesPlaceholder': '例如：充满希望、重视社区，发生在回归自然的海滨城市',
+    'genreEditor.artStyle': '画风',
+    'genreEditor.artStylePlaceholder': '所有图片使用的媒介、配色、光照与氛围',
+    'genreEditor.suggest': '✨ 推荐一种画风',
+    'genreEditor.suggesting': '思考中…',
+    'genreEditor.save': '保存类型',
+    'genreEditor.error.name': '请为你的类型命名。',
+    'genreEditor.error.description': '请用一句话描述你的类型。',
+    'genreEditor.error.artStyle': '请添加画风（或请求推荐）。',
+
+    // ─── Library ───
+    'library.opening': '正在打开书库...',
+    'library.empty': '还没有保存的故事。开始一个故事后，它会出现在这里。',
+    'library.error': '无法在此浏览器中打开书库。',
+    'library.resumeError': '无法打开这个故事。',
+    'library.finished': '已完结',
+    'library.progress': '第 {turn}/{maxTurns} 回合',
+    'library.read': '阅读',
+    'library.continue': '继续',
+    'library.rename': '重命名',
+    'library.delete': '删除',
+    'library.deleteConfirm': '删除“{title}”？此操作无法撤销。',
+
+    // ─── Story arc phases ───
+    'phase.introduction': '开端',
+    'phase.rising': '发展',
+    'phase.climax': '高潮',
+    'phase.falling': '回落',
+    'phase.conclusion': '结局',
+
+    // ─── Loading ───
+    'loading.0': '正在编织叙事的丝线...',
+    'loading.1': '正在描绘场景...',
+    'loading.2': '故事正在展开...',
+    'loading.3': '正在塑造你的命运...',
+    'loading.4': '正在构建你周围的世界...',
+    'loading.info': '{genre} · 第 {turn}/{maxTurns} 回合 · {phase}',
+
+    // ─── Story turn ───
+    'story.climaxMarker': '高潮 · 第 {turn} 回合',
+    'story.quit': '退出故事',
+    'story.quitConfirm': '要离开这个故事吗？之后可以在书库中继续。',
+    'story.defaultTitle': '{genre}故事',
+    'story.fallback.narrative': '故事仍在继续……',
+    'story.fallback.forward': '继续前进',
+    'story.fallback.lookAround': '环顾四周',
+    'story.fallback.otherPath': '换一条路走',
+    'story.imageAlt': '故事场景 - 第 {turn} 回合',
+    'story.usedFallback': '⚡ 正在使用备用 AI',
+    'story.repaired': '✎ 已自动修正',
+    'story.repairedHint': '第一次响应格式有误，已重新生成',
+    'story.degraded': '⚠ 响应不完整 — 可能缺少部分细节',
+    'story.degradedHint': '无法完全修复 AI 的响应',
+    'story.moderated': '🛡 已按{rating}分级调整',
+    'story.moderatedHint': '此回合已按故事的内容分级进行调整',
+    'story.actionPushedBack': '世界抗拒了你的行动。',
+    'story.choicesLabel': '你要怎么做？',
+    'story.keyboardHint': { other: '按 1–{count} 选择 · 按 Esc 退出' },
+    'story.explored': '↺ 已探索',
+    'story.customActionPlaceholder': '或者做点别的…',
+    'story.customActionSubmit': '执行',
+
+    'customAction.error.empty': '请描述你想做的事。',
+    'customAction.error.tooLong': '请控制在 {max} 个字符以内。',
+    'customAction.error.instructions': '请描述你的角色在故事中做的事。',
+
+    // ─── Narration ───
+    'narration.idle': '🔊 收听',
+    'narration.loading': '⏳ 正在准备朗读…',
+    'narration.playing': '⏸ 暂停',
+    'narration.paused': '▶ 继续',
+    'narration.unavailable': '此浏览器不支持朗读。',
+
+    // ─── Sound ───
+    'sound.mute': '静音',
+    'sound.unmute': '取消静音',
+    'sound.volume': '音量',
+
+    // ─── Player stats ───
+    'stats.label': '你的属性',
+    'stats.gameOver': '💀 {stat}达到极限，你的故事提前结束了。',
+    'stat.health': '生命',
+    'stat.sanity': '理智',
+    'stat.resolve': '意志',
+    'stat.reputation': '声望',
+    'stat.credits': '信用点',
+    'stat.heat': '通缉度',
+    'stat.magic': '魔力',
+    'stat.hull': '船体',
+    'stat.fuel': '燃料',
+    'stat.suspicion': '怀疑',
+    'stat.supplies': '补给',
+    'stat.radiation': '辐射',
+
+    // ─── Images ───
+    'image.painting': '正在描绘此场景...',
+    'image.retry': '↻ 重试图片',
+
+    // ─── Story panels ───
+    'bible.title': '📖 故事设定集',
+    'bible.location': '地点',
+    'bible.characters': '角色',
+    'bible.inventory': '物品',
+    'bible.threads': '情节线索',
+
+    'appearance.title': '👤 角色',
+    'appearance.you': '你',
+    'appearance.hint': '修改会应用到新回合的图片。清空外貌后，故事会重新描述它。',
+    'appearance.edit': '✎ 编辑外貌',
+
+    'map.title': { other: '🗺️ 故事地图 · {count} 条路线' },
+    'map.hint': '回到任意回合，尝试不同的选择。每条分支都会保留。',
+    'map.current': '你在这里',
+    'map.rewind': '回到第 {turn} 回合',
+    'map.beginning': '开始',
+
+    // ─── Epilogue ───
+    'epilogue.theEnd': '完',
+    'epilogue.title': '你的{genre}故事',
+    'epilogue.imageAlt': '故事尾声场景',
+    'epilogue.preparing': '准备中...',
+    'epilogue.downloadHtml': '📄 下载故事书',
+    'epilogue.downloadEpub': '📚 下载 EPUB',
+    'epilogue.sharing': '分享中...',
+    'epilogue.share': '🔗 分享链接',
+    'epilogue.copy': '复制',
+    'epilogue.copied': '已复制！',
+    'epilogue.exportError': '无法生成你的故事书，请重试。',
+    'epilogue.bookSubtitle': '一个{genre}故事 · Unfoldy',
+    'epilogue.bookContents': '目录',
+    'epilogue.shareError': '现在无法分享你的故事，请重试。',
+    'epilogue.shareTooLarge': '这个故事太长了，即使去掉图片也无法分享。',
+    'epilogue.playAgain': '再玩一次',
+
+    // ─── Endings ───
+    'ending.triumphant': '凯旋结局',
+    'ending.tragic': '悲剧结局',
+    'ending.bittersweet': '苦乐参半的结局',
+    'ending.mysterious': '神秘结局',
+    'ending.discovered': '✨ 发现新结局',
+    'ending.undiscovered': '尚未发现',
+    'endings.found': '结局 {found}/{total}',
+    'endings.finished': { other: '已完成 {count} 个故事' },
+
+    // ─── Recap ───
+    'recap.title': '你的旅程',
+    'recap.turn': '第 {turn} 回合',
+    'recap.ending': '结局',
+    'recap.chose': '你的选择：{choice}',
+    'recap.did': '你的行动：{choice}',
+    'recap.notTaken': '未选择：{choices}',
+    'recap.close': '关闭',
+    'recap.previous': '← 上一页',
+    'recap.next': '下一页 →',
+    'recap.synopsisLoading': '正在撰写你的旅程梗概…',
+    'recap.synopsisFailed': '无法生成梗概。',
+    'recap.retry': '↻ 重试',
+
+    // ─── Shared stories ───
+    'shared.loadError': '无法加载此故事，请稍后再试。',
+    'shared.missing': '此故事链接不存在或已被删除。',
+    'shared.opening': '正在打开故事...',
+    'shared.startOwn': '开始你自己的故事',
+
+    // ─── Screen reader announcements ───
+    'a11y.loading': '正在撰写第 {turn}/{maxTurns} 回合…',
+    'a11y.turnReady': '第 {turn}/{maxTurns} 回合已就绪。',
+    'a11y.storyEnded': '故事已经结束。',
+
+    // ─── Errors ───
+    'error.title': '⚠ 出了点问题',
+    'error.rateLimited': '讲述者需要休息一下——你暂时已达到使用上限。',
+    'error.blocked': '这一回合超出了故事的内容分级。请尝试其他选择。',
+    'error.timeout': '讲述者响应时间过长，请重试。',
+    'error.unavailable': '无法连接到讲述者。请检查网络连接后重试。',
+    'error.generic': '无法写出下一回合，请重试。',
+    'error.rateLimitedTitle': '⏳ 请稍后再来',
+    'error.savedUntil': '你的故事已保存，{time} 之后可以继续。',
+    'error.retry': '重试',
+    'error.chooseDifferently': '换个选择',
+    'error.backToMenu': '返回菜单',
+  },
+};
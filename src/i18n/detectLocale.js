@@ -0,0 +1,51 @@
+/**
+ * Locale persistence and negotiation.
+ *
+ * The player's explicit choice wins; otherwise the browser's preferred
+ * languages (navigator.languages) are matched against the catalogs, all
+ * locally — nothing about the player is sent anywhere.
+ */
+
+import { LOCALES, FALLBACK_LOCALE, isSupportedLocale } from './locales';
+
+const LOCALE_KEY = 'unfoldy-locale';
+
+/**
+ * The language the player picked earlier, or null.
+ */
+export function getStoredLocale() {
+  const code = localStorage.getItem(LOCALE_KEY);
+  return isSupportedLocale(code) ? code : null;
+}
+
+export function storeLocale(code) {
+  localStorage.setItem(LOCALE_KEY, code);
+}
+
+/**
+ * Pick the supported locale that best matches a list of BCP 47 tags, in the
+ * list's order of preference. A tag matches a catalog exactly or by its
+ * primary language ('es-MX' → 'es', 'zh-Hant-TW' → 'zh').
+ * @param {readonly string[]} requested - e.g. navigator.languages
+ * @returns {string} A supported locale code (FALLBACK_LOCALE when none match)
+ */
+export function negotiateLocale(requested = []) {
+  const codes = Object.keys(LOCALES);
+  for (const tag of requested) {
+    const normalized = String(tag).toLowerCase();
+    const exact = codes.find((code) => code.toLowerCase() === normalized);
+    if (exact) return exact;
+    const language = normalized.split('-')[0];
+    const partial = codes.find((code) => code.toLowerCase().split('-')[0] === language);
+    if (partial) return partial;
+  }
+  return FALLBACK_LOCALE;
+}
+
+/**
+ * The browser's best match among the catalogs.
+ */
+export function detectBrowserLocale() {
+  const languages = navigator.languages?.length ? navigator.languages : [navigator.language];
+  return negotiateLocale(languages.filter(Boolean));
+}
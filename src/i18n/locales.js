@@ -0,0 +1,47 @@
+/**
+ * Locale registry — every UI language Unfoldy ships.
+ *
+ * Adding a language means adding a catalog under ./catalogs and listing it
+ * here. A catalog default-exports:
+ *   {
+ *     meta: {
+ *       code,                 // BCP 47 tag, also used for <html lang> and Intl
+ *       name, flag,           // shown in the language switcher
+ *       dir: 'ltr' | 'rtl',   // layout direction
+ *       storyLanguage,        // what the story prompts ask the model to write in
+ *     },
+ *     messages: { 'dotted.key': 'text with {params}' | { one, other, … } },
+ *   }
+ * Missing messages fall back to English (see translate.js).
+ */
+
+import ko from './catalogs/ko';
+import en from './catalogs/en';
+import ja from './catalogs/ja';
+import es from './catalogs/es';
+import zh from './catalogs/zh';
+import ar from './catalogs/ar';
+
+// In switcher order
+const CATALOGS = [ko, en, ja, es, zh, ar];
+
+export const LOCALES = Object.fromEntries(CATALOGS.map((catalog) => [catalog.meta.code, catalog]));
+
+export const LOCALE_LIST = CATALOGS.map((catalog) => catalog.meta);
+
+// Where missing messages are looked up, and the UI language when none of
+// the browser's preferred languages has a catalog
+export const FALLBACK_LOCALE = 'en';
+
+export function isSupportedLocale(code) {
+  return Object.hasOwn(LOCALES, code);
+}
+
+/**
+ * Locale of a story's language (stories store the name the prompts used,
+ * e.g. '한국어'). Falls back to English for languages no catalog covers.
+ * @returns {object} The locale's meta
+ */
+export function localeForStoryLanguage(storyLanguage) {
+  return LOCALE_LIST.find((meta) => meta.storyLanguage === storyLanguage) || LOCALES[FALLBACK_LOCALE].meta;
+}
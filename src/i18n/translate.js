@@ -0,0 +1,60 @@
+/**
+ * Message lookup with interpolation and plural rules.
+ *
+ * Messages may contain `{name}` placeholders filled from `params`. A message
+ * can also be an object of Intl.PluralRules categories ({ zero, one, two,
+ * few, many, other }); the category is picked by `params.count`.
+ */
+
+import { LOCALES, FALLBACK_LOCALE } from './locales';
+
+const pluralRules = new Map();
+
+function pluralCategory(code, count) {
+  if (!pluralRules.has(code)) pluralRules.set(code, new Intl.PluralRules(code));
+  return pluralRules.get(code).select(count);
+}
+
+function lookup(code, key) {
+  return LOCALES[code]?.messages[key] ?? LOCALES[FALLBACK_LOCALE].messages[key];
+}
+
+function formatParam(code, value) {
+  return typeof value === 'number' ? value.toLocaleString(code) : String(value);
+}
+
+/**
+ * Whether any catalog defines `key` for this locale (or the fallback).
+ */
+export function hasMessage(code, key) {
+  return lookup(code, key) !== undefined;
+}
+
+/**
+ * A genre's display name: built-in genres are translated, custom ones keep
+ * their name as typed.
+ */
+export function genreDisplayName(code, genreId, name) {
+  const key = `genre.${genreId}.name`;
+  return hasMessage(code, key) ? createTranslator(code)(key) : name;
+}
+
+/**
+ * Create the `t(key, params)` function for a locale. Unknown keys render as
+ * the key itself so they are easy to spot.
+ */
+export function createTranslator(code) {
+  return function t(key, params = {}) {
+    let message = lookup(code, key);
+    if (message === undefined) {
+      console.warn(`[i18n] Missing message "${key}"`);
+      return key;
+    }
+    if (typeof message === 'object') {
+      message = message[pluralCategory(code, params.count ?? 0)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] === undefined ? match : formatParam(code, params[name])
+    );
+  };
+}
@@ -0,0 +1,13 @@
+import { useContext } from 'react';
+import { I18nContext } from './context';
+
+/**
+ * The UI language: { locale, meta, t, setLocale, genreName }.
+ */
+export function useI18n() {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used within an I18nProvider');
+  }
+  return context;
+}
@@ -1,13 +1,28 @@
 import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
 import { GameProvider } from './store/useGameStore';
+import { I18nProvider } from './i18n/I18nProvider';
+import { getSharedStoryId } from './services/shareService';
+import { applyMotionPreference } from './services/motion';
 import App from './App';
+import SharedStoryViewer from './components/SharedStoryViewer';
 import './index.css';
 
+// Share links (/s/<id>) open a read-only viewer instead of the game
+const sharedStoryId = getSharedStoryId();
+
+applyMotionPreference();
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <GameProvider>
-      <App />
-    </GameProvider>
+    <I18nProvider>
+      {sharedStoryId ? (
+        <SharedStoryViewer storyId={sharedStoryId} />
+      ) : (
+        <GameProvider>
+          <App />
+        </GameProvider>
+      )}
+    </I18nProvider>
   </StrictMode>
 );
@@ -0,0 +1,77 @@
+/**
+ * Moderation configuration — classifier chain and content ratings.
+ *
+ * Scores are 0–1 per category (see rules.js). For each rating, a category
+ * scoring at or above `soften` is toned down (the prompt gets the rating's
+ * guidance, or generated text is regenerated), and at or above `block` the
+ * request is refused. `sexual/minors` is always blocked.
+ *
+ *   MODERATION_CLASSIFIERS         comma-separated chain, e.g. "openai,local" (default "local")
+ *   MODERATION_DEFAULT_RATING      rating used when a request sends none (default "teen")
+ *   MODERATION_MAX_REGENERATIONS   rewrites of flagged output before giving up (default 1)
+ *   MODERATION_TIMEOUT_MS          per classifier call (default 5000)
+ *
+ * Dev mode reads the same names with a VITE_ prefix, like the provider config.
+ */
+
+export const MODERATION_CATEGORIES = ['violence', 'sexual', 'sexual/minors', 'self-harm', 'hate', 'harassment'];
+
+export const CONTENT_RATINGS = {
+  family: {
+    // A single "blood" or "kill" (0.4) is fine; gore and torture are rewritten
+    soften: 0.45,
+    block: 0.75,
+    guidance:
+      'Keep everything suitable for all ages: danger and conflict without injuries described, no blood or gore, no romance beyond friendship, no cruelty or slurs.',
+    imageGuidance: 'family-friendly, gentle, no blood, no weapons in use, fully clothed characters',
+  },
+  teen: {
+    soften: 0.6,
+    block: 0.9,
+    guidance:
+      'Keep the story suitable for teenagers: action and peril are fine, but no graphic gore, no sexual content, no detailed self-harm and no hateful language.',
+    imageGuidance: 'non-graphic, no gore, fully clothed characters',
+  },
+  mature: {
+    soften: 0.85,
+    block: 1,
+    guidance:
+      'Mature themes are allowed, but never write explicit sexual content or linger on gratuitous gore.',
+    imageGuidance: 'tasteful, non-explicit',
+  },
+};
+
+// Categories with a fixed block threshold regardless of rating. High enough
+// that a classifier's background noise on innocent text does not refuse it.
+export const ALWAYS_BLOCK = { 'sexual/minors': 0.5 };
+
+export const DEFAULT_MODERATION_CONFIG = {
+  chain: ['local'],
+  defaultRating: 'teen',
+  maxRegenerations: 1,
+  timeoutMs: 5000,
+  models: {
+    openai: 'omni-moderation-latest',
+  },
+};
+
+/**
+ * Merge environment overrides onto the defaults.
+ * @param {Record<string, string|undefined>} env - process.env or import.meta.env
+ * @param {string} [prefix] - Variable prefix, e.g. 'VITE_' in dev mode
+ */
+export function resolveModerationConfig(env = {}, prefix = '') {
+  const read = (name) => env[`${prefix}${name}`];
+  const chain = (read('MODERATION_CLASSIFIERS') || '').split(',').map((id) => id.trim()).filter(Boolean);
+  const rating = read('MODERATION_DEFAULT_RATING');
+  const regenerations = Number(read('MODERATION_MAX_REGENERATIONS'));
+  const timeoutMs = Number(read('MODERATION_TIMEOUT_MS'));
+
+  return {
+    ...DEFAULT_MODERATION_CONFIG,
+    chain: chain.length > 0 ? chain : DEFAULT_MODERATION_CONFIG.chain,
+    defaultRating: CONTENT_RATINGS[rating] ? rating : DEFAULT_MODERATION_CONFIG.defaultRating,
+    maxRegenerations: Number.isInteger(regenerations) && regenerations >= 0 ? regenerations : DEFAULT_MODERATION_CONFIG.maxRegenerations,
+    timeoutMs: timeoutMs > 0 ? timeoutMs : DEFAULT_MODERATION_CONFIG.timeoutMs,
+  };
+}
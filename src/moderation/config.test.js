@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { resolveModerationConfig, CONTENT_RATINGS, ALWAYS_BLOCK, DEFAULT_MODERATION_CONFIG } from './config.js';
+import { decideModeration, resolveRating } from './moderation.js';
+
+describe('resolveModerationConfig', () => {
+  it('uses the defaults without overrides', () => {
+    expect(resolveModerationConfig({})).toEqual(DEFAULT_MODERATION_CONFIG);
+  });
+
+  it('reads overrides, with the VITE_ prefix in dev mode', () => {
+    const config = resolveModerationConfig(
+      {
+        VITE_MODERATION_CLASSIFIERS: ' openai , local ',
+        VITE_MODERATION_DEFAULT_RATING: 'family',
+        VITE_MODERATION_MAX_REGENERATIONS: '2',
+        VITE_MODERATION_TIMEOUT_MS: '3000',
+      },
+      'VITE_'
+    );
+    expect(config).toMatchObject({ chain: ['openai', 'local'], defaultRating: 'family', maxRegenerations: 2, timeoutMs: 3000 });
+  });
+
+  it('ignores invalid values', () => {
+    const config = resolveModerationConfig({
+      MODERATION_DEFAULT_RATING: 'extreme',
+      MODERATION_MAX_REGENERATIONS: '-1',
+      MODERATION_TIMEOUT_MS: 'soon',
+    });
+    expect(config).toMatchObject({ defaultRating: 'teen', maxRegenerations: 1, timeoutMs: 5000 });
+  });
+});
+
+describe('content ratings', () => {
+  const decide = (categories, rating) => decideModeration({ categories, classifier: 'test' }, rating).action;
+
+  it('get stricter from mature to family', () => {
+    const ratings = ['family', 'teen', 'mature'].map((id) => CONTENT_RATINGS[id]);
+    for (let i = 1; i < ratings.length; i++) {
+      expect(ratings[i].soften).toBeGreaterThan(ratings[i - 1].soften);
+      expect(ratings[i].block).toBeGreaterThan(ratings[i - 1].block);
+    }
+  });
+
+  it('soften at and block at their thresholds', () => {
+    const { soften, block } = CONTENT_RATINGS.teen;
+    expect(decide({ violence: soften - 0.01 }, 'teen')).toBe('allow');
+    expect(decide({ violence: soften }, 'teen')).toBe('soften');
+    expect(decide({ violence: block }, 'teen')).toBe('block');
+  });
+
+  it('block sexual content involving minors below every rating threshold', () => {
+    for (const rating of Object.keys(CONTENT_RATINGS)) {
+      expect(decide({ 'sexual/minors': ALWAYS_BLOCK['sexual/minors'] }, rating)).toBe('block');
+    }
+  });
+
+  it('fall back to the default rating for unknown ones', () => {
+    expect(resolveRating('extreme', DEFAULT_MODERATION_CONFIG)).toBe('teen');
+    expect(resolveRating('mature', DEFAULT_MODERATION_CONFIG)).toBe('mature');
+  });
+});
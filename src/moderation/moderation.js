@@ -0,0 +1,269 @@
+/**
+ * Moderation — classifies what goes into and comes out of the provider
+ * chain, and decides per content rating whether to allow, soften,
+ * regenerate or block it.
+ *
+ * Used by the serverless functions (api/) and by dev mode (geminiService),
+ * so both moderate the same way. Classifiers share one shape:
+ *   {
+ *     id: 'local',              // name used in MODERATION_CLASSIFIERS and logs
+ *     keyName: 'openai' | null, // which API key it needs (null = none)
+ *     classify(text, settings) → Promise<{ [category]: score 0–1 }>
+ *   }
+ *
+ * The result sent to the client:
+ *   {
+ *     rating: 'family' | 'teen' | 'mature',
+ *     input:  { action: 'allow'|'soften'|'block', categories, classifier },  // classifier null: no input
+ *     output: { action, categories, classifier } | null,   // null for images and speech
+ *     regenerations: number,
+ *   }
+ */
+
+import { runProviderChain } from '../providers/registry.js';
+import { CONTENT_RATINGS, ALWAYS_BLOCK } from './config.js';
+import { localClassifier } from './rules.js';
+import { openaiClassifier } from './openai.js';
+
+const CLASSIFIERS = {};
+
+/**
+ * Register a classifier so it can be referenced by id in the chain.
+ */
+export function registerClassifier(classifier) {
+  CLASSIFIERS[classifier.id] = classifier;
+}
+
+[localClassifier, openaiClassifier].forEach(registerClassifier);
+
+/**
+ * Classify text with the first classifier in the chain that succeeds.
+ * The local rule engine is the last resort, so moderation never fails open.
+ * @returns {Promise<{categories: object, classifier: string}>}
+ */
+export async function classifyContent(text, { config, keys, logPrefix = '[moderation]' }) {
+  for (const id of config.chain) {
+    const classifier = CLASSIFIERS[id];
+    if (!classifier) {
+      console.warn(`${logPrefix} Unknown classifier "${id}" in chain, skipping`);
+      continue;
+    }
+    if (classifier.keyName && !keys[classifier.keyName]) continue;
+
+    try {
+      const categories = await classifier.classify(text, {
+        model: config.models[id],
+        timeoutMs: config.timeoutMs,
+        apiKey: classifier.keyName ? keys[classifier.keyName] : null,
+      });
+      return { categories, classifier: id };
+    } catch (err) {
+      console.warn(`${logPrefix} Classifier ${id} failed: ${err.message}`);
+    }
+  }
+
+  return { categories: await localClassifier.classify(text), classifier: localClassifier.id };
+}
+
+/**
+ * Decide what to do with classified content under a content rating.
+ * @returns {{action: 'allow'|'soften'|'block', categories: object, classifier: string}}
+ *   `categories` only lists the scores that triggered the action
+ */
+export function decideModeration({ categories, classifier }, rating) {
+  const limits = CONTENT_RATINGS[rating];
+  let action = 'allow';
+  const triggered = {};
+
+  for (const [category, score] of Object.entries(categories)) {
+    const block = ALWAYS_BLOCK[category] ?? limits.block;
+    if (score >= block) {
+      action = 'block';
+      triggered[category] = score;
+    } else if (score >= limits.soften) {
+      if (action === 'allow') action = 'soften';
+      triggered[category] = score;
+    }
+  }
+
+  return { action, categories: triggered, classifier };
+}
+
+/**
+ * Error thrown when content is blocked. Carries an HTTP status and the
+ * structured moderation result so handlers can pass both to the client.
+ */
+export class ModerationError extends Error {
+  constructor(stage, decision, rating) {
+    super(`This ${stage === 'input' ? 'request' : 'content'} is not allowed at the "${rating}" content rating.`);
+    this.name = 'ModerationError';
+    this.status = 422;
+    this.moderation = { rating, stage, ...decision };
+  }
+}
+
+/**
+ * The rating to apply: the session's own if it names a known rating, else the default.
+ */
+export function resolveRating(rating, config) {
+  return CONTENT_RATINGS[rating] ? rating : config.defaultRating;
+}
+
+function softenPrompt(kind, prompt, rating, decision) {
+  const { guidance, imageGuidance } = CONTENT_RATINGS[rating];
+  if (kind === 'image') return `${prompt}, ${imageGuidance}`;
+  return `${prompt}
+
+**CONTENT RATING (${rating}):** ${guidance} The player's input touches on: ${Object.keys(decision.categories).join(', ')}. Handle these with restraint.`;
+}
+
+function regeneratePrompt(prompt, rating, decision) {
+  return `${prompt}
+
+**CONTENT RATING (${rating}):** ${CONTENT_RATINGS[rating].guidance}
+Your previous response was rejected by content moderation (${Object.keys(decision.categories).join(', ')}). Write the turn again so it stays within this rating, in the exact same format.`;
+}
+
+/**
+ * What a request's input moderation looks at. A text prompt is mostly fixed
+ * instructions and story text that already passed output moderation, which
+ * trips keyword rules on every turn of a dark story — so when the caller
+ * names the player's own new words (`request.input`: a choice, a typed
+ * action, a custom genre) only those are classified. The prompt is built by
+ * the client, so a text request without them is classified whole, like
+ * image prompts and speech text.
+ */
+function inputText(kind, request) {
+  return (kind === 'text' && request.input) || request.prompt;
+}
+
+// Streamed text is checked and passed on in chunks of about this many
+// characters, cut after the last sentence break
+const STREAM_CHUNK_CHARS = 240;
+
+function sentenceEnd(text) {
+  return text.match(/^[\s\S]*[.!?。！？\n]/)?.[0].length || 0;
+}
+
+/**
+ * Hold streamed deltas back until they pass output moderation, so text over
+ * the rating never reaches the player. Each chunk is classified on its own
+ * once complete; after a flagged chunk nothing more is passed on, and the
+ * final output (regenerated or blocked) takes over.
+ * @param {(text: string) => void} onDelta - The request's own callback
+ * @param {(chunk: string) => Promise<boolean>} isAllowed
+ */
+function gateDeltas(onDelta, isAllowed) {
+  let pending = '';
+  let flagged = false;
+  let queue = Promise.resolve();
+
+  const check = (chunk) => {
+    queue = queue.then(async () => {
+      if (flagged) return;
+      if (await isAllowed(chunk)) onDelta(chunk);
+      else flagged = true;
+    });
+  };
+
+  return {
+    push(text) {
+      pending += text;
+      const end = sentenceEnd(pending);
+      // Text without a sentence break is cut anyway once it grows too long
+      const cut = end >= STREAM_CHUNK_CHARS ? end : pending.length >= 3 * STREAM_CHUNK_CHARS ? pending.length : 0;
+      if (!cut) return;
+      check(pending.slice(0, cut));
+      pending = pending.slice(cut);
+    },
+    /**
+     * Pass on what is left once the whole output was allowed, or drop it.
+     * Resolves when no more deltas will be sent.
+     */
+    async finish(allowed) {
+      if (!allowed) flagged = true;
+      await queue;
+      if (!flagged && pending) onDelta(pending);
+      flagged = true;
+    },
+  };
+}
+
+/**
+ * Run the provider chain with moderation around it:
+ *   1. the input (see inputText) is classified — blocked, or softened with the rating's guidance;
+ *   2. generated text is classified — flagged output is regenerated (without
+ *      streaming) up to `maxRegenerations` times, then blocked if still over
+ *      the block threshold. Streamed deltas reach `onDelta` only in chunks
+ *      that passed classification (see gateDeltas).
+ * Image output is not classified here; the image providers apply their own
+ * safety filters, and the softened prompt keeps requests within the rating.
+ * Speech reads its text word for word, so it is never softened — text over
+ * the rating is blocked, everything else is read as is.
+ *
+ * @param {'text'|'image'|'speech'} kind
+ * @param {{prompt: string, input?: string, onDelta?: Function, signal?: AbortSignal}} request
+ * @param {{config: object, keys: object, moderation: object, rating?: string, logPrefix?: string}} options
+ * @returns {Promise<{output: string, provider: string, usedFallback: boolean, moderation: object}>}
+ * @throws {ModerationError} when the input or the final output is blocked
+ */
+export async function runModeratedChain(kind, request, options) {
+  const { moderation: config, keys, logPrefix = '[moderation]' } = options;
+  const rating = resolveRating(options.rating, config);
+  const classifyOptions = { config, keys, logPrefix };
+
+  const text = inputText(kind, request);
+  const input = decideModeration(await classifyContent(text, classifyOptions), rating);
+  if (input.action === 'block') {
+    console.warn(`${logPrefix} Blocked ${kind} input (${rating}): ${JSON.stringify(input.categories)}`);
+    throw new ModerationError('input', input, rating);
+  }
+
+  const prompt =
+    input.action === 'soften' && kind !== 'speech' ? softenPrompt(kind, request.prompt, rating, input) : request.prompt;
+  const gate =
+    kind === 'text' && request.onDelta
+      ? gateDeltas(request.onDelta, async (chunk) => {
+          const decision = decideModeration(await classifyContent(chunk, classifyOptions), rating);
+          if (decision.action !== 'allow') {
+            console.warn(`${logPrefix} Holding back flagged streamed output: ${JSON.stringify(decision.categories)}`);
+          }
+          return decision.action === 'allow';
+        })
+      : null;
+
+  let result;
+  try {
+    result = await runProviderChain(kind, { ...request, prompt, ...(gate && { onDelta: gate.push }) }, options);
+  } catch (err) {
+    await gate?.finish(false);
+    throw err;
+  }
+
+  if (kind !== 'text') {
+    return { ...result, moderation: { rating, input, output: null, regenerations: 0 } };
+  }
+
+  let output = decideModeration(await classifyContent(result.output, classifyOptions), rating);
+  let regenerations = 0;
+  try {
+    while (output.action !== 'allow' && regenerations < config.maxRegenerations) {
+      regenerations++;
+      console.warn(`${logPrefix} Regenerating flagged output (${regenerations}/${config.maxRegenerations}): ${JSON.stringify(output.categories)}`);
+      result = await runProviderChain(kind, { prompt: regeneratePrompt(prompt, rating, output), signal: request.signal }, options);
+      output = decideModeration(await classifyContent(result.output, classifyOptions), rating);
+    }
+  } catch (err) {
+    await gate?.finish(false);
+    throw err;
+  }
+  // A regenerated output is not streamed; the caller gets it whole
+  await gate?.finish(regenerations === 0 && output.action === 'allow');
+
+  if (output.action === 'block') {
+    console.warn(`${logPrefix} Blocked ${kind} output (${rating}): ${JSON.stringify(output.categories)}`);
+    throw new ModerationError('output', output, rating);
+  }
+
+  return { ...result, moderation: { rating, input, output, regenerations } };
+}
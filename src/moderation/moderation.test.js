@@ -0,0 +1,167 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { localClassifier } from './rules.js';
+import { decideModeration, runModeratedChain } from './moderation.js';
+import { resolveModerationConfig } from './config.js';
+import { registerProvider } from '../providers/registry.js';
+import { resolveProviderConfig } from '../providers/config.js';
+
+const classify = (text) => localClassifier.classify(text);
+const decide = async (text, rating) => decideModeration({ categories: await classify(text), classifier: 'local' }, rating);
+
+describe('local classifier', () => {
+  it('flags minors and sexual content only within one sentence', async () => {
+    expect(await classify('The children fled the burning inn. Later, the two lovers undressed and had sex.')).not.toHaveProperty(
+      'sexual/minors'
+    );
+    expect(await classify('The children were naked.')).toHaveProperty('sexual/minors', 1);
+  });
+
+  it('treats escaped line breaks in streamed JSON as sentence breaks', async () => {
+    expect(await classify('"A kid waved\\nThey were naked in the river"')).not.toHaveProperty('sexual/minors');
+  });
+});
+
+describe('decideModeration', () => {
+  it('lets a single mention of blood or killing through at the family rating', async () => {
+    expect((await decide('There was blood on the floor.', 'family')).action).toBe('allow');
+    expect((await decide('The guard was killed.', 'family')).action).toBe('allow');
+  });
+
+  it('still softens gore and blocks graphic violence at the family rating', async () => {
+    expect((await decide('The torture chamber was gory.', 'family')).action).toBe('soften');
+    expect((await decide('The knight was decapitated.', 'family')).action).toBe('block');
+  });
+
+  it('blocks sexual content involving minors at every rating', async () => {
+    expect((await decide('The schoolgirl was naked.', 'mature')).action).toBe('block');
+  });
+});
+
+describe('runModeratedChain', () => {
+  const outputs = [];
+  const prompts = [];
+  registerProvider({
+    id: 'scripted',
+    kind: 'text',
+    keyName: null,
+    async generate({ prompt }) {
+      prompts.push(prompt);
+      return outputs.shift();
+    },
+  });
+
+  const options = {
+    config: resolveProviderConfig({ TEXT_PROVIDERS: 'scripted' }),
+    keys: {},
+    moderation: resolveModerationConfig({}),
+    rating: 'family',
+    logPrefix: '[test]',
+  };
+
+  beforeEach(() => {
+    outputs.length = 0;
+    prompts.length = 0;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('classifies the player input, not the story text in the prompt', async () => {
+    outputs.push('The knight rode home.');
+    const prompt = 'STORY SO FAR: the knight was decapitated. The player chose: "Ride home"';
+    const { output, moderation } = await runModeratedChain('text', { prompt, input: 'Ride home' }, options);
+
+    expect(output).toBe('The knight rode home.');
+    expect(moderation.input.action).toBe('allow');
+    expect(prompts).toEqual([prompt]);
+  });
+
+  it('classifies the whole prompt when there is no player input', async () => {
+    await expect(runModeratedChain('text', { prompt: 'Describe how the knight was decapitated.' }, options)).rejects.toMatchObject({
+      status: 422,
+      moderation: { stage: 'input' },
+    });
+    expect(prompts).toEqual([]);
+  });
+
+  it('blocks player input over the rating', async () => {
+    await expect(runModeratedChain('text', { prompt: 'x', input: 'Decapitate the guard' }, options)).rejects.toMatchObject({
+      status: 422,
+      moderation: { stage: 'input' },
+    });
+  });
+
+  it('regenerates flagged output', async () => {
+    outputs.push('The torture was gory.', 'The guard looked away.');
+    const { output, moderation } = await runModeratedChain('text', { prompt: 'x', input: 'Sneak past' }, options);
+    expect(output).toBe('The guard looked away.');
+    expect(moderation.regenerations).toBe(1);
+  });
+});
+
+describe('runModeratedChain streaming', () => {
+  const options = {
+    config: resolveProviderConfig({ TEXT_PROVIDERS: 'scripted' }),
+    keys: {},
+    moderation: resolveModerationConfig({}),
+    rating: 'teen',
+    logPrefix: '[test]',
+  };
+  const calm = 'The lantern swings in the wind while the road winds on through the hills. '.repeat(6);
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('passes allowed text on in full', async () => {
+    registerProvider({ id: 'scripted', kind: 'text', keyName: null, generate: streamOutputs([calm]) });
+    const deltas = [];
+    const { output } = await runModeratedChain('text', { prompt: 'x', onDelta: (d) => deltas.push(d) }, options);
+
+    expect(deltas.join('')).toBe(output);
+    expect(deltas.length).toBeGreaterThan(1);
+  });
+
+  it('never sends flagged text, and hands back the regenerated output instead', async () => {
+    const flagged = `${calm}Then the torture began, and it was gory beyond words. ${calm}`;
+    registerProvider({ id: 'scripted', kind: 'text', keyName: null, generate: streamOutputs([flagged, calm]) });
+    const deltas = [];
+    const { output } = await runModeratedChain('text', { prompt: 'x', onDelta: (d) => deltas.push(d) }, options);
+
+    expect(deltas.join('')).not.toMatch(/torture|gory/);
+    expect(calm.startsWith(deltas.join(''))).toBe(true);
+    expect(output).toBe(calm);
+  });
+
+  it('sends nothing more once the output is blocked', async () => {
+    const blocked = `${calm}The prisoner was slowly dismembered.`;
+    registerProvider({ id: 'scripted', kind: 'text', keyName: null, generate: streamOutputs([blocked, blocked]) });
+    const deltas = [];
+    await expect(runModeratedChain('text', { prompt: 'x', onDelta: (d) => deltas.push(d) }, options)).rejects.toMatchObject({
+      moderation: { stage: 'output' },
+    });
+    expect(deltas.join('')).not.toMatch(/dismembered/);
+  });
+
+  it('sends nothing more when the regeneration fails', async () => {
+    const flagged = `${calm}Then the torture began, and it was gory beyond words.`;
+    const stream = streamOutputs([flagged]);
+    const generate = async (request) => {
+      if (!request.onDelta) throw new Error('The operation was aborted due to timeout');
+      return stream(request);
+    };
+    registerProvider({ id: 'scripted', kind: 'text', keyName: null, generate });
+    const deltas = [];
+    await expect(runModeratedChain('text', { prompt: 'x', onDelta: (d) => deltas.push(d) }, options)).rejects.toThrow();
+    expect(deltas.join('')).not.toMatch(/torture|gory/);
+  });
+});
+
+// A provider that streams each of `outputs` in turn, word by word
+function streamOutputs(outputs) {
+  return async ({ onDelta }) => {
+    const output = outputs.shift();
+    if (onDelta) for (const word of output.match(/\S+\s*/g)) onDelta(word);
+    return output;
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * OpenAI moderation adapter — optional classifier using the Moderations API.
+ * Maps OpenAI's categories onto ours (see MODERATION_CATEGORIES), taking the
+ * highest score when several of theirs map to one of ours.
+ */
+
+import { timeoutSignal, ensureOk } from '../providers/http.js';
+
+const OPENAI_MODERATION_URL = 'https://api.openai.com/v1/moderations';
+
+const CATEGORY_MAP = {
+  violence: 'violence',
+  'violence/graphic': 'violence',
+  sexual: 'sexual',
+  'sexual/minors': 'sexual/minors',
+  'self-harm': 'self-harm',
+  'self-harm/intent': 'self-harm',
+  'self-harm/instructions': 'self-harm',
+  hate: 'hate',
+  'hate/threatening': 'hate',
+  harassment: 'harassment',
+  'harassment/threatening': 'harassment',
+};
+
+export const openaiClassifier = {
+  id: 'openai',
+  keyName: 'openai',
+
+  async classify(text, settings) {
+    const response = await fetch(OPENAI_MODERATION_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${settings.apiKey}`,
+      },
+      body: JSON.stringify({ model: settings.model, input: text }),
+      signal: timeoutSignal(settings.timeoutMs),
+    });
+
+    await ensureOk(response, 'OpenAI moderation');
+    const data = await response.json();
+    const scores = data.results?.[0]?.category_scores || {};
+
+    const categories = {};
+    for (const [theirs, score] of Object.entries(scores)) {
+      const ours = CATEGORY_MAP[theirs];
+      if (ours) categories[ours] = Math.max(categories[ours] || 0, score);
+    }
+    return categories;
+  },
+};
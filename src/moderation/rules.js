@@ -0,0 +1,58 @@
+/**
+ * Local rule engine — the default classifier. Needs no API key and runs
+ * anywhere, at the cost of only understanding English keywords; add a
+ * provider adapter (e.g. openai) in front of it for other languages.
+ *
+ * Each rule scores one category when its pattern matches; a category's
+ * score is the highest matching rule. Rules with `sentence` match only when
+ * every pattern is present in one and the same sentence — "the children fled
+ * the burning inn" and a later love scene between adults are not related.
+ */
+
+const MINOR = /\b(child|children|kid|kids|minor|underage|little (girl|boy)|schoolgirl|schoolboy|toddler)\b/i;
+const SEXUAL = /\b(sex|sexual|sexually|erotic|naked|nude|aroused|intercourse|fondl\w*)\b/i;
+
+const RULES = [
+  // ── Violence ──
+  { category: 'violence', score: 0.4, pattern: /\b(kill(s|ed|ing)?|blood(y|ied)?|wound(s|ed)?|stab(s|bed|bing)?|corpse|murder(s|ed|er)?)\b/i },
+  { category: 'violence', score: 0.7, pattern: /\b(gore|gory|tortur(e|ed|es|ing)|mutilat\w*|slaughter(s|ed)?|massacre|butcher(ed|s)?)\b/i },
+  { category: 'violence', score: 0.95, pattern: /\b(dismember\w*|decapitat\w*|disembowel\w*|entrails|flay(ed|ing)?|eviscerat\w*)\b/i },
+
+  // ── Sexual ──
+  { category: 'sexual', score: 0.5, pattern: /\b(seduc\w*|lingerie|make out|caress\w*|undress\w*)\b/i },
+  { category: 'sexual', score: 0.75, pattern: SEXUAL },
+  { category: 'sexual', score: 1, pattern: /\b(porn\w*|explicit sex|orgasm\w*|genitals?)\b/i },
+  { category: 'sexual/minors', score: 1, sentence: [MINOR, SEXUAL] },
+
+  // ── Self-harm ──
+  { category: 'self-harm', score: 0.5, pattern: /\b(hurt (myself|yourself)|self[- ]harm|overdose)\b/i },
+  { category: 'self-harm', score: 0.9, pattern: /\b(suicide|kill (myself|yourself)|cut (myself|yourself)|end (my|your) (own )?life)\b/i },
+
+  // ── Hate ──
+  { category: 'hate', score: 0.8, pattern: /\b(subhuman|master race|ethnic cleansing|racial purity|vermin race)\b/i },
+
+  // ── Harassment ──
+  { category: 'harassment', score: 0.3, pattern: /\b(idiot|moron|loser|shut up)\b/i },
+  { category: 'harassment', score: 0.7, pattern: /\b(kill yourself|kys|nobody (loves|likes) you)\b/i },
+];
+
+// Sentence ends, line breaks included (escaped ones too, as in streamed JSON)
+const SENTENCE_BREAK = /[.!?。！？]+|\n|\\n/;
+
+function inOneSentence(text, patterns) {
+  return text.split(SENTENCE_BREAK).some((sentence) => patterns.every((p) => p.test(sentence)));
+}
+
+export const localClassifier = {
+  id: 'local',
+  keyName: null,
+
+  async classify(text) {
+    const categories = {};
+    for (const rule of RULES) {
+      const matched = rule.sentence ? inOneSentence(text, rule.sentence) : rule.pattern.test(text);
+      if (matched) categories[rule.category] = Math.max(categories[rule.category] || 0, rule.score);
+    }
+    return categories;
+  },
+};
@@ -0,0 +1,57 @@
+/**
+ * Audio helpers for the speech adapters: base64 data URIs and WAV wrapping.
+ * Runs unchanged in the browser (dev mode) and in Node (serverless functions),
+ * so it sticks to atob/btoa and typed arrays.
+ */
+
+const BASE64_CHUNK = 0x8000;
+
+/**
+ * Encode bytes as a data URI.
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @param {string} mimeType - e.g. 'audio/mpeg'
+ */
+export function toDataUri(bytes, mimeType) {
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let binary = '';
+  for (let i = 0; i < view.length; i += BASE64_CHUNK) {
+    binary += String.fromCharCode(...view.subarray(i, i + BASE64_CHUNK));
+  }
+  return `data:${mimeType};base64,${btoa(binary)}`;
+}
+
+export function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Wrap raw little-endian PCM samples in a WAV container so browsers can play them.
+ * @param {Uint8Array} pcm
+ * @param {{sampleRate: number, bitsPerSample?: number, channels?: number}} format
+ * @returns {Uint8Array}
+ */
+export function pcmToWav(pcm, { sampleRate, bitsPerSample = 16, channels = 1 }) {
+  const blockAlign = (channels * bitsPerSample) / 8;
+  const wav = new Uint8Array(44 + pcm.length);
+  const view = new DataView(wav.buffer);
+  const writeAscii = (offset, text) => [...text].forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+
+  writeAscii(0, 'RIFF');
+  view.setUint32(4, 36 + pcm.length, true);
+  writeAscii(8, 'WAVE');
+  writeAscii(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitsPerSample, true);
+  writeAscii(36, 'data');
+  view.setUint32(40, pcm.length, true);
+  wav.set(pcm, 44);
+  return wav;
+}
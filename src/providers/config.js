@@ -0,0 +1,117 @@
+/**
+ * Provider configuration — chain order, models, temperature and timeouts.
+ *
+ * Every setting can be overridden from the environment. The serverless
+ * functions read `process.env` as-is; dev mode reads `import.meta.env`
+ * with a `VITE_` prefix (e.g. VITE_TEXT_PROVIDERS=mock).
+ *
+ *   TEXT_PROVIDERS          comma-separated chain, e.g. "gemini,openai" or "mock"
+ *   IMAGE_PROVIDERS         comma-separated chain, e.g. "imagen,dalle"
+ *   SPEECH_PROVIDERS        comma-separated chain, e.g. "openai,gemini"; empty (the
+ *                           default) turns server narration off and players hear
+ *                           the browser's own voices instead
+ *   GEMINI_TEXT_MODEL, OPENAI_TEXT_MODEL, IMAGEN_MODEL, OPENAI_IMAGE_MODEL
+ *   GEMINI_SPEECH_MODEL, OPENAI_SPEECH_MODEL
+ *   TEXT_TEMPERATURE, TEXT_MAX_OUTPUT_TOKENS, TEXT_TIMEOUT_MS, IMAGE_TIMEOUT_MS, SPEECH_TIMEOUT_MS
+ */
+
+export const DEFAULT_PROVIDER_CONFIG = {
+  text: {
+    chain: ['gemini', 'openai'],
+    models: {
+      gemini: 'gemini-3-flash-preview',
+      openai: 'gpt-4o',
+    },
+    temperature: 0.9,
+    maxOutputTokens: 4096,
+    timeoutMs: 25000,
+  },
+  image: {
+    chain: ['imagen', 'dalle'],
+    models: {
+      imagen: 'imagen-4.0-fast-generate-001',
+      dalle: 'dall-e-3',
+    },
+    size: '1024x1024',
+    timeoutMs: 50000,
+  },
+  speech: {
+    chain: [],
+    models: {
+      openai: 'gpt-4o-mini-tts',
+      gemini: 'gemini-2.5-flash-preview-tts',
+    },
+    // Voice per narration mood (see config/narrationConfig.js), per provider
+    voices: {
+      openai: { neutral: 'sage', warm: 'fable', dark: 'onyx', epic: 'ash', tense: 'echo' },
+      gemini: { neutral: 'Kore', warm: 'Sulafat', dark: 'Charon', epic: 'Orus', tense: 'Fenrir' },
+    },
+    timeoutMs: 30000,
+  },
+};
+
+function readList(value, fallback) {
+  if (!value) return fallback;
+  const list = value.split(',').map((item) => item.trim()).filter(Boolean);
+  return list.length > 0 ? list : fallback;
+}
+
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Merge environment overrides onto the defaults.
+ * @param {Record<string, string|undefined>} env - process.env or import.meta.env
+ * @param {string} [prefix] - Variable prefix, e.g. 'VITE_' in dev mode
+ */
+export function resolveProviderConfig(env = {}, prefix = '') {
+  const read = (name) => env[`${prefix}${name}`];
+  const { text, image, speech } = DEFAULT_PROVIDER_CONFIG;
+
+  return {
+    text: {
+      ...text,
+      chain: readList(read('TEXT_PROVIDERS'), text.chain),
+      models: {
+        ...text.models,
+        gemini: read('GEMINI_TEXT_MODEL') || text.models.gemini,
+        openai: read('OPENAI_TEXT_MODEL') || text.models.openai,
+      },
+      temperature: readNumber(read('TEXT_TEMPERATURE'), text.temperature),
+      maxOutputTokens: readNumber(read('TEXT_MAX_OUTPUT_TOKENS'), text.maxOutputTokens),
+      timeoutMs: readNumber(read('TEXT_TIMEOUT_MS'), text.timeoutMs),
+    },
+    image: {
+      ...image,
+      chain: readList(read('IMAGE_PROVIDERS'), image.chain),
+      models: {
+        ...image.models,
+        imagen: read('IMAGEN_MODEL') || image.models.imagen,
+        dalle: read('OPENAI_IMAGE_MODEL') || image.models.dalle,
+      },
+      timeoutMs: readNumber(read('IMAGE_TIMEOUT_MS'), image.timeoutMs),
+    },
+    speech: {
+      ...speech,
+      chain: readList(read('SPEECH_PROVIDERS'), speech.chain),
+      models: {
+        ...speech.models,
+        openai: read('OPENAI_SPEECH_MODEL') || speech.models.openai,
+        gemini: read('GEMINI_SPEECH_MODEL') || speech.models.gemini,
+      },
+      timeoutMs: readNumber(read('SPEECH_TIMEOUT_MS'), speech.timeoutMs),
+    },
+  };
+}
+
+/**
+ * Collect the provider API keys from the environment.
+ */
+export function resolveProviderKeys(env = {}, prefix = '') {
+  return {
+    gemini: env[`${prefix}GEMINI_API_KEY`],
+    openai: env[`${prefix}OPENAI_API_KEY`],
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * Google adapters — Gemini (text), Imagen (image) and Gemini text-to-speech.
+ */
+
+import { timeoutSignal, ensureOk, readSSE } from './http.js';
+import { toDataUri, fromBase64, pcmToWav } from './audio.js';
+import { NARRATION_MOODS, resolveNarrationMood } from '../config/narrationConfig.js';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+export const geminiText = {
+  id: 'gemini',
+  kind: 'text',
+  keyName: 'gemini',
+
+  /**
+   * @param {{prompt: string, onDelta?: (chunk: string) => void, signal?: AbortSignal}} request
+   * @param {{apiKey: string, model: string, temperature: number, maxOutputTokens: number, timeoutMs: number}} settings
+   * @returns {Promise<string>} The full generated text
+   */
+  async generate({ prompt, onDelta, signal }, settings) {
+    const method = onDelta ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    const url = `${GEMINI_BASE_URL}/${settings.model}:${method}key=${settings.apiKey}`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: {
+          temperature: settings.temperature,
+          maxOutputTokens: settings.maxOutputTokens,
+          responseMimeType: 'application/json',
+        },
+      }),
+      signal: timeoutSignal(settings.timeoutMs, signal),
+    });
+
+    await ensureOk(response, 'Gemini');
+
+    if (!onDelta) {
+      const data = await response.json();
+      return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    }
+
+    let fullText = '';
+    await readSSE(response, (payload) => {
+      const chunk = JSON.parse(payload);
+      const text = chunk.candidates?.[0]?.content?.parts?.[0]?.text || '';
+      if (text) {
+        fullText += text;
+        onDelta(text);
+      }
+    });
+    return fullText;
+  },
+};
+
+export const imagenImage = {
+  id: 'imagen',
+  kind: 'image',
+  keyName: 'gemini',
+
+  /**
+   * @returns {Promise<string>} A base64 PNG data URI
+   */
+  async generate({ prompt, signal }, settings) {
+    const response = await fetch(`${GEMINI_BASE_URL}/${settings.model}:predict`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': settings.apiKey,
+      },
+      body: JSON.stringify({
+        instances: [{ prompt }],
+        parameters: { sampleCount: 1 },
+      }),
+      signal: timeoutSignal(settings.timeoutMs, signal),
+    });
+
+    await ensureOk(response, 'Imagen');
+
+    const data = await response.json();
+    const predictions = data.predictions || [];
+    if (predictions.length > 0 && predictions[0].bytesBase64Encoded) {
+      return `data:image/png;base64,${predictions[0].bytesBase64Encoded}`;
+    }
+    throw new Error('No image data in Imagen response');
+  },
+};
+
+export const geminiSpeech = {
+  id: 'gemini',
+  kind: 'speech',
+  keyName: 'gemini',
+
+  /**
+   * @param {{prompt: string, mood?: string, language?: string, signal?: AbortSignal}} request
+   *   `prompt` is the text to read aloud
+   * @returns {Promise<string>} A WAV data URI
+   */
+  async generate({ prompt, mood, language, signal }, settings) {
+    const resolved = resolveNarrationMood(mood);
+    // The reading direction goes in front of the text, as the TTS models expect
+    const direction = `${NARRATION_MOODS[resolved].style}${language ? ` The text is in ${language}.` : ''}`;
+
+    const response = await fetch(`${GEMINI_BASE_URL}/${settings.model}:generateContent`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': settings.apiKey,
+      },
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: `${direction}\n\n${prompt}` }] }],
+        generationConfig: {
+          responseModalities: ['AUDIO'],
+          speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: settings.voices.gemini[resolved] } } },
+        },
+      }),
+      signal: timeoutSignal(settings.timeoutMs, signal),
+    });
+
+    await ensureOk(response, 'Gemini TTS');
+
+    const data = await response.json();
+    const audio = data.candidates?.[0]?.content?.parts?.find((part) => part.inlineData)?.inlineData;
+    if (!audio?.data) throw new Error('No audio data in Gemini TTS response');
+
+    // Raw 16-bit PCM, e.g. "audio/L16;codec=pcm;rate=24000"
+    const sampleRate = Number(audio.mimeType?.match(/rate=(\d+)/)?.[1]) || 24000;
+    return toDataUri(pcmToWav(fromBase64(audio.data), { sampleRate }), 'audio/wav');
+  },
+};
@@ -0,0 +1,64 @@
+/**
+ * Small HTTP helpers shared by the provider adapters.
+ * Runs unchanged in the browser (dev mode) and in Node (serverless functions).
+ */
+
+/**
+ * Build an AbortSignal that fires after `timeoutMs`, or earlier if the
+ * caller's own signal is aborted.
+ */
+export function timeoutSignal(timeoutMs, signal) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  if (!signal) return timeout;
+  if (typeof AbortSignal.any === 'function') return AbortSignal.any([signal, timeout]);
+
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal.addEventListener('abort', abort, { once: true });
+  timeout.addEventListener('abort', abort, { once: true });
+  return controller.signal;
+}
+
+/**
+ * Throw a descriptive error for a non-2xx response.
+ * `label` identifies the provider in logs and error messages (e.g. "Gemini").
+ */
+export async function ensureOk(response, label) {
+  if (response.ok) return;
+  const errBody = await response.text().catch(() => '');
+  console.error(`[providers] ${label} error ${response.status}: ${errBody.substring(0, 200)}`);
+  const error = new Error(`${label} ${response.status}`);
+  error.status = response.status;
+  throw error;
+}
+
+/**
+ * Read a streamed response body line by line.
+ * Calls onLine with every non-empty line (trimmed).
+ */
+export async function readLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter((line) => line.trim()).forEach((line) => onLine(line.trim()));
+  }
+
+  if (buffer.trim()) onLine(buffer.trim());
+}
+
+/**
+ * Read a Server-Sent Events body and call onData with each `data:` payload.
+ */
+export function readSSE(response, onData) {
+  return readLines(response, (line) => {
+    if (line.startsWith('data:')) onData(line.slice(5).trim());
+  });
+}
@@ -0,0 +1,174 @@
+/**
+ * Local mock adapters — canned story JSON, placeholder images and silent narration.
+ * No network and no API keys: put `mock` in the provider chain to play
+ * the whole game offline (development, demos, tests).
+ */
+
+import { toDataUri, pcmToWav } from './audio.js';
+
+const MOCK_STREAM_CHUNK = 24;
+const MOCK_STREAM_DELAY_MS = 20;
+
+// Silent narration: about as long as reading the text, capped
+const MOCK_SPEECH_RATE = 8000;
+const MOCK_SPEECH_MAX_SECONDS = 8;
+
+const MOCK_SCENES = [
+  'You step through a narrow archway and the air changes — colder, heavier, humming with something you cannot name.',
+  'A stranger in a weathered coat watches you from across the square, then turns and walks away without a word.',
+  'The path splits beneath a crooked signpost whose arrows have been carefully scratched out.',
+  'Somewhere ahead a bell rings three times, and every light along the street flickers in answer.',
+  'You find a folded note in your pocket that you are certain was not there a moment ago.',
+];
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const id = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(id);
+        reject(new Error('Mock request aborted'));
+      },
+      { once: true }
+    );
+  });
+
+/**
+ * Build a canned turn that follows the response format requested in the prompt.
+ */
+function buildMockTurn(prompt) {
+  const turn = Number(prompt.match(/\*\*Current Turn:\*\*\s*(\d+)/)?.[1] || 1);
+  // Final turns, and turns whose stat changes were found to end the story (see storyService)
+  const isFinalTurn = prompt.includes('"choices": []') || prompt.includes("this turn must be the story's ending");
+  // Player stats, when the prompt asks for them: the first one drops every turn
+  const statIds = [...(prompt.match(/"statChanges": \{([^}]*)\}/)?.[1].matchAll(/"([\w-]+)"/g) || [])].map((m) => m[1]);
+  const scene = MOCK_SCENES[(turn - 1) % MOCK_SCENES.length];
+
+  const narrative = isFinalTurn
+    ? `The last door opens onto morning light. Everything you carried this far — the questions, the choices, the people you met along the way — settles quietly into place, and for the first time since this began the road ahead is silent. You think of every moment you hesitated and every moment you did not, and you understand that both mattered. Somewhere behind you a bell rings once, softly, like a farewell. You breathe out, let your shoulders fall, and step forward into the light. The story lets you go, and you let it go in return.`
+    : `${scene} (Mock turn ${turn}.) You stand very still and listen. The sounds of the place fold around you: footsteps that stop when you stop, a distant door easing shut, wind worrying at a loose shutter somewhere above. You weigh what you know against what you fear, and the moment stretches until it feels almost solid. Every path in front of you looks reasonable and none of them looks safe. Whatever you do next will not be undone, but standing still is a choice too, and the night is not going to wait for you to decide.`;
+
+  return {
+    narrative,
+    imagePrompt: `Placeholder scene for turn ${turn}, the protagonist${turn === 1 ? ' meets The Stranger' : ''}`,
+    choices: isFinalTurn ? [] : ['Press onward', 'Turn back and investigate', 'Call out to whoever is there'],
+    ...(isFinalTurn && { ending: { type: 'bittersweet', title: 'The Bell at Morning' } }),
+    ...(statIds.length > 0 && {
+      statChanges: Object.fromEntries(statIds.map((id, index) => [id, index === 0 ? -10 : 0])),
+    }),
+    worldDelta: {
+      characters: turn === 1 ? [{ name: 'The Stranger', description: 'A figure in a weathered coat', status: 'watching' }] : [],
+      location: `Mock location ${turn}`,
+      inventory: { added: turn === 1 ? ['Folded note'] : [], removed: [] },
+      threads: {
+        opened: turn === 1 ? ['Who wrote the folded note?'] : [],
+        resolved: isFinalTurn ? ['Who wrote the folded note?'] : [],
+      },
+    },
+    // The protagonist's look is only described while the prompt still asks for it
+    appearances: {
+      protagonist: prompt.includes('"How the protagonist looks')
+        ? 'A wiry traveller in their twenties with a shaved head and a patched grey cloak'
+        : '',
+      characters:
+        turn === 1 ? [{ name: 'The Stranger', appearance: 'A tall older man with a grey beard and a weathered brown coat' }] : [],
+    },
+    // Answer a typed player action (see customAction.js)
+    ...(prompt.includes('"actionCheck"') && {
+      actionCheck: { plausible: false, note: 'The mock world shrugs off your attempt.' },
+    }),
+  };
+}
+
+/**
+ * Build a canned running-memory summary (see storyMemory.js).
+ */
+function buildMockSummary(prompt) {
+  const turns = [...prompt.matchAll(/--- Turn (\d+) ---/g)].map((m) => m[1]);
+  return {
+    summary: `You have travelled through ${turns.length} mock turns (${turns.join(', ')}), making choices that brought you here.`,
+  };
+}
+
+/**
+ * Build a canned title and synopsis for a finished story (see storyRecap.js).
+ */
+function buildMockRecap(prompt) {
+  const turns = [...prompt.matchAll(/--- Turn (\d+) ---/g)].length;
+  return {
+    title: 'The Mock Journey',
+    synopsis: `You set out on a mock adventure, made your way through ${turns} turns of choices and reached an ending of your own making.`,
+  };
+}
+
+/**
+ * Pick the canned response that matches the JSON format the prompt asks for.
+ */
+function buildMockResponse(prompt) {
+  if (prompt.includes('"summary":')) return buildMockSummary(prompt);
+  if (prompt.includes('"synopsis":')) return buildMockRecap(prompt);
+  // Art style suggestion for a custom genre (see customGenres.js)
+  if (prompt.includes('{ "artStylePrompt"')) {
+    return { artStylePrompt: 'Mock illustration, muted pastel palette, soft rim lighting, quiet dreamlike mood' };
+  }
+  return buildMockTurn(prompt);
+}
+
+export const mockText = {
+  id: 'mock',
+  kind: 'text',
+  keyName: null,
+
+  async generate({ prompt, onDelta, signal }) {
+    const text = JSON.stringify(buildMockResponse(prompt), null, 2);
+    if (!onDelta) return text;
+
+    for (let i = 0; i < text.length; i += MOCK_STREAM_CHUNK) {
+      await sleep(MOCK_STREAM_DELAY_MS, signal);
+      onDelta(text.slice(i, i + MOCK_STREAM_CHUNK));
+    }
+    return text;
+  },
+};
+
+export const mockImage = {
+  id: 'mock',
+  kind: 'image',
+  keyName: null,
+
+  /**
+   * @returns {Promise<string>} An SVG data URI tinted from the prompt text
+   */
+  async generate({ prompt }) {
+    let hash = 0;
+    for (const ch of prompt) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+    const hue = hash % 360;
+    const caption = prompt.substring(0, 60).replace(/[<>&"]/g, '');
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1024" height="1024" viewBox="0 0 1024 1024">
+  <defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+    <stop offset="0" stop-color="hsl(${hue},45%,70%)"/><stop offset="1" stop-color="hsl(${(hue + 60) % 360},45%,35%)"/>
+  </linearGradient></defs>
+  <rect width="1024" height="1024" fill="url(#g)"/>
+  <text x="512" y="512" font-family="sans-serif" font-size="28" fill="#fff" text-anchor="middle">${caption}</text>
+</svg>`;
+
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  },
+};
+
+export const mockSpeech = {
+  id: 'mock',
+  kind: 'speech',
+  keyName: null,
+
+  /**
+   * @returns {Promise<string>} A silent 8-bit WAV data URI
+   */
+  async generate({ prompt }) {
+    const seconds = Math.min(Math.ceil(prompt.length / 15), MOCK_SPEECH_MAX_SECONDS);
+    const silence = new Uint8Array(seconds * MOCK_SPEECH_RATE).fill(128);
+    return toDataUri(pcmToWav(silence, { sampleRate: MOCK_SPEECH_RATE, bitsPerSample: 8 }), 'audio/wav');
+  },
+};
@@ -0,0 +1,124 @@
+/**
+ * OpenAI adapters — Chat Completions (text), DALL-E (image) and text-to-speech.
+ */
+
+import { timeoutSignal, ensureOk, readSSE } from './http.js';
+import { toDataUri } from './audio.js';
+import { NARRATION_MOODS, resolveNarrationMood } from '../config/narrationConfig.js';
+
+const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions';
+const OPENAI_IMAGE_URL = 'https://api.openai.com/v1/images/generations';
+const OPENAI_SPEECH_URL = 'https://api.openai.com/v1/audio/speech';
+
+export const openaiText = {
+  id: 'openai',
+  kind: 'text',
+  keyName: 'openai',
+
+  async generate({ prompt, onDelta, signal }, settings) {
+    const response = await fetch(OPENAI_CHAT_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${settings.apiKey}`,
+      },
+      body: JSON.stringify({
+        model: settings.model,
+        messages: [
+          { role: 'system', content: 'You are a creative interactive fiction storyteller.' },
+          { role: 'user', content: prompt },
+        ],
+        temperature: settings.temperature,
+        max_tokens: settings.maxOutputTokens,
+        stream: Boolean(onDelta),
+      }),
+      signal: timeoutSignal(settings.timeoutMs, signal),
+    });
+
+    await ensureOk(response, 'OpenAI');
+
+    if (!onDelta) {
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    }
+
+    let fullText = '';
+    await readSSE(response, (payload) => {
+      if (payload === '[DONE]') return;
+      const chunk = JSON.parse(payload);
+      const text = chunk.choices?.[0]?.delta?.content || '';
+      if (text) {
+        fullText += text;
+        onDelta(text);
+      }
+    });
+    return fullText;
+  },
+};
+
+export const dalleImage = {
+  id: 'dalle',
+  kind: 'image',
+  keyName: 'openai',
+
+  /**
+   * @returns {Promise<string>} A hosted image URL (expires after ~1 hour)
+   */
+  async generate({ prompt, signal }, settings) {
+    const response = await fetch(OPENAI_IMAGE_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${settings.apiKey}`,
+      },
+      body: JSON.stringify({
+        model: settings.model,
+        prompt,
+        n: 1,
+        size: settings.size,
+        quality: 'standard',
+      }),
+      signal: timeoutSignal(settings.timeoutMs, signal),
+    });
+
+    await ensureOk(response, 'DALL-E');
+
+    const data = await response.json();
+    const url = data.data?.[0]?.url;
+    if (!url) throw new Error('No image URL in DALL-E response');
+    return url;
+  },
+};
+
+export const openaiSpeech = {
+  id: 'openai',
+  kind: 'speech',
+  keyName: 'openai',
+
+  /**
+   * @param {{prompt: string, mood?: string, language?: string, signal?: AbortSignal}} request
+   *   `prompt` is the text to read aloud
+   * @returns {Promise<string>} An MP3 data URI
+   */
+  async generate({ prompt, mood, language, signal }, settings) {
+    const resolved = resolveNarrationMood(mood);
+    const response = await fetch(OPENAI_SPEECH_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${settings.apiKey}`,
+      },
+      body: JSON.stringify({
+        model: settings.model,
+        voice: settings.voices.openai[resolved],
+        input: prompt,
+        instructions: `${NARRATION_MOODS[resolved].style}${language ? ` The text is in ${language}.` : ''}`,
+        response_format: 'mp3',
+      }),
+      signal: timeoutSignal(settings.timeoutMs, signal),
+    });
+
+    await ensureOk(response, 'OpenAI TTS');
+    return toDataUri(await response.arrayBuffer(), 'audio/mpeg');
+  },
+};
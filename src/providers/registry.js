@@ -0,0 +1,114 @@
+/**
+ * Provider Registry — one place that knows every text/image/speech adapter and
+ * how to walk a fallback chain of them.
+ *
+ * Used by the serverless functions (api/) and by dev mode (geminiService),
+ * so production and local development share the same fallback behaviour.
+ *
+ * Every adapter has the same shape:
+ *   {
+ *     id: 'gemini',              // name used in chain config and logs
+ *     kind: 'text' | 'image' | 'speech',
+ *     keyName: 'gemini' | null,  // which API key it needs (null = none)
+ *     generate(request, settings) → Promise<string>
+ *   }
+ * where request = { prompt, onDelta?, signal? } (speech adds `mood` and
+ * `language`, and `prompt` is the text to read) and settings are the
+ * resolved model/temperature/timeout values plus `apiKey`.
+ */
+
+import { geminiText, imagenImage, geminiSpeech } from './gemini.js';
+import { openaiText, dalleImage, openaiSpeech } from './openai.js';
+import { mockText, mockImage, mockSpeech } from './mock.js';
+
+const PROVIDERS = {
+  text: {},
+  image: {},
+  speech: {},
+};
+
+/**
+ * Register an adapter so it can be referenced by id in a chain.
+ */
+export function registerProvider(adapter) {
+  PROVIDERS[adapter.kind][adapter.id] = adapter;
+}
+
+export function getProvider(kind, id) {
+  return PROVIDERS[kind]?.[id] || null;
+}
+
+[
+  geminiText,
+  openaiText,
+  mockText,
+  imagenImage,
+  dalleImage,
+  mockImage,
+  geminiSpeech,
+  openaiSpeech,
+  mockSpeech,
+].forEach(registerProvider);
+
+/**
+ * Run a request through the configured chain, falling back to the next
+ * provider on failure.
+ *
+ * When streaming (request.onDelta set), fallback only happens if the failing
+ * provider had not emitted anything yet — otherwise two different stories
+ * would be spliced together.
+ *
+ * @param {'text'|'image'|'speech'} kind
+ * @param {{prompt: string, onDelta?: Function, signal?: AbortSignal}} request
+ * @param {{config: object, keys: object, logPrefix?: string}} options
+ * @returns {Promise<{output: string, provider: string, usedFallback: boolean}>}
+ * @throws {Error} with a `status` (500 when nothing is configured, 502 when all providers failed);
+ *   `code` is 'unconfigured' when no provider in the chain can run
+ */
+export async function runProviderChain(kind, request, { config, keys, logPrefix = '[providers]' }) {
+  const { chain, models, ...settings } = config[kind];
+
+  const available = chain
+    .map((id) => {
+      const adapter = getProvider(kind, id);
+      if (!adapter) console.warn(`${logPrefix} Unknown ${kind} provider "${id}" in chain, skipping`);
+      return adapter;
+    })
+    .filter((adapter) => adapter && (!adapter.keyName || keys[adapter.keyName]));
+
+  if (available.length === 0) {
+    const error = new Error('No API keys configured for any provider in the chain');
+    error.status = 500;
+    error.code = 'unconfigured';
+    throw error;
+  }
+
+  let lastError = null;
+  for (const [index, adapter] of available.entries()) {
+    let emitted = false;
+    const onDelta = request.onDelta
+      ? (chunk) => {
+          emitted = true;
+          request.onDelta(chunk);
+        }
+      : undefined;
+
+    try {
+      console.log(`${logPrefix} Calling ${adapter.id} (${models[adapter.id] || 'local'}), prompt: ${request.prompt.length} chars`);
+      const output = await adapter.generate(
+        { ...request, onDelta },
+        { ...settings, model: models[adapter.id], apiKey: adapter.keyName ? keys[adapter.keyName] : null }
+      );
+      console.log(`${logPrefix} ${adapter.id} success, ${output.length} chars`);
+      return { output, provider: adapter.id, usedFallback: index > 0 };
+    } catch (err) {
+      lastError = err;
+      console.warn(`${logPrefix} ${adapter.id} failed: ${err.message}`);
+      if (emitted || request.signal?.aborted) break;
+    }
+  }
+
+  const error = new Error(`All ${kind} providers failed. Last error: ${lastError.message}`);
+  error.status = 502;
+  throw error;
+}
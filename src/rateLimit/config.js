@@ -0,0 +1,71 @@
+/**
+ * Rate limit configuration — per-client quotas for the generation and sharing endpoints.
+ *
+ * Quotas are counted in fixed windows of a minute and a day, each starting
+ * with the client's first request in it, separately for text, image, speech
+ * and publishing shared stories.
+ *
+ *   RATE_LIMIT_TEXT_PER_MINUTE, RATE_LIMIT_TEXT_PER_DAY
+ *   RATE_LIMIT_IMAGE_PER_MINUTE, RATE_LIMIT_IMAGE_PER_DAY
+ *   RATE_LIMIT_SPEECH_PER_MINUTE, RATE_LIMIT_SPEECH_PER_DAY
+ *   RATE_LIMIT_SHARE_PER_MINUTE, RATE_LIMIT_SHARE_PER_DAY
+ *                        0 disables that quota
+ *   RATE_LIMIT_STORE     "memory" or "kv" (default on Vercel, where instances share no memory)
+ *   RATE_LIMIT_TRUSTED_PROXIES
+ *                        Off Vercel: how many proxies in front of the server append
+ *                        to X-Forwarded-For (default 0: use the socket address)
+ *   KV_REST_API_URL, KV_REST_API_TOKEN
+ *                        Redis REST endpoint for the kv store (Vercel KV / Upstash)
+ */
+
+export const DEFAULT_RATE_LIMITS = {
+  // A turn is one story request, plus a summary request every few turns
+  text: { perMinute: 20, perDay: 400 },
+  image: { perMinute: 6, perDay: 80 },
+  // One narration per turn the player listens to
+  speech: { perMinute: 8, perDay: 120 },
+  // Every shared story is stored for good, with up to one image per turn
+  share: { perMinute: 2, perDay: 20 },
+};
+
+export const RATE_LIMIT_WINDOWS = {
+  minute: 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+function readQuota(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isInteger(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Merge environment overrides onto the defaults.
+ * @param {Record<string, string|undefined>} env - process.env
+ */
+export function resolveRateLimitConfig(env = {}) {
+  const { text, image, speech, share } = DEFAULT_RATE_LIMITS;
+  return {
+    store: ['memory', 'kv'].includes(env.RATE_LIMIT_STORE) ? env.RATE_LIMIT_STORE : env.VERCEL ? 'kv' : 'memory',
+    // Vercel's edge sets the client address itself; any other proxy has to be declared
+    vercel: Boolean(env.VERCEL),
+    trustedProxies: readQuota(env.RATE_LIMIT_TRUSTED_PROXIES, 0),
+    limits: {
+      text: {
+        perMinute: readQuota(env.RATE_LIMIT_TEXT_PER_MINUTE, text.perMinute),
+        perDay: readQuota(env.RATE_LIMIT_TEXT_PER_DAY, text.perDay),
+      },
+      image: {
+        perMinute: readQuota(env.RATE_LIMIT_IMAGE_PER_MINUTE, image.perMinute),
+        perDay: readQuota(env.RATE_LIMIT_IMAGE_PER_DAY, image.perDay),
+      },
+      speech: {
+        perMinute: readQuota(env.RATE_LIMIT_SPEECH_PER_MINUTE, speech.perMinute),
+        perDay: readQuota(env.RATE_LIMIT_SPEECH_PER_DAY, speech.perDay),
+      },
+      share: {
+        perMinute: readQuota(env.RATE_LIMIT_SHARE_PER_MINUTE, share.perMinute),
+        perDay: readQuota(env.RATE_LIMIT_SHARE_PER_DAY, share.perDay),
+      },
+    },
+  };
+}
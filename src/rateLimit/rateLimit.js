@@ -0,0 +1,126 @@
+/**
+ * Rate limiting for the serverless generation and sharing endpoints (Node only).
+ *
+ * Clients are identified by their IP address (see getClientId), hashed so
+ * raw addresses never reach the counter store.
+ * A request over quota gets 429 with Retry-After; every response carries
+ * X-RateLimit-Limit / -Remaining / -Reset for the tightest window.
+ *
+ * The limiter fails open: if the store is unreachable the request is
+ * allowed and the failure is logged, so a KV outage cannot take the game down.
+ * A store that is not configured is different — requests are refused with
+ * 503 until it is, rather than running without any limit.
+ */
+
+import { createHash } from 'node:crypto';
+import { resolveRateLimitConfig, RATE_LIMIT_WINDOWS } from './config.js';
+import { createMemoryRateStore, createKvRateStore } from './stores.js';
+
+let cachedStore = null;
+
+function resolveStore(config, env) {
+  if (!cachedStore || cachedStore.id !== config.store) {
+    cachedStore =
+      config.store === 'kv'
+        ? createKvRateStore({ url: env.KV_REST_API_URL, token: env.KV_REST_API_TOKEN })
+        : createMemoryRateStore();
+  }
+  return cachedStore;
+}
+
+// Addresses in a forwarding header, in the order the hops added them
+function forwardedAddresses(req, name) {
+  return [req.headers[name] ?? []]
+    .flat()
+    .join(',')
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Identify the client behind a request.
+ *
+ * Clients can send forwarding headers themselves, so only addresses a
+ * trusted proxy wrote are used: on Vercel the edge overwrites them with the
+ * client's address; behind `trustedProxies` other proxies, each appended the
+ * address it saw, so the client is that many entries from the end of
+ * X-Forwarded-For. Otherwise the socket address is the client.
+ * @param {{vercel?: boolean, trustedProxies?: number}} [config] - See resolveRateLimitConfig
+ */
+export function getClientId(req, { vercel = false, trustedProxies = 0 } = {}) {
+  let ip;
+  if (vercel) {
+    ip = forwardedAddresses(req, 'x-vercel-forwarded-for')[0] || forwardedAddresses(req, 'x-forwarded-for')[0];
+  } else if (trustedProxies > 0) {
+    const hops = forwardedAddresses(req, 'x-forwarded-for');
+    ip = hops[hops.length - trustedProxies];
+  }
+  ip ||= req.socket?.remoteAddress || 'unknown';
+  return createHash('sha256').update(ip).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Count one request of `kind` for a client against every quota.
+ * @returns {Promise<{allowed: boolean, window: 'minute'|'day'|null, limit: number, remaining: number, resetAt: number}>}
+ *   `window` is the quota that was exceeded (null when allowed)
+ */
+export async function checkRateLimit(store, clientId, kind, limits) {
+  let tightest = null;
+
+  for (const [window, limit] of [['minute', limits.perMinute], ['day', limits.perDay]]) {
+    if (!limit) continue;
+    const { count, resetAt } = await store.increment(`rl:${kind}:${window}:${clientId}`, RATE_LIMIT_WINDOWS[window]);
+    const status = { window, limit, remaining: Math.max(limit - count, 0), resetAt };
+
+    if (count > limit) return { ...status, allowed: false };
+    if (!tightest || status.remaining < tightest.remaining) tightest = status;
+  }
+
+  return { limit: 0, remaining: 0, resetAt: 0, ...tightest, allowed: true, window: null };
+}
+
+/**
+ * Apply the quota for `kind` to a request. Sends the response itself when
+ * the client is over quota (429) or the counter store is not configured (503).
+ * @param {{env: object, logPrefix?: string}} options - `env` is process.env
+ * @returns {Promise<boolean>} true when the handler may go on
+ */
+export async function enforceRateLimit(req, res, kind, { env, logPrefix = '[rate-limit]' }) {
+  const config = resolveRateLimitConfig(env);
+
+  let store;
+  try {
+    store = resolveStore(config, env);
+  } catch (err) {
+    console.error(`${logPrefix} Rate limiting is not set up: ${err.message}`);
+    res.status(503).json({ error: 'Rate limiting is not set up on this server' });
+    return false;
+  }
+
+  let result;
+  try {
+    result = await checkRateLimit(store, getClientId(req, config), kind, config.limits[kind]);
+  } catch (err) {
+    console.warn(`${logPrefix} Rate limit check failed, allowing request: ${err.message}`);
+    return true;
+  }
+
+  if (result.limit) {
+    res.setHeader('X-RateLimit-Limit', String(result.limit));
+    res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+    res.setHeader('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+  }
+  if (result.allowed) return true;
+
+  const retryAfter = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1);
+  console.warn(`${logPrefix} ${kind} quota exceeded (${result.limit} per ${result.window}), retry in ${retryAfter}s`);
+  res.setHeader('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error: `Too many ${kind} requests. Please come back later.`,
+    kind,
+    window: result.window,
+    retryAfter,
+  });
+  return false;
+}
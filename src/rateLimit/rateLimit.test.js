@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getClientId, checkRateLimit, enforceRateLimit } from './rateLimit.js';
+import { resolveRateLimitConfig, RATE_LIMIT_WINDOWS } from './config.js';
+import { createMemoryRateStore } from './stores.js';
+
+const request = (headers, remoteAddress = '10.0.0.1') => ({ headers, socket: { remoteAddress } });
+
+describe('getClientId', () => {
+  it('ignores forwarding headers a client sends straight to the server', () => {
+    const config = resolveRateLimitConfig({});
+    const direct = getClientId(request({}), config);
+
+    expect(getClientId(request({ 'x-forwarded-for': '1.2.3.4' }), config)).toBe(direct);
+    expect(getClientId(request({ 'x-vercel-forwarded-for': '1.2.3.4' }), config)).toBe(direct);
+  });
+
+  it('takes the address the trusted proxy appended, not the spoofable first one', () => {
+    const config = resolveRateLimitConfig({ RATE_LIMIT_TRUSTED_PROXIES: '1' });
+    const client = getClientId(request({ 'x-forwarded-for': '5.6.7.8' }), config);
+
+    expect(getClientId(request({ 'x-forwarded-for': '1.2.3.4, 5.6.7.8' }), config)).toBe(client);
+    expect(getClientId(request({ 'x-forwarded-for': '9.9.9.9, 5.6.7.8' }), config)).toBe(client);
+    expect(getClientId(request({ 'x-forwarded-for': '1.2.3.4, 9.9.9.9' }), config)).not.toBe(client);
+  });
+
+  it('uses the address the Vercel edge sets', () => {
+    const config = resolveRateLimitConfig({ VERCEL: '1' });
+    const client = getClientId(request({ 'x-vercel-forwarded-for': '5.6.7.8' }, '10.0.0.1'), config);
+
+    expect(getClientId(request({ 'x-vercel-forwarded-for': '5.6.7.8' }, '10.0.0.2'), config)).toBe(client);
+    expect(getClientId(request({ 'x-vercel-forwarded-for': '1.2.3.4' }, '10.0.0.1'), config)).not.toBe(client);
+  });
+});
+
+describe('checkRateLimit', () => {
+  const limits = { perMinute: 2, perDay: 3 };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('allows requests up to the limit and reports the tightest window', async () => {
+    const store = createMemoryRateStore();
+    const first = await checkRateLimit(store, 'client', 'text', limits);
+    expect(first).toMatchObject({ allowed: true, window: null, limit: 2, remaining: 1 });
+
+    expect(await checkRateLimit(store, 'client', 'text', limits)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(await checkRateLimit(store, 'client', 'text', limits)).toMatchObject({ allowed: false, window: 'minute' });
+  });
+
+  it('counts clients and kinds separately', async () => {
+    const store = createMemoryRateStore();
+    await checkRateLimit(store, 'client', 'text', limits);
+    await checkRateLimit(store, 'client', 'text', limits);
+
+    expect((await checkRateLimit(store, 'other', 'text', limits)).allowed).toBe(true);
+    expect((await checkRateLimit(store, 'client', 'image', limits)).allowed).toBe(true);
+  });
+
+  it('starts a new window once the old one has passed, until the day quota is used up', async () => {
+    const store = createMemoryRateStore();
+    await checkRateLimit(store, 'client', 'text', limits);
+    await checkRateLimit(store, 'client', 'text', limits);
+    expect((await checkRateLimit(store, 'client', 'text', limits)).allowed).toBe(false);
+
+    vi.advanceTimersByTime(RATE_LIMIT_WINDOWS.minute);
+    expect(await checkRateLimit(store, 'client', 'text', limits)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(await checkRateLimit(store, 'client', 'text', limits)).toMatchObject({ allowed: false, window: 'day' });
+  });
+
+  it('skips quotas set to 0', async () => {
+    const result = await checkRateLimit(createMemoryRateStore(), 'client', 'text', { perMinute: 0, perDay: 0 });
+    expect(result).toMatchObject({ allowed: true, limit: 0 });
+  });
+});
+
+describe('enforceRateLimit', () => {
+  // Just enough of a Vercel response to record what the limiter sends
+  const response = () => ({
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  });
+  const env = { RATE_LIMIT_SHARE_PER_MINUTE: '1', RATE_LIMIT_SHARE_PER_DAY: '0' };
+  const options = { env, logPrefix: '[test]' };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('answers 429 with Retry-After once the quota is used up', async () => {
+    const req = request({}, '10.1.0.1');
+    const allowed = response();
+    expect(await enforceRateLimit(req, allowed, 'share', options)).toBe(true);
+    expect(allowed.headers['X-RateLimit-Remaining']).toBe('0');
+
+    const refused = response();
+    expect(await enforceRateLimit(req, refused, 'share', options)).toBe(false);
+    expect(refused.statusCode).toBe(429);
+    expect(Number(refused.headers['Retry-After'])).toBeGreaterThan(0);
+    expect(Number(refused.headers['Retry-After'])).toBeLessThanOrEqual(60);
+    expect(refused.body).toMatchObject({ kind: 'share', window: 'minute', retryAfter: Number(refused.headers['Retry-After']) });
+  });
+
+  it('refuses requests on Vercel until the kv store is configured', async () => {
+    const res = response();
+    expect(await enforceRateLimit(request({}), res, 'share', { ...options, env: { ...env, VERCEL: '1' } })).toBe(false);
+    expect(res.statusCode).toBe(503);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Rate limit counter stores. Every store has the same shape:
+ *   {
+ *     id: 'memory' | 'kv',
+ *     increment(key, windowMs) → Promise<{ count, resetAt }>
+ *   }
+ * `increment` adds one to the counter for `key` (creating it with a
+ * `windowMs` lifetime) and returns the new count and when it expires.
+ */
+
+/**
+ * Counters in process memory. Fine for local use and a single instance;
+ * serverless instances do not share memory, so use the kv store in production.
+ */
+export function createMemoryRateStore() {
+  const counters = new Map();
+
+  return {
+    id: 'memory',
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+
+      // Drop expired counters now and then so the map cannot grow forever
+      if (counters.size > 10000) {
+        for (const [k, c] of counters) if (c.resetAt <= now) counters.delete(k);
+      }
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+  };
+}
+
+/**
+ * Counters in a Redis-compatible KV store over its REST API
+ * (Vercel KV / Upstash), shared by every serverless instance.
+ */
+export function createKvRateStore({ url, token }) {
+  if (!url || !token) throw new Error('KV_REST_API_URL and KV_REST_API_TOKEN are required for the kv rate limit store');
+
+  return {
+    id: 'kv',
+    async increment(key, windowMs) {
+      const response = await fetch(`${url}/pipeline`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify([
+          ['INCR', key],
+          ['PEXPIRE', key, windowMs, 'NX'],
+          ['PTTL', key],
+        ]),
+        signal: AbortSignal.timeout(2000),
+      });
+      if (!response.ok) throw new Error(`KV ${response.status}`);
+
+      const [incr, , ttl] = await response.json();
+      if (incr.error) throw new Error(`KV ${incr.error}`);
+      return { count: incr.result, resetAt: Date.now() + Math.max(ttl.result, 0) };
+    },
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Character Appearance Lock — canonical looks for the protagonist and
+ * recurring characters, so they are drawn the same way on every turn.
+ *
+ * The first turn describes everyone it introduces (the player may describe
+ * the protagonist up front); later turns only add characters who have no
+ * look yet. Once recorded, a look is locked: the model can no longer change
+ * it, only the player can edit it. Image prompts refer to characters by name
+ * ("the protagonist" for the player) and applyAppearances appends the locked
+ * looks of everyone a prompt features.
+ *
+ * Shape (kept per story, like artStylePrompt):
+ *   protagonist: string                          ('' until described)
+ *   characters:  [{ name, appearance }]
+ */
+
+import { cleanPromptText } from './promptText';
+
+export const EMPTY_APPEARANCES = {
+  protagonist: '',
+  characters: [],
+};
+
+export const APPEARANCE_LIMITS = {
+  maxLength: 300,
+  maxCharacters: 8,
+};
+
+// How image prompts refer to the player's character
+export const PROTAGONIST_LABEL = 'the protagonist';
+
+const normalize = (text) => text.trim().toLowerCase();
+
+const cleanText = (raw) => cleanPromptText(raw, APPEARANCE_LIMITS.maxLength);
+
+/**
+ * Clean appearances from any source (model output, player edits, old saves).
+ * Drops unnamed or duplicate characters and entries without a look.
+ */
+export function normalizeAppearances(raw) {
+  const characters = [];
+  for (const entry of Array.isArray(raw?.characters) ? raw.characters : []) {
+    const name = cleanText(entry?.name);
+    const appearance = cleanText(entry?.appearance);
+    if (!name || !appearance || characters.some((c) => normalize(c.name) === normalize(name))) continue;
+    characters.push({ name, appearance });
+  }
+
+  return {
+    protagonist: cleanText(raw?.protagonist),
+    characters: characters.slice(0, APPEARANCE_LIMITS.maxCharacters),
+  };
+}
+
+/**
+ * Add the looks a turn proposed to the locked ones. Pure — existing looks
+ * are never replaced, only missing ones are filled in.
+ * @param {object} locked - Current appearances
+ * @param {object|null} proposed - `appearances` from the turn response
+ */
+export function mergeAppearances(locked, proposed) {
+  if (!proposed) return locked;
+  const additions = normalizeAppearances(proposed);
+  const characters = [...locked.characters];
+
+  for (const character of additions.characters) {
+    if (characters.length >= APPEARANCE_LIMITS.maxCharacters) break;
+    if (!characters.some((c) => normalize(c.name) === normalize(character.name))) characters.push(character);
+  }
+
+  return { protagonist: locked.protagonist || additions.protagonist, characters };
+}
+
+/**
+ * Characters with no locked look yet, so the story prompt can ask for them.
+ * @param {object} appearances
+ * @param {string[]} names - Characters known to the story (e.g. from the story bible)
+ */
+export function missingAppearances(appearances, names) {
+  return names.filter((name) => !appearances.characters.some((c) => normalize(c.name) === normalize(name)));
+}
+
+/**
+ * Render the locked looks for the story prompt. Empty string when none.
+ */
+export function formatAppearances(appearances) {
+  if (!appearances) return '';
+  const lines = [];
+  if (appearances.protagonist) lines.push(`- The protagonist (the player): ${appearances.protagonist}`);
+  appearances.characters.forEach((c) => lines.push(`- ${c.name}: ${c.appearance}`));
+  return lines.join('\n');
+}
+
+/**
+ * Append the locked look of every character an image prompt features.
+ * A character is featured when the prompt names them.
+ * @returns {string} The prompt, unchanged when it features nobody with a look
+ */
+export function applyAppearances(imagePrompt, appearances) {
+  if (!appearances) return imagePrompt;
+  const prompt = imagePrompt.toLowerCase();
+  const featured = [];
+
+  if (appearances.protagonist && prompt.includes(PROTAGONIST_LABEL)) {
+    featured.push(`${PROTAGONIST_LABEL}: ${appearances.protagonist}`);
+  }
+  appearances.characters
+    .filter((c) => prompt.includes(normalize(c.name)))
+    .forEach((c) => featured.push(`${c.name}: ${c.appearance}`));
+
+  if (featured.length === 0) return imagePrompt;
+  return `${imagePrompt}. Character appearance (draw exactly like this): ${featured.join('; ')}`;
+}
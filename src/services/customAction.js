@@ -0,0 +1,58 @@
+/**
+ * Custom Actions — free-text actions the player types instead of picking
+ * one of the generated choices.
+ *
+ * The text ends up inside the story prompt, so it is cleaned before it gets
+ * there: length-limited, flattened to a single line, stripped of characters
+ * that could close the quoted block it is placed in or fake a prompt
+ * section (see promptText.js), and rejected outright when it reads like
+ * instructions to the AI rather than something the protagonist does.
+ * Whether the action is *plausible* is left to the model (see
+ * buildStoryPrompt), so the story can push back on absurd actions instead
+ * of obeying them.
+ */
+
+import { cleanPromptText } from './promptText';
+
+export const CUSTOM_ACTION_LIMITS = {
+  minLength: 3,
+  maxLength: 120,
+};
+
+// Phrases aimed at the model rather than the story
+const INSTRUCTION_PATTERNS = [
+  /\b(ignore|disregard|forget)\b.{0,30}\b(instructions?|rules?|prompt|above|previous)\b/i,
+  /\b(system|developer)\s*(prompt|message|instructions?)\b/i,
+  /\byou are (now )?(an? )?(ai|assistant|language model|chatbot)\b/i,
+  /\b(respond|reply|answer|output)\b.{0,20}\b(json|format|markdown)\b/i,
+  /\b(new|override|change) (the )?(rules?|instructions?|genre|language)\b/i,
+];
+
+/**
+ * Clean and check a typed action.
+ * @param {string} raw - Text as typed by the player
+ * @returns {{text: string, error: 'empty'|'tooLong'|'instructions'|null}} Cleaned text, and why
+ *   it was rejected (catalog keys customAction.error.<code>)
+ */
+export function validateCustomAction(raw) {
+  const text = cleanPromptText(raw);
+
+  if (text.length < CUSTOM_ACTION_LIMITS.minLength) {
+    return { text, error: 'empty' };
+  }
+  if (text.length > CUSTOM_ACTION_LIMITS.maxLength) {
+    return { text, error: 'tooLong' };
+  }
+  if (INSTRUCTION_PATTERNS.some((pattern) => pattern.test(text))) {
+    return { text, error: 'instructions' };
+  }
+  return { text, error: null };
+}
+
+/**
+ * Quote a custom action for the prompt. The text is cleaned again (saves may
+ * predate the checks) so the delimiters can never appear inside it.
+ */
+export function quoteCustomAction(text) {
+  return `⟦${cleanPromptText(text, CUSTOM_ACTION_LIMITS.maxLength)}⟧`;
+}
@@ -0,0 +1,186 @@
+/**
+ * Custom Genres — player-made genres kept in localStorage next to the
+ * built-in GENRES, with an AI helper that suggests an art style and
+ * JSON import/export so genres can be shared.
+ *
+ * A custom genre has the same shape as a built-in one, so the genre grid
+ * and startGame treat both alike:
+ *   {
+ *     id: 'custom-…', custom: true,
+ *     name, description,                   // as typed, shown in every UI language
+ *     emoji, color, artStylePrompt,
+ *     notes,                               // optional tone/setting notes for the story prompt
+ *   }
+ */
+
+import { callGeminiText } from './geminiService';
+import { parseTurnJson } from './turnSchema';
+import { cleanPromptText } from './promptText';
+
+const STORAGE_KEY = 'unfoldy-custom-genres';
+const EXPORT_FORMAT = 'unfoldy-genres';
+
+export const CUSTOM_GENRE_LIMITS = {
+  name: 40,
+  description: 160,
+  emoji: 8,
+  artStylePrompt: 300,
+  notes: 400,
+  maxGenres: 24,
+};
+
+export const DEFAULT_CUSTOM_COLOR = '#7c4dff';
+
+/**
+ * Error with a `code` the UI can translate (catalog keys genres.error.<code>).
+ */
+function genreError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function createGenreId() {
+  return `custom-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+/**
+ * Clean and check a genre from the editor or an import. Genres saved by
+ * older versions kept `name`/`description` as `{ en }` objects.
+ * @returns {{genre: object|null, errors: string[]}} `errors` are codes for the
+ *   player (catalog keys genreEditor.error.<code>)
+ */
+export function validateCustomGenre(draft) {
+  const limits = CUSTOM_GENRE_LIMITS;
+  const pick = (value) => (value && typeof value === 'object' ? value.en : value);
+
+  const genre = {
+    id: typeof draft?.id === 'string' && draft.id.startsWith('custom-') ? draft.id : createGenreId(),
+    custom: true,
+    name: cleanPromptText(pick(draft?.name), limits.name),
+    description: cleanPromptText(pick(draft?.description), limits.description),
+    emoji: cleanPromptText(draft?.emoji, limits.emoji) || '✨',
+    color: /^#[0-9a-f]{6}$/i.test(draft?.color) ? draft.color : DEFAULT_CUSTOM_COLOR,
+    artStylePrompt: cleanPromptText(draft?.artStylePrompt, limits.artStylePrompt),
+    notes: cleanPromptText(draft?.notes, limits.notes),
+  };
+
+  const errors = [];
+  if (!genre.name) errors.push('name');
+  if (!genre.description) errors.push('description');
+  if (!genre.artStylePrompt) errors.push('artStyle');
+  return { genre: errors.length === 0 ? genre : null, errors };
+}
+
+// ─── Storage ───
+
+export function listCustomGenres() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.map((g) => validateCustomGenre(g).genre).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeCustomGenres(genres) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(genres));
+}
+
+/**
+ * Add a genre, or replace the one with the same id.
+ * @returns {object[]} The updated list
+ */
+export function saveCustomGenre(genre) {
+  const genres = listCustomGenres();
+  const index = genres.findIndex((g) => g.id === genre.id);
+  if (index === -1 && genres.length >= CUSTOM_GENRE_LIMITS.maxGenres) {
+    throw genreError('tooMany', `You can keep up to ${CUSTOM_GENRE_LIMITS.maxGenres} custom genres.`);
+  }
+  const updated = index === -1 ? [...genres, genre] : genres.map((g) => (g.id === genre.id ? genre : g));
+  writeCustomGenres(updated);
+  return updated;
+}
+
+export function deleteCustomGenre(id) {
+  const updated = listCustomGenres().filter((g) => g.id !== id);
+  writeCustomGenres(updated);
+  return updated;
+}
+
+// ─── Import / export ───
+
+/**
+ * Serialize genres for sharing.
+ */
+export function exportCustomGenres(genres) {
+  const exported = genres.map(({ name, description, emoji, color, artStylePrompt, notes }) => ({
+    name,
+    description,
+    emoji,
+    color,
+    artStylePrompt,
+    notes,
+  }));
+  return JSON.stringify({ format: EXPORT_FORMAT, version: 1, genres: exported }, null, 2);
+}
+
+/**
+ * Add the genres from an exported file. Imports always get new ids, so a
+ * shared genre never overwrites one of the player's own.
+ * @param {string} text - File contents
+ * @returns {{genres: object[], imported: number, skipped: number}} The updated list and counts
+ * @throws {Error} with a `code` when the file is not a genre export
+ */
+export function importCustomGenres(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw genreError('invalidJson', 'This file is not valid JSON.');
+  }
+  const incoming = Array.isArray(data) ? data : data?.format === EXPORT_FORMAT ? data.genres : null;
+  if (!Array.isArray(incoming)) throw genreError('notGenres', 'This file does not contain Unfoldy genres.');
+
+  const genres = listCustomGenres();
+  let imported = 0;
+  for (const raw of incoming) {
+    const { genre } = validateCustomGenre({ ...raw, id: null });
+    if (!genre || genres.length >= CUSTOM_GENRE_LIMITS.maxGenres) continue;
+    genres.push(genre);
+    imported++;
+  }
+  writeCustomGenres(genres);
+  return { genres, imported, skipped: incoming.length - imported };
+}
+
+// ─── AI helper ───
+
+/**
+ * Ask the text model for an art style prompt that fits the genre.
+ * @param {{name: string, description: string, notes?: string}} draft
+ * @returns {Promise<string>} Suggested art style prompt
+ */
+export async function suggestArtStyle(draft, { contentRating } = {}) {
+  const name = cleanPromptText(draft.name, CUSTOM_GENRE_LIMITS.name);
+  const description = cleanPromptText(draft.description, CUSTOM_GENRE_LIMITS.description);
+  const notes = cleanPromptText(draft.notes, CUSTOM_GENRE_LIMITS.notes);
+
+  const prompt = `You are an art director for an illustrated interactive story.
+Suggest the visual style for every illustration in a story of this genre:
+- Genre: ${name || '(unnamed)'}
+- Description: ${description || '(none)'}${notes ? `\n- Tone and setting notes: ${notes}` : ''}
+
+Write one comma-separated image-generation style prompt in English, at most 30 words: medium, palette, lighting, mood and setting, like "Watercolor illustration, medieval fantasy, warm golden tones, detailed environments". Do not name characters or describe a specific scene.
+
+Respond in this exact JSON format (no markdown fences, no extra text):
+{ "artStylePrompt": "..." }`;
+
+  const input = [name, description, notes].filter(Boolean).join('\n');
+  const { text } = await callGeminiText(prompt, { input, contentRating });
+  const { data, error } = parseTurnJson(text);
+  const suggestion = cleanPromptText(data?.artStylePrompt, CUSTOM_GENRE_LIMITS.artStylePrompt);
+  if (error || !suggestion) throw genreError('suggestion', 'The art style suggestion came back empty.');
+  console.log(`🎨 Suggested art style: ${suggestion}`);
+  return suggestion;
+}
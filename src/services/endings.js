@@ -0,0 +1,124 @@
+/**
+ * Endings — how a story ended, and the player's collection of endings.
+ *
+ * The final turn classifies its ending as { type, title }: type is one of
+ * ENDING_TYPES or 'custom' (see config/endingConfig.js), title a short name
+ * for this particular ending in the story language.
+ *
+ * Every ending reached is remembered per genre in localStorage, so the genre
+ * cards can show which endings were found and how many stories were finished:
+ *   {
+ *     [genreId]: {
+ *       finished: [storyId],
+ *       endings: [{ type, title, storyId, nodeId, reachedAt }],
+ *     }
+ *   }
+ */
+
+import { ENDING_TYPES, CUSTOM_ENDING, ENDING_TITLE_MAX_LENGTH, MAX_ENDINGS_PER_GENRE } from '../config/endingConfig';
+
+const STORAGE_KEY = 'unfoldy-endings';
+
+const ENDING_TYPE_IDS = [...ENDING_TYPES.map((type) => type.id), CUSTOM_ENDING.id];
+
+/**
+ * Clean an ending from a model response or from storage.
+ * @returns {{type: string, title: string}|null} null when it is not an ending
+ */
+export function normalizeEnding(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const type = typeof raw.type === 'string' ? raw.type.trim().toLowerCase() : '';
+  const title =
+    typeof raw.title === 'string'
+      ? raw.title
+          .replace(/[\p{Cc}\p{Cf}]/gu, ' ')
+          .replace(/\s+/g, ' ')
+          .trim()
+          .replace(/^["'“”«»「」]+|["'“”«»「」]+$/g, '')
+          .slice(0, ENDING_TITLE_MAX_LENGTH)
+      : '';
+
+  if (!ENDING_TYPE_IDS.includes(type)) return title ? { type: CUSTOM_ENDING.id, title } : null;
+  if (type === CUSTOM_ENDING.id && !title) return null;
+  return { type, title };
+}
+
+export function endingIcon(type) {
+  return ENDING_TYPES.find((t) => t.id === type)?.icon || CUSTOM_ENDING.icon;
+}
+
+// Custom endings are told apart by their title; the others by their type
+function endingKind(ending) {
+  return ending.type === CUSTOM_ENDING.id ? `${CUSTOM_ENDING.id}:${ending.title.toLowerCase()}` : ending.type;
+}
+
+// ─── Collection ───
+
+export function getEndingCollection() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch {
+    return {};
+  }
+}
+
+function genreEntry(collection, genreId) {
+  const entry = collection[genreId];
+  return {
+    finished: Array.isArray(entry?.finished) ? entry.finished : [],
+    endings: Array.isArray(entry?.endings) ? entry.endings.filter((e) => normalizeEnding(e)) : [],
+  };
+}
+
+/**
+ * Remember an ending the player reached. Reaching the same ending again
+ * (re-reading a finished story) changes nothing.
+ * @param {{genreId: string, storyId: string, nodeId: string, ending: {type: string, title: string}}} reached
+ * @returns {object} The updated collection
+ */
+export function recordEnding({ genreId, storyId, nodeId, ending }) {
+  const collection = getEndingCollection();
+  const entry = genreEntry(collection, genreId);
+  if (entry.endings.some((e) => e.storyId === storyId && e.nodeId === nodeId)) return collection;
+
+  const updated = {
+    ...collection,
+    [genreId]: {
+      finished: entry.finished.includes(storyId) ? entry.finished : [...entry.finished, storyId],
+      endings: [...entry.endings, { ...ending, storyId, nodeId, reachedAt: Date.now() }].slice(-MAX_ENDINGS_PER_GENRE),
+    },
+  };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+  console.log(`${endingIcon(ending.type)} Ending collected for ${genreId}: ${ending.type} "${ending.title}"`);
+  return updated;
+}
+
+/**
+ * Whether this was the first ending of its kind the player reached in the
+ * genre. Holds whether or not it was recorded yet.
+ */
+export function isFirstOfKind(collection, { genreId, storyId, nodeId, ending }) {
+  const kind = endingKind(ending);
+  const { endings } = genreEntry(collection, genreId);
+  // Endings are kept in the order they were reached
+  const index = endings.findIndex((e) => e.storyId === storyId && e.nodeId === nodeId);
+  const earlier = index === -1 ? endings : endings.slice(0, index);
+  return !earlier.some((e) => endingKind(e) === kind);
+}
+
+/**
+ * What a genre card shows.
+ * @returns {{finished: number, found: string[], total: number, custom: string[]}}
+ *   `found` are the ENDING_TYPES ids reached, `custom` the titles of custom endings
+ */
+export function genreEndingStats(collection, genreId) {
+  const { finished, endings } = genreEntry(collection, genreId);
+  const found = ENDING_TYPES.map((t) => t.id).filter((id) => endings.some((e) => e.type === id));
+  const custom = [
+    ...new Map(
+      endings.filter((e) => e.type === CUSTOM_ENDING.id).map((e) => [endingKind(e), e.title])
+    ).values(),
+  ];
+  return { finished: finished.length, found, total: ENDING_TYPES.length, custom };
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { normalizeEnding, recordEnding, getEndingCollection, isFirstOfKind, genreEndingStats } from './endings';
+
+// localStorage backed by a Map, fresh for every test
+beforeEach(() => {
+  const items = new Map();
+  vi.stubGlobal('localStorage', {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  });
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+const reached = (storyId, nodeId, ending) => ({ genreId: 'fantasy', storyId, nodeId, ending });
+
+describe('normalizeEnding', () => {
+  it('keeps known types and cleans the title', () => {
+    expect(normalizeEnding({ type: ' Tragic ', title: '"The Last\nLight"' })).toEqual({ type: 'tragic', title: 'The Last Light' });
+  });
+
+  it('turns unknown types with a title into custom endings', () => {
+    expect(normalizeEnding({ type: 'cosmic', title: 'Stardust' })).toEqual({ type: 'custom', title: 'Stardust' });
+  });
+
+  it('rejects anything that does not name an ending', () => {
+    expect(normalizeEnding(null)).toBeNull();
+    expect(normalizeEnding('tragic')).toBeNull();
+    expect(normalizeEnding({ type: 'custom', title: '' })).toBeNull();
+    expect(normalizeEnding({ type: 'cosmic' })).toBeNull();
+  });
+});
+
+describe('ending collection', () => {
+  it('records each ending once and counts finished stories', () => {
+    recordEnding(reached('story-a', 'node-5', { type: 'tragic', title: 'Ashes' }));
+    recordEnding(reached('story-a', 'node-5', { type: 'tragic', title: 'Ashes' }));
+    recordEnding(reached('story-a', 'node-9', { type: 'triumphant', title: 'Crowned' }));
+
+    const stats = genreEndingStats(getEndingCollection(), 'fantasy');
+    expect(stats).toMatchObject({ finished: 1, found: ['triumphant', 'tragic'], total: 4, custom: [] });
+  });
+
+  it('tells whether an ending was the first of its kind', () => {
+    const first = reached('story-a', 'node-5', { type: 'tragic', title: 'Ashes' });
+    const again = reached('story-b', 'node-3', { type: 'tragic', title: 'Dust' });
+    recordEnding(first);
+    const collection = recordEnding(again);
+
+    expect(isFirstOfKind(collection, first)).toBe(true);
+    expect(isFirstOfKind(collection, again)).toBe(false);
+  });
+
+  it('tells custom endings apart by title', () => {
+    recordEnding(reached('story-a', 'node-5', { type: 'custom', title: 'Stardust' }));
+    recordEnding(reached('story-b', 'node-5', { type: 'custom', title: 'Stardust' }));
+    const collection = recordEnding(reached('story-c', 'node-5', { type: 'custom', title: 'Moonrise' }));
+
+    expect(genreEndingStats(collection, 'fantasy').custom).toEqual(['Stardust', 'Moonrise']);
+    expect(isFirstOfKind(collection, reached('story-c', 'node-5', { type: 'custom', title: 'Moonrise' }))).toBe(true);
+  });
+
+  it('reads a damaged collection as empty', () => {
+    localStorage.setItem('unfoldy-endings', '[not json');
+    expect(getEndingCollection()).toEqual({});
+  });
+});
@@ -1,83 +1,146 @@
 /**
- * AI Service — Unified Text & Image Generation Client
- * 
- * In PRODUCTION (Vercel): calls /api/generate-text and /api/generate-image
- *   → API keys stay server-side in serverless functions
- * 
- * In DEVELOPMENT (Vite): calls Gemini/Imagen APIs directly using VITE_ env vars
- *   → Convenient for local testing
+ * AI Service — Unified Text, Image & Speech Generation Client
+ *
+ * In PRODUCTION (Vercel): calls /api/generate-text, /api/generate-image and
+ *   /api/generate-speech → API keys stay server-side in serverless functions
+ *
+ * In DEVELOPMENT (Vite): runs the provider chain directly using VITE_ env vars
+ *   → Convenient for local testing. Set VITE_TEXT_PROVIDERS=mock and
+ *     VITE_IMAGE_PROVIDERS=mock to play fully offline.
+ *
+ * Both paths use the same provider registry (src/providers) and the same
+ * moderation stage (src/moderation), so fallback order, models, timeouts
+ * and content ratings behave identically.
  */
 
+import { resolveProviderConfig, resolveProviderKeys } from '../providers/config.js';
+import { readLines, timeoutSignal } from '../providers/http.js';
+import { runModeratedChain } from '../moderation/moderation.js';
+import { resolveModerationConfig } from '../moderation/config.js';
+
 const IS_DEV = import.meta.env.DEV;
 
 // ─── Dev-mode settings (only used locally) ───
-const DEV_GEMINI_API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
-const DEV_GEMINI_TEXT_MODEL = 'gemini-3-flash-preview';
-const DEV_IMAGEN_MODEL = 'imagen-4.0-fast-generate-001';
-const DEV_GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const DEV_PROVIDER_OPTIONS = IS_DEV
+  ? {
+      config: resolveProviderConfig(import.meta.env, 'VITE_'),
+      keys: resolveProviderKeys(import.meta.env, 'VITE_'),
+      moderation: resolveModerationConfig(import.meta.env, 'VITE_'),
+      logPrefix: '[dev]',
+    }
+  : null;
 
-const TEXT_TIMEOUT_MS = 30000;
+// Above the server's own budget for a text request (api/generate-text.js)
+const TEXT_TIMEOUT_MS = 60000;
 const IMAGE_TIMEOUT_MS = 60000;
+const SPEECH_TIMEOUT_MS = 40000;
 
 /**
  * Creates a fetch request with a timeout.
+ * `options.signal` (the caller's own) still cancels the request early.
  */
 function fetchWithTimeout(url, options, timeout) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeout);
+  return fetch(url, { ...options, signal: timeoutSignal(timeout, options.signal) });
+}
 
-  return fetch(url, { ...options, signal: controller.signal }).finally(() =>
-    clearTimeout(id)
-  );
+/**
+ * Build an Error from an API error response. `code` says what went wrong for
+ * the player-facing message ('rateLimited', 'blocked', 'timeout' or 'unavailable'); the
+ * error also keeps the moderation result (present when content was blocked)
+ * and, when rate limited, how many seconds to wait (`retryAfter`, from the
+ * Retry-After header).
+ */
+function apiError(status, errorData, headers) {
+  if (status === 429) {
+    const retryAfter = Number(headers?.get('Retry-After')) || errorData.retryAfter || 60;
+    const error = new Error(`Rate limited, retry after ${retryAfter}s`);
+    error.status = 429;
+    error.code = 'rateLimited';
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
+  const error = new Error(errorData.error || `API error: ${status}`);
+  error.status = status;
+  error.code = status === 422 || errorData.moderation ? 'blocked' : status === 504 ? 'timeout' : 'unavailable';
+  error.moderation = errorData.moderation || null;
+  return error;
+}
+
+/**
+ * Read the NDJSON stream from /api/generate-text (see the handler for the format).
+ * Calls onDelta(chunk) for every piece of text and resolves with the full result.
+ */
+async function streamFromProxy(prompt, { input, onDelta, contentRating, signal }) {
+  const startTime = Date.now();
+
+  const response = await fetch('/api/generate-text', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ prompt, input, stream: true, contentRating }),
+    signal: timeoutSignal(TEXT_TIMEOUT_MS, signal),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+    console.error(`❌ Text stream error: ${response.status} (${Date.now() - startTime}ms)`);
+    throw apiError(response.status, errorData, response.headers);
+  }
+
+  let text = '';
+  let done = null;
+  await readLines(response, (line) => {
+    const event = JSON.parse(line);
+    if (event.type === 'delta') {
+      text += event.text;
+      onDelta(event.text);
+    } else if (event.type === 'done') {
+      done = event;
+    } else if (event.type === 'error') {
+      throw apiError(event.status || 502, event);
+    }
+  });
+
+  if (!done) throw new Error('Text stream ended unexpectedly');
+  // `done.text` is set when moderation held back or regenerated the streamed text
+  const finalText = done.text ?? text;
+  console.log(`✅ Text stream via ${done.provider} (${Date.now() - startTime}ms), ${finalText.length} chars`);
+  return { text: finalText, provider: done.provider, usedFallback: done.usedFallback, moderation: done.moderation };
 }
 
 /**
  * Generate story text.
- * Routes to serverless proxy in production, direct API in dev.
+ * Routes to serverless proxy in production, provider chain directly in dev.
+ * Pass `onDelta` to receive the text progressively as it is generated.
+ * `input` is the player's own new text in the prompt (a choice, a typed action),
+ * which is what input moderation classifies; the model's output is always moderated.
+ * `contentRating` ('family' | 'teen' | 'mature') sets how strictly it is moderated;
+ * `signal` cancels the request (used for speculative prefetches).
+ * @returns {Promise<{text: string, provider: string, usedFallback: boolean, moderation: object}>}
+ * @throws {Error} with `status` 422 and a `moderation` result when the content was blocked
  */
-export async function callGeminiText(prompt) {
+export async function callGeminiText(prompt, { input, onDelta, contentRating, signal } = {}) {
   console.log(`─── TEXT GENERATION REQUEST (${IS_DEV ? 'DEV' : 'PROD'}) ───`);
   console.log(`Prompt length: ${prompt.length} chars`);
 
   const startTime = Date.now();
 
   if (IS_DEV) {
-    // ── Direct API call in development ──
-    const url = `${DEV_GEMINI_BASE_URL}/${DEV_GEMINI_TEXT_MODEL}:generateContent?key=${DEV_GEMINI_API_KEY}`;
-
-    const response = await fetchWithTimeout(
-      url,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: {
-            temperature: 0.9,
-            maxOutputTokens: 4096,
-            responseMimeType: 'application/json',
-          },
-        }),
-      },
-      TEXT_TIMEOUT_MS
+    // ── Provider chain in development ──
+    const { output, provider, usedFallback, moderation } = await runModeratedChain(
+      'text',
+      { prompt, input, onDelta, signal },
+      { ...DEV_PROVIDER_OPTIONS, rating: contentRating }
     );
 
-    const elapsed = Date.now() - startTime;
-
-    if (!response.ok) {
-      const errorBody = await response.text().catch(() => 'no body');
-      console.error(`❌ Gemini text error: ${response.status} (${elapsed}ms)`);
-      console.error(`   Response: ${errorBody.substring(0, 300)}`);
-      throw new Error(`Gemini API error: ${response.status} — ${errorBody.substring(0, 100)}`);
-    }
-
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    console.log(`✅ Text via ${provider} (${Date.now() - startTime}ms)`);
+    console.log(`   Response length: ${output.length} chars`);
+    console.log(`   Preview: ${output.substring(0, 150)}...`);
+    return { text: output, provider, usedFallback, moderation };
+  }
 
-    console.log(`✅ Gemini text success (${elapsed}ms)`);
-    console.log(`   Response length: ${text.length} chars`);
-    console.log(`   Preview: ${text.substring(0, 150)}...`);
-    return text;
+  if (onDelta) {
+    return streamFromProxy(prompt, { input, onDelta, contentRating, signal });
   }
 
   // ── Serverless proxy in production ──
@@ -86,7 +149,8 @@ export async function callGeminiText(prompt) {
     {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ prompt }),
+      body: JSON.stringify({ prompt, input, contentRating }),
+      signal,
     },
     TEXT_TIMEOUT_MS
   );
@@ -96,60 +160,37 @@ export async function callGeminiText(prompt) {
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
     console.error(`❌ Text generation error: ${response.status} (${elapsed}ms)`);
-    throw new Error(errorData.error || `API error: ${response.status}`);
+    throw apiError(response.status, errorData, response.headers);
   }
 
   const data = await response.json();
   console.log(`✅ Text via ${data.provider} (${elapsed}ms), ${data.text.length} chars`);
-  return data.text;
+  return { text: data.text, provider: data.provider, usedFallback: data.usedFallback, moderation: data.moderation };
 }
 
 /**
  * Generate an image.
- * Routes to serverless proxy in production, direct API in dev.
+ * Routes to serverless proxy in production, provider chain directly in dev.
+ * `signal` cancels the request.
+ * @returns {Promise<{image: string, provider: string, usedFallback: boolean, moderation: object}>}
+ * @throws {Error} with `status` 422 and a `moderation` result when the prompt was blocked
  */
-export async function callGeminiImage(imagePrompt) {
+export async function callGeminiImage(imagePrompt, { contentRating, signal } = {}) {
   console.log(`─── IMAGE GENERATION REQUEST (${IS_DEV ? 'DEV' : 'PROD'}) ───`);
   console.log(`Prompt: ${imagePrompt.substring(0, 200)}...`);
 
   const startTime = Date.now();
 
   if (IS_DEV) {
-    // ── Direct Imagen call in development ──
-    const url = `${DEV_GEMINI_BASE_URL}/${DEV_IMAGEN_MODEL}:predict`;
-
-    const response = await fetchWithTimeout(
-      url,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-goog-api-key': DEV_GEMINI_API_KEY,
-        },
-        body: JSON.stringify({
-          instances: [{ prompt: imagePrompt }],
-          parameters: { sampleCount: 1 },
-        }),
-      },
-      IMAGE_TIMEOUT_MS
+    // ── Provider chain in development ──
+    const { output, provider, usedFallback, moderation } = await runModeratedChain(
+      'image',
+      { prompt: imagePrompt, signal },
+      { ...DEV_PROVIDER_OPTIONS, rating: contentRating }
     );
 
-    const elapsed = Date.now() - startTime;
-
-    if (!response.ok) {
-      const errorBody = await response.text().catch(() => 'no body');
-      console.error(`❌ Imagen error: ${response.status} (${elapsed}ms)`);
-      throw new Error(`Imagen API error: ${response.status} — ${errorBody.substring(0, 100)}`);
-    }
-
-    const data = await response.json();
-    const predictions = data.predictions || [];
-    if (predictions.length > 0 && predictions[0].bytesBase64Encoded) {
-      const base64 = predictions[0].bytesBase64Encoded;
-      console.log(`✅ Imagen success (${elapsed}ms), ${(base64.length / 1024).toFixed(0)}KB`);
-      return `data:image/png;base64,${base64}`;
-    }
-    throw new Error('No image data in Imagen response');
+    console.log(`✅ Image via ${provider} (${Date.now() - startTime}ms)`);
+    return { image: output, provider, usedFallback, moderation };
   }
 
   // ── Serverless proxy in production ──
@@ -158,7 +199,8 @@ export async function callGeminiImage(imagePrompt) {
     {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ prompt: imagePrompt }),
+      body: JSON.stringify({ prompt: imagePrompt, contentRating }),
+      signal,
     },
     IMAGE_TIMEOUT_MS
   );
@@ -168,10 +210,65 @@ export async function callGeminiImage(imagePrompt) {
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
     console.error(`❌ Image generation error: ${response.status} (${elapsed}ms)`);
-    throw new Error(errorData.error || `API error: ${response.status}`);
+    throw apiError(response.status, errorData, response.headers);
   }
 
   const data = await response.json();
   console.log(`✅ Image via ${data.provider} (${elapsed}ms)`);
-  return data.image;
+  return { image: data.image, provider: data.provider, usedFallback: data.usedFallback, moderation: data.moderation };
+}
+
+/**
+ * Generate narration audio for a passage.
+ * Routes to serverless proxy in production, provider chain directly in dev.
+ * `mood` and `language` pick the voice and reading style (see narrationConfig.js).
+ * @returns {Promise<{audio: string, provider: string, usedFallback: boolean}>} `audio` is a data URI
+ * @throws {Error} with `status` 501 when no speech provider is configured
+ */
+export async function callGeminiSpeech(text, { mood, language, contentRating, signal } = {}) {
+  console.log(`─── SPEECH GENERATION REQUEST (${IS_DEV ? 'DEV' : 'PROD'}) ───`);
+  console.log(`Text length: ${text.length} chars, mood: ${mood}`);
+
+  const startTime = Date.now();
+
+  if (IS_DEV) {
+    // ── Provider chain in development ──
+    try {
+      const { output, provider, usedFallback } = await runModeratedChain(
+        'speech',
+        { prompt: text, mood, language, signal },
+        { ...DEV_PROVIDER_OPTIONS, rating: contentRating }
+      );
+      console.log(`✅ Speech via ${provider} (${Date.now() - startTime}ms)`);
+      return { audio: output, provider, usedFallback };
+    } catch (err) {
+      // Same answer the serverless function gives when VITE_SPEECH_PROVIDERS is unset
+      if (err.code === 'unconfigured') err.status = 501;
+      throw err;
+    }
+  }
+
+  // ── Serverless proxy in production ──
+  const response = await fetchWithTimeout(
+    '/api/generate-speech',
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, mood, language, contentRating }),
+      signal,
+    },
+    SPEECH_TIMEOUT_MS
+  );
+
+  const elapsed = Date.now() - startTime;
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+    console.error(`❌ Speech generation error: ${response.status} (${elapsed}ms)`);
+    throw apiError(response.status, errorData, response.headers);
+  }
+
+  const data = await response.json();
+  console.log(`✅ Speech via ${data.provider} (${elapsed}ms)`);
+  return { audio: data.audio, provider: data.provider, usedFallback: data.usedFallback };
 }
@@ -0,0 +1,25 @@
+/**
+ * Reduced motion — a player preference that turns off the splash screen and
+ * the fade/blur animations.
+ *
+ * Until the player picks a setting in the menu, it follows the system's
+ * "reduce motion" accessibility option. The preference is applied as
+ * <html data-motion="reduced">, which index.css uses to stop animations.
+ */
+
+const REDUCED_MOTION_KEY = 'unfoldy-reduced-motion';
+
+export function isReducedMotion() {
+  const saved = localStorage.getItem(REDUCED_MOTION_KEY);
+  if (saved) return saved === 'on';
+  return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+}
+
+export function setReducedMotion(enabled) {
+  localStorage.setItem(REDUCED_MOTION_KEY, enabled ? 'on' : 'off');
+  applyMotionPreference();
+}
+
+export function applyMotionPreference() {
+  document.documentElement.dataset.motion = isReducedMotion() ? 'reduced' : 'full';
+}
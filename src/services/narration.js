@@ -0,0 +1,233 @@
+/**
+ * Narration — reads turns aloud.
+ *
+ * Audio comes from /api/generate-speech (see callGeminiSpeech) in the voice
+ * of the story's genre mood. When the server has no speech provider, or a
+ * request fails, the browser's Web Speech API reads the turn instead, with a
+ * voice for the story's language. Each turn's audio is cached, so replaying
+ * it (or rewinding to it) costs no request.
+ *
+ * The narrator is an external store for useSyncExternalStore:
+ *   state = { key, status: 'idle' | 'loading' | 'playing' | 'paused', error }
+ * where `key` names the turn being read (story + node id) and `error` is
+ * 'unavailable' when neither the server nor the browser can speak.
+ */
+
+import { GENRES } from '../config/styleConfig';
+import { NARRATION_MOODS, NARRATION_MAX_CHARS, resolveNarrationMood } from '../config/narrationConfig';
+import { localeForStoryLanguage } from '../i18n/locales';
+import { callGeminiSpeech } from './geminiService';
+
+const NARRATION_ENABLED_KEY = 'unfoldy-narration';
+
+// Server audio kept for replays (data URIs of ~0.5–1.5 MB each)
+const MAX_CACHED_TURNS = 12;
+
+const IDLE = { key: null, status: 'idle', error: null };
+
+// ─── Player preference ───
+
+/**
+ * Whether each new turn is read aloud automatically.
+ */
+export function isNarrationEnabled() {
+  return localStorage.getItem(NARRATION_ENABLED_KEY) === 'on';
+}
+
+export function setNarrationEnabled(enabled) {
+  if (enabled) localStorage.setItem(NARRATION_ENABLED_KEY, 'on');
+  else localStorage.removeItem(NARRATION_ENABLED_KEY);
+}
+
+export function narrationKey(storyId, nodeId) {
+  return `${storyId}/${nodeId}`;
+}
+
+/**
+ * The voice for a story: mood from its genre, language from the story.
+ * @returns {{mood: string, language: string, languageTag: string}}
+ */
+export function narrationVoice(genreId, language) {
+  return {
+    mood: resolveNarrationMood(GENRES.find((g) => g.id === genreId)?.narrationMood),
+    language,
+    languageTag: localeForStoryLanguage(language).code,
+  };
+}
+
+// ─── Browser voices ───
+
+function browserSpeechAvailable() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window;
+}
+
+function pickBrowserVoice(languageTag) {
+  const voices = window.speechSynthesis.getVoices();
+  const matching = voices.filter((v) => v.lang.toLowerCase().replace('_', '-').startsWith(languageTag.toLowerCase()));
+  return matching.find((v) => v.localService) || matching[0] || null;
+}
+
+// Long utterances get cut off in some browsers, so the text is queued sentence by sentence
+function splitSentences(text) {
+  return text.match(/[^.!?。！？]+[.!?。！？]*["'”’」』]?\s*/g)?.map((s) => s.trim()).filter(Boolean) || [text];
+}
+
+/**
+ * Create a narrator. One per app; clear() forgets the cache of an earlier story.
+ */
+export function createNarrator() {
+  const cache = new Map(); // key → audio data URI, or null when the browser voice reads it
+  const listeners = new Set();
+  let state = IDLE;
+  let serverAvailable = true;
+  let audio = null;
+  let controller = null;
+
+  function setState(next) {
+    state = next;
+    listeners.forEach((listener) => listener());
+  }
+
+  function remember(key, src) {
+    cache.delete(key);
+    cache.set(key, src);
+    if (cache.size > MAX_CACHED_TURNS) cache.delete(cache.keys().next().value);
+  }
+
+  async function loadAudio(key, text, voice, contentRating, signal) {
+    if (cache.has(key)) return cache.get(key);
+    if (!serverAvailable) return null;
+
+    try {
+      const { audio: src } = await callGeminiSpeech(text.slice(0, NARRATION_MAX_CHARS), {
+        mood: voice.mood,
+        language: voice.language,
+        contentRating,
+        signal,
+      });
+      remember(key, src);
+      return src;
+    } catch (err) {
+      if (signal.aborted) throw err;
+      // No server voice configured: use the browser for the rest of the session
+      if (err.status === 501) serverAvailable = false;
+      else console.warn(`🔈 Narration request failed, using the browser voice: ${err.message}`);
+      remember(key, null);
+      return null;
+    }
+  }
+
+  function playAudio(key, src, fallback) {
+    audio = new Audio(src);
+    audio.onended = () => setState(IDLE);
+    // Audio the browser cannot decode is read by the browser voice instead
+    audio.onerror = () => {
+      audio = null;
+      remember(key, null);
+      fallback();
+    };
+    setState({ key, status: 'playing', error: null });
+    // Autoplay can be refused until the player interacts with the page
+    audio.play().catch(() => setState({ key, status: 'paused', error: null }));
+  }
+
+  function speakInBrowser(key, text, voice) {
+    if (!browserSpeechAvailable()) {
+      setState({ key, status: 'idle', error: 'unavailable' });
+      return;
+    }
+    const synth = window.speechSynthesis;
+    const { rate, pitch } = NARRATION_MOODS[voice.mood];
+    const browserVoice = pickBrowserVoice(voice.languageTag);
+    const sentences = splitSentences(text);
+
+    synth.cancel();
+    sentences.forEach((sentence, index) => {
+      const utterance = new SpeechSynthesisUtterance(sentence);
+      utterance.lang = voice.languageTag;
+      if (browserVoice) utterance.voice = browserVoice;
+      utterance.rate = rate;
+      utterance.pitch = pitch;
+      if (index === sentences.length - 1) {
+        utterance.onend = () => state.key === key && setState(IDLE);
+      }
+      synth.speak(utterance);
+    });
+    setState({ key, status: 'playing', error: null });
+  }
+
+  function stop() {
+    controller?.abort();
+    controller = null;
+    if (audio) {
+      audio.onended = null;
+      audio.onerror = null;
+      audio.pause();
+      audio = null;
+    }
+    if (browserSpeechAvailable()) window.speechSynthesis.cancel();
+    if (state !== IDLE) setState(IDLE);
+  }
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getState() {
+      return state;
+    },
+
+    /**
+     * Read a turn from the start, stopping whatever was playing.
+     * @param {string} key - From narrationKey()
+     * @param {string} text - The turn's narrative
+     * @param {object} voice - From narrationVoice()
+     * @param {string} [contentRating] - The story's rating, for server moderation
+     */
+    async play(key, text, voice, contentRating) {
+      stop();
+      if (!text) return;
+      const current = new AbortController();
+      controller = current;
+      setState({ key, status: 'loading', error: null });
+
+      let src;
+      try {
+        src = await loadAudio(key, text, voice, contentRating, current.signal);
+      } catch {
+        return; // stopped while loading
+      }
+      if (controller !== current) return;
+      controller = null;
+
+      if (src) playAudio(key, src, () => speakInBrowser(key, text, voice));
+      else speakInBrowser(key, text, voice);
+    },
+
+    pause() {
+      if (state.status !== 'playing') return;
+      if (audio) audio.pause();
+      else window.speechSynthesis.pause();
+      setState({ ...state, status: 'paused' });
+    },
+
+    resume() {
+      if (state.status !== 'paused') return;
+      if (audio) audio.play().catch(() => {});
+      else window.speechSynthesis.resume();
+      setState({ ...state, status: 'playing' });
+    },
+
+    stop,
+
+    /**
+     * Stop and forget the cached audio (new story, back to the menu).
+     */
+    clear() {
+      stop();
+      cache.clear();
+    },
+  };
+}
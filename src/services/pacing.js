@@ -0,0 +1,75 @@
+/**
+ * Pacing Engine — maps any story length onto the story arc in STORY_ARC:
+ * introduction, rising action, a climax at about 70%, falling action and
+ * the conclusion on the last turn.
+ *
+ * For a 10-turn story this follows the original hand-written table:
+ *   1 introduction · 2-6 rising action · 7 climax · 8-9 falling action · 10 conclusion
+ * Short stories compress phases (a 5-turn story has no falling action),
+ * long ones stretch them, walking each phase's steps in order.
+ */
+
+import { STORY_ARC, MIN_TURNS, MAX_CUSTOM_TURNS, MAX_TURNS } from '../config/styleConfig';
+
+/**
+ * Clamp a requested length to a playable whole number of turns.
+ */
+export function normalizeStoryLength(turns) {
+  const value = Math.round(Number(turns));
+  if (!Number.isFinite(value)) return MAX_TURNS;
+  return Math.min(MAX_CUSTOM_TURNS, Math.max(MIN_TURNS, value));
+}
+
+/**
+ * Turn numbers where each phase starts, for a story of `maxTurns` turns.
+ * @returns {{climax: number, introEnd: number}} climax turn and last introduction turn
+ */
+function arcLandmarks(maxTurns) {
+  const climax = Math.min(maxTurns - 1, Math.max(2, Math.round(maxTurns * STORY_ARC.climaxAt)));
+  const introEnd = Math.min(climax - 1, Math.max(1, Math.round(maxTurns * STORY_ARC.introductionShare)));
+  return { climax, introEnd };
+}
+
+function phaseSpan(turn, maxTurns) {
+  const { climax, introEnd } = arcLandmarks(maxTurns);
+  if (turn >= maxTurns) return { id: 'conclusion', start: maxTurns, end: maxTurns };
+  if (turn <= introEnd) return { id: 'introduction', start: 1, end: introEnd };
+  if (turn < climax) return { id: 'rising', start: introEnd + 1, end: climax - 1 };
+  if (turn === climax) return { id: 'climax', start: climax, end: climax };
+  return { id: 'falling', start: climax + 1, end: maxTurns - 1 };
+}
+
+/**
+ * Where a turn sits in the story arc.
+ * @param {number} turn - 1-based turn number
+ * @param {number} maxTurns - Story length
+ * @returns {{phase: string, label: string, instruction: string, isClimax: boolean, isFinal: boolean}}
+ */
+export function getPacing(turn, maxTurns) {
+  const span = phaseSpan(turn, maxTurns);
+  const { label, steps, emphasize } = STORY_ARC.phases[span.id];
+
+  // Spread the phase's steps over its turns, always including the first and last step
+  const length = span.end - span.start + 1;
+  const position = turn - span.start;
+  const step = length > 1 ? Math.round((position * (steps.length - 1)) / (length - 1)) : 0;
+
+  return {
+    phase: span.id,
+    label,
+    instruction: `${emphasize ? label.toUpperCase() : label}: ${steps[step]}`,
+    isClimax: span.id === 'climax',
+    isFinal: turn >= maxTurns,
+  };
+}
+
+/**
+ * The phase of every turn, for progress displays.
+ * @returns {{turn: number, phase: string, label: string}[]}
+ */
+export function getPacingCurve(maxTurns) {
+  return Array.from({ length: maxTurns }, (_, index) => {
+    const { phase, label } = getPacing(index + 1, maxTurns);
+    return { turn: index + 1, phase, label };
+  });
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeStoryLength, getPacing, getPacingCurve } from './pacing';
+
+const phases = (maxTurns) => getPacingCurve(maxTurns).map((t) => t.phase);
+
+describe('getPacingCurve', () => {
+  it('follows the original table for a 10-turn story', () => {
+    expect(phases(10)).toEqual([
+      'introduction',
+      'rising',
+      'rising',
+      'rising',
+      'rising',
+      'rising',
+      'climax',
+      'falling',
+      'falling',
+      'conclusion',
+    ]);
+  });
+
+  it('compresses short stories and keeps one climax in long ones', () => {
+    expect(phases(3)).toEqual(['introduction', 'climax', 'conclusion']);
+    expect(phases(5)).not.toContain('falling');
+
+    const long = phases(30);
+    expect(long.filter((phase) => phase === 'climax')).toHaveLength(1);
+    expect(long.at(-1)).toBe('conclusion');
+  });
+});
+
+describe('getPacing', () => {
+  it('flags the climax and the final turn', () => {
+    expect(getPacing(7, 10)).toMatchObject({ isClimax: true, isFinal: false });
+    expect(getPacing(10, 10)).toMatchObject({ phase: 'conclusion', isFinal: true });
+  });
+});
+
+describe('normalizeStoryLength', () => {
+  it('rounds and clamps to the playable range', () => {
+    expect(normalizeStoryLength(12.4)).toBe(12);
+    expect(normalizeStoryLength(1)).toBe(3);
+    expect(normalizeStoryLength(99)).toBe(30);
+    expect(normalizeStoryLength('abc')).toBe(10);
+  });
+});
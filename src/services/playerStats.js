@@ -0,0 +1,93 @@
+/**
+ * Player Stats — the optional RPG layer.
+ *
+ * When the player switches it on, a story tracks a few stats picked by its
+ * genre (see config/statsConfig.js), as { [statId]: value }. Each turn's
+ * response reports how its events changed them ("statChanges"); the reducer
+ * applies the changes to the stats of the turn before. Stats live on the
+ * story tree's nodes like the bible, so rewinding restores them.
+ *
+ * A stat reaching its critical value defeats the protagonist: that turn is
+ * written as the story's ending, whatever turn it is.
+ */
+
+import { GENRES } from '../config/styleConfig';
+import { STATS, DEFAULT_STATS, STAT_MAX, STAT_MAX_CHANGE } from '../config/statsConfig';
+
+const STATS_ENABLED_KEY = 'unfoldy-stats';
+
+// ─── Player preference ───
+
+/**
+ * Whether new stories track player stats.
+ */
+export function isStatsEnabled() {
+  return localStorage.getItem(STATS_ENABLED_KEY) === 'on';
+}
+
+export function setStatsEnabled(enabled) {
+  if (enabled) localStorage.setItem(STATS_ENABLED_KEY, 'on');
+  else localStorage.removeItem(STATS_ENABLED_KEY);
+}
+
+// ─── Stats ───
+
+/**
+ * Starting stats for a story of this genre; custom genres get the default ones.
+ */
+export function initialStats(genreId) {
+  const ids = GENRES.find((g) => g.id === genreId)?.stats || DEFAULT_STATS;
+  return Object.fromEntries(ids.map((id) => [id, STATS[id].initial]));
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Apply a turn's reported changes. Unknown stats and non-numbers are ignored,
+ * each change is capped at ±STAT_MAX_CHANGE and values stay within 0–STAT_MAX.
+ * @param {object|null} stats - Stats before the turn (null when the layer is off)
+ * @param {object|null} changes - The turn's "statChanges"
+ * @returns {{stats: object|null, changes: object|null}} The new stats and the
+ *   changes that actually happened (non-zero only)
+ */
+export function applyStatChanges(stats, changes) {
+  if (!stats) return { stats: null, changes: null };
+
+  const next = { ...stats };
+  const applied = {};
+  for (const id of Object.keys(stats)) {
+    const change = Number(changes?.[id]);
+    if (!Number.isFinite(change)) continue;
+    next[id] = clamp(stats[id] + clamp(Math.round(change), -STAT_MAX_CHANGE, STAT_MAX_CHANGE), 0, STAT_MAX);
+    if (next[id] !== stats[id]) applied[id] = next[id] - stats[id];
+  }
+  return { stats: next, changes: applied };
+}
+
+/**
+ * The stat that has reached its critical value, if any.
+ * @returns {string|null}
+ */
+export function criticalStat(stats) {
+  if (!stats) return null;
+  return (
+    Object.keys(stats).find((id) => {
+      const { critical } = STATS[id] || {};
+      if (critical === null || critical === undefined) return false;
+      return critical === 0 ? stats[id] <= 0 : stats[id] >= critical;
+    }) || null
+  );
+}
+
+/**
+ * Stats as prompt lines, with what ends the story.
+ */
+export function formatStats(stats) {
+  return Object.entries(stats)
+    .map(([id, value]) => {
+      const { label, meaning, critical } = STATS[id];
+      const limit = critical === null ? '' : ` — the protagonist is defeated if it reaches ${critical}`;
+      return `- ${label} (${meaning}): ${value}/${STAT_MAX}${limit}`;
+    })
+    .join('\n');
+}
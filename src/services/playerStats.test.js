@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { initialStats, applyStatChanges, criticalStat } from './playerStats';
+import { DEFAULT_STATS, STAT_MAX_CHANGE } from '../config/statsConfig';
+
+describe('initialStats', () => {
+  it('uses the genre stat set, or the default one for custom genres', () => {
+    expect(Object.keys(initialStats('fantasy'))).toEqual(['health', 'magic', 'reputation']);
+    expect(Object.keys(initialStats('custom-123'))).toEqual(DEFAULT_STATS);
+  });
+});
+
+describe('applyStatChanges', () => {
+  const stats = { health: 50, heat: 90 };
+
+  it('applies changes and reports only those that happened', () => {
+    expect(applyStatChanges(stats, { health: -10, heat: 0 })).toEqual({ stats: { health: 40, heat: 90 }, changes: { health: -10 } });
+  });
+
+  it('caps each change and keeps values in range', () => {
+    expect(applyStatChanges(stats, { health: -80 }).stats.health).toBe(50 - STAT_MAX_CHANGE);
+    expect(applyStatChanges(stats, { heat: 20 })).toEqual({ stats: { health: 50, heat: 100 }, changes: { heat: 10 } });
+  });
+
+  it('ignores unknown stats and values that are not numbers', () => {
+    expect(applyStatChanges(stats, { mana: 10, health: 'lots', heat: null })).toEqual({ stats, changes: {} });
+  });
+
+  it('does nothing when the story has no stats', () => {
+    expect(applyStatChanges(null, { health: -10 })).toEqual({ stats: null, changes: null });
+  });
+});
+
+describe('criticalStat', () => {
+  it('finds a stat at its critical value, whichever end it is at', () => {
+    expect(criticalStat({ health: 0, heat: 50 })).toBe('health');
+    expect(criticalStat({ health: 40, heat: 100 })).toBe('heat');
+    expect(criticalStat({ health: 40, reputation: 0 })).toBeNull();
+    expect(criticalStat(null)).toBeNull();
+  });
+});
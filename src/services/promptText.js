@@ -0,0 +1,27 @@
+/**
+ * Prompt Text — cleaning for player- and model-written text that ends up
+ * inside our prompts (custom actions, character looks, custom genres).
+ *
+ * The text is flattened to a single line and stripped of the characters the
+ * prompts use as structure, so it cannot close the quoted block it is placed
+ * in or fake a prompt section.
+ */
+
+// Characters used as structure in the prompts (quotes, JSON, markdown, section rules,
+// the ⟦ ⟧ around custom actions)
+export const STRUCTURAL_CHARS = /[`"{}[\]<>\\|#*═─⟦⟧]/g;
+
+/**
+ * @param {*} raw - Text from any source; null and undefined become ''
+ * @param {number} [maxLength] - Cut the cleaned text to this many characters
+ * @returns {string}
+ */
+export function cleanPromptText(raw, maxLength = Infinity) {
+  return String(raw ?? '')
+    .normalize('NFKC')
+    .replace(/[\p{Cc}\p{Cf}]/gu, ' ') // newlines, zero-width and bidi control characters
+    .replace(STRUCTURAL_CHARS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+}
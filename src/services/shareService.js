@@ -0,0 +1,127 @@
+/**
+ * Share Service — publish a finished story to /api/stories and load
+ * shared stories for the read-only viewer at /s/<id>.
+ */
+
+import { collectStoryForExport } from './storyExporter';
+import { SHARE_LIMITS } from '../sharing/sharedStories';
+
+const SHARE_PATH_PATTERN = /^\/s\/([A-Za-z0-9]+)\/?$/;
+
+// Generated images are ~1–2 MB PNGs; shrink them so a whole story fits in one
+// request (SHARE_LIMITS.maxRequestBytes), smaller still for long stories
+const SHARE_IMAGE_SIDES = [768, 512, 384];
+const SHARE_IMAGE_QUALITY = 0.82;
+
+/**
+ * The shared story ID in the current URL, or null if this is not a share link.
+ */
+export function getSharedStoryId(pathname = window.location.pathname) {
+  return pathname.match(SHARE_PATH_PATTERN)?.[1] || null;
+}
+
+/**
+ * Re-encode a data URI image as a smaller JPEG. SVGs (the mock provider's
+ * placeholders) are rasterized too, since the server only accepts PNG, JPEG
+ * and WebP; one that cannot be drawn is shared without its picture.
+ * Remote URLs are left alone — the server downloads those itself.
+ */
+function shrinkImage(src, maxSide) {
+  if (!src?.startsWith('data:image/')) return Promise.resolve(src);
+  const fallback = src.startsWith('data:image/svg') ? null : src;
+
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      try {
+        const scale = Math.min(1, maxSide / Math.max(img.width, img.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(img.width * scale);
+        canvas.height = Math.round(img.height * scale);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve(canvas.toDataURL('image/jpeg', SHARE_IMAGE_QUALITY));
+      } catch (err) {
+        // Some browsers taint the canvas when drawing an SVG
+        console.warn(`⚠ Could not re-encode image for sharing: ${err.message}`);
+        resolve(fallback);
+      }
+    };
+    img.onerror = () => resolve(fallback);
+    img.src = src;
+  });
+}
+
+/**
+ * Error with a `code` the UI can translate (see Epilogue).
+ */
+function shareError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function readError(response) {
+  if (response.status === 413) return shareError('tooLarge', 'Story is too large to share');
+  const data = await response.json().catch(() => ({}));
+  return new Error(data.error || `API error: ${response.status}`);
+}
+
+/**
+ * The POST body for a story, made to fit SHARE_LIMITS.maxRequestBytes:
+ * images are shrunk further step by step, then left out from the last turn
+ * back until the story fits.
+ * @throws {Error} with code 'tooLarge' when even the text alone does not fit
+ */
+async function shareRequestBody(story) {
+  const bodyFor = (turns) =>
+    JSON.stringify({ title: story.title, genre: story.genre, genreColor: story.color, language: story.language, turns });
+  const fits = (body) => new TextEncoder().encode(body).length <= SHARE_LIMITS.maxRequestBytes;
+
+  let turns;
+  for (const maxSide of SHARE_IMAGE_SIDES) {
+    turns = await Promise.all(story.turns.map(async (t) => ({ ...t, image: await shrinkImage(t.image, maxSide) })));
+    const body = bodyFor(turns);
+    if (fits(body)) return body;
+  }
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    if (!turns[i].image) continue;
+    turns[i] = { ...turns[i], image: null };
+    const body = bodyFor(turns);
+    if (fits(body)) {
+      console.warn(`⚠ Shared story too large: left out the images of turns ${i + 1}-${turns.length}`);
+      return body;
+    }
+  }
+  throw shareError('tooLarge', 'Story is too large to share, even without images');
+}
+
+/**
+ * Publish the story in the game state.
+ * @returns {Promise<string>} Absolute link to the read-only viewer
+ * @throws {Error} with code 'tooLarge' when the story cannot be made to fit one request
+ */
+export async function shareStory(state) {
+  const body = await shareRequestBody(collectStoryForExport(state));
+
+  const response = await fetch('/api/stories', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+  });
+
+  if (!response.ok) throw await readError(response);
+  const { id, url } = await response.json();
+  console.log(`🔗 Story shared as ${id}`);
+  return new URL(url, window.location.origin).href;
+}
+
+/**
+ * Load a shared story. Resolves with null when the link is unknown.
+ */
+export async function fetchSharedStory(id) {
+  const response = await fetch(`/api/stories?id=${encodeURIComponent(id)}`);
+  if (response.status === 404) return null;
+  if (!response.ok) throw await readError(response);
+  return response.json();
+}
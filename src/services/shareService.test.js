@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { shareStory } from './shareService';
+import { SHARE_LIMITS } from '../sharing/sharedStories';
+
+// An image of about `bytes` bytes that the stubbed Image cannot shrink
+const bigImage = (bytes) => `data:image/png;base64,${'A'.repeat(bytes)}`;
+
+function story(images, narrative = 'Once upon a time.') {
+  return {
+    storyId: 'story-a',
+    storyTitle: 'A story',
+    genre: 'Fantasy',
+    genreId: 'fantasy',
+    language: 'English',
+    history: images.slice(0, -1).map((image, i) => ({ turn: i + 1, nodeId: null, narrative, image, choiceMade: 'Go on' })),
+    currentTurn: images.length,
+    currentNarrative: narrative,
+    currentImage: images.at(-1),
+    storyTree: { nodes: {} },
+  };
+}
+
+let posted;
+
+beforeEach(() => {
+  posted = null;
+  vi.stubGlobal(
+    'Image',
+    class {
+      set src(value) {
+        setTimeout(() => this.onerror?.(new Error(`cannot decode ${value.length} chars`)));
+      }
+    }
+  );
+  vi.stubGlobal('window', { location: { origin: 'https://unfoldy.test' } });
+  vi.stubGlobal('fetch', async (url, { body }) => {
+    posted = JSON.parse(body);
+    return new Response(JSON.stringify({ id: 'abc', url: '/s/abc' }), { status: 201 });
+  });
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('shareStory', () => {
+  it('sends a story that fits as it is', async () => {
+    expect(await shareStory(story([bigImage(1000), bigImage(1000)]))).toBe('https://unfoldy.test/s/abc');
+    expect(posted.turns.every((t) => t.image)).toBe(true);
+  });
+
+  it('leaves out images from the last turn back until the story fits', async () => {
+    const third = Math.floor(SHARE_LIMITS.maxRequestBytes / 3);
+    await shareStory(story([bigImage(third), bigImage(third), bigImage(third), bigImage(third)]));
+
+    expect(posted.turns.map((t) => Boolean(t.image))).toEqual([true, true, false, false]);
+  });
+
+  it('reports a story that is too large even without images', async () => {
+    const longText = 'x'.repeat(SHARE_LIMITS.maxRequestBytes);
+    await expect(shareStory(story([null], longText))).rejects.toMatchObject({ code: 'tooLarge' });
+    expect(posted).toBeNull();
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Soundscape — the genre's ambient soundtrack and short sound cues.
+ *
+ * Everything is synthesized with Web Audio from the recipes in
+ * config/soundConfig.js. Browsers only let a page make sound after the player
+ * interacts with it, so the AudioContext is created on the first click or key
+ * press (unlock); until then the soundscape only remembers what should play.
+ *
+ * Volume and mute are a player preference kept in localStorage.
+ * The soundscape is an external store for useSyncExternalStore:
+ *   state = { volume, muted }
+ */
+
+import { GENRES } from '../config/styleConfig';
+import {
+  SOUNDSCAPES,
+  DEFAULT_AMBIENCE,
+  SOUND_CUES,
+  SOUND_FADE_SECONDS,
+  DEFAULT_VOLUME,
+} from '../config/soundConfig';
+
+const SOUND_SETTINGS_KEY = 'unfoldy-sound';
+
+// Length of the looped noise buffers, in seconds
+const NOISE_SECONDS = 2;
+
+/**
+ * The soundscape of a genre; custom genres get the default one.
+ */
+export function ambienceFor(genreId) {
+  const ambience = GENRES.find((g) => g.id === genreId)?.ambience;
+  return SOUNDSCAPES[ambience] ? ambience : DEFAULT_AMBIENCE;
+}
+
+// ─── Player preference ───
+
+function readSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SOUND_SETTINGS_KEY));
+    if (saved && Number.isFinite(saved.volume)) {
+      return { volume: Math.min(1, Math.max(0, saved.volume)), muted: saved.muted === true };
+    }
+  } catch {
+    // Unreadable settings: start from the defaults
+  }
+  return { volume: DEFAULT_VOLUME, muted: false };
+}
+
+function saveSettings(settings) {
+  localStorage.setItem(SOUND_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// ─── Synthesis ───
+
+function createNoiseBuffer(ctx, color) {
+  const buffer = ctx.createBuffer(1, ctx.sampleRate * NOISE_SECONDS, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  let b0 = 0;
+  let b1 = 0;
+  let b2 = 0;
+  let last = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    const white = Math.random() * 2 - 1;
+    if (color === 'pink') {
+      b0 = 0.99765 * b0 + white * 0.099046;
+      b1 = 0.963 * b1 + white * 0.2965164;
+      b2 = 0.57 * b2 + white * 1.0526913;
+      data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.11;
+    } else if (color === 'brown') {
+      last = (last + 0.02 * white) / 1.02;
+      data[i] = last * 3.5;
+    } else {
+      data[i] = white;
+    }
+  }
+  return buffer;
+}
+
+/**
+ * Build a bed's layers, silent until its output gain is raised.
+ * @returns {{output: GainNode, stop: (when: number) => void}}
+ */
+function buildBed(ctx, layers, destination, noiseBuffer) {
+  const output = ctx.createGain();
+  output.gain.value = 0;
+  output.connect(destination);
+  const sources = [];
+
+  const start = (source) => {
+    source.start();
+    sources.push(source);
+  };
+
+  // A low-frequency oscillator moving `param` by ±depth
+  const modulate = (param, rate, depth, wave) => {
+    const lfo = ctx.createOscillator();
+    const amount = ctx.createGain();
+    lfo.type = wave;
+    lfo.frequency.value = rate;
+    amount.gain.value = depth;
+    lfo.connect(amount).connect(param);
+    start(lfo);
+  };
+
+  layers.forEach((layer) => {
+    const gain = ctx.createGain();
+    gain.gain.value = layer.gain;
+    gain.connect(output);
+    let input = gain;
+
+    if (layer.filter) {
+      const filter = ctx.createBiquadFilter();
+      filter.type = layer.filter.type;
+      filter.frequency.value = layer.filter.freq;
+      if (layer.filter.q) filter.Q.value = layer.filter.q;
+      filter.connect(input);
+      input = filter;
+      if (layer.lfo) modulate(filter.frequency, layer.lfo.rate, layer.lfo.depth, 'sine');
+    }
+
+    if (layer.kind === 'pulse') {
+      // A square wave swings the gate between 0 and 1
+      const gate = ctx.createGain();
+      gate.gain.value = 0.5;
+      gate.connect(input);
+      input = gate;
+      modulate(gate.gain, layer.rate, 0.5, 'square');
+    }
+
+    if (layer.kind === 'noise') {
+      const noise = ctx.createBufferSource();
+      noise.buffer = noiseBuffer(layer.color);
+      noise.loop = true;
+      noise.connect(input);
+      start(noise);
+    } else {
+      (layer.detune || [0]).forEach((cents) => {
+        const osc = ctx.createOscillator();
+        osc.type = layer.wave;
+        osc.frequency.value = layer.freq;
+        osc.detune.value = cents;
+        osc.connect(input);
+        start(osc);
+      });
+    }
+  });
+
+  return {
+    output,
+    stop(when) {
+      sources.forEach((source) => source.stop(when));
+      sources[0]?.addEventListener('ended', () => output.disconnect());
+    },
+  };
+}
+
+function playCue(ctx, notes, destination) {
+  const now = ctx.currentTime;
+  notes.forEach(({ wave, freq, to, at, duration, gain }) => {
+    const osc = ctx.createOscillator();
+    const envelope = ctx.createGain();
+    const start = now + at;
+    const end = start + duration;
+
+    osc.type = wave;
+    osc.frequency.setValueAtTime(freq, start);
+    if (to) osc.frequency.exponentialRampToValueAtTime(to, end);
+    envelope.gain.setValueAtTime(0, start);
+    envelope.gain.linearRampToValueAtTime(gain, start + 0.02);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+    osc.connect(envelope).connect(destination);
+    osc.start(start);
+    osc.stop(end + 0.05);
+  });
+}
+
+// ─── Soundscape ───
+
+/**
+ * @returns {{
+ *   subscribe: (listener: () => void) => () => void,
+ *   getState: () => {volume: number, muted: boolean},
+ *   unlock: () => void,
+ *   setScene: (scene: {ambience: string, intensity: 'calm' | 'climax'} | null) => void,
+ *   cue: (name: string) => void,
+ *   setVolume: (volume: number) => void,
+ *   setMuted: (muted: boolean) => void,
+ * }}
+ */
+export function createSoundscape() {
+  const listeners = new Set();
+  const noiseBuffers = new Map();
+  let settings = readSettings();
+  let ctx = null;
+  let master = null;
+  let scene = null; // what should play
+  let playing = null; // { key, bed } — what does play
+
+  function updateSettings(next) {
+    settings = { ...settings, ...next };
+    saveSettings(settings);
+    if (master) master.gain.setTargetAtTime(settings.muted ? 0 : settings.volume, ctx.currentTime, 0.1);
+    listeners.forEach((listener) => listener());
+  }
+
+  function noiseBuffer(color) {
+    if (!noiseBuffers.has(color)) noiseBuffers.set(color, createNoiseBuffer(ctx, color));
+    return noiseBuffers.get(color);
+  }
+
+  // Crossfade from the bed that plays to the one the scene asks for
+  function render() {
+    if (!ctx) return;
+    const key = scene && `${scene.ambience}/${scene.intensity}`;
+    if (playing?.key === key) return;
+
+    const now = ctx.currentTime;
+    if (playing) {
+      const { output } = playing.bed;
+      output.gain.cancelScheduledValues(now);
+      output.gain.setValueAtTime(output.gain.value, now);
+      output.gain.linearRampToValueAtTime(0, now + SOUND_FADE_SECONDS);
+      playing.bed.stop(now + SOUND_FADE_SECONDS + 0.1);
+      playing = null;
+    }
+    if (!scene) return;
+
+    const bed = buildBed(ctx, SOUNDSCAPES[scene.ambience][scene.intensity], master, noiseBuffer);
+    bed.output.gain.setValueAtTime(0, now);
+    bed.output.gain.linearRampToValueAtTime(1, now + SOUND_FADE_SECONDS);
+    playing = { key, bed };
+  }
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getState: () => settings,
+
+    /**
+     * Call from a user gesture: creates (or resumes) the audio context.
+     */
+    unlock() {
+      if (!ctx) {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+        ctx = new AudioContext();
+        master = ctx.createGain();
+        master.gain.value = settings.muted ? 0 : settings.volume;
+        master.connect(ctx.destination);
+      }
+      if (ctx.state === 'suspended') ctx.resume();
+      render();
+    },
+
+    /**
+     * What should play: a genre's bed at an intensity, or silence (null).
+     */
+    setScene(next) {
+      scene = next && SOUNDSCAPES[next.ambience] ? next : null;
+      render();
+    },
+
+    cue(name) {
+      if (ctx?.state !== 'running' || settings.muted || !SOUND_CUES[name]) return;
+      playCue(ctx, SOUND_CUES[name], master);
+    },
+
+    setVolume(volume) {
+      updateSettings({ volume: Math.min(1, Math.max(0, volume)), muted: false });
+    },
+
+    setMuted(muted) {
+      updateSettings({ muted });
+    },
+  };
+}
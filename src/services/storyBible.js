@@ -0,0 +1,124 @@
+/**
+ * Story Bible — structured world state that persists across turns.
+ *
+ * Each generated turn returns a `worldDelta` describing only what changed;
+ * mergeStoryBible folds it into the bible kept in the game store, and
+ * formatStoryBible turns the bible into the canonical fact sheet that is
+ * fed back into the next story prompt.
+ *
+ * Bible shape:
+ *   characters: [{ name, description, status, firstSeen, lastSeen }]
+ *   location:   string
+ *   inventory:  string[]
+ *   threads:    [{ text, openedAt, resolvedAt }]   (resolvedAt null while open)
+ */
+
+export const EMPTY_STORY_BIBLE = {
+  characters: [],
+  location: '',
+  inventory: [],
+  threads: [],
+};
+
+const normalize = (text) => text.trim().toLowerCase();
+const cleanText = (value) => (typeof value === 'string' ? value.trim() : '');
+const cleanList = (list) =>
+  Array.isArray(list) ? list.filter((item) => typeof item === 'string' && item.trim()).map((item) => item.trim()) : [];
+
+function mergeCharacters(characters, updates, turn) {
+  const merged = characters.map((c) => ({ ...c }));
+
+  for (const update of Array.isArray(updates) ? updates : []) {
+    if (!update || typeof update.name !== 'string' || !update.name.trim()) continue;
+    const existing = merged.find((c) => normalize(c.name) === normalize(update.name));
+
+    if (existing) {
+      // The first spelling of a name is canonical — only details change
+      if (cleanText(update.description)) existing.description = cleanText(update.description);
+      if (cleanText(update.status)) existing.status = cleanText(update.status);
+      existing.lastSeen = turn;
+    } else {
+      merged.push({
+        name: update.name.trim(),
+        description: cleanText(update.description),
+        status: cleanText(update.status),
+        firstSeen: turn,
+        lastSeen: turn,
+      });
+    }
+  }
+
+  return merged;
+}
+
+function mergeInventory(inventory, changes) {
+  const removed = new Set(cleanList(changes?.removed).map(normalize));
+  const kept = inventory.filter((item) => !removed.has(normalize(item)));
+
+  for (const item of cleanList(changes?.added)) {
+    if (!kept.some((k) => normalize(k) === normalize(item))) kept.push(item);
+  }
+  return kept;
+}
+
+function mergeThreads(threads, changes, turn) {
+  const resolved = cleanList(changes?.resolved).map(normalize);
+  // Models rarely repeat a thread word for word, so match on containment too
+  const isResolved = (text) =>
+    resolved.some((r) => r === normalize(text) || normalize(text).includes(r) || r.includes(normalize(text)));
+
+  const merged = threads.map((t) =>
+    t.resolvedAt === null && isResolved(t.text) ? { ...t, resolvedAt: turn } : t
+  );
+
+  for (const text of cleanList(changes?.opened)) {
+    if (!merged.some((t) => normalize(t.text) === normalize(text))) {
+      merged.push({ text, openedAt: turn, resolvedAt: null });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merge a turn's worldDelta into the bible. Pure — returns a new bible.
+ * @param {object} bible - Current bible (EMPTY_STORY_BIBLE at game start)
+ * @param {object|null} delta - worldDelta from the turn response
+ * @param {number} turn - Turn number the delta belongs to
+ */
+export function mergeStoryBible(bible, delta, turn) {
+  if (!delta) return bible;
+
+  return {
+    characters: mergeCharacters(bible.characters, delta.characters, turn),
+    location: typeof delta.location === 'string' && delta.location.trim() ? delta.location.trim() : bible.location,
+    inventory: mergeInventory(bible.inventory, delta.inventory),
+    threads: mergeThreads(bible.threads, delta.threads, turn),
+  };
+}
+
+/**
+ * Render the bible as a fact sheet for the story prompt.
+ * Returns an empty string while nothing has been recorded yet.
+ */
+export function formatStoryBible(bible) {
+  if (!bible) return '';
+  const lines = [];
+
+  if (bible.characters.length > 0) {
+    lines.push('Characters (names are fixed — never rename anyone):');
+    bible.characters.forEach((c) => {
+      const details = [c.description, c.status && `status: ${c.status}`].filter(Boolean).join('; ');
+      lines.push(`- ${c.name}${details ? ` — ${details}` : ''}`);
+    });
+  }
+  if (bible.location) lines.push(`Current location: ${bible.location}`);
+  if (bible.inventory.length > 0) lines.push(`Protagonist is carrying: ${bible.inventory.join(', ')}`);
+
+  const openThreads = bible.threads.filter((t) => t.resolvedAt === null);
+  if (openThreads.length > 0) {
+    lines.push('Unresolved plot threads:');
+    openThreads.forEach((t) => lines.push(`- ${t.text}`));
+  }
+
+  return lines.join('\n');
+}
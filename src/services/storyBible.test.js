@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { EMPTY_STORY_BIBLE, mergeStoryBible } from './storyBible';
+import { validateTurn } from './turnSchema';
+
+describe('mergeStoryBible', () => {
+  it('records new characters and keeps the first spelling of a name', () => {
+    let bible = mergeStoryBible(EMPTY_STORY_BIBLE, { characters: [{ name: 'Mira', description: 'a smith' }] }, 1);
+    bible = mergeStoryBible(bible, { characters: [{ name: 'mira', status: 'wounded' }] }, 3);
+
+    expect(bible.characters).toEqual([
+      { name: 'Mira', description: 'a smith', status: 'wounded', firstSeen: 1, lastSeen: 3 },
+    ]);
+  });
+
+  it('drops character details that are not strings', () => {
+    let bible = mergeStoryBible(EMPTY_STORY_BIBLE, { characters: [{ name: 'Mira', description: 42, status: {} }] }, 1);
+    expect(bible.characters[0]).toMatchObject({ description: '', status: '' });
+
+    bible = mergeStoryBible(bible, { characters: [{ name: 'Mira', description: ['tall'], status: true }] }, 2);
+    expect(bible.characters[0]).toMatchObject({ description: '', status: '', lastSeen: 2 });
+  });
+});
+
+describe('validateTurn worldDelta', () => {
+  const characterErrors = (characters) =>
+    validateTurn({ worldDelta: { characters } }, { isFinalTurn: false }).filter((e) => e.includes('worldDelta'));
+
+  it('rejects character descriptions and statuses that are not strings', () => {
+    expect(characterErrors([{ name: 'Mira', description: 42 }])).toHaveLength(1);
+    expect(characterErrors([{ name: 'Mira', status: { hp: 3 } }])).toHaveLength(1);
+    expect(characterErrors([{ name: 'Mira', description: 'a smith', status: null }])).toEqual([]);
+  });
+});
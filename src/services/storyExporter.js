@@ -0,0 +1,306 @@
+/**
+ * Story Exporter — turns a finished story into a standalone HTML
+ * storybook or an EPUB 3 package, entirely in the browser.
+ *
+ * Works offline for stories loaded from the library: data-URI images are
+ * embedded directly; hosted images (e.g. DALL-E URLs) are fetched once and
+ * embedded, or left out of the export if they can no longer be reached.
+ */
+
+import { createZip } from './zipWriter';
+import { localeForStoryLanguage } from '../i18n/locales';
+import { createTranslator, genreDisplayName } from '../i18n/translate';
+import { defaultStoryTitle } from './storyLibrary';
+import { describeScene } from './storyService';
+
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/svg+xml': 'svg' };
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const toParagraphs = (text) =>
+  text
+    .split(/\n{2,}/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map((p) => `<p>${escapeXml(p)}</p>`)
+    .join('\n');
+
+const imageAlt = (t, turn) => escapeXml(turn.scene || t('story.imageAlt', { turn: turn.turn }));
+
+// Heading of a turn's chapter; the last one closes the book
+const chapterTitle = (t, turn, isEnding) => (isEnding ? t('epilogue.theEnd') : t('recap.turn', { turn: turn.turn }));
+
+const choiceLine = (t, turn) =>
+  turn.choiceMade ? `<p class="choice">${escapeXml(t('recap.chose', { choice: turn.choiceMade }))}</p>` : '';
+
+/**
+ * Gather everything the exporters need from the game state:
+ * every turn on the current path plus the ending.
+ * The book is written in the story's language, not the UI's.
+ */
+export function collectStoryForExport(state) {
+  // What each picture shows (its alt text)
+  const scene = (nodeId) => describeScene(state.storyTree?.nodes[nodeId]?.imagePrompt, state.artStylePrompt);
+  const { code, dir } = localeForStoryLanguage(state.language);
+
+  return {
+    id: state.storyId || crypto.randomUUID(),
+    title: state.storyTitle || defaultStoryTitle(state),
+    genre: genreDisplayName(code, state.genreId, state.genre),
+    color: state.genreColor,
+    language: state.language,
+    // BCP 47 tag and text direction (for <html lang/dir> and dc:language)
+    languageTag: code,
+    direction: dir,
+    turns: [
+      ...state.history.map((h) => ({
+        turn: h.turn,
+        narrative: h.narrative,
+        image: h.image,
+        scene: scene(h.nodeId),
+        choiceMade: h.choiceMade,
+      })),
+      {
+        turn: state.currentTurn,
+        narrative: state.currentNarrative,
+        image: state.currentImage,
+        scene: scene(state.currentNodeId),
+        choiceMade: null,
+      },
+    ],
+  };
+}
+
+/**
+ * Load an image as bytes + MIME type. Returns null if it cannot be read
+ * (expired URL, CORS, offline).
+ */
+async function loadImage(src) {
+  if (!src) return null;
+
+  try {
+    if (src.startsWith('data:')) {
+      const [header, payload] = src.split(',', 2);
+      const mime = header.slice(5).split(';')[0];
+      const bytes = header.includes(';base64')
+        ? Uint8Array.from(atob(payload), (c) => c.charCodeAt(0))
+        : new TextEncoder().encode(decodeURIComponent(payload));
+      return { mime, bytes, dataUri: src };
+    }
+
+    const response = await fetch(src);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const dataUri = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+    return { mime: blob.type || 'image/png', bytes, dataUri };
+  } catch (err) {
+    console.warn(`⚠ Could not embed image in export: ${err.message}`);
+    return null;
+  }
+}
+
+function storyStyles(color) {
+  return `body { margin: 0; font-family: Georgia, 'Times New Roman', serif; color: #2d1b4e; background: #f8f5fc; line-height: 1.7; }
+main { max-width: 640px; margin: 0 auto; padding: 32px 20px 64px; }
+h1 { font-size: 2.2em; text-align: center; margin: 0.4em 0 0.1em; color: ${color}; }
+.subtitle { text-align: center; color: #6b5b7b; font-style: italic; margin-bottom: 2em; }
+.turn { margin: 2.5em 0; }
+.turn h2 { font-size: 0.85em; letter-spacing: 0.12em; text-transform: uppercase; color: ${color}; border-bottom: 2px solid ${color}; padding-bottom: 4px; }
+.turn img { width: 100%; border-radius: 12px; margin: 0.8em 0; }
+.choice { margin-top: 1em; padding: 8px 14px; border-left: 3px solid ${color}; background: rgba(0, 0, 0, 0.03); font-style: italic; }
+.ending h2 { text-align: center; }`;
+}
+
+/**
+ * Build a single self-contained HTML document with images embedded as data URIs.
+ * @returns {Promise<string>}
+ */
+export async function buildStoryHtml(story) {
+  const t = createTranslator(story.languageTag);
+  const images = await Promise.all(story.turns.map((turn) => loadImage(turn.image)));
+
+  const sections = story.turns
+    .map((turn, i) => {
+      const isEnding = i === story.turns.length - 1;
+      return `<section class="turn${isEnding ? ' ending' : ''}">
+<h2>${escapeXml(chapterTitle(t, turn, isEnding))}</h2>
+${images[i] ? `<img src="${images[i].dataUri}" alt="${imageAlt(t, turn)}">` : ''}
+${toParagraphs(turn.narrative)}
+${choiceLine(t, turn)}
+</section>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="${story.languageTag}" dir="${story.direction}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(story.title)}</title>
+<style>
+${storyStyles(story.color)}
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeXml(story.title)}</h1>
+<p class="subtitle">${escapeXml(t('epilogue.bookSubtitle', { genre: story.genre }))}</p>
+${sections}
+</main>
+</body>
+</html>
+`;
+}
+
+const xhtmlPage = (story, title, body) => `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${story.languageTag}" xml:lang="${story.languageTag}" dir="${story.direction}">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+/**
+ * Build an EPUB 3 package: a title page plus one chapter per turn.
+ * @returns {Promise<Blob>}
+ */
+export async function buildStoryEpub(story) {
+  const t = createTranslator(story.languageTag);
+  const images = await Promise.all(story.turns.map((turn) => loadImage(turn.image)));
+  const files = [];
+  const manifest = [];
+  const spine = ['title'];
+  const navItems = [];
+
+  files.push({ name: 'OEBPS/style.css', data: storyStyles(story.color) });
+  manifest.push('<item id="css" href="style.css" media-type="text/css"/>');
+
+  files.push({
+    name: 'OEBPS/title.xhtml',
+    data: xhtmlPage(story, story.title, `<main><h1>${escapeXml(story.title)}</h1>\n<p class="subtitle">${escapeXml(t('epilogue.bookSubtitle', { genre: story.genre }))}</p></main>`),
+  });
+  manifest.push('<item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>');
+
+  story.turns.forEach((turn, i) => {
+    const isEnding = i === story.turns.length - 1;
+    const heading = escapeXml(chapterTitle(t, turn, isEnding));
+    let imageTag = '';
+
+    if (images[i]) {
+      const ext = IMAGE_EXTENSIONS[images[i].mime] || 'png';
+      const href = `images/turn-${i + 1}.${ext}`;
+      files.push({ name: `OEBPS/${href}`, data: images[i].bytes });
+      manifest.push(`<item id="img-${i + 1}" href="${href}" media-type="${images[i].mime}"/>`);
+      imageTag = `<img src="${href}" alt="${imageAlt(t, turn)}"/>`;
+    }
+
+    const body = `<main><section class="turn${isEnding ? ' ending' : ''}">
+<h2>${heading}</h2>
+${imageTag}
+${toParagraphs(turn.narrative)}
+${choiceLine(t, turn)}
+</section></main>`;
+
+    files.push({ name: `OEBPS/chapter-${i + 1}.xhtml`, data: xhtmlPage(story, chapterTitle(t, turn, isEnding), body) });
+    manifest.push(`<item id="chapter-${i + 1}" href="chapter-${i + 1}.xhtml" media-type="application/xhtml+xml"/>`);
+    spine.push(`chapter-${i + 1}`);
+    navItems.push(`<li><a href="chapter-${i + 1}.xhtml">${heading}</a></li>`);
+  });
+
+  files.push({
+    name: 'OEBPS/nav.xhtml',
+    data: xhtmlPage(story, t('epilogue.bookContents'), `<nav epub:type="toc" id="toc"><h1>${escapeXml(t('epilogue.bookContents'))}</h1>\n<ol>\n${navItems.join('\n')}\n</ol></nav>`),
+  });
+  manifest.push('<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>');
+
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${story.languageTag}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:uuid:${story.id}</dc:identifier>
+<dc:title>${escapeXml(story.title)}</dc:title>
+<dc:language>${story.languageTag}</dc:language>
+<dc:creator>Unfoldy</dc:creator>
+<dc:subject>${escapeXml(story.genre)}</dc:subject>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine page-progression-direction="${story.direction}">
+${spine.map((id) => `<itemref idref="${id}"/>`).join('\n')}
+</spine>
+</package>
+`;
+
+  return createZip(
+    [
+      { name: 'mimetype', data: 'application/epub+zip' },
+      {
+        name: 'META-INF/container.xml',
+        data: `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>
+`,
+      },
+      { name: 'OEBPS/content.opf', data: opf },
+      ...files,
+    ],
+    'application/epub+zip'
+  );
+}
+
+function fileSafeName(title) {
+  return title.replace(/[\\/:*?"<>|]+/g, '').trim().replace(/\s+/g, '-') || 'unfoldy-story';
+}
+
+/**
+ * Save a Blob as a file through a temporary download link.
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export the story in the game state and download it.
+ * @param {object} state - Game state (see useGameStore)
+ * @param {'html'|'epub'} format
+ */
+export async function exportStory(state, format) {
+  const story = collectStoryForExport(state);
+  const name = fileSafeName(story.title);
+
+  if (format === 'epub') {
+    downloadBlob(await buildStoryEpub(story), `${name}.epub`);
+  } else {
+    const html = await buildStoryHtml(story);
+    downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), `${name}.html`);
+  }
+}
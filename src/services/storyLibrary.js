@@ -0,0 +1,208 @@
+/**
+ * Story Library — IndexedDB storage for multiple saved stories.
+ *
+ * Each record holds one story (in progress or finished) with the metadata
+ * the library view needs plus the full game state to resume it:
+ *   {
+ *     id, title, genre, genreId, language,
+ *     status: 'in-progress' | 'finished',
+ *     turnCount, maxTurns, coverImage,
+ *     createdAt, updatedAt,
+ *     state,            // persisted game state (see toPersistedState)
+ *   }
+ *
+ * IndexedDB has room for base64 images that overflowed the single
+ * localStorage key used before; saves from that key are migrated once.
+ */
+
+import { localeForStoryLanguage } from '../i18n/locales';
+import { createTranslator, genreDisplayName } from '../i18n/translate';
+
+const DB_NAME = 'unfoldy';
+const DB_VERSION = 1;
+const STORE_NAME = 'stories';
+
+const LEGACY_STORAGE_KEY = 'unfoldy-game-state';
+const ACTIVE_STORY_KEY = 'unfoldy-active-story';
+
+// Runtime-only fields that must never be written to a save
+const TRANSIENT_FIELDS = ['isLoading', 'error', 'errorRetryAt', 'streamingNarrative', 'pendingChoice'];
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('updatedAt', 'updatedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the stories store and resolve with its result.
+ */
+async function withStore(mode, run) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = run(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function createStoryId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * The title a story has until its first ending names it (see storyRecap.js)
+ * or the player renames it, in the story's language.
+ * @param {{ genre: string, genreId: string, language: string }} story
+ */
+export function defaultStoryTitle({ genre, genreId, language }) {
+  const { code } = localeForStoryLanguage(language);
+  return createTranslator(code)('story.defaultTitle', { genre: genreDisplayName(code, genreId, genre) });
+}
+
+/**
+ * Whether a story still has its default title. Saves from before titles
+ * were translated carry the English "<genre> Story".
+ */
+export function hasDefaultStoryTitle(state) {
+  return state.storyTitle === defaultStoryTitle(state) || state.storyTitle === `${state.genre} Story`;
+}
+
+function toPersistedState(state) {
+  const persisted = { ...state };
+  TRANSIENT_FIELDS.forEach((field) => delete persisted[field]);
+  return persisted;
+}
+
+function findCoverImage(state) {
+  const root = state.storyTree?.nodes[state.storyTree.rootId];
+  if (root?.image) return root.image;
+  return Object.values(state.storyTree?.nodes || {}).find((node) => node.image)?.image || state.currentImage || null;
+}
+
+/**
+ * Build a library record from the game state.
+ */
+function toRecord(state, existing) {
+  const now = Date.now();
+  return {
+    id: state.storyId,
+    title: state.storyTitle || existing?.title,
+    genre: state.genre,
+    genreId: state.genreId,
+    language: state.language,
+    status: state.gamePhase === 'epilogue' ? 'finished' : 'in-progress',
+    turnCount: state.currentTurn,
+    maxTurns: state.maxTurns,
+    coverImage: findCoverImage(state),
+    createdAt: existing?.createdAt || state.storyCreatedAt || now,
+    updatedAt: now,
+    state: toPersistedState(state),
+  };
+}
+
+/**
+ * List every saved story, most recently played first.
+ * Records are returned without their `state` to keep the list light.
+ */
+export async function listStories() {
+  const records = await withStore('readonly', (store) => store.getAll());
+  return records
+    .map((record) => {
+      const summary = { ...record };
+      delete summary.state;
+      return summary;
+    })
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function getStory(id) {
+  return withStore('readonly', (store) => store.get(id));
+}
+
+/**
+ * Create or update the record for the story currently in the game state.
+ */
+export async function saveStory(state) {
+  const existing = await getStory(state.storyId);
+  const record = toRecord(state, existing);
+  await withStore('readwrite', (store) => store.put(record));
+  return record;
+}
+
+export async function renameStory(id, title) {
+  const record = await getStory(id);
+  if (!record) return;
+  const trimmed = title.trim() || record.title;
+  await withStore('readwrite', (store) =>
+    store.put({ ...record, title: trimmed, state: { ...record.state, storyTitle: trimmed } })
+  );
+}
+
+export function deleteStory(id) {
+  if (getActiveStoryId() === id) setActiveStoryId(null);
+  return withStore('readwrite', (store) => store.delete(id));
+}
+
+// ─── Active story (resumed automatically on reload) ───
+
+export function getActiveStoryId() {
+  return localStorage.getItem(ACTIVE_STORY_KEY);
+}
+
+export function setActiveStoryId(id) {
+  if (id) localStorage.setItem(ACTIVE_STORY_KEY, id);
+  else localStorage.removeItem(ACTIVE_STORY_KEY);
+}
+
+let migrationPromise = null;
+
+/**
+ * Move a save from the old single localStorage key into the library.
+ * The migrated story becomes the active story so the player picks up where they left off.
+ * Safe to call repeatedly — the migration only ever runs once per page load.
+ * @returns {Promise<string|null>} The new story id, or null if there was nothing to migrate
+ */
+export function migrateLegacySave() {
+  if (!migrationPromise) migrationPromise = runLegacyMigration();
+  return migrationPromise;
+}
+
+async function runLegacyMigration() {
+  const saved = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!saved) return null;
+
+  try {
+    const parsed = JSON.parse(saved);
+    if (!parsed.history?.length) {
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+      return null;
+    }
+
+    const id = createStoryId();
+    await saveStory({ ...parsed, storyId: id, storyTitle: defaultStoryTitle(parsed) });
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    setActiveStoryId(id);
+    console.log(`📚 Migrated legacy save into the story library (${id})`);
+    return id;
+  } catch (err) {
+    console.warn(`Failed to migrate legacy save: ${err.message}`);
+    return null;
+  }
+}
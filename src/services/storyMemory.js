@@ -0,0 +1,111 @@
+/**
+ * Story Memory — keeps recent turns verbatim and folds older ones into
+ * an AI-generated running summary stored in the game state.
+ *
+ * Memory state is two fields on the game state:
+ *   storySummary       — prose summary of history[0 .. summarizedThrough)
+ *   summarizedThrough  — how many history entries the summary covers
+ */
+
+import { callGeminiText } from './geminiService';
+import { parseTurnJson } from './turnSchema';
+import { MEMORY_CONFIG, CHARS_PER_TOKEN } from '../config/memoryConfig';
+
+const turnLength = (h) => h.narrative.length + (h.choiceMade?.length || 0);
+
+/**
+ * Decide how many history entries should be covered by the summary.
+ * Everything except the last `recentTurns` entries is folded, and older
+ * recent entries are folded too while the verbatim part exceeds its budget.
+ * Always keeps at least one turn verbatim, and never un-folds turns.
+ */
+export function planStoryMemory(history, summarizedThrough, config = MEMORY_CONFIG) {
+  let foldThrough = Math.max(summarizedThrough, history.length - config.recentTurns);
+
+  let recentChars = history.slice(foldThrough).reduce((sum, h) => sum + turnLength(h), 0);
+  while (recentChars > config.maxRecentChars && foldThrough < history.length - 1) {
+    recentChars -= turnLength(history[foldThrough]);
+    foldThrough++;
+  }
+
+  return Math.max(0, foldThrough);
+}
+
+/**
+ * Split history into the summarized part and the verbatim recent turns.
+ */
+export function getRecentTurns(history, summarizedThrough) {
+  return history.slice(summarizedThrough);
+}
+
+function buildSummaryPrompt({ storySummary, turnsToFold, language, genre, maxSummaryWords }) {
+  const newTurns = turnsToFold
+    .map((h) => {
+      let entry = `--- Turn ${h.turn} ---\n${h.narrative}`;
+      if (h.choiceMade) entry += `\n\nThe player chose: ${JSON.stringify(h.choiceMade)}`;
+      return entry;
+    })
+    .join('\n\n');
+
+  return `You maintain the running memory of an interactive ${genre} story written in ${language || 'English'}.
+
+**Summary so far:**
+${storySummary || '(empty — this is the first summary)'}
+
+**Turns to fold into the summary:**
+${newTurns}
+
+**Your Task:**
+Rewrite the summary so it covers everything above in at most ${maxSummaryWords} words, written in ${language || 'English'} and in second person ("You...").
+- Keep every named character, place and important object, spelled exactly as in the story, with their role and relationship to the protagonist.
+- Keep the key events in order and the choices the player made.
+- Keep every unresolved mystery, promise or threat.
+- Drop descriptive prose and atmosphere.
+
+**You MUST respond in this exact JSON format (no markdown fences, no extra text):**
+{
+  "summary": "Updated summary here..."
+}`;
+}
+
+/**
+ * Fold any turns that fell out of the recent window into the summary.
+ * Returns the memory state unchanged when nothing needs folding, or when the
+ * summary call fails — the unfolded turns are then simply sent verbatim.
+ *
+ * @param {{history: object[], storySummary: string, summarizedThrough: number, language: string, genre: string}} storyState
+ * @param {{config?: object, signal?: AbortSignal}} [options]
+ * @returns {Promise<{storySummary: string, summarizedThrough: number}>}
+ */
+export async function updateStoryMemory(storyState, { config = MEMORY_CONFIG, signal } = {}) {
+  const { history, storySummary = '', summarizedThrough = 0, language, genre, contentRating } = storyState;
+  const current = { storySummary, summarizedThrough };
+
+  const foldThrough = planStoryMemory(history, summarizedThrough, config);
+  if (foldThrough <= summarizedThrough) return current;
+
+  const turnsToFold = history.slice(summarizedThrough, foldThrough);
+  console.log(`🧠 Folding turns ${turnsToFold[0].turn}-${turnsToFold[turnsToFold.length - 1].turn} into story memory`);
+
+  try {
+    const prompt = buildSummaryPrompt({
+      storySummary,
+      turnsToFold,
+      language,
+      genre,
+      maxSummaryWords: config.maxSummaryWords,
+    });
+    const { text } = await callGeminiText(prompt, { contentRating, signal });
+    const { data, error } = parseTurnJson(text);
+    if (error || typeof data.summary !== 'string' || !data.summary.trim()) {
+      throw new Error(error || 'Missing "summary" field');
+    }
+
+    const summary = data.summary.trim();
+    console.log(`✅ Story memory updated: ${summary.length} chars (~${Math.round(summary.length / CHARS_PER_TOKEN)} tokens)`);
+    return { storySummary: summary, summarizedThrough: foldThrough };
+  } catch (err) {
+    console.warn(`⚠ Story memory update failed, sending turns verbatim: ${err.message}`);
+    return current;
+  }
+}
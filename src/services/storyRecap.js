@@ -0,0 +1,103 @@
+/**
+ * Story Recap — the whole journey at the end of a story: a timeline of every
+ * turn on the path to the ending, and an AI-written title and synopsis.
+ *
+ * The recap is stored on the ending's node ({ recap: { title, synopsis },
+ * recapStatus }), requested by App once the epilogue is shown.
+ */
+
+import { callGeminiText } from './geminiService';
+import { parseTurnJson } from './turnSchema';
+import { getRecentTurns } from './storyMemory';
+import { describeScene } from './storyService';
+import { getPath, imageStatusOf } from '../store/storyTree';
+
+const SYNOPSIS_MAX_WORDS = 120;
+const TITLE_MAX_LENGTH = 80;
+
+/**
+ * Every turn from the opening to the current node, with what the player chose
+ * there and the choices they left behind.
+ * @returns {{nodeId: string, turn: number, narrative: string, image: string|null, imageStatus: string,
+ *   scene: string, choiceMade: string|null, isCustomAction: boolean, choicesNotTaken: string[],
+ *   isEnding: boolean}[]}
+ */
+export function buildJourney(storyTree, nodeId, artStylePrompt) {
+  const path = getPath(storyTree, nodeId);
+
+  return path.map((node, index) => {
+    const choiceMade = path[index + 1]?.choiceFromParent ?? null;
+    return {
+      nodeId: node.id,
+      turn: node.turn,
+      narrative: node.narrative,
+      image: node.image,
+      imageStatus: imageStatusOf(node),
+      scene: describeScene(node.imagePrompt, artStylePrompt),
+      choiceMade,
+      isCustomAction: choiceMade !== null && !node.choices.includes(choiceMade),
+      choicesNotTaken: node.choices.filter((choice) => choice !== choiceMade),
+      isEnding: index === path.length - 1,
+    };
+  });
+}
+
+function buildRecapPrompt({ history, storySummary, summarizedThrough, ending, language, genre }) {
+  const turns = getRecentTurns(history, summarizedThrough)
+    .map((h) => {
+      let entry = `--- Turn ${h.turn} ---\n${h.narrative}`;
+      if (h.choiceMade) entry += `\n\nThe player chose: ${JSON.stringify(h.choiceMade)}`;
+      return entry;
+    })
+    .join('\n\n');
+
+  return `You are the editor of an interactive ${genre} story written in ${language || 'English'}. The player has just reached its ending.
+${storySummary ? `\n**Summary of the earlier turns:**\n${storySummary}\n` : ''}
+**The turns that followed:**
+${turns || '(none)'}
+
+**The ending:**
+${ending}
+
+**Your Task:**
+Write, in ${language || 'English'}:
+- "title": an evocative title for this whole story, at most 8 words, without quotation marks.
+- "synopsis": one paragraph of at most ${SYNOPSIS_MAX_WORDS} words retelling the whole journey in second person ("You..."), from the opening through the choices that shaped it to the ending.
+
+**You MUST respond in this exact JSON format (no markdown fences, no extra text):**
+{
+  "title": "Story title",
+  "synopsis": "Synopsis paragraph here..."
+}`;
+}
+
+/**
+ * Ask for the title and synopsis of a finished story.
+ *
+ * @param {{history: object[], storySummary: string, summarizedThrough: number, ending: string,
+ *   language: string, genre: string, contentRating: string}} storyState
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<{title: string, synopsis: string}|null>} null when it failed
+ */
+export async function generateStoryRecap(storyState, { signal } = {}) {
+  console.log('📜 Writing the story recap');
+
+  try {
+    const { text } = await callGeminiText(buildRecapPrompt(storyState), {
+      contentRating: storyState.contentRating,
+      signal,
+    });
+    const { data, error } = parseTurnJson(text);
+    if (error) throw new Error(error);
+
+    const title = typeof data.title === 'string' ? data.title.trim().replace(/^["'“”«»「」]+|["'“”«»「」]+$/g, '') : '';
+    const synopsis = typeof data.synopsis === 'string' ? data.synopsis.trim() : '';
+    if (!title || !synopsis) throw new Error('Missing "title" or "synopsis" field');
+
+    console.log(`✅ Story recap ready: "${title}"`);
+    return { title: title.slice(0, TITLE_MAX_LENGTH), synopsis };
+  } catch (err) {
+    console.error(`❌ Story recap failed: ${err.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * Turn Prefetcher — speculatively generates the next turn for each visible
+ * choice while the player is still reading, so picking one is instant.
+ *
+ * Opt-in (the player switches it on from the menu) because every prefetched
+ * turn costs real requests. Work is queued and limited by PREFETCH_CONFIG:
+ * texts run before images, at most `maxConcurrent` at a time, and each story
+ * has a budget of prefetched turns.
+ *
+ * Each turn is a job keyed by story + parent node + choice text:
+ *   {
+ *     key, group,                 // group = story + parent node
+ *     status: 'queued' | 'running' | 'done' | 'failed',   // of the turn text
+ *     claimed: boolean,           // taken by the player — never cancelled
+ *     controller: AbortController,
+ *     turn: Promise<{content, memory}>,
+ *     image: Promise<string|null> | null,
+ *   }
+ * When the player moves on, unfinished jobs for other choices are aborted;
+ * finished turns stay cached (up to `maxCachedTurns`) in case the player
+ * rewinds and picks them after all.
+ */
+
+import { PREFETCH_CONFIG } from '../config/prefetchConfig';
+
+const PREFETCH_ENABLED_KEY = 'unfoldy-prefetch';
+
+// ─── Player preference ───
+
+export function isPrefetchEnabled() {
+  return localStorage.getItem(PREFETCH_ENABLED_KEY) === 'on';
+}
+
+export function setPrefetchEnabled(enabled) {
+  if (enabled) localStorage.setItem(PREFETCH_ENABLED_KEY, 'on');
+  else localStorage.removeItem(PREFETCH_ENABLED_KEY);
+}
+
+// ─── Keys ───
+
+export function prefetchGroup(storyId, parentNodeId) {
+  return `${storyId}/${parentNodeId}`;
+}
+
+export function prefetchKey(storyId, parentNodeId, choiceText) {
+  return `${prefetchGroup(storyId, parentNodeId)}/${choiceText}`;
+}
+
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  // Unclaimed prefetches may fail without anyone listening
+  promise.catch(() => {});
+  return { promise, resolve, reject };
+}
+
+/**
+ * Create a prefetcher. One per app; jobs from an earlier story are dropped
+ * with clear().
+ * @param {object} [config] - Limits, see PREFETCH_CONFIG
+ */
+export function createTurnPrefetcher(config = PREFETCH_CONFIG) {
+  const jobs = new Map();
+  const textQueue = [];
+  const imageQueue = [];
+  const spent = new Map(); // storyId → prefetched turns started
+  let running = 0;
+  let pausedUntil = 0;
+
+  function runTask(task) {
+    running++;
+    task.run().finally(() => {
+      running--;
+      pump();
+    });
+  }
+
+  function pump() {
+    while (running < config.maxConcurrent) {
+      const task = textQueue.shift() || imageQueue.shift();
+      if (!task) return;
+      if (!task.job.controller.signal.aborted) runTask(task);
+    }
+  }
+
+  // Run a queued task now, outside the concurrency limit — the player is waiting on it
+  function promote(queue, job) {
+    const index = queue.findIndex((task) => task.job === job);
+    if (index !== -1) runTask(queue.splice(index, 1)[0]);
+  }
+
+  function evictCached() {
+    const finished = [...jobs.values()].filter(
+      (job) => job.status === 'failed' || (job.status === 'done' && !job.claimed)
+    );
+    finished.slice(0, Math.max(0, finished.length - config.maxCachedTurns)).forEach((job) => jobs.delete(job.key));
+  }
+
+  function cancel(job) {
+    job.controller.abort();
+    jobs.delete(job.key);
+  }
+
+  return {
+    /**
+     * Queue a prefetch unless the key is already known, the story's budget is
+     * spent, or prefetching is paused after a rate limit.
+     * @param {string} key - From prefetchKey()
+     * @param {object} task
+     * @param {string} task.storyId - Budget the turn counts against
+     * @param {string} task.group - From prefetchGroup()
+     * @param {(signal: AbortSignal) => Promise<{content: object, memory: object}>} task.generateTurn
+     * @param {(content: object, signal: AbortSignal) => Promise<string|null>} task.generateImage
+     * @returns {boolean} Whether a job was queued
+     */
+    prefetch(key, { storyId, group, generateTurn, generateImage }) {
+      if (jobs.has(key) || Date.now() < pausedUntil) return false;
+      if ((spent.get(storyId) || 0) >= config.maxTurnsPerStory) return false;
+      spent.set(storyId, (spent.get(storyId) || 0) + 1);
+
+      const turn = deferred();
+      const image = config.prefetchImages ? deferred() : null;
+      const job = {
+        key,
+        group,
+        status: 'queued',
+        claimed: false,
+        controller: new AbortController(),
+        turn: turn.promise,
+        image: image?.promise || null,
+      };
+      const { signal } = job.controller;
+      // An image that will never be generated resolves empty instead of hanging
+      signal.addEventListener('abort', () => image?.resolve(null), { once: true });
+
+      const imageTask = {
+        job,
+        run: () => generateImage(job.result.content, signal).then(image.resolve, () => image.resolve(null)),
+      };
+
+      const textTask = {
+        job,
+        run: () => {
+          job.status = 'running';
+          console.log(`⚡ Prefetching "${key}"`);
+          return generateTurn(signal)
+            .then((result) => {
+              job.result = result;
+              job.status = 'done';
+              turn.resolve(result);
+              if (image && result.content.imagePrompt) {
+                imageQueue.push(imageTask);
+                if (job.claimed) promote(imageQueue, job);
+              } else {
+                image?.resolve(null);
+              }
+              evictCached();
+            })
+            .catch((err) => {
+              job.status = 'failed';
+              turn.reject(err);
+              image?.resolve(null);
+              if (!signal.aborted) console.warn(`⚠ Prefetch failed for "${key}": ${err.message}`);
+              // Rate limited: stop prefetching until the quota frees up
+              if (err.retryAfter) pausedUntil = Date.now() + err.retryAfter * 1000;
+            });
+        },
+      };
+
+      jobs.set(key, job);
+      textQueue.push(textTask);
+      pump();
+      return true;
+    },
+
+    /**
+     * Claim a prefetched turn for the choice the player just made.
+     * Starts it right away if it was still queued.
+     * @returns {Promise<{content: object, memory: object}>|null} null when nothing was prefetched
+     */
+    takeTurn(key) {
+      const job = jobs.get(key);
+      if (!job || job.status === 'failed') return null;
+      job.claimed = true;
+      promote(textQueue, job);
+      return job.turn;
+    },
+
+    /**
+     * Claim the prefetched image of a claimed turn once it is on screen.
+     * This is the job's last use, so it leaves the prefetcher.
+     * @returns {Promise<string|null>|null} null when no image was prefetched
+     */
+    takeImage(key) {
+      const job = jobs.get(key);
+      if (!job?.claimed) return null;
+      jobs.delete(key);
+      promote(imageQueue, job);
+      return job.image;
+    },
+
+    /**
+     * Stop work on the branches the player has moved away from (jobs outside
+     * `group`). Unfinished turns are dropped; finished ones stay cached,
+     * without their image if it was still pending.
+     */
+    keepOnly(group) {
+      jobs.forEach((job) => {
+        if (job.claimed || job.group === group) return;
+        if (job.status === 'queued' || job.status === 'running') cancel(job);
+        else job.controller.abort();
+      });
+    },
+
+    /**
+     * Abort everything and forget the cache (new story, back to the menu).
+     */
+    clear() {
+      jobs.forEach(cancel);
+      textQueue.length = 0;
+      imageQueue.length = 0;
+    },
+  };
+}
@@ -0,0 +1,218 @@
+/**
+ * Turn Schema — the contract every generated turn must satisfy.
+ *
+ * A turn is valid when it has a narrative within the word range, an image
+ * prompt, exactly TURN_SCHEMA.choiceCount distinct choices (none on the
+ * final turn, which classifies its `ending` instead), `statChanges` when the
+ * story tracks player stats and, if present, a well-formed `worldDelta`,
+ * `actionCheck` and `appearances`. Validation
+ * returns human-readable errors so they can be sent back to the model in
+ * a repair round-trip.
+ */
+
+import { ENDING_TYPES, CUSTOM_ENDING, ENDING_TITLE_MAX_LENGTH } from '../config/endingConfig';
+import { STAT_MAX_CHANGE } from '../config/statsConfig';
+
+export const TURN_SCHEMA = {
+  // The prompt asks for 100-150 words; the schema allows some slack
+  // so a slightly long or short turn isn't worth a repair round-trip.
+  narrativeWords: { min: 60, max: 220 },
+  choiceCount: 3,
+  choiceMaxLength: 200,
+};
+
+const wordSegmenter =
+  typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: 'word' }) : null;
+
+/**
+ * Count words in a narrative. Uses Intl.Segmenter where available so
+ * languages written without spaces (e.g. Japanese) are counted sensibly.
+ */
+export function countWords(text) {
+  if (!wordSegmenter) return text.split(/\s+/).filter(Boolean).length;
+  let count = 0;
+  for (const segment of wordSegmenter.segment(text)) {
+    if (segment.isWordLike) count++;
+  }
+  return count;
+}
+
+/**
+ * Pull the JSON object out of a raw model response and parse it.
+ * Tolerates markdown fences and text around the object, nothing more —
+ * anything else is reported as an error for the repair round-trip.
+ * @returns {{data: object|null, error: string|null}}
+ */
+export function parseTurnJson(rawText) {
+  let jsonStr = rawText.trim();
+
+  const fenced = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) jsonStr = fenced[1].trim();
+
+  const objectMatch = jsonStr.match(/\{[\s\S]*\}/);
+  if (!objectMatch) return { data: null, error: 'Response does not contain a JSON object.' };
+
+  try {
+    const data = JSON.parse(objectMatch[0]);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { data: null, error: 'Response JSON must be an object.' };
+    }
+    return { data, error: null };
+  } catch (err) {
+    return { data: null, error: `Response is not valid JSON (${err.message}).` };
+  }
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate the optional `worldDelta` block (see storyBible.js for how it is merged).
+ * @returns {string[]} Validation errors (empty when valid or absent)
+ */
+function validateWorldDelta(delta) {
+  if (delta === undefined || delta === null) return [];
+  if (!isPlainObject(delta)) return ['"worldDelta" must be an object.'];
+
+  const errors = [];
+  if (delta.characters !== undefined) {
+    const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string';
+    if (!Array.isArray(delta.characters) || !delta.characters.every((c) => isPlainObject(c) && isNonEmptyString(c.name))) {
+      errors.push('"worldDelta.characters" must be an array of objects, each with a non-empty "name".');
+    } else if (!delta.characters.every((c) => isOptionalString(c.description) && isOptionalString(c.status))) {
+      errors.push('"worldDelta.characters" "description" and "status" must be strings.');
+    }
+  }
+  if (delta.location !== undefined && typeof delta.location !== 'string') {
+    errors.push('"worldDelta.location" must be a string.');
+  }
+  for (const [field, keys] of [['inventory', ['added', 'removed']], ['threads', ['opened', 'resolved']]]) {
+    const value = delta[field];
+    if (value === undefined) continue;
+    if (!isPlainObject(value) || !keys.every((k) => value[k] === undefined || isStringList(value[k]))) {
+      errors.push(`"worldDelta.${field}" must be an object with string arrays "${keys[0]}" and "${keys[1]}".`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate the optional `actionCheck` verdict on a typed player action (see customAction.js).
+ * @returns {string[]} Validation errors (empty when valid or absent)
+ */
+function validateActionCheck(check) {
+  if (check === undefined || check === null) return [];
+  if (!isPlainObject(check) || typeof check.plausible !== 'boolean' || typeof check.note !== 'string') {
+    return ['"actionCheck" must be an object with a boolean "plausible" and a string "note".'];
+  }
+  return [];
+}
+
+/**
+ * Validate the optional `appearances` block (see characterAppearance.js).
+ * @returns {string[]} Validation errors (empty when valid or absent)
+ */
+function validateAppearances(appearances) {
+  if (appearances === undefined || appearances === null) return [];
+  if (!isPlainObject(appearances)) return ['"appearances" must be an object.'];
+
+  const errors = [];
+  if (appearances.protagonist !== undefined && typeof appearances.protagonist !== 'string') {
+    errors.push('"appearances.protagonist" must be a string.');
+  }
+  if (appearances.characters !== undefined) {
+    const isEntry = (c) => isPlainObject(c) && isNonEmptyString(c.name) && typeof c.appearance === 'string';
+    if (!Array.isArray(appearances.characters) || !appearances.characters.every(isEntry)) {
+      errors.push('"appearances.characters" must be an array of objects with a non-empty "name" and a string "appearance".');
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate the `ending` the final turn must classify (see services/endings.js).
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateEnding(ending) {
+  const types = [...ENDING_TYPES.map((t) => t.id), CUSTOM_ENDING.id];
+  if (!isPlainObject(ending) || !types.includes(ending.type) || !isNonEmptyString(ending.title)) {
+    const allowed = types.map((t) => `"${t}"`).join(', ');
+    return [`"ending" must be an object with a "type" (one of ${allowed}) and a non-empty "title".`];
+  }
+  if (ending.title.length > ENDING_TITLE_MAX_LENGTH) {
+    return [`"ending.title" must be at most ${ENDING_TITLE_MAX_LENGTH} characters.`];
+  }
+  return [];
+}
+
+/**
+ * Validate the `statChanges` of a story that tracks player stats (see services/playerStats.js).
+ * @param {string[]} statIds - The story's stats
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateStatChanges(changes, statIds) {
+  const isChange = (value) => Number.isInteger(value) && Math.abs(value) <= STAT_MAX_CHANGE;
+  if (!isPlainObject(changes) || !statIds.every((id) => isChange(changes[id]))) {
+    return [
+      `"statChanges" must be an object giving ${statIds.map((id) => `"${id}"`).join(', ')} each a whole number ` +
+        `between -${STAT_MAX_CHANGE} and ${STAT_MAX_CHANGE}.`,
+    ];
+  }
+  return [];
+}
+
+/**
+ * Validate a parsed turn against the schema.
+ * @param {object} data - Parsed response JSON
+ * @param {{isFinalTurn: boolean, statIds?: string[]|null}} options - `statIds` when
+ *   the story tracks player stats
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateTurn(data, { isFinalTurn, statIds = null }) {
+  const errors = [];
+  const { narrativeWords, choiceCount, choiceMaxLength } = TURN_SCHEMA;
+
+  if (!isNonEmptyString(data.narrative)) {
+    errors.push('"narrative" must be a non-empty string.');
+  } else {
+    const words = countWords(data.narrative);
+    if (words < narrativeWords.min || words > narrativeWords.max) {
+      errors.push(
+        `"narrative" must be ${narrativeWords.min}-${narrativeWords.max} words long (it has ${words}).`
+      );
+    }
+  }
+
+  if (!isNonEmptyString(data.imagePrompt)) {
+    errors.push('"imagePrompt" must be a non-empty string.');
+  }
+
+  if (!Array.isArray(data.choices)) {
+    errors.push('"choices" must be an array.');
+  } else if (isFinalTurn) {
+    if (data.choices.length > 0) errors.push('"choices" must be an empty array on the final turn.');
+  } else {
+    if (data.choices.length !== choiceCount) {
+      errors.push(`"choices" must contain exactly ${choiceCount} items (it has ${data.choices.length}).`);
+    }
+    if (!data.choices.every(isNonEmptyString)) {
+      errors.push('Every choice must be a non-empty string.');
+    } else {
+      if (new Set(data.choices.map((c) => c.trim().toLowerCase())).size !== data.choices.length) {
+        errors.push('Choices must be distinct from each other.');
+      }
+      if (data.choices.some((c) => c.length > choiceMaxLength)) {
+        errors.push(`Each choice must be at most ${choiceMaxLength} characters.`);
+      }
+    }
+  }
+
+  errors.push(...validateWorldDelta(data.worldDelta));
+  errors.push(...validateActionCheck(data.actionCheck));
+  errors.push(...validateAppearances(data.appearances));
+  if (isFinalTurn) errors.push(...validateEnding(data.ending));
+  if (statIds) errors.push(...validateStatChanges(data.statChanges, statIds));
+
+  return errors;
+}
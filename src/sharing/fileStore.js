@@ -0,0 +1,72 @@
+/**
+ * Filesystem implementation of the shared story store (see storyStore.js).
+ * Node only — used by api/stories.js and the Vite dev server.
+ *
+ * Layout:  <dir>/<id>.json       story record
+ *          <dir>/<id>-<n>.img    image bytes for turn n
+ *
+ *   STORY_STORE      "filesystem" (default), "kv" (see kvStore.js) or "memory"
+ *   STORY_STORE_DIR  where files go (default .data/stories). Serverless disks
+ *                    are wiped between instances, so on Vercel it must point
+ *                    at durable storage — or use the kv store
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createMemoryStore } from './storyStore.js';
+import { createKvStore } from './kvStore.js';
+
+export function createFileStore(dir) {
+  let ready = null;
+  const ensureDir = () => (ready ??= mkdir(dir, { recursive: true }));
+
+  const readOrNull = async (file, parse) => {
+    try {
+      return parse(await readFile(join(dir, file)));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  };
+
+  return {
+    async putStory(id, record) {
+      await ensureDir();
+      await writeFile(join(dir, `${id}.json`), JSON.stringify(record));
+    },
+    getStory(id) {
+      return readOrNull(`${id}.json`, (data) => JSON.parse(data.toString('utf8')));
+    },
+    async putImage(key, bytes) {
+      await ensureDir();
+      await writeFile(join(dir, `${key}.img`), bytes);
+    },
+    getImage(key) {
+      return readOrNull(`${key}.img`, (data) => new Uint8Array(data));
+    },
+  };
+}
+
+let memoryStore = null;
+
+/**
+ * Pick the store from the environment.
+ * @param {Record<string, string|undefined>} env - process.env
+ * @throws {Error} with status 503 on Vercel when no durable store is configured,
+ *   rather than accepting stories that would vanish on the next cold start
+ */
+export function resolveStoryStore(env = {}) {
+  if (env.STORY_STORE === 'memory') {
+    memoryStore ??= createMemoryStore();
+    return memoryStore;
+  }
+  if (env.STORY_STORE === 'kv') {
+    return createKvStore({ url: env.KV_REST_API_URL, token: env.KV_REST_API_TOKEN });
+  }
+  if (env.VERCEL && !env.STORY_STORE_DIR) {
+    const error = new Error('Story sharing is not set up: configure STORY_STORE=kv or a durable STORY_STORE_DIR');
+    error.status = 503;
+    throw error;
+  }
+  return createFileStore(env.STORY_STORE_DIR || '.data/stories');
+}
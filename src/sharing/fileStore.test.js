@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { resolveStoryStore } from './fileStore.js';
+
+describe('resolveStoryStore', () => {
+  it('refuses to use the ephemeral disk on Vercel', () => {
+    expect(() => resolveStoryStore({ VERCEL: '1' })).toThrow(expect.objectContaining({ status: 503 }));
+  });
+
+  it('uses the configured directory or kv store on Vercel', () => {
+    expect(resolveStoryStore({ VERCEL: '1', STORY_STORE_DIR: '/mnt/stories' })).toBeTruthy();
+    expect(resolveStoryStore({ VERCEL: '1', STORY_STORE: 'kv', KV_REST_API_URL: 'https://kv.example', KV_REST_API_TOKEN: 't' })).toBeTruthy();
+  });
+
+  it('needs KV credentials for the kv store', () => {
+    expect(() => resolveStoryStore({ STORY_STORE: 'kv' })).toThrow(/KV_REST_API_URL/);
+  });
+});
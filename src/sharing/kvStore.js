@@ -0,0 +1,46 @@
+/**
+ * Redis-compatible KV implementation of the shared story store (see
+ * storyStore.js), over the REST API of Vercel KV / Upstash — the durable
+ * choice for serverless deployments, sharing the rate limiter's credentials.
+ *
+ * Keys:  story:<id>        story record (JSON)
+ *        story-image:<key> image bytes (base64)
+ */
+
+const KV_TIMEOUT_MS = 5000;
+
+export function createKvStore({ url, token }) {
+  if (!url || !token) throw new Error('KV_REST_API_URL and KV_REST_API_TOKEN are required for the kv story store');
+
+  const command = async (...args) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(KV_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`KV ${response.status}`);
+    const { result, error } = await response.json();
+    if (error) throw new Error(`KV ${error}`);
+    return result;
+  };
+
+  return {
+    async putStory(id, record) {
+      await command('SET', `story:${id}`, JSON.stringify(record));
+    },
+    async getStory(id) {
+      const data = await command('GET', `story:${id}`);
+      return data ? JSON.parse(data) : null;
+    },
+    async putImage(key, bytes) {
+      let binary = '';
+      for (const byte of bytes) binary += String.fromCharCode(byte);
+      await command('SET', `story-image:${key}`, btoa(binary));
+    },
+    async getImage(key) {
+      const data = await command('GET', `story-image:${key}`);
+      return data ? Uint8Array.from(atob(data), (c) => c.charCodeAt(0)) : null;
+    },
+  };
+}
@@ -0,0 +1,207 @@
+/**
+ * Shared Stories — publish a finished story under a short ID and load it back
+ * for the read-only viewer. Storage-agnostic: every function takes a store
+ * implementing the interface in storyStore.js.
+ *
+ * Images are re-hosted: data URIs are decoded and remote URLs (DALL-E links
+ * expire after an hour) are downloaded once, then the bytes are kept in the
+ * store and served from /api/stories?id=<id>&image=<n>. Only PNG, JPEG and
+ * WebP are kept, recognised by their bytes rather than by what the client or
+ * the remote host claims — anything else (SVG above all, which can carry
+ * script) would be served from the app's own origin.
+ */
+
+import { timeoutSignal } from '../providers/http.js';
+
+export const SHARE_LIMITS = {
+  maxTurns: 30,
+  maxTitleLength: 120,
+  maxNarrativeLength: 6000,
+  maxChoiceLength: 300,
+  maxSceneLength: 300,
+  maxImageBytes: 3 * 1024 * 1024,
+  // Vercel refuses request bodies over 4.5 MB before the function runs
+  maxRequestBytes: 4 * 1024 * 1024,
+  imageFetchTimeoutMs: 15000,
+};
+
+// Hosts the server may download images from, matched exactly
+// (DALL-E serves from OpenAI's own Azure blob storage account)
+const DEFAULT_IMAGE_HOSTS = ['oaidalleapiprodscus.blob.core.windows.net'];
+
+// Leading bytes of the image formats we accept; `null` matches any byte
+const IMAGE_SIGNATURES = [
+  { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  // "RIFF" <size> "WEBP"
+  { mime: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+];
+
+const ID_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ID_LENGTH = 8;
+const ID_PATTERN = new RegExp(`^[${ID_ALPHABET}]{${ID_LENGTH}}$`);
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+export function createShortId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(ID_LENGTH));
+  return Array.from(bytes, (b) => ID_ALPHABET[b % ID_ALPHABET.length]).join('');
+}
+
+export function isValidStoryId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+
+/**
+ * Check and trim a story submitted for sharing.
+ * Expected shape: { title, genre, genreColor, language, turns: [{ turn, narrative, choiceMade, image, scene? }] }
+ * where `scene` describes the image (its alt text).
+ * @throws {Error} with status 400 when the story is unusable
+ */
+export function normalizeSharedStory(body) {
+  if (!body || !Array.isArray(body.turns) || body.turns.length === 0) {
+    throw badRequest('A story needs at least one turn');
+  }
+  if (body.turns.length > SHARE_LIMITS.maxTurns) {
+    throw badRequest(`A story can have at most ${SHARE_LIMITS.maxTurns} turns`);
+  }
+
+  const turns = body.turns.map((t, i) => {
+    const narrative = text(t?.narrative, SHARE_LIMITS.maxNarrativeLength);
+    if (!narrative) throw badRequest(`Turn ${i + 1} has no narrative`);
+    return {
+      turn: Number.isInteger(t.turn) ? t.turn : i + 1,
+      narrative,
+      choiceMade: text(t.choiceMade, SHARE_LIMITS.maxChoiceLength) || null,
+      image: typeof t.image === 'string' ? t.image : null,
+      scene: text(t.scene, SHARE_LIMITS.maxSceneLength),
+    };
+  });
+
+  return {
+    title: text(body.title, SHARE_LIMITS.maxTitleLength) || 'An Unfoldy Story',
+    genre: text(body.genre, 40),
+    genreColor: /^#[0-9a-f]{3,8}$/i.test(body.genreColor) ? body.genreColor : '#9b7ec8',
+    language: text(body.language, 40),
+    turns,
+  };
+}
+
+/**
+ * The type of a PNG, JPEG or WebP image, from its leading bytes.
+ * @param {Uint8Array} bytes
+ * @returns {string|null} The MIME type, or null for anything else
+ */
+export function sniffImageType(bytes) {
+  const signature = IMAGE_SIGNATURES.find(
+    (sig) => bytes.length >= sig.bytes.length && sig.bytes.every((b, i) => b === null || bytes[i] === b)
+  );
+  return signature?.mime || null;
+}
+
+function checkedImage(bytes) {
+  if (bytes.length > SHARE_LIMITS.maxImageBytes) throw new Error('image too large');
+  const mime = sniffImageType(bytes);
+  if (!mime) throw new Error('not a PNG, JPEG or WebP image');
+  return { mime, bytes };
+}
+
+/**
+ * Turn an image reference into bytes we can store.
+ * Returns null (and the turn is shared without a picture) when it cannot be read.
+ * @param {{allowedHosts?: string[], logPrefix?: string}} options - `allowedHosts`
+ *   are the exact hostnames remote images may be downloaded from
+ */
+export async function rehostImage(src, { allowedHosts = DEFAULT_IMAGE_HOSTS, logPrefix = '[stories]' } = {}) {
+  if (!src) return null;
+
+  try {
+    if (src.startsWith('data:')) {
+      const match = src.match(/^data:image\/[\w.+-]+;base64,(.*)$/s);
+      if (!match) throw new Error('not a base64 image data URI');
+      return checkedImage(Uint8Array.from(atob(match[1]), (c) => c.charCodeAt(0)));
+    }
+
+    const url = new URL(src);
+    if (url.protocol !== 'https:' || !allowedHosts.includes(url.hostname)) {
+      throw new Error(`host ${url.hostname} not allowed`);
+    }
+
+    // A redirect could lead anywhere, so it counts as a failure
+    const response = await fetch(url, { redirect: 'error', signal: timeoutSignal(SHARE_LIMITS.imageFetchTimeoutMs) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return checkedImage(new Uint8Array(await response.arrayBuffer()));
+  } catch (err) {
+    console.warn(`${logPrefix} Could not re-host image: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store a story and return its new short ID.
+ */
+export async function publishStory(store, body, options = {}) {
+  const story = normalizeSharedStory(body);
+
+  let id = createShortId();
+  while (await store.getStory(id)) id = createShortId();
+
+  const images = await Promise.all(story.turns.map((t) => rehostImage(t.image, options)));
+  await Promise.all(images.map((image, i) => image && store.putImage(`${id}-${i}`, image.bytes)));
+
+  await store.putStory(id, {
+    id,
+    title: story.title,
+    genre: story.genre,
+    genreColor: story.genreColor,
+    language: story.language,
+    createdAt: Date.now(),
+    turns: story.turns.map((t, i) => ({
+      turn: t.turn,
+      narrative: t.narrative,
+      choiceMade: t.choiceMade,
+      scene: t.scene,
+      imageType: images[i]?.mime || null,
+    })),
+  });
+
+  console.log(`${options.logPrefix || '[stories]'} Published ${id}: ${story.turns.length} turns, ${images.filter(Boolean).length} images`);
+  return id;
+}
+
+/**
+ * Load a shared story for the viewer, with each turn's `image` set to the
+ * URL that serves it. Returns null if the ID is unknown.
+ * @param {(index: number) => string} imageUrl
+ */
+export async function loadSharedStory(store, id, imageUrl) {
+  if (!isValidStoryId(id)) return null;
+  const record = await store.getStory(id);
+  if (!record) return null;
+
+  return {
+    ...record,
+    turns: record.turns.map((t, i) => ({ ...t, image: t.imageType ? imageUrl(i) : null })),
+  };
+}
+
+/**
+ * Load one stored image. Returns null if the story or image is unknown.
+ * The type is sniffed again, so images stored before it was checked on
+ * upload are never served as anything but PNG, JPEG or WebP.
+ * @returns {Promise<{mime: string, bytes: Uint8Array}|null>}
+ */
+export async function loadSharedImage(store, id, index) {
+  if (!isValidStoryId(id)) return null;
+  const record = await store.getStory(id);
+  if (!record?.turns[index]?.imageType) return null;
+  const bytes = await store.getImage(`${id}-${index}`);
+  const mime = bytes && sniffImageType(bytes);
+  return mime ? { mime, bytes } : null;
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { rehostImage, sniffImageType, loadSharedImage, publishStory } from './sharedStories.js';
+import { createMemoryStore } from './storyStore.js';
+
+const PNG = Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d);
+const JPEG = Uint8Array.of(0xff, 0xd8, 0xff, 0xe0, 0, 0x10);
+const WEBP = Uint8Array.of(0x52, 0x49, 0x46, 0x46, 0x24, 0, 0, 0, 0x57, 0x45, 0x42, 0x50, 0x56, 0x50);
+const SVG = new TextEncoder().encode('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+
+const base64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const dataUri = (mime, bytes) => `data:${mime};base64,${base64(bytes)}`;
+const quiet = { logPrefix: '[test]' };
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('sniffImageType', () => {
+  it('recognises PNG, JPEG and WebP by their leading bytes', () => {
+    expect(sniffImageType(PNG)).toBe('image/png');
+    expect(sniffImageType(JPEG)).toBe('image/jpeg');
+    expect(sniffImageType(WEBP)).toBe('image/webp');
+  });
+
+  it('rejects SVG, other RIFF files and short input', () => {
+    expect(sniffImageType(SVG)).toBeNull();
+    expect(sniffImageType(new TextEncoder().encode('RIFF\0\0\0\0WAVEfmt '))).toBeNull();
+    expect(sniffImageType(PNG.slice(0, 4))).toBeNull();
+  });
+});
+
+describe('rehostImage', () => {
+  it('keeps raster data URIs with the type taken from their bytes', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const image = await rehostImage(dataUri('image/gif', JPEG), quiet);
+    expect(image.mime).toBe('image/jpeg');
+    expect(Array.from(image.bytes)).toEqual(Array.from(JPEG));
+  });
+
+  it('drops SVG data URIs, base64 or not', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(await rehostImage(dataUri('image/svg+xml', SVG), quiet)).toBeNull();
+    expect(await rehostImage(dataUri('image/png', SVG), quiet)).toBeNull();
+    expect(await rehostImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent('<svg/>')}`, quiet)).toBeNull();
+  });
+
+  it('only downloads over https from the exact allowed hosts', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const fetchMock = vi.fn(async () => new Response(PNG, { headers: { 'Content-Type': 'image/png' } }));
+    vi.stubGlobal('fetch', fetchMock);
+    const options = { ...quiet, allowedHosts: ['images.example.com'] };
+
+    expect(await rehostImage('https://evil.images.example.com/a.png', options)).toBeNull();
+    expect(await rehostImage('https://attacker.blob.core.windows.net/a.png', quiet)).toBeNull();
+    expect(await rehostImage('http://images.example.com/a.png', options)).toBeNull();
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    const image = await rehostImage('https://images.example.com/a.png', options);
+    expect(image.mime).toBe('image/png');
+    expect(fetchMock.mock.calls[0][1].redirect).toBe('error');
+  });
+
+  it('drops downloads that are not raster images, whatever their content type', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.stubGlobal('fetch', async () => new Response(SVG, { headers: { 'Content-Type': 'image/png' } }));
+    expect(await rehostImage('https://images.example.com/a.png', { ...quiet, allowedHosts: ['images.example.com'] })).toBeNull();
+  });
+});
+
+describe('loadSharedImage', () => {
+  it('refuses to serve stored bytes that are not a raster image', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const store = createMemoryStore();
+    const id = await publishStory(store, { turns: [{ narrative: 'Once.', image: dataUri('image/png', PNG) }] }, quiet);
+
+    expect((await loadSharedImage(store, id, 0)).mime).toBe('image/png');
+
+    await store.putImage(`${id}-0`, SVG);
+    expect(await loadSharedImage(store, id, 0)).toBeNull();
+  });
+});
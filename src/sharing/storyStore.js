@@ -0,0 +1,36 @@
+/**
+ * Shared Story Store — storage interface for published (shared) stories.
+ *
+ * Every store implements the same four async methods:
+ *   {
+ *     putStory(id, record) → Promise<void>
+ *     getStory(id)         → Promise<object|null>
+ *     putImage(key, bytes) → Promise<void>   // bytes: Uint8Array
+ *     getImage(key)        → Promise<Uint8Array|null>
+ *   }
+ * Records are plain JSON (see sharedStories.js); images are stored
+ * separately so a story can be listed without loading its pictures.
+ *
+ * This file holds the in-memory store (tests, throwaway sessions).
+ * The filesystem store lives in fileStore.js because it needs Node.
+ */
+
+export function createMemoryStore() {
+  const stories = new Map();
+  const images = new Map();
+
+  return {
+    async putStory(id, record) {
+      stories.set(id, structuredClone(record));
+    },
+    async getStory(id) {
+      return stories.has(id) ? structuredClone(stories.get(id)) : null;
+    },
+    async putImage(key, bytes) {
+      images.set(key, bytes);
+    },
+    async getImage(key) {
+      return images.get(key) || null;
+    },
+  };
+}
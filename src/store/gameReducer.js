@@ -0,0 +1,303 @@
+/**
+ * Game Reducer — the game state and every transition of it, kept apart
+ * from the React provider (useGameStore.jsx) so it can be tested on its own.
+ */
+
+import { MAX_TURNS } from '../config/styleConfig';
+import { normalizeStoryLength } from '../services/pacing';
+import { EMPTY_STORY_BIBLE, mergeStoryBible } from '../services/storyBible';
+import { EMPTY_APPEARANCES, mergeAppearances, normalizeAppearances } from '../services/characterAppearance';
+import {
+  EMPTY_STORY_TREE,
+  addNode,
+  updateNode,
+  getPath,
+  pathToHistory,
+  treeFromLinearHistory,
+  imageStatusOf,
+  childFor,
+} from './storyTree';
+import { defaultStoryTitle, hasDefaultStoryTitle } from '../services/storyLibrary';
+import { applyStatChanges, criticalStat } from '../services/playerStats';
+
+// ─── Initial State ───────────────────────────────────
+export const initialState = {
+  gamePhase: 'splash', // 'splash' | 'menu' | 'playing' | 'loading' | 'epilogue'
+  storyId: null, // library record id (see storyLibrary.js)
+  storyTitle: '',
+  storyCreatedAt: null,
+  currentTurn: 1,
+  maxTurns: MAX_TURNS, // story length picked at game start (see services/pacing.js)
+  language: 'English',
+  genre: '',
+  genreId: '',
+  artStylePrompt: '',
+  genreNotes: '', // tone/setting notes of a custom genre (see customGenres.js)
+  genreColor: '#e040fb',
+  contentRating: 'teen', // 'family' | 'teen' | 'mature' — how strictly turns are moderated
+  characterAppearances: EMPTY_APPEARANCES, // locked looks for images, per story (see characterAppearance.js)
+  storyTree: EMPTY_STORY_TREE, // every explored turn (see storyTree.js)
+  currentNodeId: null, // node being shown; the turn in progress hangs off it
+  pendingChoice: null, // choice whose turn is generating: { parentId, choiceText }
+  nextNodeSeq: 1,
+  // Everything below is derived from the current node (see deriveFromNode)
+  history: [],
+  storySummary: '', // running summary of the oldest turns (see storyMemory.js)
+  summarizedThrough: 0, // number of history entries covered by storySummary
+  storyBible: EMPTY_STORY_BIBLE, // characters, location, inventory, threads (see storyBible.js)
+  stats: null, // player stats, null when the story doesn't track them (see playerStats.js)
+  statChanges: null, // how the current turn changed the stats
+  gameOver: null, // stat whose critical value ended the story early
+  currentNarrative: '',
+  currentImage: null,
+  currentImageStatus: 'none', // 'pending' | 'ready' | 'failed' | 'none' — images arrive after the text
+  currentChoices: [],
+  streamingNarrative: '', // partial narrative while the current turn is still generating
+  isLoading: false,
+  error: null, // catalog key of the message to show
+  errorRetryAt: null, // set when the server asked us to wait (rate limited): ms timestamp
+  usedFallback: false,
+  turnQuality: 'ok', // 'ok' | 'repaired' | 'degraded' — see generateStoryContent
+  actionCheck: null, // { plausible, note } when the current turn answered a typed action
+  turnModeration: null, // moderation result for the current turn (see src/moderation)
+};
+
+// ─── Actions ─────────────────────────────────────────
+export const ACTIONS = {
+  DISMISS_SPLASH: 'DISMISS_SPLASH',
+  START_GAME: 'START_GAME',
+  SET_LOADING: 'SET_LOADING',
+  STREAM_NARRATIVE: 'STREAM_NARRATIVE',
+  SET_TURN_CONTENT: 'SET_TURN_CONTENT',
+  SET_TURN_IMAGE: 'SET_TURN_IMAGE',
+  SET_STORY_RECAP: 'SET_STORY_RECAP',
+  SET_APPEARANCES: 'SET_APPEARANCES',
+  MAKE_CHOICE: 'MAKE_CHOICE',
+  REWIND_TO: 'REWIND_TO',
+  SET_ERROR: 'SET_ERROR',
+  RESET_GAME: 'RESET_GAME',
+  RESTORE_STATE: 'RESTORE_STATE',
+};
+
+/**
+ * Point the game at a node of the story tree: the turn fields, the linear
+ * history and the per-turn memory/bible all come from that node and its path.
+ */
+function deriveFromNode(state, tree, nodeId) {
+  const path = getPath(tree, nodeId);
+  const node = path[path.length - 1];
+
+  return {
+    storyTree: tree,
+    currentNodeId: nodeId,
+    pendingChoice: null,
+    // A defeat (see playerStats.js) ends the story before its last turn
+    gamePhase: node.turn >= state.maxTurns || node.gameOver ? 'epilogue' : 'playing',
+    currentTurn: node.turn,
+    history: pathToHistory(path),
+    currentNarrative: node.narrative,
+    currentImage: node.image,
+    currentImageStatus: imageStatusOf(node),
+    currentChoices: node.choices,
+    storyBible: node.storyBible,
+    stats: node.stats ?? null,
+    statChanges: node.statChanges ?? null,
+    gameOver: node.gameOver ?? null,
+    storySummary: node.memory.storySummary,
+    summarizedThrough: node.memory.summarizedThrough,
+    usedFallback: node.usedFallback,
+    turnQuality: node.quality,
+    actionCheck: node.actionCheck || null,
+    turnModeration: node.moderation || null,
+    streamingNarrative: '',
+    isLoading: false,
+    error: null,
+    errorRetryAt: null,
+  };
+}
+
+function isSameChoice(a, b) {
+  return (a?.parentId ?? null) === (b?.parentId ?? null) && (a?.choiceText ?? null) === (b?.choiceText ?? null);
+}
+
+// ─── Reducer ─────────────────────────────────────────
+export function gameReducer(state, action) {
+  switch (action.type) {
+    case ACTIONS.DISMISS_SPLASH:
+      return { ...state, gamePhase: 'menu' };
+
+    case ACTIONS.START_GAME:
+      return {
+        ...initialState,
+        gamePhase: 'loading',
+        storyId: action.payload.storyId,
+        storyTitle: defaultStoryTitle(action.payload),
+        storyCreatedAt: action.payload.createdAt,
+        language: action.payload.language,
+        genre: action.payload.genre,
+        genreId: action.payload.genreId,
+        artStylePrompt: action.payload.artStylePrompt,
+        genreNotes: action.payload.notes || '',
+        genreColor: action.payload.color,
+        contentRating: action.payload.contentRating || initialState.contentRating,
+        characterAppearances: normalizeAppearances({ protagonist: action.payload.protagonist }),
+        maxTurns: normalizeStoryLength(action.payload.maxTurns ?? MAX_TURNS),
+        stats: action.payload.stats || null,
+        currentTurn: 1,
+        isLoading: true,
+      };
+
+    case ACTIONS.SET_LOADING:
+      return {
+        ...state,
+        isLoading: action.payload,
+        gamePhase: action.payload ? 'loading' : state.gamePhase,
+      };
+
+    case ACTIONS.STREAM_NARRATIVE:
+      // Ignore late chunks once the turn has been finalized or abandoned
+      if (state.gamePhase !== 'loading') return state;
+      return { ...state, streamingNarrative: action.payload };
+
+    case ACTIONS.SET_TURN_CONTENT: {
+      // A turn is addressed by story + the choice it answers, so a result that
+      // arrives after the player quit, rewound or started another story is dropped.
+      const { payload } = action;
+      if (payload.storyId !== state.storyId || !isSameChoice(payload.pendingChoice, state.pendingChoice)) return state;
+      const { stats, changes } = applyStatChanges(state.stats, payload.statChanges);
+      const node = {
+        id: `node-${state.nextNodeSeq}`,
+        parentId: state.pendingChoice?.parentId ?? null,
+        turn: state.currentTurn,
+        choiceFromParent: state.pendingChoice?.choiceText ?? null,
+        narrative: payload.narrative,
+        image: null,
+        imagePrompt: payload.imagePrompt || '',
+        imageStatus: payload.imagePrompt ? 'pending' : 'none',
+        choices: payload.choices || [],
+        usedFallback: payload.usedFallback || false,
+        quality: payload.quality || 'ok',
+        actionCheck: payload.actionCheck || null,
+        moderation: payload.moderation || null,
+        ending: payload.ending || null,
+        stats,
+        statChanges: changes,
+        gameOver: criticalStat(stats),
+        storyBible: mergeStoryBible(state.storyBible, payload.worldDelta, state.currentTurn),
+        memory: payload.memory || {
+          storySummary: state.storySummary,
+          summarizedThrough: state.summarizedThrough,
+        },
+      };
+
+      return {
+        ...state,
+        nextNodeSeq: state.nextNodeSeq + 1,
+        // Looks are locked for the whole story, so they are not part of the node
+        characterAppearances: mergeAppearances(state.characterAppearances, payload.appearances),
+        ...deriveFromNode(state, addNode(state.storyTree, node), node.id),
+      };
+    }
+
+    case ACTIONS.SET_TURN_IMAGE: {
+      // Images are addressed by story + node, so a result that arrives after the
+      // player moved on (or started another story) still lands on its own turn.
+      const { storyId, nodeId, image = null, status } = action.payload;
+      if (storyId !== state.storyId || !state.storyTree.nodes[nodeId]) return state;
+
+      return {
+        ...state,
+        storyTree: updateNode(state.storyTree, nodeId, { image, imageStatus: status }),
+        history: state.history.map((entry) => (entry.nodeId === nodeId ? { ...entry, image } : entry)),
+        ...(nodeId === state.currentNodeId && { currentImage: image, currentImageStatus: status }),
+      };
+    }
+
+    case ACTIONS.SET_STORY_RECAP: {
+      // Kept on the ending's node, so each ending of a branching story has its own
+      const { storyId, nodeId, recap = null, status } = action.payload;
+      if (storyId !== state.storyId || !state.storyTree.nodes[nodeId]) return state;
+
+      // The first ending names the story, unless the player renamed it already
+      const takeTitle = recap?.title && hasDefaultStoryTitle(state);
+      return {
+        ...state,
+        storyTree: updateNode(state.storyTree, nodeId, { recap, recapStatus: status }),
+        ...(takeTitle && { storyTitle: recap.title }),
+      };
+    }
+
+    case ACTIONS.SET_APPEARANCES:
+      // Player edits replace the locked looks outright
+      return { ...state, characterAppearances: normalizeAppearances(action.payload) };
+
+    case ACTIONS.MAKE_CHOICE: {
+      const { choiceText } = action.payload;
+
+      // Already explored: reuse the generated turn instead of regenerating it
+      const existingChildId = childFor(state.storyTree.nodes[state.currentNodeId], choiceText);
+      if (existingChildId) {
+        return { ...state, ...deriveFromNode(state, state.storyTree, existingChildId) };
+      }
+
+      const newHistory = [
+        ...state.history,
+        {
+          nodeId: state.currentNodeId,
+          turn: state.currentTurn,
+          narrative: state.currentNarrative,
+          image: state.currentImage,
+          choiceMade: choiceText,
+          isCustomAction: !state.currentChoices.includes(choiceText),
+        },
+      ];
+      return {
+        ...state,
+        history: newHistory,
+        pendingChoice: { parentId: state.currentNodeId, choiceText },
+        currentTurn: state.currentTurn + 1,
+        isLoading: true,
+        gamePhase: 'loading',
+        currentChoices: [],
+        streamingNarrative: '',
+      };
+    }
+
+    case ACTIONS.REWIND_TO:
+      if (!state.storyTree.nodes[action.payload.nodeId]) return state;
+      return { ...state, ...deriveFromNode(state, state.storyTree, action.payload.nodeId) };
+
+    case ACTIONS.SET_ERROR:
+      return {
+        ...state,
+        error: action.payload.messageKey,
+        errorRetryAt: action.payload.retryAt || null,
+        isLoading: false,
+        streamingNarrative: '',
+        gamePhase: state.history.length > 0 ? 'playing' : 'menu',
+      };
+
+    case ACTIONS.RESET_GAME:
+      // The story stays in the library; only the in-memory game is cleared
+      return { ...initialState };
+
+    case ACTIONS.RESTORE_STATE: {
+      // Spread over initialState so saves from older versions gain new fields
+      const restored = { ...initialState, ...action.payload, isLoading: false, streamingNarrative: '' };
+      // Saves from before branching only have a linear history
+      if (!restored.storyTree.rootId && restored.history.length > 0) {
+        return { ...restored, ...treeFromLinearHistory(restored) };
+      }
+      // Saved after a choice failed (see SET_ERROR): the history is a turn ahead of
+      // the tree and the pending choice is gone, so go back to the turn it was made on
+      const path = getPath(restored.storyTree, restored.currentNodeId);
+      if (path.length > 0 && restored.history.length !== path.length - 1) {
+        return { ...restored, ...deriveFromNode(restored, restored.storyTree, restored.currentNodeId) };
+      }
+      return restored;
+    }
+
+    default:
+      return state;
+  }
+}
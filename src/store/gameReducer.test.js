@@ -0,0 +1,183 @@
+import { describe, it, expect } from 'vitest';
+import { initialState, ACTIONS, gameReducer } from './gameReducer';
+
+const STORY = 'story-a';
+
+function turn(overrides = {}) {
+  return {
+    narrative: 'The road bends into the fog.',
+    imagePrompt: 'A foggy road',
+    choices: ['Go left', 'Go right'],
+    ...overrides,
+  };
+}
+
+// A story with its first turn on screen
+function startedStory() {
+  const state = gameReducer(initialState, {
+    type: ACTIONS.START_GAME,
+    payload: { storyId: STORY, genre: 'Fantasy', genreId: 'fantasy', language: 'English', maxTurns: 10 },
+  });
+  return gameReducer(state, {
+    type: ACTIONS.SET_TURN_CONTENT,
+    payload: { ...turn(), storyId: STORY, pendingChoice: null },
+  });
+}
+
+describe('SET_TURN_CONTENT', () => {
+  it('adds the turn for the choice it was generated for', () => {
+    let state = startedStory();
+    state = gameReducer(state, { type: ACTIONS.MAKE_CHOICE, payload: { choiceText: 'Go left' } });
+    const { pendingChoice } = state;
+
+    state = gameReducer(state, {
+      type: ACTIONS.SET_TURN_CONTENT,
+      payload: { ...turn({ narrative: 'Left it is.' }), storyId: STORY, pendingChoice },
+    });
+    expect(state.currentTurn).toBe(2);
+    expect(state.currentNarrative).toBe('Left it is.');
+    expect(state.storyTree.nodes[state.currentNodeId].choiceFromParent).toBe('Go left');
+  });
+
+  it('drops a turn that arrives after the player quit', () => {
+    let state = gameReducer(startedStory(), { type: ACTIONS.MAKE_CHOICE, payload: { choiceText: 'Go left' } });
+    const { pendingChoice } = state;
+    state = gameReducer(state, { type: ACTIONS.RESET_GAME });
+
+    const after = gameReducer(state, {
+      type: ACTIONS.SET_TURN_CONTENT,
+      payload: { ...turn(), storyId: STORY, pendingChoice },
+    });
+    expect(after).toBe(state);
+  });
+
+  it('drops a turn meant for another story', () => {
+    const state = gameReducer(startedStory(), { type: ACTIONS.MAKE_CHOICE, payload: { choiceText: 'Go left' } });
+    const after = gameReducer(state, {
+      type: ACTIONS.SET_TURN_CONTENT,
+      payload: { ...turn(), storyId: 'story-b', pendingChoice: state.pendingChoice },
+    });
+    expect(after).toBe(state);
+  });
+
+  it('drops a turn for a choice the player no longer waits for', () => {
+    let state = startedStory();
+    const firstNodeId = state.currentNodeId;
+    state = gameReducer(state, { type: ACTIONS.MAKE_CHOICE, payload: { choiceText: 'Go left' } });
+    const leftChoice = state.pendingChoice;
+    state = gameReducer(state, { type: ACTIONS.REWIND_TO, payload: { nodeId: firstNodeId } });
+    state = gameReducer(state, { type: ACTIONS.MAKE_CHOICE, payload: { choiceText: 'Go right' } });
+
+    const after = gameReducer(state, {
+      type: ACTIONS.SET_TURN_CONTENT,
+      payload: { ...turn(), storyId: STORY, pendingChoice: leftChoice },
+    });
+    expect(after).toBe(state);
+  });
+});
+
+describe('SET_TURN_IMAGE', () => {
+  it('lands on its own turn even after the player moved on', () => {
+    let state = startedStory();
+    const firstNodeId = state.currentNodeId;
+    state = gameReducer(state, { type: ACTIONS.MAKE_CHOICE, payload: { choiceText: 'Go left' } });
+    state = gameReducer(state, {
+      type: ACTIONS.SET_TURN_CONTENT,
+      payload: { ...turn(), storyId: STORY, pendingChoice: state.pendingChoice },
+    });
+
+    state = gameReducer(state, {
+      type: ACTIONS.SET_TURN_IMAGE,
+      payload: { storyId: STORY, nodeId: firstNodeId, image: 'data:image/png;base64,AA==', status: 'ready' },
+    });
+    expect(state.storyTree.nodes[firstNodeId].image).toBe('data:image/png;base64,AA==');
+    expect(state.currentImage).toBeNull();
+    expect(state.history[0].image).toBe('data:image/png;base64,AA==');
+  });
+
+  it('drops images for another story or an unknown turn', () => {
+    const state = startedStory();
+    const setImage = (storyId, nodeId) => ({
+      type: ACTIONS.SET_TURN_IMAGE,
+      payload: { storyId, nodeId, image: 'data:image/png;base64,AA==', status: 'ready' },
+    });
+
+    expect(gameReducer(state, setImage('story-b', state.currentNodeId))).toBe(state);
+    expect(gameReducer(state, setImage(STORY, 'node-99'))).toBe(state);
+  });
+});
+
+describe('SET_STORY_RECAP', () => {
+  const recap = (state, title) => ({
+    type: ACTIONS.SET_STORY_RECAP,
+    payload: { storyId: STORY, nodeId: state.currentNodeId, recap: { title }, status: 'ready' },
+  });
+
+  it('names a story that still has its default title, in any language', () => {
+    let state = gameReducer(initialState, {
+      type: ACTIONS.START_GAME,
+      payload: { storyId: STORY, genre: 'Fantasy', genreId: 'fantasy', language: 'Español', maxTurns: 10 },
+    });
+    state = gameReducer(state, { type: ACTIONS.SET_TURN_CONTENT, payload: { ...turn(), storyId: STORY, pendingChoice: null } });
+    expect(state.storyTitle).toBe('Historia de Fantasía');
+    expect(gameReducer(state, recap(state, 'El bosque')).storyTitle).toBe('El bosque');
+  });
+
+  it('keeps a title the player chose', () => {
+    const state = { ...startedStory(), storyTitle: 'My road' };
+    expect(gameReducer(state, recap(state, 'The fog')).storyTitle).toBe('My road');
+  });
+});
+
+describe('MAKE_CHOICE', () => {
+  it('treats typed actions named like Object.prototype members as new choices', () => {
+    for (const choiceText of ['constructor', 'toString', '__proto__']) {
+      const state = gameReducer(startedStory(), { type: ACTIONS.MAKE_CHOICE, payload: { choiceText } });
+      expect(state.gamePhase).toBe('loading');
+      expect(state.pendingChoice.choiceText).toBe(choiceText);
+    }
+  });
+
+  it('reuses the turn an explored typed action led to', () => {
+    let state = startedStory();
+    const firstNodeId = state.currentNodeId;
+    state = gameReducer(state, { type: ACTIONS.MAKE_CHOICE, payload: { choiceText: 'constructor' } });
+    state = gameReducer(state, {
+      type: ACTIONS.SET_TURN_CONTENT,
+      payload: { ...turn({ narrative: 'Built.' }), storyId: STORY, pendingChoice: state.pendingChoice },
+    });
+    state = gameReducer(state, { type: ACTIONS.REWIND_TO, payload: { nodeId: firstNodeId } });
+
+    state = gameReducer(state, { type: ACTIONS.MAKE_CHOICE, payload: { choiceText: 'constructor' } });
+    expect(state.gamePhase).toBe('playing');
+    expect(state.currentNarrative).toBe('Built.');
+  });
+});
+
+describe('RESTORE_STATE', () => {
+  // What the autosave writes (storyLibrary drops its transient fields), read back
+  const saveAndLoad = (state) => {
+    const persisted = JSON.parse(JSON.stringify(state));
+    ['isLoading', 'error', 'errorRetryAt', 'streamingNarrative', 'pendingChoice'].forEach((field) => delete persisted[field]);
+    return gameReducer(initialState, { type: ACTIONS.RESTORE_STATE, payload: persisted });
+  };
+
+  it('returns a story saved after a failed choice to the turn the choice was made on', () => {
+    const before = startedStory();
+    let state = gameReducer(before, { type: ACTIONS.MAKE_CHOICE, payload: { choiceText: 'Go left' } });
+    state = gameReducer(state, { type: ACTIONS.SET_ERROR, payload: { messageKey: 'error.generic' } });
+
+    const restored = saveAndLoad(state);
+    expect(restored.gamePhase).toBe('playing');
+    expect(restored.currentTurn).toBe(before.currentTurn);
+    expect(restored.history).toEqual(before.history);
+    expect(restored.currentChoices).toEqual(['Go left', 'Go right']);
+  });
+
+  it('restores a healthy save as it was', () => {
+    const state = startedStory();
+    const restored = saveAndLoad(state);
+    expect(restored.currentTurn).toBe(state.currentTurn);
+    expect(restored.currentNarrative).toBe(state.currentNarrative);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Story Tree — history modeled as a tree of turn nodes.
+ *
+ * Each node is one generated turn; each edge is the choice that led to it.
+ * The linear `history` the rest of the app works with is simply the path
+ * from the root to the current node.
+ *
+ * Node shape:
+ *   {
+ *     id, parentId, turn,
+ *     choiceFromParent,        // edge label (null on the root)
+ *     narrative, image, choices,
+ *     imagePrompt, imageStatus, // image arrives after the turn: 'pending' | 'ready' | 'failed' | 'none'
+ *     children: { [choiceText]: nodeId },
+ *     usedFallback, quality,
+ *     actionCheck,             // model's verdict when choiceFromParent was typed by the player
+ *     moderation,              // moderation result for the turn's text (see src/moderation)
+ *     storyBible,              // bible after this turn
+ *     stats, statChanges,      // player stats after this turn and how it changed them (see services/playerStats)
+ *     gameOver,                // stat that defeated the protagonist on this turn, ending the story early
+ *     memory,                  // { storySummary, summarizedThrough } used to generate it
+ *     ending,                  // on the final turn: { type, title } (see services/endings)
+ *     recap, recapStatus,      // on an ending: { title, synopsis } (see services/storyRecap)
+ *   }
+ */
+
+export const EMPTY_STORY_TREE = { rootId: null, nodes: {} };
+
+/**
+ * Image status of a node. Nodes saved before images were generated
+ * asynchronously have no status: they either have their image or never will.
+ */
+export function imageStatusOf(node) {
+  return node?.imageStatus || (node?.image ? 'ready' : 'none');
+}
+
+/**
+ * Add a node to the tree, linking it under its parent. Pure.
+ */
+export function addNode(tree, node) {
+  const nodes = { ...tree.nodes, [node.id]: { ...node, children: node.children || {} } };
+
+  if (node.parentId) {
+    const parent = nodes[node.parentId];
+    nodes[node.parentId] = {
+      ...parent,
+      children: { ...parent.children, [node.choiceFromParent]: node.id },
+    };
+  }
+
+  return { rootId: tree.rootId || node.id, nodes };
+}
+
+/**
+ * The child a choice led to, or null if it was not explored yet.
+ * Choices can be typed by the player, so "constructor" or "__proto__" must
+ * not find anything inherited from Object.prototype.
+ */
+export function childFor(node, choiceText) {
+  return node && Object.hasOwn(node.children, choiceText) ? node.children[choiceText] : null;
+}
+
+/**
+ * Replace fields on an existing node. Pure.
+ */
+export function updateNode(tree, nodeId, changes) {
+  if (!tree.nodes[nodeId]) return tree;
+  return { ...tree, nodes: { ...tree.nodes, [nodeId]: { ...tree.nodes[nodeId], ...changes } } };
+}
+
+/**
+ * Nodes from the root down to (and including) nodeId.
+ */
+export function getPath(tree, nodeId) {
+  const path = [];
+  for (let node = tree.nodes[nodeId]; node; node = tree.nodes[node.parentId]) {
+    path.unshift(node);
+  }
+  return path;
+}
+
+/**
+ * Linear history entries for a path, each with the choice made on it.
+ * A choice that was not among the node's generated choices was typed by the player.
+ * The last node of the path is the current turn and is not included.
+ */
+export function pathToHistory(path) {
+  return path.slice(0, -1).map((node, i) => ({
+    nodeId: node.id,
+    turn: node.turn,
+    narrative: node.narrative,
+    image: node.image,
+    choiceMade: path[i + 1].choiceFromParent,
+    isCustomAction: !node.choices.includes(path[i + 1].choiceFromParent),
+  }));
+}
+
+/**
+ * Rebuild a tree from a linear save made before branching existed.
+ * @returns {{storyTree: object, currentNodeId: string|null, nextNodeSeq: number}}
+ */
+export function treeFromLinearHistory(state) {
+  let tree = EMPTY_STORY_TREE;
+  let parentId = null;
+  let choiceFromParent = null;
+
+  const entries = [
+    ...state.history,
+    { turn: state.currentTurn, narrative: state.currentNarrative, image: state.currentImage },
+  ];
+
+  entries.forEach((entry, i) => {
+    const id = `node-${i + 1}`;
+    tree = addNode(tree, {
+      id,
+      parentId,
+      turn: entry.turn,
+      choiceFromParent,
+      narrative: entry.narrative,
+      image: entry.image,
+      choices: i === entries.length - 1 ? state.currentChoices || [] : [entry.choiceMade],
+      usedFallback: false,
+      quality: 'ok',
+      storyBible: state.storyBible,
+      memory: { storySummary: '', summarizedThrough: 0 },
+    });
+    parentId = id;
+    choiceFromParent = entry.choiceMade;
+  });
+
+  return { storyTree: tree, currentNodeId: parentId, nextNodeSeq: entries.length + 1 };
+}
+
+/**
+ * Count the leaves of the tree — the number of distinct branches explored.
+ */
+export function countBranches(tree) {
+  return Object.values(tree.nodes).filter((node) => Object.keys(node.children).length === 0).length;
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EMPTY_STORY_TREE,
+  addNode,
+  updateNode,
+  getPath,
+  pathToHistory,
+  treeFromLinearHistory,
+  countBranches,
+  childFor,
+  imageStatusOf,
+} from './storyTree';
+
+function node(id, parentId, choiceFromParent, overrides = {}) {
+  return {
+    id,
+    parentId,
+    turn: 1,
+    choiceFromParent,
+    narrative: `Narrative of ${id}`,
+    image: null,
+    choices: ['Left', 'Right'],
+    ...overrides,
+  };
+}
+
+// node-1 ─ Left ─ node-2 ─ Left ─ node-3
+//        └ Right ─ node-4
+function branchedTree() {
+  let tree = addNode(EMPTY_STORY_TREE, node('node-1', null, null));
+  tree = addNode(tree, node('node-2', 'node-1', 'Left'));
+  tree = addNode(tree, node('node-3', 'node-2', 'Left'));
+  return addNode(tree, node('node-4', 'node-1', 'Right'));
+}
+
+describe('addNode', () => {
+  it('links a node under its parent without changing the old tree', () => {
+    const root = addNode(EMPTY_STORY_TREE, node('node-1', null, null));
+    const tree = addNode(root, node('node-2', 'node-1', 'Left'));
+
+    expect(tree.rootId).toBe('node-1');
+    expect(tree.nodes['node-1'].children).toEqual({ Left: 'node-2' });
+    expect(root.nodes['node-1'].children).toEqual({});
+  });
+});
+
+describe('childFor', () => {
+  it('finds explored choices only', () => {
+    const tree = branchedTree();
+    expect(childFor(tree.nodes['node-1'], 'Right')).toBe('node-4');
+    expect(childFor(tree.nodes['node-2'], 'Right')).toBeNull();
+    expect(childFor(tree.nodes['node-1'], 'constructor')).toBeNull();
+    expect(childFor(undefined, 'Left')).toBeNull();
+  });
+});
+
+describe('getPath and pathToHistory', () => {
+  it('walks from the root to a node', () => {
+    const tree = branchedTree();
+    expect(getPath(tree, 'node-3').map((n) => n.id)).toEqual(['node-1', 'node-2', 'node-3']);
+    expect(getPath(tree, 'node-4').map((n) => n.id)).toEqual(['node-1', 'node-4']);
+    expect(getPath(tree, 'node-99')).toEqual([]);
+  });
+
+  it('turns a path into history entries with the choice made on each', () => {
+    let tree = branchedTree();
+    tree = addNode(tree, node('node-5', 'node-4', 'Climb the wall'));
+    const history = pathToHistory(getPath(tree, 'node-5'));
+
+    expect(history.map((h) => [h.nodeId, h.choiceMade, h.isCustomAction])).toEqual([
+      ['node-1', 'Right', false],
+      ['node-4', 'Climb the wall', true],
+    ]);
+  });
+});
+
+describe('updateNode', () => {
+  it('changes one node and ignores unknown ids', () => {
+    const tree = branchedTree();
+    expect(updateNode(tree, 'node-2', { image: 'a.png' }).nodes['node-2'].image).toBe('a.png');
+    expect(updateNode(tree, 'node-99', { image: 'a.png' })).toBe(tree);
+  });
+});
+
+describe('treeFromLinearHistory', () => {
+  it('rebuilds a single branch from a save made before branching', () => {
+    const { storyTree, currentNodeId, nextNodeSeq } = treeFromLinearHistory({
+      history: [
+        { turn: 1, narrative: 'One', image: null, choiceMade: 'Go on' },
+        { turn: 2, narrative: 'Two', image: null, choiceMade: 'Stop' },
+      ],
+      currentTurn: 3,
+      currentNarrative: 'Three',
+      currentImage: null,
+      currentChoices: ['A', 'B'],
+      storyBible: null,
+    });
+
+    expect(currentNodeId).toBe('node-3');
+    expect(nextNodeSeq).toBe(4);
+    expect(pathToHistory(getPath(storyTree, currentNodeId)).map((h) => h.choiceMade)).toEqual(['Go on', 'Stop']);
+    expect(storyTree.nodes['node-3'].choices).toEqual(['A', 'B']);
+  });
+});
+
+describe('countBranches and imageStatusOf', () => {
+  it('counts leaves as explored branches', () => {
+    expect(countBranches(branchedTree())).toBe(2);
+  });
+
+  it('derives the image status of nodes saved without one', () => {
+    expect(imageStatusOf({ image: 'a.png' })).toBe('ready');
+    expect(imageStatusOf({ image: null })).toBe('none');
+    expect(imageStatusOf({ image: null, imageStatus: 'pending' })).toBe('pending');
+  });
+});
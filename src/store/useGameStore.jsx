@@ -1,121 +1,23 @@
 /**
  * Game Store - React Context + useReducer state management.
- * Manages story state, turn progression, and localStorage persistence.
+ * Provides the game state (see gameReducer.js) and its actions, and
+ * persists it to the IndexedDB story library.
  */
 
 import { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
-import { MAX_TURNS } from '../config/styleConfig';
-
-const STORAGE_KEY = 'unfoldy-game-state';
-
-// ─── Initial State ───────────────────────────────────
-const initialState = {
-  gamePhase: 'splash', // 'splash' | 'menu' | 'playing' | 'loading' | 'epilogue'
-  currentTurn: 1,
-  maxTurns: MAX_TURNS,
-  language: 'English',
-  genre: '',
-  genreId: '',
-  artStylePrompt: '',
-  genreColor: '#e040fb',
-  history: [],
-  currentNarrative: '',
-  currentImage: null,
-  currentChoices: [],
-  isLoading: false,
-  error: null,
-  usedFallback: false,
-};
-
-// ─── Actions ─────────────────────────────────────────
-const ACTIONS = {
-  DISMISS_SPLASH: 'DISMISS_SPLASH',
-  START_GAME: 'START_GAME',
-  SET_LOADING: 'SET_LOADING',
-  SET_TURN_CONTENT: 'SET_TURN_CONTENT',
-  MAKE_CHOICE: 'MAKE_CHOICE',
-  SET_ERROR: 'SET_ERROR',
-  RESET_GAME: 'RESET_GAME',
-  RESTORE_STATE: 'RESTORE_STATE',
-};
-
-// ─── Reducer ─────────────────────────────────────────
-function gameReducer(state, action) {
-  switch (action.type) {
-    case ACTIONS.DISMISS_SPLASH:
-      return { ...state, gamePhase: 'menu' };
-
-    case ACTIONS.START_GAME:
-      return {
-        ...initialState,
-        gamePhase: 'loading',
-        language: action.payload.language,
-        genre: action.payload.genre,
-        genreId: action.payload.genreId,
-        artStylePrompt: action.payload.artStylePrompt,
-        genreColor: action.payload.color,
-        currentTurn: 1,
-        isLoading: true,
-      };
-
-    case ACTIONS.SET_LOADING:
-      return {
-        ...state,
-        isLoading: action.payload,
-        gamePhase: action.payload ? 'loading' : state.gamePhase,
-      };
-
-    case ACTIONS.SET_TURN_CONTENT:
-      return {
-        ...state,
-        gamePhase: state.currentTurn >= state.maxTurns ? 'epilogue' : 'playing',
-        currentNarrative: action.payload.narrative,
-        currentImage: action.payload.image,
-        currentChoices: action.payload.choices || [],
-        isLoading: false,
-        error: null,
-        usedFallback: action.payload.usedFallback || false,
-      };
-
-    case ACTIONS.MAKE_CHOICE: {
-      const newHistory = [
-        ...state.history,
-        {
-          turn: state.currentTurn,
-          narrative: state.currentNarrative,
-          image: state.currentImage,
-          choiceMade: action.payload.choiceText,
-        },
-      ];
-      return {
-        ...state,
-        history: newHistory,
-        currentTurn: state.currentTurn + 1,
-        isLoading: true,
-        gamePhase: 'loading',
-        currentChoices: [],
-      };
-    }
-
-    case ACTIONS.SET_ERROR:
-      return {
-        ...state,
-        error: action.payload,
-        isLoading: false,
-        gamePhase: state.history.length > 0 ? 'playing' : 'menu',
-      };
-
-    case ACTIONS.RESET_GAME:
-      localStorage.removeItem(STORAGE_KEY);
-      return { ...initialState };
-
-    case ACTIONS.RESTORE_STATE:
-      return { ...action.payload, isLoading: false };
-
-    default:
-      return state;
-  }
-}
+import {
+  createStoryId,
+  getStory,
+  saveStory,
+  migrateLegacySave,
+  getActiveStoryId,
+  setActiveStoryId,
+} from '../services/storyLibrary';
+import { initialStats } from '../services/playerStats';
+import { initialState, ACTIONS, gameReducer } from './gameReducer';
+
+// Wait this long after the last state change before writing to the library
+const SAVE_DEBOUNCE_MS = 400;
 
 // ─── Context ─────────────────────────────────────────
 const GameContext = createContext(null);
@@ -123,49 +25,74 @@ const GameContext = createContext(null);
 export function GameProvider({ children }) {
   const [state, dispatch] = useReducer(gameReducer, initialState);
 
-  // Restore state from localStorage on mount
+  // Migrate any legacy save, then resume the active story on mount
   useEffect(() => {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEY);
-      if (saved) {
-        const parsed = JSON.parse(saved);
+    (async () => {
+      try {
+        await migrateLegacySave();
+        const activeId = getActiveStoryId();
+        if (!activeId) return;
+        const record = await getStory(activeId);
         // Only restore if there's an active game
-        if (parsed.gamePhase !== 'menu' && parsed.history.length > 0) {
-          dispatch({ type: ACTIONS.RESTORE_STATE, payload: parsed });
+        if (record && record.state.gamePhase !== 'menu') {
+          dispatch({ type: ACTIONS.RESTORE_STATE, payload: record.state });
         }
+      } catch (err) {
+        console.warn(`Failed to restore game state: ${err.message}`);
       }
-    } catch {
-      console.warn('Failed to restore game state');
-    }
+    })();
   }, []);
 
-  // Auto-save to localStorage on state change (but not loading states)
+  // Auto-save to the story library on state change (but not loading states).
+  // Debounced so bursts of updates (rewinds, image arrivals) write once.
   useEffect(() => {
-    if (state.gamePhase !== 'menu' && !state.isLoading) {
-      try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-      } catch {
-        console.warn('Failed to save game state');
-      }
-    }
+    if (!state.storyId || state.isLoading || !['playing', 'epilogue'].includes(state.gamePhase)) return;
+
+    const timeoutId = setTimeout(() => {
+      saveStory(state)
+        .then(() => setActiveStoryId(state.storyId))
+        .catch((err) => console.warn(`Failed to save game state: ${err.message}`));
+    }, SAVE_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
   }, [state]);
 
   const startGame = useCallback(
-    (genreData, language) => {
+    (genreData, language, { contentRating, protagonist, maxTurns, stats = false } = {}) => {
       dispatch({
         type: ACTIONS.START_GAME,
         payload: {
+          storyId: createStoryId(),
+          createdAt: Date.now(),
           language,
           genre: genreData.name,
           genreId: genreData.id,
           artStylePrompt: genreData.artStylePrompt,
+          notes: genreData.notes,
           color: genreData.color,
+          contentRating,
+          protagonist,
+          maxTurns,
+          stats: stats ? initialStats(genreData.id) : null,
         },
       });
     },
     []
   );
 
+  /**
+   * Load a story from the library and continue it where it was left.
+   */
+  const resumeStory = useCallback(async (storyId) => {
+    const record = await getStory(storyId);
+    if (!record) throw new Error('Story not found in library');
+    setActiveStoryId(storyId);
+    dispatch({ type: ACTIONS.RESTORE_STATE, payload: { ...record.state, storyTitle: record.title } });
+  }, []);
+
+  /**
+   * Store a generated turn. `content.storyId` and `content.pendingChoice` are
+   * the story and choice it was generated for (see SET_TURN_CONTENT).
+   */
   const setTurnContent = useCallback(
     (content) => {
       dispatch({ type: ACTIONS.SET_TURN_CONTENT, payload: content });
@@ -173,6 +100,42 @@ export function GameProvider({ children }) {
     []
   );
 
+  /**
+   * Store the outcome of a turn's image request.
+   * Pass status 'pending' to ask for the image again (see App).
+   */
+  const setTurnImage = useCallback(
+    (storyId, nodeId, { image = null, status }) => {
+      dispatch({ type: ACTIONS.SET_TURN_IMAGE, payload: { storyId, nodeId, image, status } });
+    },
+    []
+  );
+
+  /**
+   * Store the outcome of an ending's recap request (see services/storyRecap).
+   * Pass status 'pending' to ask for it again.
+   */
+  const setStoryRecap = useCallback(
+    (storyId, nodeId, { recap = null, status }) => {
+      dispatch({ type: ACTIONS.SET_STORY_RECAP, payload: { storyId, nodeId, recap, status } });
+    },
+    []
+  );
+
+  const setCharacterAppearances = useCallback(
+    (appearances) => {
+      dispatch({ type: ACTIONS.SET_APPEARANCES, payload: appearances });
+    },
+    []
+  );
+
+  const setStreamingNarrative = useCallback(
+    (narrative) => {
+      dispatch({ type: ACTIONS.STREAM_NARRATIVE, payload: narrative });
+    },
+    []
+  );
+
   const makeChoice = useCallback(
     (choiceText) => {
       dispatch({ type: ACTIONS.MAKE_CHOICE, payload: { choiceText } });
@@ -180,9 +143,16 @@ export function GameProvider({ children }) {
     []
   );
 
+  const rewindTo = useCallback(
+    (nodeId) => {
+      dispatch({ type: ACTIONS.REWIND_TO, payload: { nodeId } });
+    },
+    []
+  );
+
   const setError = useCallback(
-    (error) => {
-      dispatch({ type: ACTIONS.SET_ERROR, payload: error });
+    (messageKey, { retryAt } = {}) => {
+      dispatch({ type: ACTIONS.SET_ERROR, payload: { messageKey, retryAt } });
     },
     []
   );
@@ -195,6 +165,7 @@ export function GameProvider({ children }) {
   );
 
   const resetGame = useCallback(() => {
+    setActiveStoryId(null);
     dispatch({ type: ACTIONS.RESET_GAME });
   }, []);
 
@@ -208,10 +179,16 @@ export function GameProvider({ children }) {
         ...state,
         startGame,
         setTurnContent,
+        setTurnImage,
+        setStoryRecap,
+        setCharacterAppearances,
+        setStreamingNarrative,
         makeChoice,
+        rewindTo,
         setError,
         setLoading,
         resetGame,
+        resumeStory,
         dismissSplash,
       }}
     >
@@ -1,7 +1,50 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Serverless routes that `npm run dev` serves itself. Text/image generation
+// runs in the browser in dev mode (see geminiService), but shared stories
+// need a server, so the Vercel handler is mounted with a tiny req/res shim.
+const DEV_API_ROUTES = {
+  '/api/stories': () => import('./api/stories.js'),
+}
+
+function devApiRoutes() {
+  return {
+    name: 'unfoldy-dev-api',
+    configureServer(server) {
+      Object.entries(DEV_API_ROUTES).forEach(([route, load]) => {
+        server.middlewares.use(route, async (req, res) => {
+          const url = new URL(req.url, 'http://localhost')
+          let body = ''
+          req.setEncoding('utf8')
+          for await (const chunk of req) body += chunk
+
+          req.query = Object.fromEntries(url.searchParams)
+          try {
+            req.body = body ? JSON.parse(body) : undefined
+          } catch {
+            res.statusCode = 400
+            return res.end(JSON.stringify({ error: 'Invalid JSON body' }))
+          }
+          res.status = (code) => {
+            res.statusCode = code
+            return res
+          }
+          res.json = (data) => {
+            res.setHeader('Content-Type', 'application/json')
+            res.end(JSON.stringify(data))
+          }
+          res.send = (data) => res.end(data)
+
+          const { default: handler } = await load()
+          await handler(req, res)
+        })
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), devApiRoutes()],
 })